@@ -26,286 +26,539 @@ const express = require('express')
 const cors = require('cors')
 const bodyParser = require('body-parser')
 const PDFDocument = require('pdfkit')
-const multer = require('multer')
 const mammoth = require('mammoth')
 const fs = require('fs')
-const path = require('path')
-const docxConverter = require('docx-pdf')
-const { PDFDocument: PDFLib, rgb } = require('pdf-lib')
-const pdf2pic = require('pdf-poppler')
+const previewService = require('./services/previewService')
+const documentStore = require('./storage/documentStore')
+const stampService = require('./services/stampService')
+const batchService = require('./services/batchService')
+const pdfInputService = require('./services/pdfInputService')
+const anchorService = require('./services/anchorService')
+const signatureImageService = require('./services/signatureImageService')
+const appearanceService = require('./services/appearanceService')
+const verificationService = require('./services/verificationService')
+const templateService = require('./services/templateService')
+const auditService = require('./services/auditService')
+const envelopeService = require('./services/envelopeService')
+const authService = require('./services/authService')
+const webhookService = require('./services/webhookService')
+const signatureVerificationService = require('./services/signatureVerificationService')
+const pdfOutputService = require('./services/pdfOutputService')
+const conversionQueue = require('./services/conversionQueue')
+const { describeConverter } = require('./services/converters')
+const jobsRouter = require('./routes/jobs')
+const envelopesRouter = require('./routes/envelopes')
+const authRouter = require('./routes/auth')
+const usersRouter = require('./routes/users')
+const webhooksRouter = require('./routes/webhooks')
+const mergeRouter = require('./routes/merge')
+const templatesRouter = require('./routes/templates')
+const uploadRouter = require('./routes/upload')
+const openapi = require('./docs/openapi')
+const { requireAuth } = require('./middleware/auth')
+const { validate } = require('./middleware/validate')
+const { requestId } = require('./middleware/requestId')
+const { sendError, notFound, errorHandler } = require('./middleware/errors')
+const schemas = require('./validation/schemas')
+const messages = require('./utils/messages')
+const { AppError } = require('./utils/errors')
+const { API_BASE, apiPath } = require('./utils/apiPaths')
 
 //criando o formato de dados que sera recebido no body da requisição (post/put)
 const bodyParserJSON = bodyParser.json({ limit: '1gb' })
 
-// Armazenar dados das assinaturas temporariamente
-let processedDocuments = new Map()
+// Documentos processados ficam no documentStore (ID gerado + expiração), removidos periodicamente
+documentStore.startCleanup(60 * 60 * 1000)
 
-// Configurar multer para upload de arquivos
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '..', 'temp')
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true })
-        }
-        cb(null, uploadDir)
-    },
-    filename: (req, file, cb) => {
-        cb(null, `${Date.now()}-${file.originalname}`)
-    }
+// Jobs de conversão finalizados também expiram (CONVERSION_JOB_TTL_MINUTES)
+conversionQueue.startCleanup(10 * 60 * 1000)
+
+// Previews sem upload correspondente expiram (AUDIT_PREVIEW_TTL_HOURS)
+auditService.startCleanup(60 * 60 * 1000)
+
+// Entregas de webhook que estavam aguardando nova tentativa quando o servidor parou
+webhookService.resume().catch((error) => {
+    console.warn('Aviso: falha ao retomar entregas de webhook:', error.message)
 })
 
-const upload = multer({ 
-    storage: storage,
-    fileFilter: (req, file, cb) => {
-        const allowedMimes = [
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
-            'application/msword' // .doc
-        ]
-        
-        if (allowedMimes.includes(file.mimetype)) {
-            cb(null, true)
-        } else {
-            cb(new Error('Apenas arquivos .doc e .docx são permitidos'), false)
-        }
-    }
+// Administrador inicial (ADMIN_EMAIL/ADMIN_PASSWORD)
+authService.ensureAdmin().catch((error) => {
+    console.warn('Aviso: falha ao criar o administrador inicial:', error.message)
 })
 
+// Dados públicos de um documento armazenado (sem imagens nem bytes do PDF)
+function toDocumentSummary(record) {
+    return {
+        id: record.id,
+        nome: record.nome,
+        arquivo_final: record.arquivo_final,
+        possui_pdf: record.files.includes('original.pdf'),
+        lote: record.lote || null,
+        modelo: record.modelo || null,
+        envelope: record.envelope ? { status: record.envelope.status } : null,
+        assinaturas: record.signatures.map(sig => ({
+            pagina: sig.pagina,
+            posicao: sig.posicao,
+            dimensoes: sig.dimensoes,
+            aparencia: appearanceService.toJSON(sig.aparencia)
+        })),
+        processedAt: record.processedAt,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt
+    }
+}
+
+// QR code de verificação pedido no download (?verification=true&verificationPlacement=below|right)
+function getVerificationOptions(request) {
+    if (!request.query.verification) {
+        return null
+    }
+    
+    return {
+        placement: verificationService.parsePlacement(request.query.verificationPlacement),
+        baseUrl: `${request.protocol}://${request.get('host')}`
+    }
+}
+
+// Opções de saída do PDF nos downloads: as senhas vêm só dos cabeçalhos, nunca da query,
+// que fica registrada em logs de acesso, no histórico do navegador e no Referer
+function getOutputOptions(request) {
+    const inQuery = ['ownerPassword', 'userPassword'].filter((name) => request.query[name] !== undefined)
+    
+    if (inQuery.length > 0) {
+        throw new AppError('Senhas não são aceitas na query: envie-as nos cabeçalhos X-PDF-Owner-Password e X-PDF-User-Password', {
+            status: 400,
+            code: 'INVALID_OUTPUT_OPTIONS',
+            details: { fields: inQuery }
+        })
+    }
+    
+    return pdfOutputService.parseOptions({
+        ...request.query,
+        ownerPassword: request.get('X-PDF-Owner-Password'),
+        userPassword: request.get('X-PDF-User-Password')
+    })
+}
+
 //Cria o objeto app para criar a API
 const app = express()
 
+// Atrás de proxy reverso, o IP do cliente (registrado na auditoria) vem do X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy)
+}
+
+// X-Request-Id em todas as respostas, nos erros e na auditoria (antes do body parser, para cobrir JSON inválido)
+app.use(requestId())
+
+// CORS em todas as rotas e no preflight OPTIONS, antes do body parser para cobrir também os erros de JSON.
+// Só as origens de CORS_ORIGINS (separadas por vírgula; * libera todas) recebem os cabeçalhos: sem a variável,
+// navegadores só acessam a API pela mesma origem
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean)
+app.use(cors({
+    origin: corsOrigins.includes('*') ? '*' : corsOrigins.length > 0 ? corsOrigins : false,
+    exposedHeaders: ['X-Request-Id', 'X-Verification-Code', 'Content-Language', 'Deprecation', 'Link']
+}))
+
 // Configurar limite de tamanho para arquivos grandes
 app.use(express.json({ limit: '1gb' }))
 app.use(express.urlencoded({ limit: '1gb', extended: true }))
 
-app.use((request, response, next)=>{
-    response.header('Access-Control-Allow-Origin', '*')
-    response.header('Access-Control-Allow-Methods', 'GET, POST,PUT DELETE, OPTIONS')
+// Rotas da API, montadas em /api/v1 e no alias /api (ver o final do arquivo)
+const api = express.Router()
 
-    app.use(cors())
-    next()
+// Login, sessão e chaves de API (POST /api/v1/auth/login, GET /api/v1/auth/me, /api/v1/auth/api-keys)
+api.use(authRouter)
 
-})
+// Usuários (somente admin): GET/POST /api/v1/users, DELETE /api/v1/users/:id
+api.use(usersRouter)
+
+// Fila de conversões DOCX -> PDF (POST /api/v1/jobs, GET /api/v1/jobs/:id, GET /api/v1/jobs/:id/result)
+api.use(jobsRouter)
+
+// Envelopes com vários signatários (POST /api/v1/envelopes, GET /api/v1/envelopes/:id, /api/v1/sign/:token)
+api.use(envelopesRouter)
+
+// Webhooks (GET/POST /api/v1/webhooks, DELETE /api/v1/webhooks/:id, entregas e reenvio)
+api.use(webhooksRouter)
+
+// Mesclagem de dados em templates .docx (POST /api/v1/merge e POST /api/v1/merge/bulk)
+api.use(mergeRouter)
+
+// Biblioteca de templates com versões (GET/POST /api/v1/templates, /api/v1/templates/:id/versions)
+api.use(templatesRouter)
+
+// Assinatura direta com o PDF na resposta e descoberta de placeholders (POST /api/v1/documents/sign, POST /api/v1/placeholders)
+api.use(uploadRouter)
 
 // Endpoint de teste GET
-app.get('/api/test', cors(), function (request, response) {
+api.get('/test', async function (request, response) {
     response.status(200)
     response.json({ 
         message: 'API funcionando!',
         timestamp: new Date().toISOString(),
+        converter: await describeConverter(),
         endpoints: {
-            test: 'GET /api/test',
-            upload: 'POST /api/upload',
-            user: 'POST /api/user'
+            docs: 'GET /api/docs',
+            test: 'GET /api/v1/test',
+            uploadFile: 'POST /api/v1/upload-file',
+            upload: 'POST /api/v1/upload',
+            preview: 'POST /api/v1/preview',
+            signDocument: 'POST /api/v1/documents/sign',
+            placeholders: 'POST /api/v1/placeholders',
+            login: 'POST /api/v1/auth/login',
+            me: 'GET /api/v1/auth/me',
+            apiKeys: 'POST /api/v1/auth/api-keys',
+            users: 'GET /api/v1/users',
+            createUser: 'POST /api/v1/users',
+            documents: 'GET /api/v1/documents',
+            document: 'GET /api/v1/documents/:id',
+            documentAudit: 'GET /api/v1/documents/:id/audit',
+            deleteDocument: 'DELETE /api/v1/documents/:id',
+            download: 'GET /api/v1/download/:id',
+            batchDownload: 'GET /api/v1/batches/:id/download',
+            verify: 'POST /api/v1/verify',
+            verifyCode: 'GET /api/v1/verify/:code',
+            compareWithCode: 'POST /api/v1/verify/:code',
+            createJob: 'POST /api/v1/jobs',
+            job: 'GET /api/v1/jobs/:id',
+            jobResult: 'GET /api/v1/jobs/:id/result',
+            merge: 'POST /api/v1/merge',
+            mergeBulk: 'POST /api/v1/merge/bulk',
+            templates: 'GET /api/v1/templates',
+            createTemplate: 'POST /api/v1/templates',
+            template: 'GET /api/v1/templates/:id',
+            templateVersions: 'GET /api/v1/templates/:id/versions',
+            createTemplateVersion: 'POST /api/v1/templates/:id/versions',
+            templateFile: 'GET /api/v1/templates/:id/versions/:version/file',
+            createEnvelope: 'POST /api/v1/envelopes',
+            envelope: 'GET /api/v1/envelopes/:id',
+            signer: 'GET /api/v1/sign/:token',
+            sign: 'POST /api/v1/sign/:token',
+            appearances: 'GET /api/v1/appearances',
+            webhooks: 'GET /api/v1/webhooks',
+            createWebhook: 'POST /api/v1/webhooks',
+            webhookDeliveries: 'GET /api/v1/webhooks/:id/deliveries',
+            replayDelivery: 'POST /api/v1/webhooks/deliveries/:id/replay'
         }
     })
 })
 
+// Presets de aparência do carimbo (campo appearance do /api/upload-file, do lote e das zonas dos envelopes)
+api.get('/appearances', requireAuth(), async function (request, response) {
+    try {
+        const presets = await appearanceService.listPresets()
+        
+        response.status(200).json({
+            total: presets.length,
+            presets: presets
+        })
+        
+    } catch (error) {
+        sendError(response, error, 'Erro ao listar aparências')
+    }
+})
+
 // Novo endpoint para upload de arquivo real com assinatura
-app.post('/api/upload-file', cors(), upload.single('document'), async function (request, response) {
+api.post('/upload-file', requireAuth('admin', 'sender'), validate(schemas.uploadFile), async function (request, response) {
     try {
-        if (!request.file) {
-            return response.status(400).json({ error: 'Arquivo .doc ou .docx é obrigatório' })
+        // Arquivo enviado ou uma versão da biblioteca de templates (templateId e templateVersion)
+        const referencia = templateService.parseReference(request.body)
+        
+        if (request.file && referencia) {
+            throw new AppError('Envie o arquivo ou templateId, não os dois', { status: 400, code: 'AMBIGUOUS_TEMPLATE' })
         }
         
-        const { signature, positionX, positionY, signatureWidth, signatureHeight } = request.body
+        const input = referencia
+            ? await templateService.getDocument(referencia)
+            : { nome: request.file.originalname, buffer: fs.readFileSync(request.file.path) }
         
-        if (!signature) {
-            return response.status(400).json({ error: 'Assinatura é obrigatória' })
-        }
+        // Campos já validados e convertidos pelo schema (números, com os tamanhos padrão aplicados)
+        const { signature, positionX, positionY, signatureWidth, signatureHeight, page } = request.body
         
-        // Processar arquivo DOC/DOCX
-        const filePath = request.file.path
-        const fileName = request.file.originalname
-        const pdfPath = filePath.replace(/\.(docx?|DOC|DOCX)$/i, '.pdf')
+        // Aparência do carimbo: nome de um preset ou JSON (nome, cargo, data, hash, logo, borda, layout)
+        const aparencia = await appearanceService.resolve(request.body.appearance)
         
-        // Converter DOCX para PDF preservando formatação
-        await new Promise((resolve, reject) => {
-            docxConverter(filePath, pdfPath, (err, result) => {
-                if (err) reject(err)
-                else resolve(result)
-            })
+        // Sem posição nem âncora na requisição, valem as zonas padrão do template
+        const zonas = input.zonas && input.zonas.length > 0 && positionX === undefined && positionY === undefined && !request.body.anchor
+            ? input.zonas.map(zona => ({ ...zona, aparencia: zona.aparencia || aparencia }))
+            : null
+        
+        // Só o layout text-only dispensa a imagem
+        const somenteTexto = zonas
+            ? zonas.every(zona => zona.aparencia && zona.aparencia.layout === 'text-only')
+            : aparencia && aparencia.layout === 'text-only'
+        
+        if (!signature && !somenteTexto) {
+            throw new AppError('Assinatura é obrigatória', { status: 400, code: 'MISSING_SIGNATURE' })
+        }
+        
+        // Posição por texto âncora (anchor) em vez de positionX/positionY
+        const ancora = request.body.anchor
+            ? anchorService.parseAnchor({
+                text: request.body.anchor,
+                offsetX: request.body.anchorOffsetX,
+                offsetY: request.body.anchorOffsetY,
+                align: request.body.anchorAlign,
+                occurrence: request.body.anchorOccurrence
+            }, 1)
+            : null
+        
+        const fileName = input.nome
+        
+        // Recorta as margens, remove o fundo branco e aceita SVG ou traços (erros voltam como 400)
+        const { imageData } = signature ? await signatureImageService.normalize(signature) : { imageData: null }
+        
+        // PDF segue direto para o carimbo; DOC/DOCX é convertido pela fila, com o mesmo conversor do preview e do /api/jobs
+        const { pdfBytes: originalPdfBytes, pdfDoc: originalPdf } = await pdfInputService.fromBuffer(input.buffer, {
+            arquivo: fileName,
+            owner: request.user.id
         })
         
-        // Ler PDF original
-        const originalPdfBytes = fs.readFileSync(pdfPath)
+        // Validar a página da assinatura contra o PDF (com âncora, a página só restringe a busca)
+        const pagina = page || (ancora ? undefined : 1)
         
-        // Usar coordenadas precisas enviadas pelo frontend
+        if (pagina !== undefined && pagina > originalPdf.getPageCount()) {
+            throw new AppError(`Página ${pagina} não existe no documento (total: ${originalPdf.getPageCount()} página(s))`, {
+                status: 400,
+                code: 'SIGNATURE_PAGE_OUT_OF_RANGE',
+                details: { page: pagina, totalPages: originalPdf.getPageCount(), signature: 1 }
+            })
+        }
+        
+        // Usar coordenadas precisas enviadas pelo frontend (0 é uma coordenada válida; sem posição, 300 x 400)
         const signaturePos = {
-            x: parseFloat(positionX) || 300.0,
-            y: parseFloat(positionY) || 400.0
+            x: positionX !== undefined ? positionX : 300.0,
+            y: positionY !== undefined ? positionY : 400.0
         }
         
-        // Armazenar dados para download
-        processedDocuments.set(fileName, {
-            nome: fileName,
-            originalPdfBytes: originalPdfBytes,
-            signatures: [{
-                imageData: signature,
+        // Localizar a âncora no PDF e calcular página e posição da assinatura
+        const { signatures, ancoras } = await anchorService.resolveSignatures(originalPdfBytes, zonas
+            ? zonas.map(({ aparencia, ...zona }) => ({ ...zona, imageData: imageData, ...(aparencia && { aparencia }) }))
+            : [{
+                imageData: imageData,
+                pagina: pagina,
                 posicao: signaturePos,
                 dimensoes: { 
-                    largura: parseFloat(signatureWidth) || 150.0, 
-                    altura: parseFloat(signatureHeight) || 50.0 
-                }
-            }],
-            processedAt: new Date()
+                    largura: signatureWidth, 
+                    altura: signatureHeight 
+                },
+                ...(aparencia && { aparencia }),
+                ...(ancora && { ancora })
+            }])
+        
+        if (zonas) {
+            stampService.validatePages(signatures, originalPdf.getPageCount())
+        }
+        
+        // Armazenar dados para download
+        const arquivoFinal = fileName.replace(/\.(docx?|pdf)$/i, '_assinado.pdf')
+        const documento = await documentStore.create({
+            nome: fileName,
+            arquivo_final: arquivoFinal,
+            owner: request.user.id,
+            signatures: signatures,
+            ...(input.modelo && { modelo: input.modelo }),
+            processedAt: new Date().toISOString()
+        }, {
+            'original.pdf': originalPdfBytes
         })
         
-        // Limpar arquivos temporários
-        fs.unlinkSync(filePath)
-        fs.unlinkSync(pdfPath)
+        // Trilha de auditoria: upload, previews do mesmo arquivo e a assinatura aplicada
+        await auditService.recordUpload(documento, {
+            cliente: auditService.getClient(request),
+            arquivo: input.buffer,
+            pdf: originalPdfBytes,
+            ...(input.modelo && { detalhes: { modelo: input.modelo } })
+        })
+        
+        // Webhooks: document.processed e signature.applied
+        webhookService.emitProcessed(documento, { total_paginas: originalPdf.getPageCount() })
         
         response.status(200).json({
             message: 'Documento processado com sucesso',
             documento: {
+                id: documento.id,
                 nome: fileName,
-                arquivo_final: fileName.replace(/\.(docx?|DOC|DOCX)$/i, '_assinado.pdf'),
+                arquivo_final: arquivoFinal,
+                download: apiPath(`/download/${documento.id}`),
+                expira_em: documento.expiresAt,
+                total_paginas: originalPdf.getPageCount(),
+                ...(input.modelo && { modelo: input.modelo }),
                 status: 'processado'
             },
+            ...(ancoras.length > 0 && { ancoras }),
             timestamp: new Date().toISOString()
         })
         
     } catch (error) {
-        console.error('Erro no processamento:', error)
-        response.status(500).json({ 
-            error: 'Erro interno do servidor',
-            message: error.message 
-        })
+        sendError(response, error, 'Erro ao processar documento')
+    } finally {
+        // Limpar arquivo temporário
+        if (request.file && fs.existsSync(request.file.path)) {
+            fs.unlinkSync(request.file.path)
+        }
     }
 })
 
-//Endpoint para upload e assinatura de múltiplos documentos (mantido para compatibilidade)
-app.post('/api/upload', cors(), bodyParserJSON, async function (request, response) {
+//Endpoint para assinatura em lote: vários .docx/.doc/.pdf com as mesmas assinaturas.
+//Aceita multipart (arquivos no campo documents, signatures como JSON) ou JSON com o conteúdo em base64
+api.post('/upload', requireAuth('admin', 'sender'), bodyParserJSON, validate(schemas.batch), async function (request, response) {
     
     try {
-        const { documents, signatures } = request.body
+        // Página, posição, tamanhos, imagens e âncoras de cada assinatura já foram validados pelo schema
+        const signatures = request.body.signatures
         
-        // Validações
-        if (!documents || !Array.isArray(documents)) {
-            return response.status(400).json({ error: 'Array de documentos é obrigatório' })
-        }
+        // Arquivos do multipart ou documentos [{ nome, conteudo }] do JSON
+        const files = request.files && request.files.length > 0
+            ? request.files.map(file => ({ nome: file.originalname, buffer: file.buffer }))
+            : request.body.documents
         
-        if (!signatures || !Array.isArray(signatures)) {
-            return response.status(400).json({ error: 'Array de assinaturas é obrigatório' })
+        // Aparências (presets ou objetos) são resolvidas uma vez e usadas em todos os documentos do lote
+        const aparencias = []
+        for (let i = 0; i < signatures.length; i++) {
+            aparencias.push(await appearanceService.resolve(signatures[i].appearance, {
+                label: `Aparência da assinatura ${i + 1} inválida`,
+                details: { signature: i + 1 }
+            }))
         }
         
         // Validar cada assinatura
         for (let i = 0; i < signatures.length; i++) {
             const sig = signatures[i]
             
-            if (!sig.imageData) {
-                return response.status(400).json({ error: `Imagem da assinatura ${i + 1} é obrigatória` })
-            }
-            
-            if (!sig.page || sig.page < 1) {
-                return response.status(400).json({ error: `Número da página da assinatura ${i + 1} é obrigatório` })
+            // Só o layout text-only dispensa a imagem
+            if (!sig.imageData && !(aparencias[i] && aparencias[i].layout === 'text-only')) {
+                throw new AppError(`Imagem da assinatura ${i + 1} é obrigatória`, {
+                    status: 400,
+                    code: 'MISSING_SIGNATURE',
+                    details: { signature: i + 1 }
+                })
             }
             
-            if (!sig.position || !sig.position.x || !sig.position.y) {
-                return response.status(400).json({ error: `Posição da assinatura ${i + 1} (x, y) é obrigatória` })
-            }
-            
-            const isValidImage = sig.imageData.startsWith('data:image/jpeg') || 
-                               sig.imageData.startsWith('data:image/png') ||
-                               sig.imageData.startsWith('data:image/jpg')
-            
-            if (!isValidImage) {
-                return response.status(400).json({ error: `Formato de imagem inválido na assinatura ${i + 1}. Use JPEG ou PNG` })
+            // Com âncora, página e posição vêm do texto encontrado em cada documento
+            if (sig.anchor) {
+                anchorService.parseAnchor(sig.anchor, i + 1)
             }
         }
         
-        // Processar documentos
-        const resultados = documents.map((doc, index) => {
-            const docSignatures = signatures.map(sig => ({
-                pagina: sig.page,
-                posicao: {
-                    x: sig.position.x,
-                    y: sig.position.y
-                },
-                dimensoes: {
-                    largura: sig.width || 150,
-                    altura: sig.height || 50
-                },
-                tipo: sig.imageData.includes('jpeg') ? 'JPEG' : 'PNG',
-                imageData: sig.imageData
-            }))
-            
-            const docName = doc.nome || `documento_${index + 1}.docx`
-            
-            // Armazenar dados para download posterior
-            processedDocuments.set(docName, {
-                nome: docName,
-                signatures: docSignatures,
-                processedAt: new Date()
-            })
-            
-            return {
-                index: index + 1,
-                nome: docName,
-                tamanho: doc.tamanho || 'N/A',
-                total_paginas: doc.totalPages || 'N/A',
-                status: 'processado',
-                arquivo_final: `${docName}_assinado.pdf`,
-                assinaturas_aplicadas: docSignatures.map(s => ({
-                    pagina: s.pagina,
-                    posicao: s.posicao,
-                    dimensoes: s.dimensoes,
-                    tipo: s.tipo
-                }))
-            }
+        // Cada imagem é normalizada uma vez e usada em todos os documentos do lote
+        const imagens = []
+        for (let i = 0; i < signatures.length; i++) {
+            imagens.push(signatures[i].imageData
+                ? await signatureImageService.normalize(signatures[i].imageData, {
+                    label: `Imagem da assinatura ${i + 1} inválida`,
+                    details: { signature: i + 1 }
+                })
+                : { imageData: null, vetorial: false })
+        }
+        
+        // Mesmo layout de assinaturas para todos os documentos do lote
+        const docSignatures = signatures.map((sig, i) => ({
+            pagina: sig.page,
+            posicao: sig.position ? {
+                x: sig.position.x,
+                y: sig.position.y
+            } : null,
+            dimensoes: {
+                largura: sig.width,
+                altura: sig.height
+            },
+            tipo: imagens[i].imageData ? (imagens[i].vetorial ? 'SVG' : 'PNG') : 'TEXTO',
+            imageData: imagens[i].imageData,
+            ...(aparencias[i] && { aparencia: aparencias[i] }),
+            ...(sig.anchor && { ancora: anchorService.parseAnchor(sig.anchor, i + 1) })
+        }))
+        
+        const documentos = files.map((doc, index) => ({
+            nome: doc.nome || `documento_${index + 1}.docx`,
+            buffer: Buffer.isBuffer(doc.buffer)
+                ? doc.buffer
+                : Buffer.from((doc.conteudo || '').replace(/^data:[^;]+;base64,/, ''), 'base64')
+        }))
+        
+        // Processar documentos (converter, validar e armazenar cada um)
+        const lote = await batchService.signDocuments(documentos, docSignatures, {
+            cliente: auditService.getClient(request),
+            owner: request.user.id
         })
+        const processados = lote.documentos.filter(doc => doc.status === 'processado').length
         
         response.status(200).json({
-            message: `${documents.length} documentos processados com ${signatures.length} assinaturas cada`,
-            total_documentos: documents.length,
+            message: `${processados} de ${files.length} documentos processados com ${signatures.length} assinaturas cada`,
+            lote: {
+                id: lote.id,
+                download: apiPath(`/batches/${lote.id}/download`)
+            },
+            total_documentos: files.length,
+            total_processados: processados,
+            total_erros: files.length - processados,
             total_assinaturas_por_documento: signatures.length,
             configuracao_assinaturas: signatures.map((sig, i) => ({
                 assinatura: i + 1,
                 pagina: sig.page,
                 posicao: sig.position,
+                ancora: sig.anchor,
                 dimensoes: {
-                    largura: sig.width || 150,
-                    altura: sig.height || 50
+                    largura: sig.width,
+                    altura: sig.height
                 }
             })),
-            documentos: resultados,
+            documentos: lote.documentos,
             timestamp: new Date().toISOString()
         })
         
     } catch (error) {
-        response.status(500).json({ 
-            error: 'Erro interno do servidor',
-            message: error.message 
-        })
+        sendError(response, error, 'Erro ao processar lote')
     }
     
 })
 
-// Endpoint de teste para criar usuário (sem banco)
-app.post('/api/user', cors(), bodyParserJSON, function (request, response) {
-    
-    let dadosBody = request.body
-    
-    response.status(201)
-    response.json({
-        message: 'Usuário criado com sucesso (simulado)',
-        user: {
-            id: Math.floor(Math.random() * 1000),
-            ...dadosBody,
-            createdAt: new Date().toISOString()
+// Endpoint para baixar todos os PDFs assinados de um lote em um ZIP (com manifest.json)
+api.get('/batches/:id/download', requireAuth(), validate(schemas.download), async function (request, response) {
+    try {
+        const zip = await batchService.createZip(request.params.id, {
+            digitalSignature: request.query.digitalSignature,
+            reason: request.query.reason,
+            location: request.query.location,
+            name: request.query.signerName,
+            completionCertificate: request.query.completionCertificate,
+            verification: getVerificationOptions(request),
+            output: getOutputOptions(request)
+        }, {
+            usuario: request.user,
+            cliente: auditService.getClient(request)
+        })
+        
+        if (!zip) {
+            throw new AppError('Lote não encontrado', { status: 404, code: 'BATCH_NOT_FOUND' })
         }
-    })
+        
+        response.setHeader('Content-Type', 'application/zip')
+        response.setHeader('Content-Disposition', `attachment; filename="lote-${request.params.id}.zip"`)
+        
+        // Depois que o envio começou, um erro só pode interromper a resposta
+        zip.on('error', (error) => {
+            console.error('Erro no ZIP do lote:', error)
+            response.destroy(error)
+        })
+        zip.pipe(response)
+        
+    } catch (error) {
+        sendError(response, error, 'Erro ao gerar ZIP do lote')
+    }
 })
 
-// Endpoint para preview do documento
-app.post('/api/preview', cors(), upload.single('document'), async function (request, response) {
+// Endpoint para preview do documento: converte para PDF e devolve uma imagem por página
+api.post('/preview', requireAuth('admin', 'sender'), validate(schemas.preview), async function (request, response) {
+    let filePath
+    let pdfPath
+    
     try {
-        if (!request.file) {
-            return response.status(400).json({ error: 'Arquivo .doc ou .docx é obrigatório' })
-        }
-        
         const fileName = request.file.originalname
-        
-        console.log('Preview para:', fileName)
+        filePath = request.file.path
+        pdfPath = `${filePath}.pdf`
         
         // Tamanho padrão para documentos oficiais A4
         const signatureSize = {
@@ -313,156 +566,280 @@ app.post('/api/preview', cors(), upload.single('document'), async function (requ
             height: 33
         }
         
-        // HTML simples simulando documento oficial
-        const htmlContent = `
-            <div style="font-family: Times, serif; font-size: 11px; line-height: 1.2; padding: 20px;">
-                <div style="text-align: center; margin-bottom: 20px;">
-                    <strong>DOCUMENTO OFICIAL</strong>
-                </div>
-                <p>Documento: ${fileName}</p>
-                <p>Este é um preview simplificado do documento.</p>
-                <p>Clique onde deseja posicionar a assinatura.</p>
-                <br><br>
-                <p>_________________________________</p>
-                <p style="text-align: center;">Assinatura 1</p>
-                <br>
-                <p>_________________________________</p>
-                <p style="text-align: center;">Assinatura 2</p>
-            </div>
-        `
+        // Mesmo PDF do /api/upload-file (original ou convertido), para que as coordenadas coincidam no download
+        const { pdfBytes } = await pdfInputService.fromFile(filePath, { arquivo: fileName, owner: request.user.id })
+        fs.writeFileSync(pdfPath, pdfBytes)
         
-        // Limpar arquivo temporário
-        if (fs.existsSync(request.file.path)) {
-            fs.unlinkSync(request.file.path)
-        }
+        // Largura/altura de cada página em pontos PDF e a imagem PNG correspondente
+        const pages = await previewService.renderPages(pdfPath, {
+            dpi: request.body.dpi
+        })
+        
+        // Ainda não há documento: o preview entra na trilha do documento que este usuário criar com o mesmo arquivo
+        await auditService.recordPreview(fs.readFileSync(filePath), {
+            cliente: auditService.getClient(request),
+            saida: pdfBytes,
+            detalhes: { nome: fileName, total_paginas: pages.length }
+        })
         
         response.status(200).json({
             fileName: fileName,
-            htmlContent: htmlContent,
+            totalPages: pages.length,
+            pages: pages,
             recommendedSize: signatureSize,
             message: 'Preview gerado com sucesso'
         })
         
     } catch (error) {
-        console.error('Erro no preview:', error)
-        response.status(500).json({ 
-            error: 'Erro ao gerar preview',
-            message: error.message 
+        sendError(response, error, 'Erro ao gerar preview')
+    } finally {
+        // Limpar arquivos temporários
+        for (const tempPath of [filePath, pdfPath]) {
+            if (tempPath && fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath)
+            }
+        }
+    }
+})
+
+// Endpoint para listar os documentos processados
+api.get('/documents', requireAuth(), async function (request, response) {
+    try {
+        // Cada usuário vê os próprios documentos e os envelopes para os quais foi convidado
+        const documentos = (await documentStore.list())
+            .filter(documento => authService.canAccess(request.user, documento))
+        
+        response.status(200).json({
+            total: documentos.length,
+            documentos: documentos.map(toDocumentSummary)
         })
+        
+    } catch (error) {
+        sendError(response, error, 'Erro ao listar documentos')
     }
 })
 
-// Endpoint para listar usuários (dados fictícios)
-app.get('/api/users', cors(), function (request, response) {
-    
-    const users = [
-        { id: 1, nome: 'João', email: 'joao@email.com' },
-        { id: 2, nome: 'Maria', email: 'maria@email.com' },
-        { id: 3, nome: 'Pedro', email: 'pedro@email.com' }
-    ]
-    
-    response.status(200)
-    response.json({
-        message: 'Lista de usuários',
-        total: users.length,
-        users: users
-    })
+// Endpoint para consultar um documento processado
+api.get('/documents/:id', requireAuth(), async function (request, response) {
+    try {
+        const documento = await documentStore.get(request.params.id)
+        
+        if (!documento || !authService.canAccess(request.user, documento)) {
+            throw new AppError('Documento não encontrado', { status: 404, code: 'DOCUMENT_NOT_FOUND' })
+        }
+        
+        response.status(200).json(toDocumentSummary(documento))
+        
+    } catch (error) {
+        sendError(response, error, 'Erro ao consultar documento')
+    }
 })
 
-// Endpoint para download de documentos processados
-app.get('/api/download/:fileName', cors(), async function (request, response) {
+// Endpoint para consultar a trilha de auditoria de um documento (disponível também após a exclusão)
+api.get('/documents/:id/audit', requireAuth(), async function (request, response) {
+    try {
+        // Depois da exclusão, a trilha fica disponível só para administradores
+        const documento = await documentStore.get(request.params.id)
+        const permitido = documento
+            ? authService.canAccess(request.user, documento)
+            : request.user.role === 'admin'
+        const eventos = permitido ? await auditService.getTrail(request.params.id) : null
+        
+        if (!eventos) {
+            throw new AppError('Trilha de auditoria não encontrada', { status: 404, code: 'AUDIT_TRAIL_NOT_FOUND' })
+        }
+        
+        response.status(200).json({
+            documento: request.params.id,
+            total_eventos: eventos.length,
+            integro: auditService.verifyChain(eventos),
+            eventos: eventos
+        })
+        
+    } catch (error) {
+        sendError(response, error, 'Erro ao consultar auditoria')
+    }
+})
+
+// Endpoint para remover um documento processado
+api.delete('/documents/:id', requireAuth(), async function (request, response) {
     try {
-        const fileName = decodeURIComponent(request.params.fileName)
-        const pdfFileName = fileName.replace(/\.(docx?|DOC|DOCX)$/i, '_assinado.pdf')
+        const documento = await documentStore.get(request.params.id)
+        
+        if (!documento || !authService.canAccess(request.user, documento)) {
+            throw new AppError('Documento não encontrado', { status: 404, code: 'DOCUMENT_NOT_FOUND' })
+        }
+        
+        if (!authService.canManage(request.user, documento)) {
+            throw new AppError('Somente o dono do documento pode removê-lo', { status: 403, code: 'FORBIDDEN' })
+        }
+        
+        const originalPdfBytes = await documentStore.getFile(documento.id, 'original.pdf')
+        await documentStore.delete(documento.id)
         
+        await auditService.record(documento.id, 'exclusao', {
+            cliente: auditService.getClient(request),
+            entrada: originalPdfBytes,
+            detalhes: { nome: documento.nome }
+        })
+        
+        response.status(204).end()
+        
+    } catch (error) {
+        sendError(response, error, 'Erro ao remover documento')
+    }
+})
+
+// Endpoint para download de documentos processados
+api.get('/download/:id', requireAuth(), validate(schemas.download), async function (request, response) {
+    try {
         // Buscar dados do documento processado
-        const docData = processedDocuments.get(fileName)
+        const docData = await documentStore.get(request.params.id)
         
-        if (!docData) {
-            return response.status(404).json({ error: 'Documento não encontrado' })
+        if (!docData || !authService.canAccess(request.user, docData)) {
+            throw new AppError('Documento não encontrado', { status: 404, code: 'DOCUMENT_NOT_FOUND' })
         }
         
-        // Usar PDF original e adicionar assinatura
-        const pdfDoc = await PDFLib.load(docData.originalPdfBytes)
-        const pages = pdfDoc.getPages()
-        const firstPage = pages[0]
-        
-        // Adicionar assinaturas nas posições especificadas
-        for (const sig of docData.signatures) {
-            try {
-                console.log('Processando assinatura:', sig)
-                
-                // Converter base64 para buffer
-                const base64Data = sig.imageData.replace(/^data:image\/[a-z]+;base64,/, '')
-                const imageBytes = Buffer.from(base64Data, 'base64')
-                
-                // Incorporar imagem no PDF
-                let image
-                if (sig.imageData.includes('png')) {
-                    image = await pdfDoc.embedPng(imageBytes)
-                } else {
-                    image = await pdfDoc.embedJpg(imageBytes)
-                }
-                
-                // Obter dimensões da página
-                const { width, height } = firstPage.getSize()
-                console.log('Dimensões da página:', { width, height })
-                
-                // Coordenadas precisas (PDF usa origem no canto inferior esquerdo)
-                // Ajustar para coordenadas exatas do frontend
-                const x = parseFloat(sig.posicao.x)
-                const y = parseFloat(height - sig.posicao.y - sig.dimensoes.altura)
-                const w = parseFloat(sig.dimensoes.largura)
-                const h = parseFloat(sig.dimensoes.altura)
-                
-                console.log('Coordenadas precisas:', { x, y, width: w, height: h, pageHeight: height })
-                
-                // Adicionar imagem da assinatura com precisão
-                firstPage.drawImage(image, {
-                    x: x,
-                    y: y,
-                    width: w,
-                    height: h,
-                    opacity: 1.0
-                })
-                
-                console.log('Assinatura adicionada com sucesso!')
-                
-            } catch (imgError) {
-                console.error('Erro ao adicionar assinatura:', imgError)
-                
-                // Fallback: adicionar retângulo vermelho para debug
-                const { height } = firstPage.getSize()
-                firstPage.drawRectangle({
-                    x: sig.posicao.x,
-                    y: height - sig.posicao.y - sig.dimensoes.altura,
-                    width: sig.dimensoes.largura,
-                    height: sig.dimensoes.altura,
-                    borderColor: rgb(1, 0, 0),
-                    borderWidth: 2
-                })
-            }
+        const originalPdfBytes = await documentStore.getFile(docData.id, 'original.pdf')
+        
+        if (!originalPdfBytes) {
+            throw new AppError('Documento não possui PDF original para assinar', { status: 409, code: 'MISSING_ORIGINAL_PDF' })
+        }
+        
+        // Envelopes só liberam o PDF final depois que todos os signatários assinam
+        envelopeService.ensureCompleted(docData)
+        
+        // Desenhar as assinaturas e, opcionalmente, aplicar a assinatura digital (certificado .p12 do servidor),
+        // acrescentar o certificado de conclusão com a trilha de auditoria e o QR code de verificação,
+        // e aplicar as opções de saída (achatamento, metadados, PDF/A, permissões e senha)
+        const options = {
+            digitalSignature: request.query.digitalSignature,
+            reason: request.query.reason,
+            location: request.query.location,
+            name: request.query.signerName,
+            completionCertificate: request.query.completionCertificate,
+            verification: getVerificationOptions(request),
+            output: getOutputOptions(request)
         }
+        const { pdfBytes, verificacao } = await verificationService.issue(docData, originalPdfBytes, options)
+        
+        await auditService.record(docData.id, 'download', {
+            cliente: auditService.getClient(request),
+            entrada: originalPdfBytes,
+            saida: pdfBytes,
+            detalhes: {
+                assinatura_digital: options.digitalSignature,
+                certificado_conclusao: options.completionCertificate,
+                ...(options.output && { saida: pdfOutputService.describe(options.output) }),
+                ...(verificacao && { codigo_verificacao: verificacao.codigo })
+            }
+        })
         
-        // Gerar PDF final
-        const pdfBytes = await pdfDoc.save()
+        webhookService.emitCompleted(docData, pdfBytes, {
+            origem: 'download',
+            assinatura_digital: options.digitalSignature,
+            ...(verificacao && { codigo_verificacao: verificacao.codigo })
+        })
         
+        if (verificacao) {
+            response.setHeader('X-Verification-Code', verificacao.codigo)
+        }
         response.setHeader('Content-Type', 'application/pdf')
-        response.setHeader('Content-Disposition', `attachment; filename="${pdfFileName}"`)
+        response.setHeader('Content-Disposition', `attachment; filename="${docData.arquivo_final}"`)
         
         response.status(200)
-        response.send(Buffer.from(pdfBytes))
+        response.send(pdfBytes)
         
     } catch (error) {
-        console.error('Erro no download:', error)
-        response.status(500).json({ 
-            error: 'Erro ao gerar download',
-            message: error.message 
+        sendError(response, error, 'Erro ao gerar download')
+    }
+})
+
+// Endpoint para verificar as assinaturas digitais de um PDF emitido anteriormente
+api.post('/verify', validate(schemas.verify), async function (request, response) {
+    try {
+        const assinaturas = await signatureVerificationService.verify(request.file.buffer)
+        
+        response.status(200).json({
+            fileName: request.file.originalname,
+            total_assinaturas: assinaturas.length,
+            valido: assinaturas.length > 0 && assinaturas.every(sig => sig.valid),
+            assinaturas: assinaturas,
+            timestamp: new Date().toISOString()
         })
+        
+    } catch (error) {
+        sendError(response, error, 'Erro ao verificar assinaturas')
+    }
+})
+
+// Dados públicos de um PDF emitido com código de verificação (QR code); no navegador, página HTML
+api.get('/verify/:code', async function (request, response) {
+    try {
+        const verificacao = await verificationService.get(request.params.code)
+        sendVerification(request, response, verificacao)
+        
+    } catch (error) {
+        sendVerificationError(request, response, error)
+    }
+})
+
+// Compara o arquivo enviado (campo document) com o PDF emitido para o código
+api.post('/verify/:code', validate(schemas.verify), async function (request, response) {
+    try {
+        const verificacao = await verificationService.compare(request.params.code, request.file.buffer)
+        sendVerification(request, response, verificacao)
+        
+    } catch (error) {
+        sendVerificationError(request, response, error)
+    }
+})
+
+function sendVerification(request, response, verificacao) {
+    response.status(200)
+    
+    if (request.accepts(['json', 'html']) === 'html') {
+        return response.type('html').send(verificationService.renderPage(verificacao))
+    }
+    
+    response.json(verificacao)
+}
+
+function sendVerificationError(request, response, error) {
+    if (error instanceof AppError && request.accepts(['json', 'html']) === 'html') {
+        const { message } = messages.localize(error, messages.resolveLanguage(request))
+        return response.status(error.status).type('html').send(`<!DOCTYPE html><meta charset="utf-8"><p>${message}</p>`)
     }
+    
+    sendError(response, error, 'Erro ao verificar documento')
+}
+
+// Documento OpenAPI das rotas de /api/v1
+app.get('/api/docs', function (request, response) {
+    response.status(200).json(openapi.spec)
 })
 
-app.listen(3001, function(){
-    console.log('Servidor aguardando novas requisições na porta 3001...')
-    console.log('Acesse: http://localhost:3001/api/test')
+// Versão atual da API
+app.use(API_BASE, api, notFound)
+
+// Alias obsoleto: /api responde com as mesmas rotas e indica o caminho versionado
+app.use('/api', function (request, response, next) {
+    response.setHeader('Deprecation', 'true')
+    response.setHeader('Link', `<${apiPath(request.path)}>; rel="successor-version"`)
+    next()
+}, api, notFound)
+
+// Uploads recusados, JSON inválido e demais erros repassados com next(error)
+app.use(errorHandler)
+
+// Rotas sem documentação (ou documentadas sem rota) aparecem ao iniciar
+openapi.findMismatches(api).forEach(function (divergencia) {
+    console.warn('Aviso: OpenAPI:', divergencia)
+})
+
+const PORT = parseInt(process.env.PORT) || 3001
+
+app.listen(PORT, function(){
+    console.log(`Servidor aguardando novas requisições na porta ${PORT}...`)
+    console.log(`Acesse: http://localhost:${PORT}${API_BASE}/test`)
 })
\ No newline at end of file
@@ -0,0 +1,568 @@
+const { version } = require('../../package.json');
+const { API_BASE } = require('../utils/apiPaths');
+const schemas = require('../validation/schemas');
+
+const string = (description, extra) => ({ type: 'string', description, ...extra });
+const number = (description) => ({ type: 'number', description });
+const boolean = (description) => ({ type: 'boolean', description });
+const file = (description) => ({ type: 'string', format: 'binary', description });
+const json = (description) => string(`${description} (JSON)`);
+
+// Campos comuns das rotas que aceitam um template da biblioteca no lugar do arquivo
+const TEMPLATE_FIELDS = {
+  templateId: string('ID do template da biblioteca, usado no lugar de document'),
+  templateVersion: number('Versão do template (padrão: a mais recente)')
+};
+
+// Opções de saída do PDF (achatamento, metadados, PDF/A e restrições), comuns aos downloads e ao /documents/sign
+const OUTPUT_FIELDS = {
+  flatten: boolean('Achata campos de formulário e anotações no conteúdo das páginas'),
+  pdfa: boolean('Gera PDF/A-2b para arquivamento (não combina com senhas ou restrições)'),
+  restrict: {
+    type: 'array',
+    items: string('Restrição', { enum: ['edit', 'copy', 'print'] }),
+    description: 'Operações bloqueadas (edit, copy, print), separadas por vírgula'
+  },
+  title: string('Título do documento'),
+  author: string('Autor do documento'),
+  subject: string('Assunto do documento'),
+  keywords: { type: 'array', items: string('Palavra-chave'), description: 'Palavras-chave, separadas por vírgula' },
+  properties: json('Propriedades próprias gravadas no dicionário Info (nome -> texto)')
+};
+
+const OWNER_PASSWORD = 'Senha do proprietário, que libera as operações restritas (padrão: aleatória)';
+const USER_PASSWORD = 'Senha para abrir o PDF (criptografia AES-256)';
+
+// Senhas no corpo do /documents/sign e em cabeçalhos nos downloads (GET), fora da query
+const PASSWORD_FIELDS = {
+  ownerPassword: string(OWNER_PASSWORD),
+  userPassword: string(USER_PASSWORD)
+};
+
+const PASSWORD_HEADERS = {
+  'X-PDF-Owner-Password': string(OWNER_PASSWORD),
+  'X-PDF-User-Password': string(USER_PASSWORD)
+};
+
+// Opções do PDF final em /download/:id e /batches/:id/download
+const DOWNLOAD_QUERY = {
+  digitalSignature: boolean('Aplica a assinatura digital com o certificado do servidor'),
+  reason: string('Motivo gravado na assinatura digital'),
+  location: string('Local gravado na assinatura digital'),
+  signerName: string('Nome do signatário gravado na assinatura digital'),
+  completionCertificate: boolean('Acrescenta o certificado de conclusão com a trilha de auditoria'),
+  verification: boolean('Acrescenta o QR code de verificação'),
+  verificationPlacement: string('Posição do QR code', { enum: ['below', 'right'] }),
+  ...OUTPUT_FIELDS
+};
+
+/**
+ * Acrescenta aos campos documentados os limites do schema de validação da rota
+ * (ver validation/schemas), para que a documentação não se afaste do que é aceito
+ * @param {object} properties - Campos documentados (nome -> schema OpenAPI)
+ * @param {object} [rules] - Regras de validação dos mesmos campos
+ * @returns {object}
+ */
+function applyRules(properties, rules = {}) {
+  const result = {};
+
+  for (const [name, property] of Object.entries(properties)) {
+    const rule = rules[name] || {};
+
+    result[name] = {
+      ...property,
+      ...(rule.type === 'integer' && { type: 'integer' }),
+      ...(rule.min !== undefined && { minimum: rule.min }),
+      ...(rule.exclusiveMin !== undefined && { minimum: rule.exclusiveMin, exclusiveMinimum: true }),
+      ...(rule.max !== undefined && { maximum: rule.max }),
+      ...(rule.minLength !== undefined && { minLength: rule.minLength }),
+      ...(rule.maxLength !== undefined && property.type === 'string' && property.format !== 'binary' && { maxLength: rule.maxLength }),
+      ...(rule.maxItems !== undefined && property.type === 'array' && { maxItems: rule.maxItems }),
+      ...(rule.maxCount > 1 && property.type === 'array' && { maxItems: rule.maxCount }),
+      ...(rule.enum && { enum: rule.enum }),
+      ...(rule.default !== undefined && { default: rule.default })
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Corpo do tipo objeto, com os campos obrigatórios do schema de validação
+ * @param {object} properties - Campos documentados
+ * @param {object} rules - Regras dos campos (e dos arquivos)
+ * @returns {object}
+ */
+function objectSchema(properties, rules) {
+  const required = Object.keys(properties).filter((name) => rules[name] && rules[name].required);
+
+  return {
+    type: 'object',
+    properties: applyRules(properties, rules),
+    ...(required.length > 0 && { required })
+  };
+}
+
+/**
+ * Monta uma operação com as respostas padrão (sucesso e o schema de erro)
+ * @param {string} tag - Grupo da operação
+ * @param {string} summary - Descrição curta
+ * @param {object} [options]
+ * @param {boolean} [options.auth=true] - Exige JWT ou chave de API
+ * @param {string[]} [options.roles] - Papéis aceitos
+ * @param {object} [options.multipart] - Campos do multipart (nome -> schema)
+ * @param {object} [options.json] - Propriedades do corpo JSON
+ * @param {object} [options.query] - Parâmetros de query (nome -> schema)
+ * @param {object} [options.headers] - Cabeçalhos próprios da rota (nome -> schema)
+ * @param {object} [options.validation] - Schema de validação da rota (limites e campos obrigatórios)
+ * @param {number} [options.status=200] - Status da resposta de sucesso
+ * @param {string} [options.produces='application/json'] - Tipo da resposta de sucesso
+ * @returns {object}
+ */
+function operation(tag, summary, {
+  auth = true, roles, multipart, json: body, query, headers, validation = {}, status = 200, produces = 'application/json'
+} = {}) {
+  const content = {};
+  if (multipart) {
+    content['multipart/form-data'] = { schema: objectSchema(multipart, { ...validation.body, ...validation.files }) };
+  }
+  if (body) {
+    content['application/json'] = { schema: objectSchema(body, validation.body || {}) };
+  }
+
+  const queryRules = validation.query || {};
+
+  return {
+    tags: [tag],
+    summary,
+    ...(roles && { description: `Papéis: ${roles.join(', ')}` }),
+    security: auth ? [{ bearerAuth: [] }, { apiKey: [] }] : [],
+    parameters: [
+      { $ref: '#/components/parameters/RequestId' },
+      { $ref: '#/components/parameters/AcceptLanguage' },
+      ...Object.entries(applyRules(query || {}, queryRules)).map(([name, schema]) => ({
+        name,
+        in: 'query',
+        ...(queryRules[name] && queryRules[name].required && { required: true }),
+        schema
+      })),
+      ...Object.entries(applyRules(headers || {}, validation.headers)).map(([name, schema]) => ({ name, in: 'header', schema }))
+    ],
+    ...(Object.keys(content).length > 0 && { requestBody: { required: true, content } }),
+    responses: {
+      [status]: status === 204
+        ? { description: 'Sem conteúdo' }
+        : {
+          description: 'Sucesso',
+          content: {
+            [produces]: {
+              schema: produces === 'application/json' ? { type: 'object' } : { type: 'string', format: 'binary' }
+            }
+          }
+        },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+}
+
+const SIGNATURE_FIELDS = {
+  signature: string('Assinatura: imagem em base64, SVG ou traços em JSON'),
+  signatureWidth: number('Largura da assinatura em pontos (padrão 150)'),
+  signatureHeight: number('Altura da assinatura em pontos (padrão 50)'),
+  page: number('Página da assinatura (padrão 1)'),
+  positionX: number('Posição X em pontos PDF'),
+  positionY: number('Posição Y em pontos PDF')
+};
+
+const paths = {
+  '/test': {
+    get: operation('Sistema', 'Teste da API e conversor ativo', { auth: false })
+  },
+  '/auth/login': {
+    post: operation('Autenticação', 'Login com e-mail e senha (devolve o JWT)', {
+      validation: schemas.login,
+      auth: false,
+      json: { email: string('E-mail'), password: string('Senha') }
+    })
+  },
+  '/auth/me': {
+    get: operation('Autenticação', 'Usuário autenticado')
+  },
+  '/auth/api-keys': {
+    post: operation('Autenticação', 'Cria uma chave de API (exibida só nesta resposta)', {
+      validation: schemas.createApiKey,
+      json: { name: string('Nome da chave') },
+      status: 201
+    })
+  },
+  '/auth/api-keys/{id}': {
+    delete: operation('Autenticação', 'Revoga uma chave de API', { status: 204 })
+  },
+  '/users': {
+    get: operation('Usuários', 'Lista os usuários', { roles: ['admin'] }),
+    post: operation('Usuários', 'Cria um usuário', {
+      validation: schemas.createUser,
+      roles: ['admin'],
+      json: {
+        name: string('Nome'),
+        email: string('E-mail'),
+        password: string('Senha'),
+        role: string('Papel', { enum: ['admin', 'sender', 'signer'] })
+      },
+      status: 201
+    })
+  },
+  '/users/{id}': {
+    delete: operation('Usuários', 'Remove um usuário', { roles: ['admin'], status: 204 })
+  },
+  '/appearances': {
+    get: operation('Documentos', 'Presets de aparência do carimbo')
+  },
+  '/upload-file': {
+    post: operation('Documentos', 'Envia um documento, posiciona a assinatura e armazena para download', {
+      validation: schemas.uploadFile,
+      roles: ['admin', 'sender'],
+      multipart: {
+        document: file('Arquivo .doc, .docx ou .pdf (ou templateId)'),
+        ...TEMPLATE_FIELDS,
+        ...SIGNATURE_FIELDS,
+        anchor: string('Texto âncora usado no lugar de positionX/positionY'),
+        anchorOffsetX: number('Deslocamento X a partir da âncora'),
+        anchorOffsetY: number('Deslocamento Y a partir da âncora'),
+        anchorAlign: string('Posição em relação à âncora', { enum: ['right', 'left', 'above', 'below', 'center'] }),
+        anchorOccurrence: string('Ocorrência da âncora (número ou all)'),
+        appearance: string('Nome de um preset ou aparência em JSON')
+      }
+    })
+  },
+  '/upload': {
+    post: operation('Lotes', 'Assina vários documentos com as mesmas assinaturas', {
+      validation: schemas.batch,
+      roles: ['admin', 'sender'],
+      multipart: {
+        documents: { type: 'array', items: file('Arquivo .doc, .docx ou .pdf') },
+        signatures: json('Lista de assinaturas { imageData, page, position, width, height, anchor, appearance }')
+      },
+      json: {
+        documents: {
+          type: 'array',
+          items: { type: 'object', properties: { nome: string('Nome'), conteudo: string('Conteúdo em base64') } }
+        },
+        signatures: { type: 'array', items: { type: 'object' } }
+      }
+    })
+  },
+  '/batches/{id}/download': {
+    get: operation('Lotes', 'Baixa os PDFs assinados do lote em um ZIP', {
+      validation: schemas.download,
+      query: DOWNLOAD_QUERY,
+      headers: PASSWORD_HEADERS,
+      produces: 'application/zip'
+    })
+  },
+  '/preview': {
+    post: operation('Documentos', 'Converte o documento e devolve uma imagem por página', {
+      validation: schemas.preview,
+      roles: ['admin', 'sender'],
+      multipart: { document: file('Arquivo .doc, .docx ou .pdf'), dpi: number('Resolução das imagens') }
+    })
+  },
+  '/documents/sign': {
+    post: operation('Documentos', 'Assina os placeholders do .docx (ou carimba o PDF) e devolve o PDF', {
+      validation: schemas.signDocument,
+      roles: ['admin', 'sender'],
+      multipart: {
+        document: file('Arquivo .docx ou .pdf'),
+        ...SIGNATURE_FIELDS,
+        signatures: json('Mapa placeholder -> assinatura'),
+        fields: json('Mapa placeholder -> texto'),
+        ...OUTPUT_FIELDS,
+        ...PASSWORD_FIELDS
+      },
+      produces: 'application/pdf'
+    })
+  },
+  '/placeholders': {
+    post: operation('Documentos', 'Lista os placeholders de um template .docx', {
+      validation: schemas.placeholders,
+      roles: ['admin', 'sender'],
+      multipart: { document: file('Arquivo .docx') }
+    })
+  },
+  '/documents': {
+    get: operation('Documentos', 'Lista os documentos processados')
+  },
+  '/documents/{id}': {
+    get: operation('Documentos', 'Consulta um documento processado'),
+    delete: operation('Documentos', 'Remove um documento processado', { status: 204 })
+  },
+  '/documents/{id}/audit': {
+    get: operation('Documentos', 'Trilha de auditoria do documento')
+  },
+  '/download/{id}': {
+    get: operation('Documentos', 'Baixa o PDF assinado', {
+      query: DOWNLOAD_QUERY,
+      headers: PASSWORD_HEADERS,
+      validation: schemas.download,
+      produces: 'application/pdf'
+    })
+  },
+  '/verify': {
+    post: operation('Verificação', 'Verifica as assinaturas digitais de um PDF', {
+      validation: schemas.verify,
+      auth: false,
+      multipart: { document: file('Arquivo .pdf') }
+    })
+  },
+  '/verify/{code}': {
+    get: operation('Verificação', 'Dados públicos de um PDF emitido com código de verificação', { auth: false }),
+    post: operation('Verificação', 'Compara uma cópia do PDF com o emitido', {
+      validation: schemas.verify,
+      auth: false,
+      multipart: { document: file('Arquivo .pdf') }
+    })
+  },
+  '/jobs': {
+    post: operation('Jobs', 'Enfileira a conversão de um .docx para PDF', {
+      validation: schemas.createJob,
+      roles: ['admin', 'sender'],
+      multipart: {
+        document: file('Arquivo .docx'),
+        signatures: json('Mapa placeholder -> assinatura'),
+        fields: json('Mapa placeholder -> texto')
+      },
+      status: 202
+    })
+  },
+  '/jobs/{id}': {
+    get: operation('Jobs', 'Status e progresso do job', { roles: ['admin', 'sender'] })
+  },
+  '/jobs/{id}/result': {
+    get: operation('Jobs', 'PDF gerado pelo job', { roles: ['admin', 'sender'], produces: 'application/pdf' })
+  },
+  '/merge': {
+    post: operation('Mesclagem', 'Preenche um template .docx com dados JSON, assina e converte', {
+      validation: schemas.merge,
+      roles: ['admin', 'sender'],
+      multipart: {
+        document: file('Template .docx (ou templateId)'),
+        ...TEMPLATE_FIELDS,
+        data: json('Dados do documento'),
+        signatures: json('Mapa placeholder -> assinatura'),
+        allowMissing: boolean('Deixa em branco os campos sem valor')
+      }
+    })
+  },
+  '/merge/bulk': {
+    post: operation('Mesclagem', 'Um PDF assinado por registro (lista JSON ou CSV)', {
+      validation: schemas.mergeBulk,
+      roles: ['admin', 'sender'],
+      multipart: {
+        document: file('Template .docx (ou templateId)'),
+        ...TEMPLATE_FIELDS,
+        records: string('Lista JSON ou arquivo .csv/.json'),
+        nameField: string('Campo usado no nome de cada arquivo'),
+        signatures: json('Mapa placeholder -> assinatura'),
+        allowMissing: boolean('Deixa em branco os campos sem valor')
+      }
+    })
+  },
+  '/templates': {
+    get: operation('Templates', 'Lista os templates da biblioteca'),
+    post: operation('Templates', 'Cria um template (versão 1)', {
+      validation: schemas.createTemplate,
+      roles: ['admin', 'sender'],
+      multipart: {
+        document: file('Arquivo .docx ou .pdf'),
+        name: string('Nome único do template'),
+        description: string('Descrição'),
+        zones: json('Zonas de assinatura padrão')
+      },
+      status: 201
+    })
+  },
+  '/templates/{id}': {
+    get: operation('Templates', 'Consulta um template e sua versão atual')
+  },
+  '/templates/{id}/versions': {
+    get: operation('Templates', 'Histórico de versões do template'),
+    post: operation('Templates', 'Envia uma nova versão do template', {
+      validation: schemas.createTemplateVersion,
+      roles: ['admin', 'sender'],
+      multipart: { document: file('Arquivo .docx ou .pdf'), zones: json('Zonas de assinatura padrão') },
+      status: 201
+    })
+  },
+  '/templates/{id}/versions/{version}/file': {
+    get: operation('Templates', 'Arquivo original de uma versão', { produces: 'application/octet-stream' })
+  },
+  '/envelopes': {
+    post: operation('Envelopes', 'Cria um envelope com vários signatários', {
+      validation: schemas.createEnvelope,
+      roles: ['admin', 'sender'],
+      multipart: {
+        document: file('Arquivo .doc, .docx ou .pdf (ou templateId)'),
+        ...TEMPLATE_FIELDS,
+        signers: json('Lista de signatários com suas zonas'),
+        signingOrder: string('Ordem de assinatura', { enum: ['parallel', 'sequential'] })
+      },
+      status: 201
+    })
+  },
+  '/envelopes/{id}': {
+    get: operation('Envelopes', 'Status do envelope e de cada signatário')
+  },
+  '/sign/{token}': {
+    get: operation('Envelopes', 'Dados do signatário do link', { auth: false }),
+    post: operation('Envelopes', 'Registra a assinatura do signatário', {
+      validation: schemas.signEnvelope,
+      auth: false,
+      json: { signature: string('Assinatura: imagem em base64, SVG ou traços') }
+    })
+  },
+  '/sign/{token}/preview': {
+    get: operation('Envelopes', 'Preview do documento com as assinaturas já feitas', {
+      validation: schemas.signerPreview,
+      auth: false,
+      query: { dpi: number('Resolução das imagens') }
+    })
+  },
+  '/sign/{token}/document': {
+    get: operation('Envelopes', 'PDF atual do envelope', { auth: false, produces: 'application/pdf' })
+  },
+  '/webhooks': {
+    get: operation('Webhooks', 'Lista os webhooks', { roles: ['admin', 'sender'] }),
+    post: operation('Webhooks', 'Cria um webhook (o segredo só aparece nesta resposta)', {
+      validation: schemas.createWebhook,
+      roles: ['admin', 'sender'],
+      json: {
+        url: string('URL HTTPS que recebe os eventos'),
+        events: { type: 'array', items: { type: 'string' } },
+        description: string('Descrição')
+      },
+      status: 201
+    })
+  },
+  '/webhooks/{id}': {
+    delete: operation('Webhooks', 'Remove um webhook', { roles: ['admin', 'sender'], status: 204 })
+  },
+  '/webhooks/{id}/deliveries': {
+    get: operation('Webhooks', 'Registro de entregas do webhook', {
+      validation: schemas.webhookDeliveries,
+      roles: ['admin', 'sender'],
+      query: { status: string('Filtra pelo status da entrega'), limit: number('Máximo de entregas (até 500)') }
+    })
+  },
+  '/webhooks/deliveries/{deliveryId}/replay': {
+    post: operation('Webhooks', 'Reenvia uma entrega', { roles: ['admin', 'sender'], status: 202 })
+  }
+};
+
+// Parâmetros de caminho ({id}, {token}...) a partir do próprio caminho
+for (const [route, operations] of Object.entries(paths)) {
+  const names = [...route.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+
+  for (const op of Object.values(operations)) {
+    op.parameters.push(...names.map((name) => ({ name, in: 'path', required: true, schema: { type: 'string' } })));
+  }
+}
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'API de Assinatura de Documentos',
+    version,
+    description: `Rotas em ${API_BASE}. O prefixo /api continua respondendo como alias obsoleto (cabeçalho Deprecation).`
+  },
+  servers: [{ url: API_BASE }],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    parameters: {
+      RequestId: {
+        name: 'X-Request-Id',
+        in: 'header',
+        required: false,
+        description: 'ID de correlação; gerado pelo servidor quando ausente e devolvido na resposta',
+        schema: { type: 'string', maxLength: 128 }
+      },
+      AcceptLanguage: {
+        name: 'Accept-Language',
+        in: 'header',
+        required: false,
+        description: 'Idioma das mensagens de erro (pt-BR ou en; padrão pt-BR)',
+        schema: { type: 'string', example: 'en' }
+      }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error', 'code', 'requestId'],
+        properties: {
+          error: string('Mensagem do erro'),
+          code: string('Código do erro', { example: 'MISSING_PLACEHOLDERS' }),
+          details: {
+            type: 'object',
+            description: 'Dados do problema, quando houver (nos erros de validação: field, rule e o limite da regra)',
+            additionalProperties: true
+          },
+          requestId: string('Mesmo valor do cabeçalho X-Request-Id')
+        }
+      }
+    },
+    responses: {
+      Error: {
+        description: 'Erro',
+        headers: {
+          'X-Request-Id': { schema: { type: 'string' } },
+          'Content-Language': { schema: { type: 'string', enum: ['pt-BR', 'en'] } }
+        },
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    }
+  }
+};
+
+/**
+ * Rotas registradas no router (incluindo os routers montados nele sem caminho)
+ * @param {object} router - Router do Express
+ * @returns {string[]} - Ex: ['GET /documents/{id}']
+ */
+function listRoutes(router) {
+  const routes = [];
+
+  for (const layer of router.stack) {
+    if (layer.route) {
+      const route = layer.route.path.replace(/:(\w+)/g, '{$1}');
+      Object.keys(layer.route.methods)
+        .filter((method) => method !== '_all')
+        .forEach((method) => routes.push(`${method.toUpperCase()} ${route}`));
+    } else if (layer.name === 'router') {
+      routes.push(...listRoutes(layer.handle));
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Compara o documento com as rotas reais
+ * @param {object} router - Router montado em API_BASE
+ * @returns {string[]} - Rotas sem documentação e operações documentadas sem rota
+ */
+function findMismatches(router) {
+  const routes = new Set(listRoutes(router));
+  const documented = new Set(Object.entries(paths).flatMap(([route, operations]) => (
+    Object.keys(operations).map((method) => `${method.toUpperCase()} ${route}`)
+  )));
+
+  return [
+    ...[...routes].filter((route) => !documented.has(route)).map((route) => `rota sem documentação: ${route}`),
+    ...[...documented].filter((route) => !routes.has(route)).map((route) => `documentada sem rota: ${route}`)
+  ];
+}
+
+module.exports = { spec, findMismatches };
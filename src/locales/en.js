@@ -0,0 +1,143 @@
+/**
+ * Mensagens em inglês (Accept-Language: en). Além das regras de validação,
+ * traz uma mensagem por código de erro; códigos sem tradução respondem com a
+ * mensagem original, em português.
+ */
+module.exports = {
+  or: 'or',
+
+  rules: {
+    required: 'Field {field} is required',
+    requiredFile: 'A {accepted} file is required in field {field}',
+    type: 'Field {field} must be {expected}',
+    min: 'Field {field} must be greater than or equal to {min}',
+    exclusiveMin: 'Field {field} must be greater than {exclusiveMin}',
+    max: 'Field {field} must be less than or equal to {max}',
+    enum: 'Field {field} must be one of: {allowed}',
+    minLength: 'Field {field} must be at least {minLength} character(s) long',
+    maxLength: 'Field {field} must be at most {maxLength} characters long',
+    minItems: 'Field {field} must have at least {minItems} item(s)',
+    maxItems: 'Field {field} must have at most {maxItems} items',
+    format: 'Field {field} must be {format}'
+  },
+
+  types: {
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    string: 'a string',
+    object: 'a JSON object',
+    array: 'a JSON array'
+  },
+
+  formats: {
+    signatureImage: 'a PNG or JPEG image (base64 or data URL), an SVG or strokes in JSON',
+    occurrence: 'a number from 1 or "all"'
+  },
+
+  codes: {
+    // Requisição e uploads
+    INTERNAL_ERROR: 'Internal server error',
+    ROUTE_NOT_FOUND: 'Route not found',
+    INVALID_JSON: 'Request body is not valid JSON',
+    PAYLOAD_TOO_LARGE: 'Request body exceeds the allowed limit',
+    INVALID_JSON_FIELD: 'Field {field} must contain valid JSON',
+    FILE_TOO_LARGE: 'File exceeds the {maxSizeMb}MB limit',
+    UNEXPECTED_FILE: 'Unexpected or extra file in field {field}',
+    UNSUPPORTED_FILE_TYPE: 'Only {accepted} files are allowed',
+    INVALID_UPLOAD: 'Invalid upload',
+    MISSING_FILE: 'A document file is required',
+    UNSUPPORTED_DOCUMENT: 'Unsupported document format',
+    INVALID_PDF: 'Invalid or corrupted PDF file',
+    ENCRYPTED_PDF: 'Password-protected or encrypted PDF. Send an unprotected copy',
+    INVALID_DOCX: 'Invalid or corrupted .docx file',
+    CONVERSION_FAILED: 'PDF conversion failed',
+    PHANTOMJS_NOT_FOUND: 'PhantomJS not found. Reinstall the dependencies or install LibreOffice for PDF conversion',
+
+    // Autenticação e usuários
+    AUTH_REQUIRED: 'Authentication required',
+    INVALID_TOKEN: 'Invalid or expired session',
+    INVALID_API_KEY: 'Invalid API key',
+    INVALID_CREDENTIALS: 'Invalid email or password',
+    FORBIDDEN: 'You are not allowed to perform this operation',
+    INVALID_USER: 'Invalid user data in field {field}',
+    EMAIL_IN_USE: 'Email already registered',
+    USER_NOT_FOUND: 'User not found',
+    CANNOT_REMOVE_SELF: 'You cannot remove your own user',
+    API_KEY_NOT_FOUND: 'API key not found',
+
+    // Assinaturas
+    MISSING_SIGNATURE: 'Signature is required (base64 image, SVG or strokes)',
+    MISSING_SIGNATURES: 'Signatures array is required',
+    INVALID_SIGNATURE_IMAGE: 'Invalid signature image',
+    EMPTY_SIGNATURE_IMAGE: 'The signature image has no strokes',
+    INVALID_SIGNATURE_APPEARANCE: 'Invalid signature appearance',
+    INVALID_SIGNATURE_PAGE: 'Invalid signature page',
+    SIGNATURE_PAGE_OUT_OF_RANGE: 'Page {page} of signature {signature} does not exist in the document ({totalPages} page(s))',
+    INVALID_SIGNATURE_POSITION: 'Invalid signature position',
+    INVALID_SIGNATURE_SIZE: 'Invalid signature size',
+    INVALID_SIGNATURE_PLACEHOLDER: 'Signature placeholders must start with ASSINATURA',
+    SIGNATURE_SENT_AS_TEXT: 'Signature placeholders must be sent as images',
+    INVALID_ANCHOR: 'Invalid anchor',
+    ANCHOR_NOT_FOUND: 'Anchor text not found in the document',
+    AMBIGUOUS_ANCHOR: 'Anchor text appears more than once. Send occurrence or page',
+    ANCHOR_OCCURRENCE_NOT_FOUND: 'Anchor text occurrence not found',
+    DIGITAL_SIGNATURE_NOT_CONFIGURED: 'Digital signature certificate is not configured on the server',
+    INVALID_VERIFICATION_PLACEMENT: 'verificationPlacement must be below or right',
+
+    // Opções de saída do PDF
+    INVALID_OUTPUT_OPTIONS: 'Invalid PDF output options (pdfa, restrict, ownerPassword, userPassword)',
+    INVALID_PDF_METADATA: 'Invalid PDF metadata',
+    PDFA_FONT_NOT_EMBEDDED: 'PDF/A requires embedded fonts; the document uses fonts that are not embedded (see details.fonts)',
+    PDF_FLATTEN_FAILED: 'The PDF form fields and annotations could not be flattened',
+
+    // Documentos, lotes e jobs
+    DOCUMENT_NOT_FOUND: 'Document not found',
+    MISSING_ORIGINAL_PDF: 'Document has no original PDF to sign',
+    AUDIT_TRAIL_NOT_FOUND: 'Audit trail not found',
+    BATCH_NOT_FOUND: 'Batch not found',
+    MISSING_DOCUMENTS: 'Documents array is required',
+    TOO_MANY_DOCUMENTS: 'Too many documents in the batch',
+    MISSING_DOCUMENT_CONTENT: 'Document content is required',
+    JOB_NOT_FOUND: 'Job not found',
+    JOB_NOT_COMPLETED: 'Job has not completed successfully yet',
+    VERIFICATION_NOT_FOUND: 'Verification code not found',
+
+    // Templates e mesclagem
+    MISSING_TEMPLATE: 'A template file is required (document field or templateId)',
+    AMBIGUOUS_TEMPLATE: 'Send either the file or templateId, not both',
+    TEMPLATE_ERROR: 'Invalid document template',
+    TEMPLATE_NOT_DOCX: 'Data merge requires a .docx template',
+    UNSUPPORTED_TEMPLATE: 'Templates must be .docx or .pdf',
+    INVALID_TEMPLATE: 'Template name is required',
+    INVALID_TEMPLATE_ZONES: 'Invalid template signature zones',
+    INVALID_TEMPLATE_VERSION: 'templateVersion must be a number from 1',
+    TEMPLATE_NOT_FOUND: 'Template not found',
+    TEMPLATE_VERSION_NOT_FOUND: 'Template version not found',
+    TEMPLATE_VERSION_UNCHANGED: 'The file is the same as the current version',
+    TEMPLATE_NAME_TAKEN: 'A template with this name already exists. Send the file as a new version',
+    PLACEHOLDERS_REQUIRE_DOCX: 'PDFs have no placeholders. Send the .docx template',
+    MISSING_PLACEHOLDERS: 'The document has placeholders without a value',
+    UNUSED_PLACEHOLDERS: 'Values were sent for placeholders that do not exist in the document',
+    INVALID_FIELD_VALUE: 'The data contains values that are invalid for the template formatters',
+    MISSING_RECORDS: 'Records are required (records field with a JSON list or a .csv/.json file)',
+    INVALID_RECORDS: 'Invalid records',
+    TOO_MANY_RECORDS: 'At most {max} records per request',
+
+    // Envelopes
+    ENVELOPE_NOT_FOUND: 'Envelope not found',
+    ENVELOPE_NOT_COMPLETED: 'The envelope has not been signed by all signers yet',
+    INVALID_SIGNERS: 'Invalid signers',
+    INVALID_SIGNING_ORDER: 'signingOrder must be sequential or parallel',
+    INVALID_SIGN_TOKEN: 'Invalid or expired signing link',
+    NOT_SIGNER_TURN: 'Waiting for the previous signers',
+    ALREADY_SIGNED: 'This signer has already signed the envelope',
+
+    // Webhooks
+    INVALID_WEBHOOK_URL: 'url must be a valid http(s) address',
+    WEBHOOK_DESTINATION_NOT_ALLOWED: 'url must point to a public address ({host} is internal, loopback or link-local, or could not be resolved)',
+    INVALID_WEBHOOK_EVENTS: 'events must list valid events or "*"',
+    WEBHOOK_NOT_FOUND: 'Webhook not found',
+    DELIVERY_NOT_FOUND: 'Delivery not found'
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Mensagens em português (idioma padrão da API).
+ *
+ * As mensagens dos erros de domínio são escritas onde o erro é lançado; aqui
+ * ficam as das regras de validação dos schemas (ver validation/validator),
+ * montadas com os valores de details ({field}, {min}, {allowed}...).
+ */
+module.exports = {
+  // Usado nas listas de valores: ".doc, .docx ou .pdf"
+  or: 'ou',
+
+  rules: {
+    required: 'Campo {field} é obrigatório',
+    requiredFile: 'Arquivo {accepted} é obrigatório no campo {field}',
+    type: 'Campo {field} deve ser {expected}',
+    min: 'Campo {field} deve ser maior ou igual a {min}',
+    exclusiveMin: 'Campo {field} deve ser maior que {exclusiveMin}',
+    max: 'Campo {field} deve ser menor ou igual a {max}',
+    enum: 'Campo {field} deve ser um destes valores: {allowed}',
+    minLength: 'Campo {field} deve ter ao menos {minLength} caractere(s)',
+    maxLength: 'Campo {field} deve ter no máximo {maxLength} caracteres',
+    minItems: 'Campo {field} deve ter ao menos {minItems} item(ns)',
+    maxItems: 'Campo {field} deve ter no máximo {maxItems} itens',
+    format: 'Campo {field} deve ser {format}'
+  },
+
+  types: {
+    number: 'um número',
+    integer: 'um número inteiro',
+    boolean: 'true ou false',
+    string: 'um texto',
+    object: 'um objeto JSON',
+    array: 'uma lista JSON'
+  },
+
+  formats: {
+    signatureImage: 'uma imagem PNG ou JPEG (base64 ou data URL), um SVG ou traços em JSON',
+    occurrence: 'um número a partir de 1 ou "all"'
+  }
+};
@@ -0,0 +1,35 @@
+const authService = require('../services/authService');
+const { sendError } = require('./errors');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Exige usuário autenticado (JWT ou chave de API) e, se informados, um dos papéis.
+ * O usuário fica disponível em req.user.
+ * @param {...string} roles - Papéis aceitos (vazio: qualquer usuário autenticado)
+ * @returns {Function} - Middleware do Express
+ */
+function requireAuth(...roles) {
+  return async (req, res, next) => {
+    try {
+      const user = await authService.authenticate(req.headers);
+
+      if (roles.length > 0 && !roles.includes(user.role)) {
+        throw new AppError('Usuário sem permissão para esta operação', {
+          status: 403,
+          code: 'FORBIDDEN',
+          details: { roles }
+        });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      if (error instanceof AppError) {
+        return sendError(res, error);
+      }
+      next(error);
+    }
+  };
+}
+
+module.exports = { requireAuth };
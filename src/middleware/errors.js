@@ -0,0 +1,73 @@
+const messages = require('../utils/messages');
+const { AppError } = require('../utils/errors');
+
+// Erros do body-parser (express.json/urlencoded) que chegam antes das rotas
+const BODY_ERRORS = {
+  'entity.parse.failed': { status: 400, code: 'INVALID_JSON', message: 'Corpo da requisição não é um JSON válido' },
+  'entity.too.large': { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Corpo da requisição excede o limite permitido' }
+};
+
+/**
+ * Converte qualquer erro no formato da API. Erros inesperados viram 500
+ * INTERNAL_ERROR com a mensagem da rota; o erro original fica só no log.
+ * @param {Error} error
+ * @param {string} message - Mensagem usada nos erros inesperados
+ * @returns {AppError}
+ */
+function toAppError(error, message) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const bodyError = BODY_ERRORS[error && error.type];
+  if (bodyError) {
+    return new AppError(bodyError.message, { status: bodyError.status, code: bodyError.code });
+  }
+
+  return new AppError(message, { status: 500, code: 'INTERNAL_ERROR' });
+}
+
+/**
+ * Resposta de erro padrão: { error, code, details, requestId }. O requestId
+ * (ver middleware/requestId) também aparece no log dos erros inesperados.
+ * A mensagem sai no idioma do Accept-Language (pt-BR ou en; ver utils/messages),
+ * indicado em Content-Language; code e details não mudam com o idioma.
+ * @param {object} res - Resposta do Express
+ * @param {Error} error
+ * @param {string} [message] - Mensagem usada nos erros inesperados
+ */
+function sendError(res, error, message = 'Erro interno do servidor') {
+  const appError = toAppError(error, message);
+  const requestId = res.locals.requestId;
+  const localized = messages.localize(appError, messages.resolveLanguage(res.req));
+
+  if (appError.status >= 500) {
+    console.error(`[${requestId}] ${message}:`, error);
+  }
+
+  res.setHeader('Content-Language', localized.language);
+  res.status(appError.status).json({
+    ...appError.toJSON(),
+    error: localized.message,
+    requestId
+  });
+}
+
+// Rotas inexistentes dentro de /api respondem no formato da API, não com o HTML do Express
+function notFound(req, res) {
+  sendError(res, new AppError(`Rota ${req.method} ${req.originalUrl} não encontrada`, {
+    status: 404,
+    code: 'ROUTE_NOT_FOUND'
+  }));
+}
+
+// Erros repassados com next(error): uploads recusados, JSON inválido e falhas fora dos try/catch das rotas
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  sendError(res, error);
+}
+
+module.exports = { sendError, notFound, errorHandler };
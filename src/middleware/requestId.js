@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+
+// IDs recebidos de proxies ou clientes só são aceitos se forem curtos e sem caracteres especiais
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Correlação de requisições: usa o X-Request-Id recebido ou gera um UUID.
+ * O ID fica em req.id, volta no cabeçalho X-Request-Id e aparece nas
+ * respostas de erro, nos logs e nos eventos de auditoria.
+ * @returns {Function} - Middleware do Express
+ */
+function requestId() {
+  return (req, res, next) => {
+    const received = req.get('x-request-id');
+
+    req.id = received && VALID_ID.test(received) ? received : crypto.randomUUID();
+    res.locals.requestId = req.id;
+    res.setHeader('X-Request-Id', req.id);
+    next();
+  };
+}
+
+module.exports = { requestId };
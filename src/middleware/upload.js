@@ -0,0 +1,107 @@
+const multer = require('multer');
+const fs = require('fs-extra');
+const path = require('path');
+const fileUtils = require('../utils/fileUtils');
+const { AppError } = require('../utils/errors');
+
+const TEMP_DIR = path.join(__dirname, '..', '..', 'temp');
+const MAX_FILE_SIZE_MB = parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB, 10) || 50;
+
+// Arquivos enviados em disco recebem um nome gerado pelo servidor (o nome original fica em originalname)
+const diskStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.ensureDir(TEMP_DIR).then(() => cb(null, TEMP_DIR), cb);
+  },
+  filename: (req, file, cb) => {
+    cb(null, fileUtils.generateUniqueFilename(path.extname(file.originalname).toLowerCase()));
+  }
+});
+
+/**
+ * @param {string[]} extensions - Ex: ['.doc', '.docx', '.pdf']
+ * @returns {string} - Ex: .doc, .docx e .pdf
+ */
+function describeExtensions(extensions) {
+  return extensions.length > 1
+    ? `${extensions.slice(0, -1).join(', ')} e ${extensions[extensions.length - 1]}`
+    : extensions[0];
+}
+
+/**
+ * Erros do multer no formato da API
+ * @param {Error} error
+ * @returns {Error}
+ */
+function toUploadError(error) {
+  if (!(error instanceof multer.MulterError)) {
+    return error;
+  }
+
+  const details = { field: error.field };
+
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new AppError(`Arquivo excede o limite de ${MAX_FILE_SIZE_MB}MB`, {
+        status: 413,
+        code: 'FILE_TOO_LARGE',
+        details: { ...details, maxSizeMb: MAX_FILE_SIZE_MB }
+      });
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new AppError(`Arquivo inesperado ou em excesso no campo ${error.field}`, {
+        status: 400,
+        code: 'UNEXPECTED_FILE',
+        details
+      });
+    default:
+      return new AppError(`Upload inválido: ${error.message}`, { status: 400, code: 'INVALID_UPLOAD', details });
+  }
+}
+
+/**
+ * Upload com a validação comum a todas as rotas: extensões aceitas por campo,
+ * limite de tamanho (UPLOAD_MAX_FILE_SIZE_MB) e erros no formato da API
+ * (UNSUPPORTED_FILE_TYPE, FILE_TOO_LARGE, UNEXPECTED_FILE). A extensão é só
+ * um filtro inicial; o tipo real dos documentos é conferido pelo conteúdo.
+ * @param {object} options
+ * @param {string[]|object} options.accept - Extensões aceitas (ex: ['.docx', '.pdf']) ou mapa campo -> extensões
+ * @param {boolean} [options.disk=false] - Grava em temp/ (req.file.path) em vez de manter em memória (req.file.buffer)
+ * @returns {object} - { single, array, fields }, como no multer
+ */
+function createUpload({ accept, disk = false }) {
+  const upload = multer({
+    storage: disk ? diskStorage : multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+      const extensions = Array.isArray(accept) ? accept : accept[file.fieldname];
+
+      if (!extensions) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+      }
+
+      if (extensions.includes(path.extname(file.originalname).toLowerCase())) {
+        cb(null, true);
+      } else {
+        cb(new AppError(`Apenas arquivos ${describeExtensions(extensions)} são permitidos`, {
+          status: 400,
+          code: 'UNSUPPORTED_FILE_TYPE',
+          details: { field: file.fieldname, accepted: extensions }
+        }));
+      }
+    },
+    limits: {
+      fileSize: MAX_FILE_SIZE_MB * 1024 * 1024
+    }
+  });
+
+  const wrap = (middleware) => (req, res, next) => {
+    middleware(req, res, (error) => next(error && toUploadError(error)));
+  };
+
+  return {
+    single: (field) => wrap(upload.single(field)),
+    array: (field, maxCount) => wrap(upload.array(field, maxCount)),
+    fields: (fields) => wrap(upload.fields(fields))
+  };
+}
+
+module.exports = { createUpload, MAX_FILE_SIZE_MB };
@@ -0,0 +1,103 @@
+const fs = require('fs-extra');
+const validator = require('../validation/validator');
+const { createUpload } = require('./upload');
+
+/**
+ * Upload configurado pelos arquivos do schema, no mesmo formato do multer:
+ * req.file (um arquivo), req.files (vários arquivos de um campo) ou req.files[campo]
+ * @param {object} schema - { files, disk }
+ * @returns {Function}
+ */
+function createFileUpload({ files, disk }) {
+  const accept = {};
+  const fields = Object.entries(files).map(([name, rule]) => {
+    accept[name] = rule.accept;
+    return { name, maxCount: rule.maxCount || 1 };
+  });
+  const upload = createUpload({ accept, disk });
+
+  if (fields.length > 1) {
+    return upload.fields(fields);
+  }
+
+  return fields[0].maxCount > 1
+    ? upload.array(fields[0].name, fields[0].maxCount)
+    : upload.single(fields[0].name);
+}
+
+/**
+ * Arquivos recebidos agrupados por campo
+ * @param {object} req
+ * @returns {object} - Mapa campo -> arquivos
+ */
+function getUploadedFiles(req) {
+  if (req.file) {
+    return { [req.file.fieldname]: [req.file] };
+  }
+
+  if (Array.isArray(req.files)) {
+    return req.files.reduce((grouped, file) => ({
+      ...grouped,
+      [file.fieldname]: [...(grouped[file.fieldname] || []), file]
+    }), {});
+  }
+
+  return req.files || {};
+}
+
+// Requisição recusada: os arquivos já gravados em temp/ não chegam à rota, que é quem os removeria
+async function removeUploads(req) {
+  const paths = Object.values(getUploadedFiles(req))
+    .flat()
+    .map((file) => file.path)
+    .filter(Boolean);
+
+  await Promise.all(paths.map((filePath) => fs.remove(filePath)));
+}
+
+/**
+ * Valida a requisição com um schema declarativo (ver validation/schemas):
+ * arquivos (extensões, quantidade e obrigatoriedade), campos do corpo, da query
+ * e cabeçalhos. Os valores convertidos (números, booleanos e JSON, com os padrões)
+ * substituem os recebidos em req.body e req.query; campos não declarados seguem
+ * como vieram. Cabeçalhos são só conferidos (lidos depois com req.get).
+ * Erros seguem para o errorHandler no formato da API.
+ * @param {object} schema - { files, disk, body, query, headers }
+ * @returns {Function[]} - Middlewares do Express
+ */
+function validate(schema) {
+  const middlewares = [];
+
+  if (schema.files) {
+    middlewares.push(createFileUpload(schema));
+  }
+
+  middlewares.push((req, res, next) => {
+    try {
+      if (schema.query) {
+        req.query = { ...req.query, ...validator.validateFields(schema.query, req.query) };
+      }
+
+      if (schema.headers) {
+        const headers = Object.keys(schema.headers).map((name) => [name, req.get(name)]);
+        validator.validateFields(schema.headers, Object.fromEntries(headers));
+      }
+
+      if (schema.body) {
+        req.body = { ...req.body, ...validator.validateFields(schema.body, req.body || {}) };
+      }
+
+      if (schema.files) {
+        validator.validateFiles(schema.files, getUploadedFiles(req), req.body || {});
+      }
+
+      next();
+    } catch (error) {
+      removeUploads(req).then(() => next(error), () => next(error));
+    }
+  });
+
+  return middlewares;
+}
+
+module.exports = { validate };
@@ -0,0 +1,48 @@
+const express = require('express');
+const authService = require('../services/authService');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../validation/schemas');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Login com e-mail e senha; devolve o JWT usado em Authorization: Bearer
+router.post('/auth/login', validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    res.json(await authService.login(email, password));
+  } catch (error) {
+    sendError(res, error, 'Erro ao autenticar');
+  }
+});
+
+// Usuário autenticado
+router.get('/auth/me', requireAuth(), (req, res) => {
+  res.json(authService.toJSON(req.user));
+});
+
+// Cria uma chave de API para o usuário autenticado (a chave só aparece nesta resposta)
+router.post('/auth/api-keys', requireAuth(), validate(schemas.createApiKey), async (req, res) => {
+  try {
+    const apiKey = await authService.createApiKey(req.user, req.body.name);
+    res.status(201).json(apiKey);
+  } catch (error) {
+    sendError(res, error, 'Erro ao criar chave de API');
+  }
+});
+
+// Revoga uma chave de API do usuário autenticado
+router.delete('/auth/api-keys/:id', requireAuth(), async (req, res) => {
+  try {
+    if (!(await authService.revokeApiKey(req.user, req.params.id))) {
+      throw new AppError('Chave de API não encontrada', { status: 404, code: 'API_KEY_NOT_FOUND' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Erro ao revogar chave de API');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+const envelopeService = require('../services/envelopeService');
+const previewService = require('../services/previewService');
+const templateService = require('../services/templateService');
+const auditService = require('../services/auditService');
+const authService = require('../services/authService');
+const documentStore = require('../storage/documentStore');
+const fileUtils = require('../utils/fileUtils');
+const { apiPath } = require('../utils/apiPaths');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../validation/schemas');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+const TEMP_DIR = path.join(__dirname, '..', '..', 'temp');
+
+// Cria o envelope: documento (ou templateId/templateVersion) + signatários (signers, JSON) + signingOrder
+router.post('/envelopes', requireAuth('admin', 'sender'), validate(schemas.createEnvelope), async (req, res) => {
+  try {
+    const reference = templateService.parseReference(req.body);
+
+    if (req.file && reference) {
+      throw new AppError('Envie o arquivo ou templateId, não os dois', { status: 400, code: 'AMBIGUOUS_TEMPLATE' });
+    }
+
+    const { envelope, links } = await envelopeService.create(
+      reference
+        ? await templateService.getDocument(reference)
+        : { nome: req.file.originalname, buffer: req.file.buffer },
+      {
+        signers: req.body.signers,
+        signingOrder: req.body.signingOrder,
+        owner: req.user.id
+      },
+      auditService.getClient(req)
+    );
+
+    res.status(201).json({
+      message: 'Envelope criado com sucesso',
+      envelope,
+      links
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao criar envelope');
+  }
+});
+
+// Status do envelope e de cada signatário (criador, convidados e administradores)
+router.get('/envelopes/:id', requireAuth(), async (req, res) => {
+  try {
+    const record = await documentStore.get(req.params.id);
+    if (!record || !record.envelope || !authService.canAccess(req.user, record)) {
+      throw new AppError('Envelope não encontrado', { status: 404, code: 'ENVELOPE_NOT_FOUND' });
+    }
+
+    res.json(envelopeService.toJSON(record));
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao consultar envelope');
+  }
+});
+
+// Links de assinatura: o token do link identifica o signatário, sem login
+// Dados do signatário do link: zonas, status e se já pode assinar
+router.get('/sign/:token', async (req, res) => {
+  try {
+    const { record, signatario } = await envelopeService.findByToken(req.params.token);
+
+    res.json({
+      ...envelopeService.getSignerView(record, signatario),
+      links: {
+        preview: apiPath(`/sign/${req.params.token}/preview`),
+        document: apiPath(`/sign/${req.params.token}/document`),
+        sign: apiPath(`/sign/${req.params.token}`)
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao consultar link de assinatura');
+  }
+});
+
+// Preview (imagens das páginas) com as assinaturas já feitas no envelope
+router.get('/sign/:token/preview', validate(schemas.signerPreview), async (req, res) => {
+  const pdfPath = path.join(TEMP_DIR, fileUtils.generateUniqueFilename('.pdf'));
+
+  try {
+    const { record, signatario } = await envelopeService.findByToken(req.params.token);
+    const pdfBytes = await envelopeService.renderCurrent(record);
+
+    await fs.ensureDir(TEMP_DIR);
+    await fs.writeFile(pdfPath, pdfBytes);
+
+    const pages = await previewService.renderPages(pdfPath, {
+      dpi: req.query.dpi
+    });
+
+    await auditService.record(record.id, 'preview', {
+      cliente: auditService.getClient(req),
+      saida: pdfBytes,
+      detalhes: { signatario: { id: signatario.id, nome: signatario.nome } }
+    });
+
+    res.json({
+      fileName: record.nome,
+      totalPages: pages.length,
+      pages,
+      zonas: signatario.zonas
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao gerar preview');
+  } finally {
+    await fileUtils.cleanupFiles([pdfPath]);
+  }
+});
+
+// PDF atual do envelope, para leitura pelo signatário
+router.get('/sign/:token/document', async (req, res) => {
+  try {
+    const { record } = await envelopeService.findByToken(req.params.token);
+    const pdfBytes = await envelopeService.renderCurrent(record);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(path.parse(record.nome).name)}.pdf"`);
+    res.send(pdfBytes);
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao enviar documento do envelope');
+  }
+});
+
+// Assinatura do signatário (campo signature: imagem, SVG ou traços), aplicada em todas as suas zonas
+router.post('/sign/:token', validate(schemas.signEnvelope), async (req, res) => {
+  try {
+    const envelope = await envelopeService.sign(req.params.token, req.body.signature, auditService.getClient(req));
+
+    res.json({
+      message: envelope.status === 'concluido'
+        ? 'Assinatura registrada. Envelope concluído'
+        : 'Assinatura registrada',
+      envelope
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao registrar assinatura');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const path = require('path');
+const documentService = require('../services/documentService');
+const conversionQueue = require('../services/conversionQueue');
+const fileUtils = require('../utils/fileUtils');
+const { apiPath } = require('../utils/apiPaths');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../validation/schemas');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Jobs são de quem os criou (ou de administradores)
+router.use('/jobs', requireAuth('admin', 'sender'));
+
+/**
+ * Links do job para consulta de status e download do resultado
+ * @param {string} id - ID do job
+ * @returns {object}
+ */
+function jobLinks(id) {
+  return {
+    status: apiPath(`/jobs/${id}`),
+    result: apiPath(`/jobs/${id}/result`)
+  };
+}
+
+/**
+ * Job da requisição, se pertencer ao usuário autenticado
+ * @param {object} req - Requisição com params.id e user
+ * @returns {object|null}
+ */
+function findJob(req) {
+  const job = conversionQueue.getJob(req.params.id);
+  if (!job || (req.user.role !== 'admin' && job.owner !== req.user.id)) {
+    return null;
+  }
+  return job;
+}
+
+function jobNotFound() {
+  return new AppError('Job não encontrado', { status: 404, code: 'JOB_NOT_FOUND' });
+}
+
+// Enfileira a conversão de um .docx para PDF. Se signatures/fields forem enviados,
+// as assinaturas são aplicadas antes, ainda na requisição, para que erros do
+// template voltem imediatamente.
+router.post('/jobs', validate(schemas.createJob), async (req, res) => {
+  const tempFiles = [];
+
+  try {
+    tempFiles.push(req.file.path);
+
+    const signatures = req.body.signatures || {};
+    const fields = req.body.fields || {};
+
+    let docxPath = req.file.path;
+    if (Object.keys(signatures).length > 0 || Object.keys(fields).length > 0) {
+      docxPath = await documentService.addSignaturesToDocument(docxPath, signatures, fields);
+      tempFiles.push(docxPath);
+    }
+
+    const job = await conversionQueue.createJob(docxPath, req.file.originalname, req.user.id);
+
+    res.status(202).json({
+      ...job,
+      links: jobLinks(job.id)
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao criar job de conversão');
+  } finally {
+    await fileUtils.cleanupFiles(tempFiles);
+  }
+});
+
+// Status e progresso do job
+router.get('/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) {
+    return sendError(res, jobNotFound());
+  }
+
+  res.json({
+    ...conversionQueue.toJSON(job),
+    links: jobLinks(job.id)
+  });
+});
+
+// PDF gerado pelo job
+router.get('/jobs/:id/result', async (req, res) => {
+  try {
+    const job = findJob(req);
+    if (!job) {
+      throw jobNotFound();
+    }
+
+    if (job.status !== 'completed') {
+      throw new AppError('Job ainda não foi concluído com sucesso', {
+        status: 409,
+        code: 'JOB_NOT_COMPLETED',
+        details: { status: job.status, jobError: job.error }
+      });
+    }
+
+    const pdfBuffer = await fileUtils.readFile(job.pdfPath);
+    const fileName = `${path.parse(job.fileName).name}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(fileName)}"`);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao enviar resultado do job');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const mergeService = require('../services/mergeService');
+const templateService = require('../services/templateService');
+const auditService = require('../services/auditService');
+const { apiPath } = require('../utils/apiPaths');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../validation/schemas');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.use('/merge', requireAuth('admin', 'sender'));
+
+/**
+ * Template enviado (ou templateId/templateVersion da biblioteca) e opções comuns às duas rotas
+ * @param {object} req - Requisição multipart, validada pelos schemas merge e mergeBulk
+ * @returns {Promise<object>} - { template, options }
+ */
+async function readRequest(req) {
+  const file = req.files && req.files.document && req.files.document[0];
+  const reference = templateService.parseReference(req.body);
+
+  if (file && reference) {
+    throw new AppError('Envie o template ou templateId, não os dois', { status: 400, code: 'AMBIGUOUS_TEMPLATE' });
+  }
+
+  const template = reference
+    ? await templateService.getDocument(reference)
+    : { nome: file.originalname, buffer: file.buffer };
+
+  if (reference && template.tipo !== 'docx') {
+    throw new AppError('A mesclagem de dados exige um template .docx', { status: 400, code: 'TEMPLATE_NOT_DOCX' });
+  }
+
+  return {
+    template,
+    options: {
+      signatures: req.body.signatures || {},
+      allowMissing: req.body.allowMissing,
+      cliente: auditService.getClient(req),
+      owner: req.user.id
+    }
+  };
+}
+
+// Preenche o template com data (JSON), aplica as assinaturas e converte para PDF.
+// O documento fica disponível em /api/download/:id, como os do /api/upload-file.
+router.post('/merge', validate(schemas.merge), async (req, res) => {
+  try {
+    const { template, options } = await readRequest(req);
+    const data = req.body.data || {};
+
+    const { documento, totalPages } = await mergeService.mergeDocument(template, data, options);
+
+    res.status(200).json({
+      message: 'Documento gerado com sucesso',
+      documento: {
+        id: documento.id,
+        nome: documento.nome,
+        arquivo_final: documento.arquivo_final,
+        download: apiPath(`/download/${documento.id}`),
+        expira_em: documento.expiresAt,
+        total_paginas: totalPages,
+        ...(template.modelo && { modelo: template.modelo }),
+        status: 'processado'
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao gerar documento');
+  }
+});
+
+// Um documento por registro (records: lista JSON ou arquivo .csv/.json), agrupados em um lote
+router.post('/merge/bulk', validate(schemas.mergeBulk), async (req, res) => {
+  try {
+    const { template, options } = await readRequest(req);
+    const records = mergeService.parseRecords(
+      req.body.records,
+      req.files.records && req.files.records[0]
+    );
+
+    const lote = await mergeService.mergeRecords(template, records, {
+      ...options,
+      nameField: req.body.nameField
+    });
+    const processados = lote.documentos.filter((doc) => doc.status === 'processado').length;
+
+    res.status(200).json({
+      message: `${processados} de ${records.length} documentos gerados`,
+      lote: lote.id
+        ? { id: lote.id, download: apiPath(`/batches/${lote.id}/download`) }
+        : null,
+      total_registros: records.length,
+      total_processados: processados,
+      total_erros: records.length - processados,
+      documentos: lote.documentos,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao gerar documentos');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const templateService = require('../services/templateService');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+/**
+ * Arquivo e zonas enviados para criar o template ou uma nova versão
+ * @param {object} req - Requisição multipart (document, zones), validada pelo schema
+ * @returns {object} - { file, zones }
+ */
+function readVersion(req) {
+  return {
+    file: req.file ? { nome: req.file.originalname, buffer: req.file.buffer } : null,
+    zones: req.body.zones
+  };
+}
+
+// Qualquer usuário autenticado consulta e usa os templates; criar e versionar é para admin e sender.
+// Cria o template (versão 1): document, name, description e zones (zonas de assinatura padrão)
+router.post('/templates', requireAuth('admin', 'sender'), validate(schemas.createTemplate), async (req, res) => {
+  try {
+    const template = await templateService.create({
+      ...readVersion(req),
+      name: req.body.name,
+      description: req.body.description
+    }, req.user);
+
+    res.status(201).json(templateService.toJSON(template));
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao criar template');
+  }
+});
+
+router.get('/templates', requireAuth(), async (req, res) => {
+  try {
+    const templates = await templateService.list();
+
+    res.json({
+      total: templates.length,
+      templates: templates.map((template) => templateService.toJSON(template))
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao listar templates');
+  }
+});
+
+router.get('/templates/:id', requireAuth(), async (req, res) => {
+  try {
+    res.json(templateService.toJSON(await templateService.get(req.params.id)));
+  } catch (error) {
+    sendError(res, error, 'Erro ao consultar template');
+  }
+});
+
+// Histórico de versões, da mais recente para a mais antiga
+router.get('/templates/:id/versions', requireAuth(), async (req, res) => {
+  try {
+    const template = await templateService.get(req.params.id);
+
+    res.json({
+      id: template.id,
+      nome: template.nome,
+      total: template.versoes.length,
+      versoes: template.versoes
+        .map((version) => templateService.versionToJSON(template, version))
+        .reverse()
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao listar versões do template');
+  }
+});
+
+// Nova versão: document e, opcionalmente, zones (sem zones, as da versão anterior são mantidas)
+router.post('/templates/:id/versions', requireAuth('admin', 'sender'), validate(schemas.createTemplateVersion), async (req, res) => {
+  try {
+    const template = await templateService.addVersion(req.params.id, readVersion(req), req.user);
+    const version = template.versoes[template.versoes.length - 1];
+
+    res.status(201).json(templateService.versionToJSON(template, version));
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao criar versão do template');
+  }
+});
+
+// Arquivo original de uma versão, sem alterações
+router.get('/templates/:id/versions/:version/file', requireAuth(), async (req, res) => {
+  try {
+    const versao = parseInt(req.params.version, 10);
+    const document = await templateService.getDocument({ id: req.params.id, versao: versao || -1 });
+
+    res.setHeader('Content-Type', document.tipo === 'pdf'
+      ? 'application/pdf'
+      : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(document.nome)}"`);
+    res.send(document.buffer);
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao baixar versão do template');
+  }
+});
+
+module.exports = router;
@@ -1,88 +1,183 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const documentService = require('../services/documentService');
+const conversionQueue = require('../services/conversionQueue');
+const stampService = require('../services/stampService');
+const pdfOutputService = require('../services/pdfOutputService');
+const webhookService = require('../services/webhookService');
 const fileUtils = require('../utils/fileUtils');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../validation/schemas');
+const { AppError } = require('../utils/errors');
 
 const router = express.Router();
 
-// Configuração do multer para upload de arquivos
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const tempDir = path.join(__dirname, '..', '..', 'temp');
-    cb(null, tempDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.docx`;
-    cb(null, uniqueName);
+/**
+ * Carimba a assinatura em um PDF enviado diretamente, na página e posição informadas
+ * (mesmos campos do /api/upload-file: page, positionX, positionY, signatureWidth, signatureHeight)
+ * @param {Buffer} pdfBuffer - PDF recebido
+ * @param {object} body - Campos do formulário, já convertidos pelo schema signDocument
+ * @param {object|null} output - Opções de saída (ver PdfOutputService.parseOptions)
+ * @param {Function} notify - Dispara os webhooks com o PDF assinado (ver createNotifier)
+ * @returns {Buffer} - PDF assinado
+ */
+async function signPdf(pdfBuffer, body, output, notify) {
+  if (!body.signature) {
+    throw new AppError('Assinatura é obrigatória (imagem em base64, SVG ou traços)', { status: 400, code: 'MISSING_SIGNATURE' });
   }
-});
 
-const upload = multer({
-  storage: storage,
-  fileFilter: (req, file, cb) => {
-    // Aceitar apenas arquivos .docx
-    if (file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-      cb(null, true);
-    } else {
-      cb(new Error('Apenas arquivos .docx são permitidos'), false);
+  const { imageData } = await documentService.processSignature('ASSINATURA', body.signature);
+
+  const signature = {
+    pagina: body.page,
+    posicao: {
+      x: body.positionX,
+      y: body.positionY
+    },
+    dimensoes: {
+      largura: body.signatureWidth || 150,
+      altura: body.signatureHeight || 50
     }
-  },
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB
-  }
-});
+  };
+
+  const pdfBytes = await stampService.createSignedPdf({ signatures: [{ ...signature, imageData }] }, pdfBuffer, { output });
+  notify(pdfBytes, [signature]);
+
+  return pdfBytes;
+}
+
+/**
+ * Webhooks do documento assinado: um signature.applied por assinatura e o
+ * document.completed. Esse fluxo não armazena o documento, então os eventos
+ * não têm ID nem link de download.
+ * @param {object} req - Requisição do Express
+ * @returns {Function} - (pdfBytes, assinaturas) => void
+ */
+function createNotifier(req) {
+  const documento = {
+    nome: req.file.originalname,
+    arquivo_final: 'documento-assinado.pdf',
+    owner: req.user.id
+  };
+
+  return (pdfBytes, assinaturas) => {
+    assinaturas.forEach((assinatura, index) => {
+      webhookService.emit('signature.applied', {
+        documento: webhookService.describeDocument(documento),
+        assinatura: index + 1,
+        ...assinatura
+      }, { owner: documento.owner });
+    });
+
+    webhookService.emitCompleted(documento, pdfBytes, { origem: 'upload' });
+  };
+}
 
-// Rota principal para upload e processamento
-router.post('/upload', upload.single('document'), async (req, res) => {
+function sendPdf(res, pdfBuffer) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', 'attachment; filename="documento-assinado.pdf"');
+  res.send(pdfBuffer);
+}
+
+// Assinatura direta: preenche os placeholders {{ASSINATURA...}} do .docx (ou carimba o PDF)
+// e devolve o PDF assinado na própria resposta, sem armazenar o documento
+router.post('/documents/sign', requireAuth('admin', 'sender'), validate(schemas.signDocument), async (req, res) => {
   let tempFiles = [];
   
   try {
-    // Validar se o arquivo foi enviado
-    if (!req.file) {
-      return res.status(400).json({ error: 'Arquivo .docx é obrigatório' });
+    const docxPath = req.file.path;
+    tempFiles.push(docxPath);
+
+    const fileBuffer = await fileUtils.readFile(docxPath);
+    const fileType = fileUtils.detectDocumentType(fileBuffer);
+    const notify = createNotifier(req);
+
+    // Achatamento, metadados, PDF/A e proteção do PDF devolvido
+    const output = pdfOutputService.parseOptions(req.body);
+
+    // PDF não tem placeholders: a assinatura é carimbada na posição informada
+    if (fileType === 'pdf') {
+      const pdfBytes = await signPdf(fileBuffer, req.body, output, notify);
+      return sendPdf(res, pdfBytes);
     }
 
-    // Validar se a assinatura foi enviada
-    if (!req.body.signature) {
-      return res.status(400).json({ error: 'Assinatura em base64 é obrigatória' });
+    if (fileType !== 'docx') {
+      throw new AppError('Formato de documento não suportado. Envie .docx ou .pdf', {
+        status: 400,
+        code: 'UNSUPPORTED_DOCUMENT'
+      });
     }
 
-    const docxPath = req.file.path;
-    tempFiles.push(docxPath);
+    // Assinaturas nomeadas (signatures) ou assinatura única no placeholder {{ASSINATURA}}
+    const signatures = { ...req.body.signatures };
+    const fields = req.body.fields || {};
 
-    console.log('Processando documento:', req.file.filename);
+    if (Object.keys(signatures).length === 0) {
+      if (!req.body.signature) {
+        throw new AppError('Assinatura é obrigatória (imagem em base64, SVG ou traços)', {
+          status: 400,
+          code: 'MISSING_SIGNATURE'
+        });
+      }
 
-    // Processar o documento com a assinatura
-    const signedDocxPath = await documentService.addSignatureToDocument(
-      docxPath, 
-      req.body.signature
-    );
+      signatures.ASSINATURA = {
+        image: req.body.signature,
+        width: req.body.signatureWidth,
+        height: req.body.signatureHeight
+      };
+    }
+
+    // Processar o documento com as assinaturas e campos dos signatários
+    const signedDocxPath = await documentService.addSignaturesToDocument(docxPath, signatures, fields);
     tempFiles.push(signedDocxPath);
 
-    // Converter para PDF
-    const pdfPath = await documentService.convertToPdf(signedDocxPath);
+    // Converter para PDF pela fila de conversões
+    const pdfPath = await conversionQueue.convert(signedDocxPath, {
+      arquivo: req.file.originalname,
+      owner: req.user.id
+    });
     tempFiles.push(pdfPath);
 
     // Enviar o PDF como resposta
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', 'attachment; filename="documento-assinado.pdf"');
-    
-    const pdfBuffer = await fileUtils.readFile(pdfPath);
-    res.send(pdfBuffer);
-
-    console.log('Documento processado com sucesso');
+    const pdfBytes = await pdfOutputService.apply(await fileUtils.readFile(pdfPath), output);
+    notify(pdfBytes, Object.keys(signatures).map((placeholder) => ({ placeholder })));
+    sendPdf(res, pdfBytes);
 
   } catch (error) {
-    console.error('Erro no processamento:', error);
-    res.status(500).json({ 
-      error: 'Erro ao processar documento',
-      message: error.message 
-    });
+    sendError(res, error, 'Erro ao processar documento');
   } finally {
     // Limpar arquivos temporários
     await fileUtils.cleanupFiles(tempFiles);
   }
 })
 
+// Rota para listar os placeholders de um template antes do upload com assinatura
+router.post('/placeholders', requireAuth('admin', 'sender'), validate(schemas.placeholders), async (req, res) => {
+  const tempFiles = [];
+
+  try {
+    tempFiles.push(req.file.path);
+
+    if (fileUtils.detectDocumentType(await fileUtils.readFile(req.file.path)) === 'pdf') {
+      throw new AppError('PDFs não possuem placeholders. Envie o template .docx', {
+        status: 400,
+        code: 'PLACEHOLDERS_REQUIRE_DOCX'
+      });
+    }
+
+    const result = await documentService.inspectPlaceholders(req.file.path);
+
+    res.status(200).json({
+      fileName: req.file.originalname,
+      ...result
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Erro ao inspecionar documento');
+  } finally {
+    await fileUtils.cleanupFiles(tempFiles);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
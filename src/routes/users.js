@@ -0,0 +1,60 @@
+const express = require('express');
+const authService = require('../services/authService');
+const userStore = require('../storage/userStore');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../validation/schemas');
+const { AppError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Gestão de usuários: somente administradores
+router.use('/users', requireAuth('admin'));
+
+// Lista os usuários
+router.get('/users', async (req, res) => {
+  try {
+    const users = await userStore.list();
+
+    res.json({
+      total: users.length,
+      users: users.map((user) => authService.toJSON(user))
+    });
+  } catch (error) {
+    sendError(res, error, 'Erro ao listar usuários');
+  }
+});
+
+// Cria um usuário ({ name, email, password, role })
+router.post('/users', validate(schemas.createUser), async (req, res) => {
+  try {
+    const user = await authService.createUser(req.body);
+
+    res.status(201).json({
+      message: 'Usuário criado com sucesso',
+      user
+    });
+  } catch (error) {
+    sendError(res, error, 'Erro ao criar usuário');
+  }
+});
+
+// Remove um usuário (os documentos dele continuam acessíveis aos administradores)
+router.delete('/users/:id', async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      throw new AppError('Não é possível remover o próprio usuário', { status: 409, code: 'CANNOT_REMOVE_SELF' });
+    }
+
+    if (!(await userStore.remove(req.params.id))) {
+      throw new AppError('Usuário não encontrado', { status: 404, code: 'USER_NOT_FOUND' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Erro ao remover usuário');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const webhookService = require('../services/webhookService');
+const { requireAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const schemas = require('../validation/schemas');
+
+const router = express.Router();
+
+// Webhooks: cada sender gerencia os seus; admin vê e gerencia todos
+router.use('/webhooks', requireAuth('admin', 'sender'));
+
+// Lista as assinaturas de webhook
+router.get('/webhooks', async (req, res) => {
+  try {
+    const webhooks = await webhookService.listSubscriptions(req.user);
+
+    res.json({
+      total: webhooks.length,
+      webhooks: webhooks.map((webhook) => webhookService.toJSON(webhook))
+    });
+  } catch (error) {
+    sendError(res, error, 'Erro ao listar webhooks');
+  }
+});
+
+// Cria uma assinatura ({ url, events, description }); o segredo do HMAC só aparece nesta resposta
+router.post('/webhooks', validate(schemas.createWebhook), async (req, res) => {
+  try {
+    const webhook = await webhookService.createSubscription(req.user, req.body);
+
+    res.status(201).json({
+      message: 'Webhook criado com sucesso. Guarde o secret: ele não será exibido novamente',
+      webhook
+    });
+  } catch (error) {
+    sendError(res, error, 'Erro ao criar webhook');
+  }
+});
+
+// Remove a assinatura
+router.delete('/webhooks/:id', async (req, res) => {
+  try {
+    await webhookService.deleteSubscription(req.user, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Erro ao remover webhook');
+  }
+});
+
+// Registro de entregas da assinatura, das mais recentes (?status=falhou&limit=50)
+router.get('/webhooks/:id/deliveries', validate(schemas.webhookDeliveries), async (req, res) => {
+  try {
+    const deliveries = await webhookService.listDeliveries(req.user, req.params.id, {
+      status: req.query.status,
+      limit: req.query.limit
+    });
+
+    res.json({
+      webhook: req.params.id,
+      total: deliveries.length,
+      entregas: deliveries
+    });
+  } catch (error) {
+    sendError(res, error, 'Erro ao listar entregas');
+  }
+});
+
+// Reenvia uma entrega (nova entrega com o mesmo payload e ID de evento)
+router.post('/webhooks/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const entrega = await webhookService.replay(req.user, req.params.deliveryId);
+
+    res.status(202).json({
+      message: 'Reenvio agendado',
+      entrega
+    });
+  } catch (error) {
+    sendError(res, error, 'Erro ao reenviar entrega');
+  }
+});
+
+module.exports = router;
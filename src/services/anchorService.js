@@ -0,0 +1,318 @@
+const { AppError } = require('../utils/errors');
+
+const ALIGNMENTS = ['right', 'left', 'above', 'below', 'center'];
+
+/**
+ * Posicionamento da assinatura por texto âncora (ex: "Assinatura do Responsável:").
+ * O texto é procurado na camada de texto do PDF com o pdf.js e a assinatura é
+ * posicionada relativa à caixa encontrada, no mesmo sistema de coordenadas do
+ * frontend: pontos, origem no canto superior esquerdo da página visível.
+ */
+class AnchorService {
+
+  /**
+   * Valida a âncora enviada na API e converte para o formato armazenado
+   * @param {string|object} anchor - Texto ou { text, offsetX, offsetY, align, occurrence }
+   * @param {number} index - Posição da assinatura (começando em 1), usada nas mensagens
+   * @returns {object} - { texto, deslocamento: { x, y }, alinhamento, ocorrencia }
+   */
+  parseAnchor(anchor, index) {
+    const { text, offsetX, offsetY, align = 'right', occurrence } = typeof anchor === 'string' ? { text: anchor } : anchor || {};
+    const fail = (message) => new AppError(`${message} na assinatura ${index}`, {
+      status: 400,
+      code: 'INVALID_ANCHOR',
+      details: { signature: index }
+    });
+
+    if (typeof text !== 'string' || !text.trim()) {
+      throw fail('Texto da âncora é obrigatório');
+    }
+
+    if (!ALIGNMENTS.includes(align)) {
+      throw fail(`Alinhamento da âncora deve ser ${ALIGNMENTS.join(', ')}`);
+    }
+
+    const isOccurrence = occurrence === undefined || occurrence === null || occurrence === '' ||
+      occurrence === 'all' || (Number.isInteger(Number(occurrence)) && Number(occurrence) >= 1);
+    if (!isOccurrence) {
+      throw fail('Ocorrência da âncora deve ser um número a partir de 1 ou "all"');
+    }
+
+    return {
+      texto: text.trim(),
+      deslocamento: { x: parseFloat(offsetX) || 0, y: parseFloat(offsetY) || 0 },
+      alinhamento: align,
+      ocorrencia: occurrence === 'all' ? 'all' : (parseInt(occurrence, 10) || null)
+    };
+  }
+
+  /**
+   * Resolve as assinaturas com âncora em página e posição. Assinaturas sem âncora
+   * são mantidas como estão; uma âncora com occurrence 'all' gera uma assinatura
+   * por ocorrência.
+   * @param {Buffer} pdfBytes - PDF que receberá as assinaturas
+   * @param {object[]} signatures - Assinaturas no formato armazenado; as com âncora
+   *   trazem ancora: { texto, deslocamento: { x, y }, alinhamento, ocorrencia }
+   * @returns {object} - { signatures, ancoras } com as assinaturas resolvidas e o que cada âncora encontrou
+   */
+  async resolveSignatures(pdfBytes, signatures) {
+    if (!signatures.some((sig) => sig.ancora)) {
+      return { signatures, ancoras: [] };
+    }
+
+    const pages = await this.extractText(pdfBytes);
+    const resolved = [];
+    const ancoras = [];
+
+    signatures.forEach((sig, index) => {
+      if (!sig.ancora) {
+        resolved.push(sig);
+        return;
+      }
+
+      const matches = this.selectOccurrences(sig, index, this.findText(pages, sig.ancora.texto, sig.pagina));
+
+      for (const match of matches) {
+        const posicao = this.getPosition(match.caixa, sig.dimensoes, sig.ancora);
+
+        resolved.push({ ...sig, pagina: match.pagina, posicao });
+        ancoras.push({
+          assinatura: index + 1,
+          texto: sig.ancora.texto,
+          pagina: match.pagina,
+          caixa: match.caixa,
+          posicao
+        });
+      }
+    });
+
+    return { signatures: resolved, ancoras };
+  }
+
+  /**
+   * Escolhe as ocorrências usadas pela assinatura, falhando se a âncora não existir
+   * ou se houver mais de uma sem que a ocorrência tenha sido indicada
+   */
+  selectOccurrences(sig, index, matches) {
+    const { texto, ocorrencia } = sig.ancora;
+    const details = { signature: index + 1, anchor: texto };
+
+    if (matches.length === 0) {
+      throw new AppError(`Texto âncora "${texto}" da assinatura ${index + 1} não encontrado no documento`, {
+        status: 400,
+        code: 'ANCHOR_NOT_FOUND',
+        details: sig.pagina ? { ...details, page: sig.pagina } : details
+      });
+    }
+
+    if (ocorrencia === 'all') {
+      return matches;
+    }
+
+    if (ocorrencia !== undefined && ocorrencia !== null) {
+      const match = matches[ocorrencia - 1];
+      if (!match) {
+        throw new AppError(`Ocorrência ${ocorrencia} do texto âncora "${texto}" não existe (total: ${matches.length})`, {
+          status: 400,
+          code: 'ANCHOR_OCCURRENCE_NOT_FOUND',
+          details: { ...details, occurrences: matches }
+        });
+      }
+      return [match];
+    }
+
+    if (matches.length > 1) {
+      throw new AppError(
+        `Texto âncora "${texto}" da assinatura ${index + 1} aparece ${matches.length} vezes. Informe a ocorrência (número ou "all") ou a página`,
+        { status: 400, code: 'AMBIGUOUS_ANCHOR', details: { ...details, occurrences: matches } }
+      );
+    }
+
+    return matches;
+  }
+
+  /**
+   * Posição da assinatura (canto superior esquerdo) relativa à caixa da âncora
+   * @param {object} box - Caixa da âncora { x, y, width, height }
+   * @param {object} dimensoes - Tamanho da assinatura { largura, altura }
+   * @param {object} ancora - { alinhamento, deslocamento: { x, y } }
+   * @returns {object} - { x, y }
+   */
+  getPosition(box, dimensoes, ancora) {
+    const width = parseFloat(dimensoes.largura);
+    const height = parseFloat(dimensoes.altura);
+    const middleY = box.y + box.height / 2 - height / 2;
+    const deslocamento = ancora.deslocamento || {};
+
+    const positions = {
+      right: { x: box.x + box.width, y: middleY },
+      left: { x: box.x - width, y: middleY },
+      above: { x: box.x, y: box.y - height },
+      below: { x: box.x, y: box.y + box.height },
+      center: { x: box.x + box.width / 2 - width / 2, y: middleY }
+    };
+    const position = positions[ancora.alinhamento || 'right'];
+
+    return {
+      x: round(position.x + (parseFloat(deslocamento.x) || 0)),
+      y: round(position.y + (parseFloat(deslocamento.y) || 0))
+    };
+  }
+
+  /**
+   * Procura o texto em todas as páginas (ou só na indicada), ignorando espaços,
+   * quebras de linha e maiúsculas/minúsculas, já que o PDF pode quebrar uma frase
+   * em vários trechos
+   * @param {object[]} pages - Resultado de extractText
+   * @param {string} text - Texto âncora
+   * @param {number} [pageNumber] - Restringe a busca a uma página
+   * @returns {object[]} - [{ pagina, caixa: { x, y, width, height } }]
+   */
+  findText(pages, text, pageNumber) {
+    const needle = normalize(text).replace(/\s+/g, '');
+    const matches = [];
+
+    if (!needle) {
+      return matches;
+    }
+
+    for (const page of pages) {
+      if (pageNumber && page.page !== pageNumber) {
+        continue;
+      }
+
+      let from = 0;
+      let start;
+      while ((start = page.text.indexOf(needle, from)) !== -1) {
+        const chars = page.chars.slice(start, start + needle.length);
+        matches.push({ pagina: page.page, caixa: this.getBox(page, chars) });
+        from = start + needle.length;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Caixa que envolve os caracteres encontrados. A largura de cada trecho do pdf.js
+   * é dividida igualmente entre seus caracteres.
+   */
+  getBox(page, chars) {
+    const points = [];
+
+    for (const [itemIndex, group] of groupBy(chars, (char) => char.item)) {
+      const item = page.items[itemIndex];
+      const [a, b, c, d, e, f] = item.transform;
+      const scaleX = Math.hypot(a, b) || 1;
+      const scaleY = Math.hypot(c, d) || 1;
+      const height = item.height || scaleY;
+
+      const first = group[0].offset / item.length;
+      const last = (group[group.length - 1].offset + 1) / item.length;
+
+      // Cantos no espaço do PDF, seguindo a direção do texto
+      for (const along of [first, last]) {
+        for (const up of [0, 1]) {
+          const x = e + (a / scaleX) * item.width * along + (c / scaleY) * height * up;
+          const y = f + (b / scaleX) * item.width * along + (d / scaleY) * height * up;
+          points.push(page.viewport.convertToViewportPoint(x, y));
+        }
+      }
+    }
+
+    const xs = points.map((point) => point[0]);
+    const ys = points.map((point) => point[1]);
+
+    return {
+      x: round(Math.min(...xs)),
+      y: round(Math.min(...ys)),
+      width: round(Math.max(...xs) - Math.min(...xs)),
+      height: round(Math.max(...ys) - Math.min(...ys))
+    };
+  }
+
+  /**
+   * Lê a camada de texto de cada página com o pdf.js
+   * @param {Buffer} pdfBytes - Conteúdo do PDF
+   * @returns {object[]} - [{ page, viewport, items, text, chars }], onde text é o texto
+   *   sem espaços e chars[i] indica o trecho e a posição de cada caractere de text
+   */
+  async extractText(pdfBytes) {
+    // O pdf.js só é distribuído como módulo ES
+    const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    const pdf = await pdfjs.getDocument({
+      data: new Uint8Array(pdfBytes),
+      isEvalSupported: false,
+      verbosity: 0
+    }).promise;
+
+    try {
+      const pages = [];
+
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const content = await page.getTextContent();
+        const entry = {
+          page: pageNumber,
+          viewport: page.getViewport({ scale: 1 }),
+          items: [],
+          text: '',
+          chars: []
+        };
+
+        for (const item of content.items) {
+          if (!item.str) {
+            continue;
+          }
+
+          const chars = Array.from(normalize(item.str));
+          const itemIndex = entry.items.push({ ...item, length: chars.length }) - 1;
+
+          chars.forEach((char, offset) => {
+            if (!/\s/.test(char)) {
+              entry.text += char;
+              entry.chars.push({ item: itemIndex, offset });
+            }
+          });
+        }
+
+        pages.push(entry);
+      }
+
+      return pages;
+    } finally {
+      await pdf.destroy();
+    }
+  }
+}
+
+/**
+ * Texto para comparação: acentos compostos e minúsculas, sem mudar a quantidade
+ * de caracteres (cada caractere do PDF continua apontando para o seu trecho)
+ */
+function normalize(text) {
+  return Array.from(text.normalize('NFC'))
+    .map((char) => {
+      const lower = char.toLowerCase();
+      return lower.length === char.length ? lower : char;
+    })
+    .join('');
+}
+
+function groupBy(list, keyOf) {
+  const groups = new Map();
+  for (const entry of list) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+  return groups;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = new AnchorService();
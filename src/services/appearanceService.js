@@ -0,0 +1,404 @@
+const fs = require('fs-extra');
+const path = require('path');
+const signatureImageService = require('./signatureImageService');
+const svgUtils = require('../utils/svgUtils');
+const { AppError } = require('../utils/errors');
+
+const LAYOUTS = ['image', 'image-left', 'text-below', 'text-only'];
+const DEFAULT_TIMEZONE = process.env.SIGNATURE_TIMEZONE || 'America/Sao_Paulo';
+const DEFAULT_DATE_FORMAT = 'dd/MM/yyyy HH:mm:ss Z';
+const DEFAULT_HASH_LENGTH = 16;
+const MAX_TEXT_LENGTH = 200;
+
+// Presets disponíveis em qualquer instalação; os do arquivo SIGNATURE_APPEARANCES_FILE
+// acrescentam novos nomes ou substituem estes
+const BUILT_IN_PRESETS = {
+  'assinatura-e-dados': {
+    description: 'Assinatura à esquerda, nome, cargo e data à direita, com borda',
+    layout: 'image-left',
+    timestamp: true,
+    border: true
+  },
+  carimbo: {
+    description: 'Assinatura com nome, cargo, data e hash do documento abaixo, com borda',
+    layout: 'text-below',
+    timestamp: true,
+    hash: true,
+    border: true
+  },
+  'somente-texto': {
+    description: 'Apenas o texto (nome, cargo, data e hash), sem a imagem da assinatura',
+    layout: 'text-only',
+    timestamp: true,
+    hash: true,
+    border: true
+  }
+};
+
+/**
+ * Aparência do carimbo de cada assinatura: além da imagem, nome, cargo, data e
+ * hora em um fuso e formato escolhidos, trecho do hash do documento, logotipo
+ * e borda, nos layouts image (só a imagem), image-left (imagem à esquerda e
+ * texto à direita), text-below (texto abaixo da imagem) e text-only.
+ *
+ * A aparência vem da requisição (campo appearance) ou de um preset do servidor
+ * e é gravada já resolvida na assinatura (campo aparencia), para que o PDF
+ * final não mude se os presets forem alterados depois. O desenho fica no
+ * StampService.
+ */
+class AppearanceService {
+
+  /**
+   * Resolve a aparência enviada na requisição para o formato armazenado
+   * @param {string|object} input - Nome do preset, JSON ou objeto
+   *   { preset, layout, name, role, timestamp, hash, logo, logoOpacity, border, fontSize, color }
+   * @param {object} [context]
+   * @param {string} [context.label='Aparência inválida'] - Início da mensagem de erro
+   * @param {object} [context.details] - Dados extras incluídos no erro
+   * @param {object} [context.defaults] - Valores usados quando a aparência não os define (ex: { name })
+   * @returns {Promise<object|null>} - Aparência armazenada ou null se não foi enviada
+   */
+  async resolve(input, { label = 'Aparência inválida', details, defaults = {} } = {}) {
+    if (input === undefined || input === null || input === '') {
+      return null;
+    }
+
+    const fail = (message) => new AppError(`${label}: ${message}`, {
+      status: 400,
+      code: 'INVALID_SIGNATURE_APPEARANCE',
+      details
+    });
+
+    let options;
+    try {
+      options = this.readInput(input);
+    } catch (error) {
+      throw fail(error.message);
+    }
+
+    if (options.preset !== undefined) {
+      const presets = await this.loadPresets();
+      const preset = presets[options.preset];
+      if (!preset) {
+        throw fail(`Preset "${options.preset}" não existe. Disponíveis: ${Object.keys(presets).join(', ')}`);
+      }
+      options = { ...preset, ...options };
+    }
+
+    options = { ...defaults, ...options };
+
+    let aparencia;
+    try {
+      aparencia = this.parseOptions(options);
+    } catch (error) {
+      throw fail(error.message);
+    }
+
+    if (options.logo) {
+      const logo = await signatureImageService.normalize(options.logo, { label: `${label}: logo inválido`, details });
+      aparencia.logo = logo.imageData;
+    }
+
+    return aparencia;
+  }
+
+  readInput(input) {
+    if (typeof input === 'string') {
+      const text = input.trim();
+      if (!text.startsWith('{')) {
+        return { preset: text };
+      }
+
+      try {
+        input = JSON.parse(text);
+      } catch (error) {
+        throw new Error('JSON inválido');
+      }
+    }
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('Informe o nome de um preset ou um objeto');
+    }
+
+    return input;
+  }
+
+  /**
+   * Valida as opções (já com o preset aplicado) e converte para o formato armazenado
+   * @param {object} options - Opções da requisição
+   * @returns {object} - { layout, preset, nome, cargo, data, hash, logo, opacidade_logo, borda, fonte, cor }
+   */
+  parseOptions(options) {
+    const text = (value, field) => {
+      if (value === undefined || value === null || value === '') {
+        return null;
+      }
+      if (typeof value !== 'string') {
+        throw new Error(`${field} deve ser um texto`);
+      }
+      if (value.length > MAX_TEXT_LENGTH) {
+        throw new Error(`${field} deve ter no máximo ${MAX_TEXT_LENGTH} caracteres`);
+      }
+      return value.trim() || null;
+    };
+
+    const nome = text(options.name, 'name');
+    const cargo = text(options.role, 'role');
+    const data = this.parseTimestamp(options.timestamp);
+    const hash = this.parseHash(options.hash);
+    const hasText = Boolean(nome || cargo || data || hash);
+
+    const layout = options.layout === undefined ? (hasText ? 'text-below' : 'image') : options.layout;
+    if (!LAYOUTS.includes(layout)) {
+      throw new Error(`layout deve ser ${LAYOUTS.join(', ')}`);
+    }
+
+    if (layout === 'text-only' && !hasText) {
+      throw new Error('layout text-only precisa de ao menos um texto (name, role, timestamp ou hash)');
+    }
+
+    const opacidadeLogo = options.logoOpacity === undefined ? 0.15 : parseFloat(options.logoOpacity);
+    if (!(opacidadeLogo > 0 && opacidadeLogo <= 1)) {
+      throw new Error('logoOpacity deve ser um número maior que 0 e até 1');
+    }
+
+    const fonte = options.fontSize === undefined ? null : parseFloat(options.fontSize);
+    if (fonte !== null && !(fonte >= 4 && fonte <= 36)) {
+      throw new Error('fontSize deve estar entre 4 e 36');
+    }
+
+    return {
+      layout,
+      preset: options.preset || null,
+      nome,
+      cargo,
+      data,
+      hash,
+      logo: null,
+      opacidade_logo: opacidadeLogo,
+      borda: this.parseBorder(options.border),
+      fonte,
+      cor: options.color === undefined ? '#000000' : this.parseColor(options.color, 'color')
+    };
+  }
+
+  /**
+   * @param {boolean|object} value - true ou { timezone, format }
+   * @returns {object|null} - { fuso, formato }
+   */
+  parseTimestamp(value) {
+    if (!value) {
+      return null;
+    }
+
+    const options = value === true ? {} : value;
+    if (typeof options !== 'object') {
+      throw new Error('timestamp deve ser true ou { timezone, format }');
+    }
+
+    const fuso = options.timezone || DEFAULT_TIMEZONE;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: fuso });
+    } catch (error) {
+      throw new Error(`Fuso horário desconhecido: ${fuso}`);
+    }
+
+    const formato = options.format || DEFAULT_DATE_FORMAT;
+    if (typeof formato !== 'string' || formato.length > 60) {
+      throw new Error('timestamp.format deve ser um texto de até 60 caracteres');
+    }
+
+    return { fuso, formato };
+  }
+
+  /**
+   * @param {boolean|number} value - true (16 caracteres) ou quantidade de caracteres do SHA-256
+   * @returns {number} - Caracteres do hash exibidos (0 = sem hash)
+   */
+  parseHash(value) {
+    if (!value) {
+      return 0;
+    }
+
+    const length = value === true ? DEFAULT_HASH_LENGTH : parseInt(value, 10);
+    if (!Number.isInteger(length) || length < 8 || length > 64) {
+      throw new Error('hash deve ser true ou um número de caracteres entre 8 e 64');
+    }
+
+    return length;
+  }
+
+  /**
+   * @param {boolean|object} value - true ou { color, width }
+   * @returns {object|null} - { cor, espessura }
+   */
+  parseBorder(value) {
+    if (!value) {
+      return null;
+    }
+
+    const options = value === true ? {} : value;
+    if (typeof options !== 'object') {
+      throw new Error('border deve ser true ou { color, width }');
+    }
+
+    const espessura = options.width === undefined ? 1 : parseFloat(options.width);
+    if (!(espessura > 0 && espessura <= 10)) {
+      throw new Error('border.width deve ser maior que 0 e até 10');
+    }
+
+    return {
+      cor: options.color === undefined ? '#000000' : this.parseColor(options.color, 'border.color'),
+      espessura
+    };
+  }
+
+  parseColor(value, field) {
+    let color;
+    try {
+      color = svgUtils.parseColor(value);
+    } catch (error) {
+      color = null;
+    }
+
+    if (!color) {
+      throw new Error(`${field} deve ser uma cor (#rrggbb, #rgb ou rgb())`);
+    }
+    return color;
+  }
+
+  /**
+   * Linhas de texto do carimbo, na ordem em que são desenhadas
+   * @param {object} aparencia - Aparência armazenada
+   * @param {object} context
+   * @param {string} context.signedAt - Data da assinatura (ISO)
+   * @param {string} context.documentHash - SHA-256 (hex) do PDF original
+   * @returns {object[]} - [{ text, bold }]
+   */
+  getLines(aparencia, { signedAt, documentHash }) {
+    const lines = [];
+
+    if (aparencia.nome) {
+      lines.push({ text: aparencia.nome, bold: true });
+    }
+    if (aparencia.cargo) {
+      lines.push({ text: aparencia.cargo });
+    }
+    if (aparencia.data) {
+      lines.push({ text: `Assinado em ${this.formatDate(signedAt, aparencia.data)}` });
+    }
+    if (aparencia.hash) {
+      lines.push({ text: `SHA-256 ${documentHash.slice(0, aparencia.hash)}` });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Formata a data no fuso informado. Marcadores: yyyy, yy, MM, dd, HH, mm, ss
+   * e Z (deslocamento, ex: -03:00); o restante do formato é mantido.
+   * @param {string} iso - Data em ISO 8601
+   * @param {object} options - { fuso, formato }
+   * @returns {string}
+   */
+  formatDate(iso, { fuso, formato }) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: fuso,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      timeZoneName: 'longOffset'
+    });
+
+    for (const part of formatter.formatToParts(new Date(iso))) {
+      parts[part.type] = part.value;
+    }
+
+    const offset = parts.timeZoneName.replace(/^GMT/, '') || '+00:00';
+    const values = {
+      yyyy: parts.year,
+      yy: parts.year.slice(-2),
+      MM: parts.month,
+      dd: parts.day,
+      HH: parts.hour,
+      mm: parts.minute,
+      ss: parts.second,
+      Z: offset
+    };
+
+    return formato.replace(/yyyy|yy|MM|dd|HH|mm|ss|Z/g, (token) => values[token]);
+  }
+
+  /**
+   * Aparência armazenada sem os bytes do logotipo, para respostas da API
+   * @param {object|null} aparencia
+   * @returns {object|null}
+   */
+  toJSON(aparencia) {
+    if (!aparencia) {
+      return null;
+    }
+
+    const { logo, ...rest } = aparencia;
+    return { ...rest, logo: Boolean(logo) };
+  }
+
+  /**
+   * @returns {object[]} - Presets disponíveis ({ name, description, ...opções })
+   */
+  async listPresets() {
+    const presets = await this.loadPresets();
+
+    return Object.entries(presets).map(([name, { logo, ...options }]) => ({
+      name,
+      ...options,
+      ...(logo && { logo: true })
+    }));
+  }
+
+  /**
+   * Presets embutidos mais os do arquivo SIGNATURE_APPEARANCES_FILE
+   * ({ "nome": { layout, role, timestamp, hash, logo, logoFile, border, ... } }).
+   * logoFile é lido relativo ao arquivo de presets. O arquivo é lido uma vez.
+   * @returns {Promise<object>}
+   */
+  async loadPresets() {
+    if (!this.presets) {
+      this.presets = this.readPresetsFile(process.env.SIGNATURE_APPEARANCES_FILE).catch((error) => {
+        this.presets = null;
+        throw error;
+      });
+    }
+
+    return this.presets;
+  }
+
+  async readPresetsFile(file) {
+    if (!file) {
+      return BUILT_IN_PRESETS;
+    }
+
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Não foi possível ler os presets de aparência (${file}): ${error.message}`);
+    }
+
+    const presets = { ...BUILT_IN_PRESETS };
+    for (const [name, { logoFile, preset, ...options }] of Object.entries(content)) {
+      presets[name] = logoFile
+        ? { ...options, logo: (await fs.readFile(path.resolve(path.dirname(file), logoFile))).toString('base64') }
+        : options;
+    }
+
+    return presets;
+  }
+}
+
+module.exports = new AppearanceService();
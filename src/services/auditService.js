@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const AUDIT_DIR = process.env.AUDIT_LOG_DIR || path.join(__dirname, '..', '..', 'data', 'audit');
+const PREVIEWS_DIR = path.join(AUDIT_DIR, 'previews');
+const PREVIEW_TTL_MS = (parseFloat(process.env.AUDIT_PREVIEW_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Trilha de auditoria de cada documento: upload, preview, assinaturas, downloads
+ * e exclusão. Cada documento tem um arquivo JSONL onde os eventos só são
+ * acrescentados; cada evento guarda o hash do anterior, então qualquer edição
+ * ou remoção no meio do arquivo quebra o encadeamento (ver verifyChain).
+ *
+ * A trilha fica fora do DocumentStore e continua disponível depois que o
+ * documento é excluído ou expira.
+ */
+class AuditService {
+
+  constructor() {
+    // Escritas de um mesmo documento são feitas em sequência para manter o encadeamento
+    this.writes = new Map();
+  }
+
+  /**
+   * Dados do cliente registrados em cada evento
+   * @param {object} request - Requisição do Express
+   * @returns {object} - { ip, user_agent, usuario, request_id }
+   */
+  getClient(request) {
+    return {
+      ip: request.ip || (request.socket && request.socket.remoteAddress) || null,
+      user_agent: request.get('user-agent') || null,
+      usuario: request.user ? { id: request.user.id, email: request.user.email } : null,
+      request_id: request.id || null
+    };
+  }
+
+  /**
+   * @param {Buffer|string} data - Conteúdo
+   * @returns {string|null} - SHA-256 em hexadecimal
+   */
+  hash(data) {
+    if (data === undefined || data === null) {
+      return null;
+    }
+
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Acrescenta um evento à trilha do documento
+   * @param {string} documentId - ID do documento
+   * @param {string} evento - upload, preview, assinatura, download ou exclusao
+   * @param {object} [data]
+   * @param {object} [data.cliente] - { ip, user_agent, usuario } (ver getClient)
+   * @param {Buffer} [data.entrada] - Conteúdo de entrada do evento (hash gravado)
+   * @param {Buffer} [data.saida] - Conteúdo gerado pelo evento (hash gravado)
+   * @param {object} [data.detalhes] - Dados específicos do evento
+   * @param {string} [data.timestamp] - Data do evento, quando diferente do registro
+   * @returns {Promise<object>} - Evento gravado
+   */
+  record(documentId, evento, data = {}) {
+    const file = this.getTrailFile(documentId);
+
+    const previous = this.writes.get(documentId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const entries = await this.readEntries(file);
+      const last = entries[entries.length - 1];
+
+      const entry = this.createEntry(evento, data, {
+        sequencia: entries.length + 1,
+        hash_anterior: last ? last.hash : null
+      });
+
+      await fs.ensureDir(path.dirname(file));
+      await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+      return entry;
+    });
+
+    this.writes.set(documentId, write);
+    write.catch(() => {}).finally(() => {
+      if (this.writes.get(documentId) === write) {
+        this.writes.delete(documentId);
+      }
+    });
+
+    return write;
+  }
+
+  /**
+   * Registra o preview de um arquivo. Como o preview acontece antes de o documento
+   * existir, o evento fica pendente, guardado pelo usuário e pelo hash do arquivo,
+   * até um upload do mesmo arquivo pelo mesmo usuário (ver attachPreviews) ou até
+   * expirar (AUDIT_PREVIEW_TTL_HOURS).
+   * @param {Buffer} fileBytes - Arquivo enviado para o preview
+   * @param {object} data - Mesmo formato de record (cliente, saida, detalhes)
+   */
+  async recordPreview(fileBytes, data = {}) {
+    const file = this.getPreviewFile(data.cliente && data.cliente.usuario, fileBytes);
+    if (!file) {
+      return;
+    }
+
+    const entry = this.createEntry('preview', { ...data, entrada: fileBytes });
+
+    await fs.ensureDir(PREVIEWS_DIR);
+    await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Move para a trilha do documento os previews pendentes do mesmo arquivo feitos
+   * pelo usuário do upload. Os previews entram em um único documento e são removidos.
+   * @param {string} documentId - ID do documento
+   * @param {Buffer} fileBytes - Arquivo enviado no upload
+   * @param {object} [usuario] - Usuário do upload ({ id, email })
+   */
+  async attachPreviews(documentId, fileBytes, usuario) {
+    const file = this.getPreviewFile(usuario, fileBytes);
+    if (!file) {
+      return;
+    }
+
+    // O rename separa os previews de uploads simultâneos do mesmo arquivo
+    const claimed = `${file}.${documentId}`;
+    try {
+      await fs.rename(file, claimed);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const previews = (await this.readEntries(claimed)).filter((preview) => !this.isPreviewExpired(preview.timestamp));
+    await fs.remove(claimed);
+
+    for (const preview of previews) {
+      await this.record(documentId, 'preview', {
+        cliente: {
+          ip: preview.ip,
+          user_agent: preview.user_agent,
+          usuario: preview.usuario,
+          request_id: preview.request_id
+        },
+        hashes: { entrada: preview.hash_entrada, saida: preview.hash_saida },
+        detalhes: preview.detalhes,
+        timestamp: preview.timestamp
+      });
+    }
+  }
+
+  /**
+   * Remove os previews pendentes que expiraram sem upload correspondente
+   * @returns {number} - Quantidade de arquivos removidos
+   */
+  async purgeExpiredPreviews() {
+    if (!(await fs.pathExists(PREVIEWS_DIR))) {
+      return 0;
+    }
+
+    let removed = 0;
+    for (const name of await fs.readdir(PREVIEWS_DIR)) {
+      const file = path.join(PREVIEWS_DIR, name);
+      const stats = await fs.stat(file).catch(() => null);
+
+      // O arquivo é só acrescentado: a última alteração é a do preview mais recente
+      if (stats && this.isPreviewExpired(stats.mtime)) {
+        await fs.remove(file);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Executa a limpeza de previews expirados periodicamente sem impedir o encerramento do processo
+   * @param {number} intervalMs - Intervalo entre limpezas
+   */
+  startCleanup(intervalMs) {
+    const timer = setInterval(() => {
+      this.purgeExpiredPreviews().catch((error) => {
+        console.warn('Aviso: falha ao remover previews expirados da auditoria:', error.message);
+      });
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * @param {object} [usuario] - { id, email }
+   * @param {Buffer} fileBytes
+   * @returns {string|null} - Arquivo dos previews pendentes, ou null sem usuário
+   */
+  getPreviewFile(usuario, fileBytes) {
+    if (!usuario || !usuario.id) {
+      return null;
+    }
+
+    return path.join(PREVIEWS_DIR, `${this.hash(`${usuario.id}:${this.hash(fileBytes)}`)}.jsonl`);
+  }
+
+  isPreviewExpired(date) {
+    return new Date(date).getTime() + PREVIEW_TTL_MS <= Date.now();
+  }
+
+  /**
+   * Registra o upload de um documento e cada assinatura aplicada a ele. No evento
+   * assinatura, o hash de entrada é o da imagem da assinatura (se houver).
+   * @param {object} record - Documento recém-criado no DocumentStore
+   * @param {object} data
+   * @param {object} data.cliente - { ip, user_agent, usuario }
+   * @param {Buffer} data.arquivo - Arquivo enviado (.docx, .doc ou .pdf)
+   * @param {Buffer} data.pdf - PDF armazenado para assinatura
+   * @param {object} [data.detalhes] - Dados extras do upload
+   */
+  async recordUpload(record, { cliente, arquivo, pdf, detalhes }) {
+    await this.attachPreviews(record.id, arquivo, cliente && cliente.usuario);
+
+    await this.record(record.id, 'upload', {
+      cliente,
+      entrada: arquivo,
+      saida: pdf,
+      detalhes: { nome: record.nome, ...detalhes }
+    });
+
+    for (const [index, sig] of record.signatures.entries()) {
+      await this.record(record.id, 'assinatura', {
+        cliente,
+        // Carimbos só de texto não têm imagem
+        entrada: sig.imageData ? Buffer.from(sig.imageData.replace(/^data:[^,]*,/, ''), 'base64') : undefined,
+        detalhes: {
+          assinatura: index + 1,
+          pagina: sig.pagina || 1,
+          posicao: sig.posicao,
+          dimensoes: sig.dimensoes
+        }
+      });
+    }
+  }
+
+  /**
+   * @param {string} documentId - ID do documento
+   * @returns {Promise<object[]|null>} - Eventos em ordem ou null se não houver trilha
+   */
+  async getTrail(documentId) {
+    if (!ID_PATTERN.test(documentId)) {
+      return null;
+    }
+
+    // Aguarda eventos ainda sendo gravados
+    await Promise.resolve(this.writes.get(documentId)).catch(() => {});
+
+    const file = this.getTrailFile(documentId);
+    if (!(await fs.pathExists(file))) {
+      return null;
+    }
+
+    return this.readEntries(file);
+  }
+
+  /**
+   * Confere o encadeamento dos hashes da trilha
+   * @param {object[]} entries - Eventos da trilha
+   * @returns {boolean} - False se algum evento foi alterado, removido ou reordenado
+   */
+  verifyChain(entries) {
+    let previousHash = null;
+
+    return entries.every((entry, index) => {
+      const { hash, ...content } = entry;
+      const valid = entry.sequencia === index + 1 &&
+        entry.hash_anterior === previousHash &&
+        hash === this.hash(JSON.stringify(content));
+
+      previousHash = hash;
+      return valid;
+    });
+  }
+
+  /**
+   * Monta o evento com os hashes de entrada e saída e o hash do próprio evento
+   */
+  createEntry(evento, { cliente = {}, entrada, saida, hashes = {}, detalhes, timestamp }, chain = {}) {
+    const content = {
+      ...(chain.sequencia && { sequencia: chain.sequencia }),
+      evento,
+      timestamp: timestamp || new Date().toISOString(),
+      ip: cliente.ip || null,
+      user_agent: cliente.user_agent || null,
+      ...(cliente.usuario && { usuario: cliente.usuario }),
+      ...(cliente.request_id && { request_id: cliente.request_id }),
+      hash_entrada: hashes.entrada || this.hash(entrada),
+      hash_saida: hashes.saida || this.hash(saida),
+      detalhes: detalhes || {},
+      ...(chain.sequencia && { hash_anterior: chain.hash_anterior })
+    };
+
+    return { ...content, hash: this.hash(JSON.stringify(content)) };
+  }
+
+  async readEntries(file) {
+    if (!(await fs.pathExists(file))) {
+      return [];
+    }
+
+    const content = await fs.readFile(file, 'utf8');
+    return content
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  getTrailFile(documentId) {
+    if (!ID_PATTERN.test(documentId)) {
+      throw new Error(`ID de documento inválido para auditoria: ${documentId}`);
+    }
+
+    return path.join(AUDIT_DIR, `${documentId}.jsonl`);
+  }
+}
+
+module.exports = new AuditService();
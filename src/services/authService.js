@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const userStore = require('../storage/userStore');
+const { AppError } = require('../utils/errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'sender', 'signer'];
+const API_KEY_PREFIX = 'ak_';
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Usuários, senhas, sessões JWT e chaves de API.
+ *
+ * Papéis:
+ * - admin: gerencia usuários e acessa todos os documentos
+ * - sender: envia documentos, lotes e envelopes e acessa os próprios documentos
+ * - signer: acessa os envelopes para os quais foi convidado (pelo e-mail)
+ */
+class AuthService {
+
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET;
+    this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '8h';
+
+    if (!this.jwtSecret) {
+      // Sem segredo configurado, as sessões deixam de valer quando o servidor reinicia
+      this.jwtSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('Aviso: JWT_SECRET não configurado, usando segredo temporário');
+    }
+  }
+
+  /**
+   * Cria um usuário
+   * @param {object} data - { name, email, password, role }
+   * @returns {object} - Usuário (ver toJSON)
+   */
+  async createUser({ name, email, password, role = 'sender' } = {}) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new AppError('Nome é obrigatório', { status: 400, code: 'INVALID_USER', details: { field: 'name' } });
+    }
+
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      throw new AppError('E-mail inválido', { status: 400, code: 'INVALID_USER', details: { field: 'email' } });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new AppError(`Senha deve ter ao menos ${MIN_PASSWORD_LENGTH} caracteres`, {
+        status: 400,
+        code: 'INVALID_USER',
+        details: { field: 'password' }
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      throw new AppError(`Papel deve ser ${ROLES.join(', ')}`, { status: 400, code: 'INVALID_USER', details: { field: 'role' } });
+    }
+
+    // E-mail repetido é recusado pelo UserStore (EMAIL_IN_USE), depois do hash da senha
+    const user = await userStore.create({
+      nome: name.trim(),
+      email: normalizedEmail,
+      role,
+      password_hash: await this.hashPassword(password)
+    });
+
+    return this.toJSON(user);
+  }
+
+  /**
+   * Cria o administrador de ADMIN_EMAIL/ADMIN_PASSWORD se ele ainda não existir
+   */
+  async ensureAdmin() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD || await userStore.findByEmail(ADMIN_EMAIL)) {
+      return;
+    }
+
+    await this.createUser({ name: 'Administrador', email: ADMIN_EMAIL, password: ADMIN_PASSWORD, role: 'admin' });
+    console.log(`Usuário administrador criado: ${ADMIN_EMAIL}`);
+  }
+
+  /**
+   * Confere e-mail e senha e abre uma sessão
+   * @param {string} email
+   * @param {string} password
+   * @returns {object} - { token, expiresIn, user }
+   */
+  async login(email, password) {
+    const user = await userStore.findByEmail(email);
+
+    // E-mail sem cadastro também passa pelo scrypt, para que o tempo de resposta não revele quais e-mails existem
+    const valid = await this.verifyPassword(password, user ? user.password_hash : await this.getDummyHash());
+
+    if (!user || !valid) {
+      throw new AppError('E-mail ou senha inválidos', { status: 401, code: 'INVALID_CREDENTIALS' });
+    }
+
+    return {
+      token: jwt.sign({ role: user.role }, this.jwtSecret, { subject: user.id, expiresIn: this.jwtExpiresIn }),
+      expiresIn: this.jwtExpiresIn,
+      user: this.toJSON(user)
+    };
+  }
+
+  /**
+   * Identifica o usuário da requisição pelo JWT (Authorization: Bearer) ou pela
+   * chave de API (X-API-Key ou Authorization: Bearer ak_...)
+   * @param {object} headers - Cabeçalhos da requisição
+   * @returns {object} - Usuário armazenado
+   */
+  async authenticate(headers) {
+    const authorization = headers.authorization || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    const apiKey = headers['x-api-key'] || (bearer && bearer.startsWith(API_KEY_PREFIX) ? bearer : null);
+
+    if (apiKey) {
+      const found = await userStore.findByApiKeyHash(this.hashApiKey(apiKey));
+      if (!found) {
+        throw new AppError('Chave de API inválida', { status: 401, code: 'INVALID_API_KEY' });
+      }
+      return found.user;
+    }
+
+    if (!bearer) {
+      throw new AppError('Autenticação obrigatória', { status: 401, code: 'AUTH_REQUIRED' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(bearer, this.jwtSecret);
+    } catch (error) {
+      throw new AppError('Sessão inválida ou expirada', { status: 401, code: 'INVALID_TOKEN' });
+    }
+
+    // Usuário relido a cada requisição: removido ou com papel alterado vale na hora
+    const user = await userStore.findById(payload.sub);
+    if (!user) {
+      throw new AppError('Sessão inválida ou expirada', { status: 401, code: 'INVALID_TOKEN' });
+    }
+
+    return user;
+  }
+
+  /**
+   * Cria uma chave de API para o usuário. A chave só é devolvida nesta resposta.
+   * @param {object} user - Usuário autenticado
+   * @param {string} [name] - Descrição da chave
+   * @returns {object} - { key, id, nome, prefixo, createdAt }
+   */
+  async createApiKey(user, name) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = {
+      id: crypto.randomUUID(),
+      nome: name || 'Chave de API',
+      prefixo: key.slice(0, 8),
+      hash: this.hashApiKey(key),
+      createdAt: new Date().toISOString()
+    };
+
+    await userStore.update(user.id, (current) => ({ api_keys: [...(current.api_keys || []), apiKey] }));
+
+    const { hash, ...publicKey } = apiKey;
+    return { key, ...publicKey };
+  }
+
+  /**
+   * @param {object} user - Usuário autenticado
+   * @param {string} keyId - ID da chave
+   * @returns {boolean} - True se a chave existia
+   */
+  async revokeApiKey(user, keyId) {
+    let removed = false;
+
+    await userStore.update(user.id, (current) => {
+      const apiKeys = current.api_keys || [];
+      removed = apiKeys.some((key) => key.id === keyId);
+      return { api_keys: apiKeys.filter((key) => key.id !== keyId) };
+    });
+
+    return removed;
+  }
+
+  /**
+   * Usuário pode ver e baixar o documento: admin, dono ou convidado de um envelope
+   * @param {object} user - Usuário autenticado
+   * @param {object} record - Documento do DocumentStore
+   * @returns {boolean}
+   */
+  canAccess(user, record) {
+    if (this.canManage(user, record)) {
+      return true;
+    }
+
+    return Boolean(record.envelope) && record.envelope.signatarios.some((signatario) =>
+      signatario.email && signatario.email.toLowerCase() === user.email);
+  }
+
+  /**
+   * Usuário pode excluir o documento: admin ou dono
+   * @param {object} user - Usuário autenticado
+   * @param {object} record - Documento do DocumentStore
+   * @returns {boolean}
+   */
+  canManage(user, record) {
+    return user.role === 'admin' || (Boolean(record.owner) && record.owner === user.id);
+  }
+
+  /**
+   * Dados públicos do usuário (sem senha nem hashes das chaves)
+   * @param {object} user - Usuário armazenado
+   * @returns {object}
+   */
+  toJSON(user) {
+    return {
+      id: user.id,
+      nome: user.nome,
+      email: user.email,
+      role: user.role,
+      api_keys: (user.api_keys || []).map(({ hash, ...apiKey }) => apiKey),
+      createdAt: user.createdAt
+    };
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+  }
+
+  // Hash de uma senha aleatória, gerado uma vez, conferido no login de e-mails sem cadastro
+  getDummyHash() {
+    if (!this.dummyHash) {
+      this.dummyHash = this.hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return this.dummyHash;
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || typeof password !== 'string') {
+      return false;
+    }
+
+    const expectedHash = Buffer.from(expected, 'base64');
+    const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length);
+    return crypto.timingSafeEqual(hash, expectedHash);
+  }
+
+  hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+}
+
+module.exports = new AuthService();
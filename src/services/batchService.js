@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const path = require('path');
+const archiver = require('archiver');
+const pdfInputService = require('./pdfInputService');
+const anchorService = require('./anchorService');
+const stampService = require('./stampService');
+const verificationService = require('./verificationService');
+const digitalSignatureService = require('./digitalSignatureService');
+const pdfOutputService = require('./pdfOutputService');
+const auditService = require('./auditService');
+const authService = require('./authService');
+const webhookService = require('./webhookService');
+const documentStore = require('../storage/documentStore');
+const batchStore = require('../storage/batchStore');
+const { apiPath } = require('../utils/apiPaths');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Assinatura em lote: cada arquivo (.docx, .doc ou .pdf) é convertido, validado
+ * e armazenado com as mesmas assinaturas. Os documentos do lote compartilham o
+ * campo lote.id, usado para baixar todos os PDFs assinados em um único ZIP.
+ */
+class BatchService {
+
+  /**
+   * Processa os documentos do lote. Falhas em um documento não interrompem os demais.
+   * O resultado de cada item fica no BatchStore, para o manifest.json do ZIP.
+   * @param {object[]} files - [{ nome, buffer, indice, detalhes, modelo }] (indice: posição no lote, se diferente
+   *   da posição na lista; detalhes: acrescentados ao evento de upload na auditoria; modelo: versão do
+   *   template de origem, gravada no documento)
+   * @param {object[]} signatures - Assinaturas no formato armazenado ({ pagina, posicao, dimensoes, imageData, ancora })
+   * @param {object} [context]
+   * @param {object} [context.cliente] - { ip, user_agent, usuario } registrado na auditoria
+   * @param {string} [context.owner] - ID do usuário dono dos documentos
+   * @param {object[]} [context.falhas] - Itens do lote que falharam antes do processamento
+   *   (ex: registros da mesclagem), no mesmo formato dos resultados com erro
+   * @returns {object} - { id, documentos: [{ index, status, ... }] }, na ordem do lote
+   */
+  async signDocuments(files, signatures, { cliente, owner, falhas = [] } = {}) {
+    const batchId = crypto.randomUUID();
+
+    // As conversões rodam em paralelo, limitadas pela fila de conversões
+    const processados = await Promise.all(files.map(async (file, index) => {
+      const indice = file.indice || index + 1;
+
+      try {
+        return await this.signDocument(file, signatures, { lote: { id: batchId, indice }, cliente, owner });
+      } catch (error) {
+        console.error(`Erro no documento ${indice} do lote:`, error.message);
+
+        return {
+          index: indice,
+          nome: file.nome,
+          status: 'erro',
+          erro: error instanceof AppError
+            ? error.toJSON()
+            : { error: 'Erro ao processar documento', message: error.message }
+        };
+      }
+    }));
+
+    const documentos = [...processados, ...falhas].sort((a, b) => a.index - b.index);
+
+    await batchStore.create({
+      id: batchId,
+      owner,
+      itens: documentos.map((documento) => ({
+        indice: documento.index,
+        nome: documento.nome,
+        status: documento.status,
+        ...(documento.id && { id: documento.id }),
+        ...(documento.erro && { erro: documento.erro })
+      }))
+    });
+
+    return { id: batchId, documentos };
+  }
+
+  /**
+   * Converte (se necessário), valida e armazena um documento do lote
+   * @param {object} file - { nome, buffer, detalhes, modelo }
+   * @param {object[]} signatures - Assinaturas no formato armazenado
+   * @param {object} context
+   * @param {object} context.lote - { id, indice }
+   * @param {object} [context.cliente] - { ip, user_agent, usuario } registrado na auditoria
+   * @param {string} [context.owner] - ID do usuário dono do documento
+   * @returns {object} - Resultado do documento
+   */
+  async signDocument(file, signatures, { lote, cliente, owner }) {
+    const { pdfBytes, pdfDoc } = await pdfInputService.fromBuffer(file.buffer, { arquivo: file.nome, owner });
+    const totalPages = pdfDoc.getPageCount();
+
+    // Âncoras são procuradas em cada documento, já que o layout muda de um para outro
+    const { signatures: resolved, ancoras } = await anchorService.resolveSignatures(pdfBytes, signatures);
+    stampService.validatePages(resolved, totalPages);
+
+    const arquivoFinal = `${path.parse(file.nome).name}_assinado.pdf`;
+    const documento = await documentStore.create({
+      nome: file.nome,
+      arquivo_final: arquivoFinal,
+      owner,
+      lote,
+      signatures: resolved,
+      ...(file.modelo && { modelo: file.modelo }),
+      processedAt: new Date().toISOString()
+    }, {
+      'original.pdf': pdfBytes
+    });
+
+    await auditService.recordUpload(documento, {
+      cliente,
+      arquivo: file.buffer,
+      pdf: pdfBytes,
+      detalhes: { lote, ...file.detalhes }
+    });
+
+    webhookService.emitProcessed(documento, { total_paginas: totalPages });
+
+    return {
+      index: lote.indice,
+      id: documento.id,
+      nome: file.nome,
+      tamanho: file.buffer.length,
+      total_paginas: totalPages,
+      status: 'processado',
+      arquivo_final: arquivoFinal,
+      download: apiPath(`/download/${documento.id}`),
+      ...(ancoras.length > 0 && { ancoras })
+    };
+  }
+
+  /**
+   * @param {string} batchId - ID do lote
+   * @returns {object[]} - Documentos do lote ainda não expirados, na ordem de envio
+   */
+  async getDocuments(batchId) {
+    const records = await documentStore.list();
+
+    return records
+      .filter((record) => record.lote && record.lote.id === batchId)
+      .sort((a, b) => a.lote.indice - b.lote.indice);
+  }
+
+  /**
+   * Cria o ZIP com os PDFs assinados do lote e um manifest.json. O conteúdo é
+   * gerado enquanto o stream é consumido, um documento por vez.
+   * @param {string} batchId - ID do lote
+   * @param {object} [options] - Opções de assinatura digital, certificado, verificação e saída (ver VerificationService.issue)
+   * @param {object} context
+   * @param {object} context.usuario - Usuário autenticado; só entram os documentos que ele pode acessar
+   * @param {object} [context.cliente] - { ip, user_agent, usuario } registrado no download de cada documento
+   * @returns {Readable|null} - Stream do ZIP ou null se o lote não existir
+   */
+  async createZip(batchId, options = {}, { usuario, cliente }) {
+    const records = (await this.getDocuments(batchId))
+      .filter((record) => authService.canAccess(usuario, record));
+    if (records.length === 0) {
+      return null;
+    }
+
+    // Itens sem documento acessível (falhas, expirados) só aparecem para quem gerencia o lote
+    const batch = await batchStore.get(batchId);
+    const itens = batch && authService.canManage(usuario, batch) ? batch.itens : [];
+
+    // Falha de configuração deve virar erro HTTP antes de o ZIP começar a ser enviado
+    if (options.digitalSignature) {
+      await digitalSignatureService.loadCertificate();
+    }
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    this.fillZip(archive, batchId, records, itens, options, cliente).catch((error) => {
+      console.error('Erro ao gerar ZIP do lote:', error);
+      archive.abort();
+    });
+
+    return archive;
+  }
+
+  /**
+   * Assina cada documento e adiciona ao ZIP. O manifest lista todos os itens do
+   * lote na ordem de envio; os que falharam ou não estão mais disponíveis ficam só nele.
+   * @param {object[]} itens - Itens do lote no BatchStore (vazio em lotes sem registro)
+   */
+  async fillZip(archive, batchId, records, itens, options, cliente) {
+    const byIndex = new Map(records.map((record) => [record.lote.indice, record]));
+    const missing = itens
+      .filter((item) => !byIndex.has(item.indice))
+      .map((item) => ({ indice: item.indice, ...this.describeMissing(item) }));
+
+    const entries = [...records.map((record) => ({ indice: record.lote.indice, record })), ...missing]
+      .sort((a, b) => a.indice - b.indice);
+    const width = String(entries[entries.length - 1].indice).length;
+
+    const manifest = {
+      lote: batchId,
+      gerado_em: new Date().toISOString(),
+      assinatura_digital: Boolean(options.digitalSignature),
+      total_itens: entries.length,
+      documentos: []
+    };
+
+    for (const { record, ...missingEntry } of entries) {
+      if (!record) {
+        manifest.documentos.push(missingEntry);
+        continue;
+      }
+
+      const entry = { indice: record.lote.indice, id: record.id, nome: record.nome };
+
+      try {
+        const originalPdfBytes = await documentStore.getFile(record.id, 'original.pdf');
+        const { pdfBytes, verificacao } = await verificationService.issue(record, originalPdfBytes, options);
+
+        // Prefixo com a posição no lote evita nomes repetidos dentro do ZIP
+        const fileName = `${String(record.lote.indice).padStart(width, '0')}-${record.arquivo_final}`;
+        archive.append(pdfBytes, { name: fileName });
+
+        await auditService.record(record.id, 'download', {
+          cliente,
+          entrada: originalPdfBytes,
+          saida: pdfBytes,
+          detalhes: {
+            assinatura_digital: Boolean(options.digitalSignature),
+            certificado_conclusao: Boolean(options.completionCertificate),
+            ...(options.output && { saida: pdfOutputService.describe(options.output) }),
+            lote: { id: batchId },
+            ...(verificacao && { codigo_verificacao: verificacao.codigo })
+          }
+        });
+
+        webhookService.emitCompleted(record, pdfBytes, {
+          origem: 'lote',
+          assinatura_digital: Boolean(options.digitalSignature),
+          ...(verificacao && { codigo_verificacao: verificacao.codigo })
+        });
+
+        manifest.documentos.push({
+          ...entry,
+          status: 'assinado',
+          arquivo: fileName,
+          tamanho: pdfBytes.length,
+          sha256: crypto.createHash('sha256').update(pdfBytes).digest('hex'),
+          ...(verificacao && { codigo_verificacao: verificacao.codigo, verificacao: verificacao.url })
+        });
+      } catch (error) {
+        manifest.documentos.push({
+          ...entry,
+          status: 'erro',
+          erro: error.message,
+          ...(error instanceof AppError && { codigo: error.code })
+        });
+      }
+    }
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    await archive.finalize();
+  }
+
+  /**
+   * Entrada do manifest para um item do lote sem documento no ZIP
+   * @param {object} item - Item do BatchStore
+   * @returns {object} - { nome, status, erro, codigo }
+   */
+  describeMissing(item) {
+    if (item.status !== 'erro') {
+      return {
+        ...(item.id && { id: item.id }),
+        nome: item.nome,
+        status: 'indisponivel',
+        erro: 'Documento expirado ou excluído'
+      };
+    }
+
+    const erro = item.erro || {};
+    return {
+      nome: item.nome,
+      status: 'erro',
+      erro: erro.message ? `${erro.error}: ${erro.message}` : erro.error,
+      ...(erro.code && { codigo: erro.code })
+    };
+  }
+}
+
+module.exports = new BatchService();
@@ -0,0 +1,217 @@
+const { rgb } = require('pdf-lib');
+const auditService = require('./auditService');
+const pdfUtils = require('../utils/pdfUtils');
+
+const PAGE_SIZE = [595.28, 841.89]; // A4
+const MARGIN = 50;
+const LINE_HEIGHT = 12;
+
+const EVENT_LABELS = {
+  upload: 'Upload',
+  preview: 'Preview',
+  assinatura: 'Assinatura aplicada',
+  download: 'Download',
+  exclusao: 'Exclusão',
+  conclusao: 'Envelope concluído'
+};
+
+/**
+ * Certificado de conclusão: páginas acrescentadas ao final do PDF com o resumo
+ * da trilha de auditoria do documento (quem enviou, assinou e baixou, quando,
+ * de onde e com quais hashes).
+ */
+class CompletionPageService {
+
+  /**
+   * Acrescenta o certificado ao PDF
+   * @param {PDFDocument} pdfDoc - PDF já com as assinaturas desenhadas
+   * @param {object} record - Documento do documentStore
+   * @param {object[]} trail - Eventos da trilha (ver AuditService.getTrail)
+   * @param {object} [fonts] - { regular, bold } já incorporadas (ver PdfUtils.embedFonts); padrão: Helvetica
+   */
+  async append(pdfDoc, record, trail, fonts) {
+    const documentPages = pdfDoc.getPageCount();
+    const writer = new PageWriter(pdfDoc, fonts || await pdfUtils.embedFonts(pdfDoc));
+
+    writer.text('Certificado de Conclusão', { font: 'bold', size: 16 });
+    writer.text('Trilha de auditoria do documento', { size: 10, color: 0.4 });
+    writer.space(10);
+
+    writer.field('Documento', record.nome);
+    writer.field('ID', record.id);
+    writer.field('Criado em', formatDate(record.createdAt));
+    writer.field('Páginas do documento', String(documentPages));
+    writer.field('Assinaturas', String(record.signatures.length));
+    writer.field('Integridade da trilha', auditService.verifyChain(trail)
+      ? 'íntegra (hashes encadeados conferem)'
+      : 'ALTERADA: o encadeamento dos hashes não confere');
+    writer.field('Certificado gerado em', formatDate(new Date().toISOString()));
+    writer.space(10);
+
+    writer.text(`Eventos (${trail.length})`, { font: 'bold', size: 12 });
+    writer.space(4);
+
+    for (const entry of trail) {
+      writer.keepTogether(6);
+      writer.text(
+        `${entry.sequencia || '-'}. ${EVENT_LABELS[entry.evento] || entry.evento} - ${formatDate(entry.timestamp)}`,
+        { font: 'bold' }
+      );
+      writer.field('IP', entry.ip || '-');
+      writer.field('User agent', entry.user_agent || '-');
+      if (entry.usuario) {
+        writer.field('Usuário', entry.usuario.email);
+      }
+
+      const detalhes = describeDetails(entry);
+      if (detalhes) {
+        writer.field('Detalhes', detalhes);
+      }
+      if (entry.hash_entrada) {
+        writer.field('Entrada (SHA-256)', entry.hash_entrada, { small: true });
+      }
+      if (entry.hash_saida) {
+        writer.field('Saída (SHA-256)', entry.hash_saida, { small: true });
+      }
+      writer.space(6);
+    }
+
+    if (trail.length > 0) {
+      writer.field('Hash do último evento', trail[trail.length - 1].hash, { small: true });
+    }
+
+    writer.finish();
+  }
+}
+
+/**
+ * Escreve linhas de cima para baixo, criando novas páginas quando necessário
+ */
+class PageWriter {
+
+  constructor(pdfDoc, fonts) {
+    this.pdfDoc = pdfDoc;
+    this.fonts = fonts;
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.page = this.pdfDoc.addPage(PAGE_SIZE);
+    this.pages.push(this.page);
+    this.y = PAGE_SIZE[1] - MARGIN;
+  }
+
+  space(height) {
+    this.y -= height;
+  }
+
+  // Evita separar o título de um evento das suas linhas
+  keepTogether(lines) {
+    if (this.y - lines * LINE_HEIGHT < MARGIN + LINE_HEIGHT) {
+      this.newPage();
+    }
+  }
+
+  text(value, { font = 'regular', size = 9, color = 0, indent = 0 } = {}) {
+    const pdfFont = this.fonts[font];
+    const maxWidth = PAGE_SIZE[0] - 2 * MARGIN - indent;
+
+    for (const line of wrap(pdfUtils.toWinAnsi(value), pdfFont, size, maxWidth)) {
+      if (this.y - size < MARGIN + LINE_HEIGHT) {
+        this.newPage();
+      }
+
+      this.y -= Math.max(size, LINE_HEIGHT - 3) + 3;
+      this.page.drawText(line, {
+        x: MARGIN + indent,
+        y: this.y,
+        size,
+        font: pdfFont,
+        color: rgb(color, color, color)
+      });
+    }
+  }
+
+  field(label, value, { small = false } = {}) {
+    this.text(`${label}: ${value}`, { size: small ? 8 : 9, indent: 10 });
+  }
+
+  // Numeração das páginas do certificado
+  finish() {
+    this.pages.forEach((page, index) => {
+      page.drawText(`Certificado de conclusão - página ${index + 1} de ${this.pages.length}`, {
+        x: MARGIN,
+        y: MARGIN / 2,
+        size: 8,
+        font: this.fonts.regular,
+        color: rgb(0.5, 0.5, 0.5)
+      });
+    });
+  }
+}
+
+/**
+ * Resumo legível dos detalhes do evento
+ */
+function describeDetails(entry) {
+  const detalhes = entry.detalhes || {};
+
+  switch (entry.evento) {
+    case 'assinatura':
+      return (detalhes.signatario ? `${detalhes.signatario.nome}${detalhes.signatario.email ? ` <${detalhes.signatario.email}>` : ''}, ` : '') +
+        `assinatura ${detalhes.assinatura} na página ${detalhes.pagina}` +
+        (detalhes.posicao ? ` (x: ${detalhes.posicao.x}, y: ${detalhes.posicao.y})` : '');
+    case 'preview':
+      return detalhes.signatario ? detalhes.signatario.nome : detalhes.nome || '';
+    case 'upload':
+      return [detalhes.nome, detalhes.lote && `lote ${detalhes.lote.id}`].filter(Boolean).join(', ');
+    case 'download':
+      return [
+        detalhes.assinatura_digital && 'com assinatura digital',
+        detalhes.saida && detalhes.saida.pdfa && 'PDF/A-2b',
+        detalhes.saida && detalhes.saida.restricoes.length > 0 && `restrições: ${detalhes.saida.restricoes.join(', ')}`,
+        detalhes.saida && detalhes.saida.senha_abertura && 'protegido por senha',
+        detalhes.lote && 'ZIP do lote'
+      ].filter(Boolean).join(', ');
+    default:
+      return '';
+  }
+}
+
+function formatDate(iso) {
+  return iso ? `${iso.replace('T', ' ').replace(/\.\d+Z$/, '')} UTC` : '-';
+}
+
+function wrap(text, font, size, maxWidth) {
+  const lines = [];
+  let line = '';
+
+  for (const word of text.split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+
+    if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+
+    // Palavras maiores que a linha (hashes, user agents) são quebradas por caractere
+    line = '';
+    for (const char of word) {
+      if (font.widthOfTextAtSize(line + char, size) > maxWidth) {
+        lines.push(line);
+        line = '';
+      }
+      line += char;
+    }
+  }
+
+  lines.push(line);
+  return lines;
+}
+
+module.exports = new CompletionPageService();
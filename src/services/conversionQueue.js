@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const documentService = require('./documentService');
+const webhookService = require('./webhookService');
+
+const TEMP_DIR = path.join(__dirname, '..', '..', 'temp');
+const PROFILES_DIR = path.join(TEMP_DIR, 'libreoffice-profiles');
+const JOBS_DIR = path.join(TEMP_DIR, 'jobs');
+
+// Erros em que repetir a conversão não adianta
+const PERMANENT_ERRORS = ['LIBREOFFICE_NOT_FOUND', 'UNOCONVERT_NOT_FOUND', 'PHANTOMJS_NOT_FOUND'];
+
+/**
+ * Fila local de conversões DOCX -> PDF. Limita quantas conversões rodam ao mesmo
+ * tempo e dá a cada worker um perfil próprio do LibreOffice (-env:UserInstallation),
+ * evitando que instâncias simultâneas travem o mesmo perfil.
+ * Falhas transitórias do conversor (queda, tempo esgotado) são repetidas.
+ */
+class ConversionQueue {
+
+  /**
+   * @param {object} options
+   * @param {number} options.concurrency - Conversões simultâneas
+   * @param {number} options.maxAttempts - Tentativas por conversão
+   * @param {number} options.timeout - Tempo máximo de cada tentativa em ms
+   * @param {number} options.jobTtlMs - Por quanto tempo jobs finalizados ficam disponíveis
+   */
+  constructor({ concurrency, maxAttempts, timeout, jobTtlMs }) {
+    this.maxAttempts = maxAttempts;
+    this.timeout = timeout;
+    this.jobTtlMs = jobTtlMs;
+    this.pending = [];
+    this.freeSlots = Array.from({ length: concurrency }, (_, index) => index + 1);
+    this.jobs = new Map();
+  }
+
+  /**
+   * Converte um documento pela fila e aguarda o resultado
+   * @param {string} docxPath - Caminho do arquivo .docx
+   * @param {object} [context] - { arquivo, owner } informados no webhook conversion.failed
+   * @returns {Promise<string>} - Caminho do PDF gerado
+   */
+  async convert(docxPath, context = {}) {
+    try {
+      return await this.enqueue(docxPath);
+    } catch (error) {
+      this.notifyFailure(error, context);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria um job assíncrono. O arquivo é movido para a pasta do job, que é
+   * removida quando o job expira.
+   * @param {string} docxPath - Caminho do arquivo .docx
+   * @param {string} fileName - Nome original do documento
+   * @param {string} [owner] - ID do usuário que criou o job
+   * @returns {object} - Job criado (ver toJSON)
+   */
+  async createJob(docxPath, fileName, owner) {
+    const id = crypto.randomUUID();
+    const jobDir = path.join(JOBS_DIR, id);
+    const jobDocxPath = path.join(jobDir, 'documento.docx');
+
+    await fs.ensureDir(jobDir);
+    await fs.move(docxPath, jobDocxPath);
+
+    const job = {
+      id,
+      fileName,
+      owner,
+      dir: jobDir,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      pdfPath: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(id, job);
+
+    this.enqueue(jobDocxPath, job)
+      .then((pdfPath) => {
+        job.status = 'completed';
+        job.pdfPath = pdfPath;
+      })
+      .catch((error) => {
+        job.status = 'failed';
+        job.error = error.code
+          ? { code: error.code, message: error.message }
+          : { message: error.message };
+        this.notifyFailure(error, { arquivo: fileName, owner, job: id });
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+      });
+
+    return this.toJSON(job);
+  }
+
+  /**
+   * @param {string} id - ID do job
+   * @returns {object|null} - Job interno (com pdfPath) ou null
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Representação pública do job, com progresso e posição na fila
+   * @param {object} job - Job interno
+   * @returns {object}
+   */
+  toJSON(job) {
+    const progress = { queued: 0, processing: 50, completed: 100, failed: 100 };
+    const position = this.pending.findIndex((task) => task.job === job);
+
+    return {
+      id: job.id,
+      fileName: job.fileName,
+      status: job.status,
+      progress: progress[job.status],
+      queuePosition: position === -1 ? null : position + 1,
+      attempts: job.attempts,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Dispara o webhook conversion.failed depois que todas as tentativas falharam
+   * @param {Error} error - Erro da última tentativa
+   * @param {object} context - { arquivo, owner, job }
+   */
+  notifyFailure(error, { arquivo, owner, job } = {}) {
+    webhookService.emit('conversion.failed', {
+      arquivo: arquivo || null,
+      ...(job && { job }),
+      erro: { code: error.code || 'CONVERSION_FAILED', message: error.message }
+    }, { owner });
+  }
+
+  enqueue(docxPath, job = null) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ docxPath, job, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Inicia a próxima tarefa da fila se houver worker livre
+   */
+  next() {
+    while (this.freeSlots.length > 0 && this.pending.length > 0) {
+      const slot = this.freeSlots.shift();
+      const task = this.pending.shift();
+
+      this.runTask(task, slot)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          this.freeSlots.push(slot);
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * Executa a conversão com o perfil do worker, repetindo falhas transitórias
+   * @param {object} task - Tarefa da fila
+   * @param {number} slot - Número do worker
+   * @returns {Promise<string>} - Caminho do PDF gerado
+   */
+  async runTask(task, slot) {
+    const { docxPath, job } = task;
+    const profileDir = path.join(PROFILES_DIR, `worker-${slot}`);
+
+    if (job) {
+      job.status = 'processing';
+      job.startedAt = new Date().toISOString();
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      if (job) {
+        job.attempts = attempt;
+      }
+
+      try {
+        return await documentService.convertToPdf(docxPath, { profileDir, timeout: this.timeout });
+      } catch (error) {
+        if (attempt >= this.maxAttempts || PERMANENT_ERRORS.includes(error.code)) {
+          throw error;
+        }
+
+        console.warn(`Conversão falhou (tentativa ${attempt}/${this.maxAttempts}), repetindo:`, error.message);
+
+        // Um perfil corrompido por uma instância que caiu impede as próximas conversões
+        await fs.remove(profileDir);
+        await new Promise((resolve) => setTimeout(resolve, attempt * 1000));
+      }
+    }
+  }
+
+  /**
+   * Remove jobs finalizados há mais tempo que o TTL, junto com seus arquivos
+   * @returns {number} - Quantidade removida
+   */
+  async purgeExpired() {
+    const limit = Date.now() - this.jobTtlMs;
+    let removed = 0;
+
+    for (const job of this.jobs.values()) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() <= limit) {
+        this.jobs.delete(job.id);
+        await fs.remove(job.dir);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Executa a limpeza de jobs expirados periodicamente sem impedir o encerramento do processo
+   * @param {number} intervalMs - Intervalo entre limpezas
+   */
+  startCleanup(intervalMs) {
+    const timer = setInterval(() => {
+      this.purgeExpired().catch((error) => {
+        console.warn('Aviso: falha ao remover jobs expirados:', error.message);
+      });
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = new ConversionQueue({
+  concurrency: parseInt(process.env.CONVERSION_CONCURRENCY, 10) || 2,
+  maxAttempts: parseInt(process.env.CONVERSION_MAX_ATTEMPTS, 10) || 3,
+  timeout: parseInt(process.env.CONVERSION_TIMEOUT_MS, 10) || 120000,
+  jobTtlMs: (parseFloat(process.env.CONVERSION_JOB_TTL_MINUTES) || 60) * 60 * 1000
+});
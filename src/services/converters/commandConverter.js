@@ -0,0 +1,56 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { AppError } = require('../../utils/errors');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Base dos conversores que chamam um executável externo (soffice, unoconvert).
+ * Erros de execução viram AppError: o executável não encontrado usa o código
+ * informado pela subclasse, e quedas ou tempo esgotado usam CONVERSION_FAILED,
+ * que a fila de conversões repete.
+ */
+class CommandConverter {
+
+  /**
+   * @param {object} options
+   * @param {string} options.label - Nome exibido nas mensagens (ex: LibreOffice)
+   * @param {string} options.notFoundCode - Código do erro quando o executável não existe
+   */
+  constructor({ label, notFoundCode }) {
+    this.label = label;
+    this.notFoundCode = notFoundCode;
+  }
+
+  /**
+   * Executa o conversor com os argumentos informados
+   * @param {string} binary - Caminho do executável
+   * @param {string[]} args - Argumentos
+   * @param {number} timeout - Tempo máximo em ms
+   */
+  async run(binary, args, timeout) {
+    try {
+      await execFileAsync(binary, args, { timeout });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw this.notFoundError();
+      }
+
+      const reason = error.killed
+        ? 'tempo esgotado'
+        : error.signal || `código ${error.code}`;
+
+      throw new AppError(`${this.label} falhou ao converter o documento (${reason})`, {
+        code: 'CONVERSION_FAILED'
+      });
+    }
+  }
+
+  notFoundError() {
+    return new AppError(`${this.label} não encontrado. Instale o ${this.label} para conversão PDF.`, {
+      code: this.notFoundCode
+    });
+  }
+}
+
+module.exports = CommandConverter;
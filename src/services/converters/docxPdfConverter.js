@@ -0,0 +1,63 @@
+const fs = require('fs-extra');
+const path = require('path');
+const docxConverter = require('docx-pdf');
+const { AppError } = require('../../utils/errors');
+
+/**
+ * Conversão sem LibreOffice, pelo pacote docx-pdf (mammoth + html-pdf). Serve como
+ * alternativa quando nenhum LibreOffice está disponível, mas o layout é aproximado:
+ * o HTML gerado não preserva quebras de página, cabeçalhos e rodapés do Word.
+ */
+class DocxPdfConverter {
+
+  constructor() {
+    this.name = 'docx-pdf';
+  }
+
+  /**
+   * O html-pdf depende do binário do PhantomJS baixado na instalação do
+   * phantomjs-prebuilt; sem ele, o docx-pdf derruba o processo em vez de retornar erro
+   * @returns {string|null} - Caminho do PhantomJS ou null
+   */
+  findPhantomJs() {
+    try {
+      const phantomPath = require('phantomjs-prebuilt').path;
+      return phantomPath && fs.existsSync(phantomPath) ? phantomPath : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @returns {object} - { name, available, binary }
+   */
+  async describe() {
+    const binary = this.findPhantomJs();
+    return { name: this.name, available: Boolean(binary), binary };
+  }
+
+  /**
+   * @param {string} inputPath - Documento .docx
+   * @param {object} options
+   * @param {string} options.outputDir - Pasta onde o PDF será gravado
+   * @returns {string} - Caminho do PDF gerado
+   */
+  convert(inputPath, { outputDir }) {
+    if (!this.findPhantomJs()) {
+      return Promise.reject(new AppError('PhantomJS não encontrado. Reinstale as dependências ou instale o LibreOffice para conversão PDF.', {
+        code: 'PHANTOMJS_NOT_FOUND'
+      }));
+    }
+
+    const pdfPath = path.join(outputDir, `${path.parse(inputPath).name}.pdf`);
+
+    return new Promise((resolve, reject) => {
+      docxConverter(inputPath, pdfPath, (error) => {
+        if (error) reject(error);
+        else resolve(pdfPath);
+      });
+    });
+  }
+}
+
+module.exports = DocxPdfConverter;
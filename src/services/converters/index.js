@@ -0,0 +1,58 @@
+const LibreOfficeConverter = require('./libreOfficeConverter');
+const UnoserverConverter = require('./unoserverConverter');
+const DocxPdfConverter = require('./docxPdfConverter');
+
+// Conversores disponíveis, escolhidos pela variável CONVERSION_BACKEND
+const CONVERTERS = {
+  libreoffice: new LibreOfficeConverter({
+    binary: process.env.LIBREOFFICE_PATH
+  }),
+  unoserver: new UnoserverConverter({
+    binary: process.env.UNOCONVERT_PATH,
+    host: process.env.UNOSERVER_HOST,
+    port: process.env.UNOSERVER_PORT
+  }),
+  'docx-pdf': new DocxPdfConverter()
+};
+
+const backendName = process.env.CONVERSION_BACKEND || 'auto';
+if (backendName !== 'auto' && !CONVERTERS[backendName]) {
+  throw new Error(`Backend de conversão desconhecido: ${backendName}`);
+}
+
+/**
+ * Conversor em uso. Com CONVERSION_BACKEND=auto (padrão): unoserver quando
+ * UNOSERVER_HOST ou UNOSERVER_PORT estiver configurado, senão o soffice encontrado
+ * no sistema e, na falta dele, o docx-pdf.
+ * @returns {object} - Instância do conversor
+ */
+async function getConverter() {
+  if (backendName !== 'auto') {
+    return CONVERTERS[backendName];
+  }
+
+  if (process.env.UNOSERVER_HOST || process.env.UNOSERVER_PORT) {
+    return CONVERTERS.unoserver;
+  }
+
+  if (await CONVERTERS.libreoffice.findBinary()) {
+    return CONVERTERS.libreoffice;
+  }
+
+  return CONVERTERS['docx-pdf'];
+}
+
+/**
+ * Descreve o conversor em uso, para o GET /api/test
+ * @returns {object} - { configured, name, available, binary, ... }
+ */
+async function describeConverter() {
+  const converter = await getConverter();
+
+  return {
+    configured: backendName,
+    ...(await converter.describe())
+  };
+}
+
+module.exports = { getConverter, describeConverter };
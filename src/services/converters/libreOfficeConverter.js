@@ -0,0 +1,75 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const CommandConverter = require('./commandConverter');
+const fileUtils = require('../../utils/fileUtils');
+
+// Locais de instalação padrão, verificados antes do PATH
+const INSTALL_PATHS = {
+  win32: [
+    'C:\\Program Files\\LibreOffice\\program\\soffice.exe',
+    'C:\\Program Files (x86)\\LibreOffice\\program\\soffice.exe'
+  ],
+  darwin: ['/Applications/LibreOffice.app/Contents/MacOS/soffice']
+};
+
+/**
+ * Converte chamando o soffice em modo headless, um processo por documento.
+ * Cada worker da fila informa um perfil próprio (-env:UserInstallation) para que
+ * instâncias simultâneas não disputem o mesmo perfil.
+ */
+class LibreOfficeConverter extends CommandConverter {
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.binary] - Caminho do soffice (LIBREOFFICE_PATH); sem ele, procura no sistema
+   */
+  constructor({ binary } = {}) {
+    super({ label: 'LibreOffice', notFoundCode: 'LIBREOFFICE_NOT_FOUND' });
+    this.name = 'libreoffice';
+    this.binary = binary;
+  }
+
+  /**
+   * @returns {string|null} - Caminho do soffice configurado ou encontrado
+   */
+  async findBinary() {
+    if (this.binary) {
+      return this.binary;
+    }
+
+    return fileUtils.findExecutable(['soffice', 'libreoffice'], INSTALL_PATHS[process.platform] || []);
+  }
+
+  /**
+   * @returns {object} - { name, available, binary }
+   */
+  async describe() {
+    const binary = await this.findBinary();
+    return { name: this.name, available: Boolean(binary), binary };
+  }
+
+  /**
+   * @param {string} inputPath - Documento de entrada (.docx, .doc, ...)
+   * @param {object} options
+   * @param {string} options.outputDir - Pasta onde o PDF será gravado
+   * @param {string} [options.profileDir] - Perfil isolado do LibreOffice
+   * @param {number} options.timeout - Tempo máximo em ms
+   * @returns {string} - Caminho do PDF gerado
+   */
+  async convert(inputPath, { outputDir, profileDir, timeout }) {
+    const binary = await this.findBinary();
+    if (!binary) {
+      throw this.notFoundError();
+    }
+
+    const args = ['--headless', '--norestore', '--convert-to', 'pdf', '--outdir', outputDir, inputPath];
+    if (profileDir) {
+      args.unshift(`-env:UserInstallation=${pathToFileURL(profileDir).href}`);
+    }
+
+    await this.run(binary, args, timeout);
+    return path.join(outputDir, `${path.parse(inputPath).name}.pdf`);
+  }
+}
+
+module.exports = LibreOfficeConverter;
@@ -0,0 +1,75 @@
+const path = require('path');
+const CommandConverter = require('./commandConverter');
+const fileUtils = require('../../utils/fileUtils');
+
+/**
+ * Converte por um LibreOffice que fica rodando como serviço (unoserver), usando o
+ * cliente unoconvert. Evita iniciar o LibreOffice a cada documento; o servidor
+ * precisa ser iniciado à parte, por exemplo: unoserver --interface 127.0.0.1 --port 2003
+ */
+class UnoserverConverter extends CommandConverter {
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.binary] - Caminho do unoconvert (UNOCONVERT_PATH); sem ele, procura no PATH
+   * @param {string} [options.host] - Endereço do unoserver
+   * @param {string} [options.port] - Porta do unoserver
+   */
+  constructor({ binary, host, port } = {}) {
+    super({ label: 'unoconvert', notFoundCode: 'UNOCONVERT_NOT_FOUND' });
+    this.name = 'unoserver';
+    this.binary = binary;
+    this.host = host;
+    this.port = port;
+  }
+
+  /**
+   * @returns {string|null} - Caminho do unoconvert configurado ou encontrado
+   */
+  async findBinary() {
+    return this.binary || fileUtils.findExecutable(['unoconvert']);
+  }
+
+  /**
+   * @returns {object} - { name, available, binary, host, port }
+   */
+  async describe() {
+    const binary = await this.findBinary();
+    return {
+      name: this.name,
+      available: Boolean(binary),
+      binary,
+      host: this.host || null,
+      port: this.port || null
+    };
+  }
+
+  /**
+   * @param {string} inputPath - Documento de entrada
+   * @param {object} options
+   * @param {string} options.outputDir - Pasta onde o PDF será gravado
+   * @param {number} options.timeout - Tempo máximo em ms
+   * @returns {string} - Caminho do PDF gerado
+   */
+  async convert(inputPath, { outputDir, timeout }) {
+    const binary = await this.findBinary();
+    if (!binary) {
+      throw this.notFoundError();
+    }
+
+    const pdfPath = path.join(outputDir, `${path.parse(inputPath).name}.pdf`);
+    const args = ['--convert-to', 'pdf'];
+    if (this.host) {
+      args.push('--host', this.host);
+    }
+    if (this.port) {
+      args.push('--port', String(this.port));
+    }
+    args.push(inputPath, pdfPath);
+
+    await this.run(binary, args, timeout);
+    return pdfPath;
+  }
+}
+
+module.exports = UnoserverConverter;
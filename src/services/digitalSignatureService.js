@@ -0,0 +1,108 @@
+const fs = require('fs-extra');
+const forge = require('node-forge');
+const { SignPdf } = require('@signpdf/signpdf');
+const { P12Signer } = require('@signpdf/signer-p12');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
+const { SUBFILTER_ADOBE_PKCS7_DETACHED } = require('@signpdf/utils');
+const { AppError } = require('../utils/errors');
+
+// Espaço reservado para o PKCS#7 (certificado + cadeia); 16 KB comporta cadeias usuais
+const SIGNATURE_LENGTH = 16384;
+
+/**
+ * Assinatura digital (PKCS#7 destacado, adbe.pkcs7.detached) do PDF final com o
+ * certificado .p12 configurado no servidor:
+ *   SIGNING_CERT_PATH      caminho do arquivo .p12/.pfx
+ *   SIGNING_CERT_PASSWORD  senha do certificado
+ *   SIGNING_NAME           nome do signatário (padrão: CN do certificado)
+ *   SIGNING_REASON         motivo padrão
+ *   SIGNING_LOCATION       local padrão
+ *   SIGNING_CONTACT        contato do signatário
+ */
+class DigitalSignatureService {
+
+  /**
+   * @returns {boolean} - True se há certificado configurado
+   */
+  isConfigured() {
+    return Boolean(process.env.SIGNING_CERT_PATH);
+  }
+
+  /**
+   * Lê e valida o certificado configurado (lido uma única vez)
+   * @returns {object} - { p12Buffer, passphrase, commonName }
+   */
+  async loadCertificate() {
+    if (this.certificate) {
+      return this.certificate;
+    }
+
+    if (!this.isConfigured()) {
+      throw new AppError('Certificado para assinatura digital não configurado no servidor', {
+        status: 503,
+        code: 'DIGITAL_SIGNATURE_NOT_CONFIGURED'
+      });
+    }
+
+    const passphrase = process.env.SIGNING_CERT_PASSWORD || '';
+    const p12Buffer = await fs.readFile(process.env.SIGNING_CERT_PATH);
+
+    let commonName;
+    try {
+      const p12 = forge.pkcs12.pkcs12FromAsn1(
+        forge.asn1.fromDer(forge.util.createBuffer(p12Buffer.toString('binary'))),
+        false,
+        passphrase
+      );
+      const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+      const field = certBags.length > 0 ? certBags[0].cert.subject.getField('CN') : null;
+      commonName = field ? field.value : undefined;
+    } catch (error) {
+      throw new Error(`Não foi possível abrir o certificado .p12: ${error.message}`);
+    }
+
+    this.certificate = { p12Buffer, passphrase, commonName };
+    return this.certificate;
+  }
+
+  /**
+   * Cria o campo de assinatura sobre o carimbo visível e assina o documento.
+   * Deve ser a última alteração no PDF: qualquer mudança depois invalida a assinatura.
+   * @param {PDFDocument} pdfDoc - Documento pdf-lib já com o carimbo desenhado
+   * @param {object} options
+   * @param {PDFPage} options.page - Página do carimbo visível
+   * @param {number[]} options.rect - Retângulo do carimbo [x1, y1, x2, y2]
+   * @param {string} [options.reason] - Motivo da assinatura
+   * @param {string} [options.location] - Local da assinatura
+   * @param {string} [options.name] - Nome do signatário
+   * @param {Date} [options.signingTime] - Data/hora da assinatura
+   * @param {Function} [options.save] - Grava o documento já com o campo da assinatura, sem object streams
+   *   (ex: PdfOutputService.save, que também criptografa); padrão: pdfDoc.save
+   * @returns {Buffer} - PDF assinado
+   */
+  async sign(pdfDoc, { page, rect, reason, location, name, signingTime = new Date(), save }) {
+    const certificate = await this.loadCertificate();
+
+    pdflibAddPlaceholder({
+      pdfDoc,
+      pdfPage: page,
+      reason: reason || process.env.SIGNING_REASON || 'Assinatura de documento',
+      location: location || process.env.SIGNING_LOCATION || '',
+      name: name || process.env.SIGNING_NAME || certificate.commonName || '',
+      contactInfo: process.env.SIGNING_CONTACT || '',
+      signingTime,
+      signatureLength: SIGNATURE_LENGTH,
+      subFilter: SUBFILTER_ADOBE_PKCS7_DETACHED,
+      widgetRect: rect,
+      appName: 'document-signature-api'
+    });
+
+    // Sem object streams, para o dicionário da assinatura ficar acessível ao signpdf
+    const pdfBytes = save ? await save(pdfDoc) : await pdfDoc.save({ useObjectStreams: false });
+    const signer = new P12Signer(certificate.p12Buffer, { passphrase: certificate.passphrase });
+
+    return new SignPdf().sign(Buffer.from(pdfBytes), signer, signingTime);
+  }
+}
+
+module.exports = new DigitalSignatureService();
@@ -2,46 +2,70 @@ const fs = require('fs-extra');
 const path = require('path');
 const PizZip = require('pizzip');
 const Docxtemplater = require('docxtemplater');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-
-const execAsync = promisify(exec);
+const createSignatureImageModule = require('./signatureImageModule');
+const createPlaceholderCollectorModule = require('./placeholderCollectorModule');
+const templateParser = require('./templateParser');
+const { getConverter } = require('./converters');
+const signatureImageService = require('./signatureImageService');
+const { AppError } = require('../utils/errors');
 
 class DocumentService {
   
   /**
    * Adiciona assinatura ao documento Word substituindo o placeholder {{ASSINATURA}}
+   * pela imagem da assinatura (inclusive em tabelas, cabeçalhos e rodapés)
+   * @param {string} docxPath - Caminho do arquivo .docx
+   * @param {string} signatureBase64 - Assinatura em base64 (PNG ou JPEG)
+   * @param {object} [size] - Dimensões opcionais em pontos ({ width, height })
+   * @returns {string} - Caminho do arquivo modificado
+   */
+  async addSignatureToDocument(docxPath, signatureBase64, size = {}) {
+    return this.addSignaturesToDocument(docxPath, {
+      ASSINATURA: { image: signatureBase64, ...size }
+    });
+  }
+
+  /**
+   * Preenche um template com várias assinaturas nomeadas ({{ASSINATURA_GESTOR}}, ...)
+   * e campos de texto dos signatários ({{NOME_GESTOR}}, {{DATA_GESTOR}}, ...)
    * @param {string} docxPath - Caminho do arquivo .docx
-   * @param {string} signatureBase64 - Assinatura em base64
+   * @param {object} signatures - Mapa placeholder -> base64 ou { image, width, height }
+   * @param {object} [fields] - Mapa placeholder -> texto
    * @returns {string} - Caminho do arquivo modificado
    */
-  async addSignatureToDocument(docxPath, signatureBase64) {
+  async addSignaturesToDocument(docxPath, signatures, fields = {}) {
     try {
       // Ler o arquivo .docx
       const content = await fs.readFile(docxPath);
       const zip = new PizZip(content);
+      const collector = createPlaceholderCollectorModule();
       
-      // Criar instância do docxtemplater
-      const doc = new Docxtemplater(zip, {
-        paragraphLoop: true,
-        linebreaks: true,
-      });
+      // Criar instância do docxtemplater com o módulo de imagem da assinatura
+      let doc;
+      try {
+        doc = new Docxtemplater(zip, {
+          paragraphLoop: true,
+          linebreaks: true,
+          delimiters: { start: '{{', end: '}}' },
+          modules: [createSignatureImageModule(), collector]
+        });
+      } catch (error) {
+        throw this.toTemplateError(error);
+      }
 
-      // Processar a imagem base64
-      const imageBuffer = this.processBase64Image(signatureBase64);
-      
-      // Substituir o placeholder pela imagem
-      // Para imagens, precisamos usar um módulo específico ou converter para texto
-      // Por simplicidade, vamos substituir por um texto indicativo
-      doc.setData({
-        ASSINATURA: '[ASSINATURA APLICADA]'
-      });
+      // Conferir os placeholders do template com os dados enviados
+      this.validatePlaceholders(collector.getTagNames(), signatures, fields);
+
+      const data = { ...fields };
+      for (const [placeholder, signature] of Object.entries(signatures)) {
+        data[placeholder] = await this.processSignature(placeholder, signature);
+      }
 
       try {
-        doc.render();
+        doc.render(data);
       } catch (error) {
         console.error('Erro ao renderizar documento:', error);
-        throw new Error('Erro ao processar template do documento');
+        throw this.toTemplateError(error);
       }
 
       // Gerar novo arquivo
@@ -51,71 +75,427 @@ class DocumentService {
       const outputPath = docxPath.replace('.docx', '-signed.docx');
       await fs.writeFile(outputPath, buf);
       
-      console.log('Assinatura adicionada ao documento');
       return outputPath;
 
     } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
       console.error('Erro ao adicionar assinatura:', error);
       throw new Error(`Falha ao processar documento: ${error.message}`);
     }
   }
 
   /**
-   * Converte documento Word para PDF usando LibreOffice
+   * Preenche um template com dados estruturados (modo de mesclagem): caminhos
+   * aninhados ({{cliente.nome}}), loops ({{#itens}}...{{/itens}}, inclusive em
+   * linhas de tabela), condicionais ({{#pago}}, {{^pago}}, {{#total > 1000}}) e
+   * formatadores ({{valor | moeda}}, {{vencimento | data}}; ver templateParser)
+   * @param {Buffer} content - Conteúdo do .docx
+   * @param {object} data - Dados do documento
+   * @param {object} [options]
+   * @param {object} [options.signatures] - Mapa placeholder -> assinatura já processada (ver processSignature)
+   * @param {boolean} [options.allowMissing=false] - Deixa em branco os campos sem valor em vez de recusar o documento
+   * @returns {Buffer} - .docx preenchido
+   */
+  renderTemplate(content, data, { signatures = {}, allowMissing = false } = {}) {
+    let zip;
+    try {
+      zip = new PizZip(content);
+    } catch (error) {
+      throw new AppError('Arquivo .docx inválido ou corrompido', { status: 400, code: 'INVALID_DOCX' });
+    }
+
+    const misplaced = Object.keys(data).filter((name) => createSignatureImageModule.isSignatureTag(name));
+    if (misplaced.length > 0) {
+      throw new AppError('Placeholders de assinatura devem ser enviados como imagem', {
+        status: 400,
+        code: 'SIGNATURE_SENT_AS_TEXT',
+        details: { placeholders: misplaced }
+      });
+    }
+
+    const collector = createPlaceholderCollectorModule();
+    const missing = new Set();
+
+    let doc;
+    try {
+      doc = new Docxtemplater(zip, {
+        paragraphLoop: true,
+        linebreaks: true,
+        errorLogging: false,
+        delimiters: { start: '{{', end: '}}' },
+        parser: templateParser,
+        // Loops e condicionais sem valor são apenas omitidos; campos simples são conferidos abaixo
+        nullGetter: (part) => {
+          if (!part.module) {
+            missing.add(part.value);
+          }
+          return '';
+        },
+        modules: [createSignatureImageModule(), collector]
+      });
+    } catch (error) {
+      throw this.toTemplateError(error);
+    }
+
+    const tags = collector.getTagNames();
+    const signatureTags = tags.filter((tag) => createSignatureImageModule.isSignatureTag(tag));
+
+    const unused = Object.keys(signatures).filter((name) => !signatureTags.includes(name));
+    if (unused.length > 0) {
+      throw new AppError('Foram enviadas assinaturas para placeholders inexistentes no documento', {
+        status: 400,
+        code: 'UNUSED_PLACEHOLDERS',
+        details: { placeholders: unused, available: signatureTags }
+      });
+    }
+
+    for (const tag of signatureTags) {
+      if (!signatures[tag]) {
+        missing.add(tag);
+      }
+    }
+
+    try {
+      doc.render({ ...data, ...signatures });
+    } catch (error) {
+      throw this.toRenderError(error);
+    }
+
+    if (missing.size > 0 && !allowMissing) {
+      throw new AppError('O documento contém placeholders sem valor', {
+        status: 400,
+        code: 'MISSING_PLACEHOLDERS',
+        details: {
+          placeholders: [...missing].map((name) => ({
+            name,
+            type: createSignatureImageModule.isSignatureTag(name) ? 'signature' : 'text'
+          }))
+        }
+      });
+    }
+
+    return doc.getZip().generate({ type: 'nodebuffer' });
+  }
+
+  /**
+   * Verifica se todo placeholder do template recebeu valor e se todo valor
+   * enviado corresponde a um placeholder do template
+   * @param {string[]} tags - Tags encontradas no template
+   * @param {object} signatures - Assinaturas enviadas
+   * @param {object} fields - Campos de texto enviados
+   */
+  validatePlaceholders(tags, signatures, fields) {
+    const provided = [...Object.keys(signatures), ...Object.keys(fields)];
+
+    const misplaced = Object.keys(fields).filter((name) => createSignatureImageModule.isSignatureTag(name));
+    if (misplaced.length > 0) {
+      throw new AppError('Placeholders de assinatura devem ser enviados como imagem', {
+        status: 400,
+        code: 'SIGNATURE_SENT_AS_TEXT',
+        details: { placeholders: misplaced }
+      });
+    }
+
+    const notSignature = Object.keys(signatures).filter((name) => !createSignatureImageModule.isSignatureTag(name));
+    if (notSignature.length > 0) {
+      throw new AppError('Placeholders de assinatura devem começar com ASSINATURA', {
+        status: 400,
+        code: 'INVALID_SIGNATURE_PLACEHOLDER',
+        details: { placeholders: notSignature }
+      });
+    }
+
+    const missing = tags.filter((tag) => !provided.includes(tag));
+    if (missing.length > 0) {
+      throw new AppError('O documento contém placeholders sem valor', {
+        status: 400,
+        code: 'MISSING_PLACEHOLDERS',
+        details: {
+          placeholders: missing.map((name) => ({
+            name,
+            type: createSignatureImageModule.isSignatureTag(name) ? 'signature' : 'text'
+          }))
+        }
+      });
+    }
+
+    const unused = provided.filter((name) => !tags.includes(name));
+    if (unused.length > 0) {
+      throw new AppError('Foram enviados valores para placeholders inexistentes no documento', {
+        status: 400,
+        code: 'UNUSED_PLACEHOLDERS',
+        details: { placeholders: unused, available: tags }
+      });
+    }
+  }
+
+  /**
+   * Normaliza uma assinatura enviada como imagem, SVG ou traços, ou como objeto
+   * (ver SignatureImageService.normalize)
+   * @param {string} placeholder - Nome do placeholder
+   * @param {string|object|Array} signature - Assinatura ou { image, width, height }
+   * @returns {Promise<object>} - { buffer, imageData, width, height }
+   */
+  async processSignature(placeholder, signature) {
+    const { image, width, height } = typeof signature === 'string' || Array.isArray(signature) || (signature && signature.strokes)
+      ? { image: signature }
+      : signature || {};
+
+    const normalized = await signatureImageService.normalize(image, {
+      label: `Assinatura inválida para ${placeholder}`,
+      details: { placeholder }
+    });
+
+    return {
+      buffer: normalized.buffer,
+      imageData: normalized.imageData,
+      width: parseFloat(width) || undefined,
+      height: parseFloat(height) || undefined
+    };
+  }
+
+  /**
+   * Converte erros do docxtemplater (tags malformadas, etc.) em erro 400 estruturado
+   * @param {Error} error - Erro lançado pelo docxtemplater
+   * @returns {Error} - AppError com a lista de problemas encontrados
+   */
+  toTemplateError(error) {
+    if (error instanceof AppError || !error.properties) {
+      return error;
+    }
+
+    return new AppError('Template do documento inválido', {
+      status: 400,
+      code: 'TEMPLATE_ERROR',
+      details: { errors: this.describeTemplateErrors(error) }
+    });
+  }
+
+  /**
+   * Erros de formatadores com valores inválidos ({{total | moeda}} com texto,
+   * por exemplo) são dos dados, não do template
+   * @param {Error} error - Erro lançado pelo docxtemplater na renderização
+   * @returns {Error}
+   */
+  toRenderError(error) {
+    const errors = error.properties ? this.describeTemplateErrors(error) : [];
+
+    if (errors.length > 0 && errors.every((item) => item.id === 'scopeparser_execution_failed')) {
+      return new AppError('Os dados contêm valores inválidos para os formatadores do template', {
+        status: 400,
+        code: 'INVALID_FIELD_VALUE',
+        details: { errors }
+      });
+    }
+
+    return this.toTemplateError(error);
+  }
+
+  /**
+   * Lista os erros individuais contidos em um erro do docxtemplater
+   * @param {Error} error - Erro lançado pelo docxtemplater
+   * @returns {object[]} - [{ id, tag, file, message }]
+   */
+  describeTemplateErrors(error) {
+    const errors = (error.properties && error.properties.errors) || [error];
+
+    return errors.map((item) => ({
+      id: item.properties && item.properties.id,
+      tag: item.properties && (item.properties.xtag || item.properties.context),
+      file: item.properties && item.properties.file,
+      message: (item.properties && item.properties.rootError && item.properties.rootError.message) ||
+        (item.properties && item.properties.explanation) || item.message
+    }));
+  }
+
+  /**
+   * Lista os placeholders de um template .docx sem renderizá-lo
    * @param {string} docxPath - Caminho do arquivo .docx
-   * @returns {string} - Caminho do arquivo PDF gerado
+   * @returns {object} - { valid, placeholders, problems }
    */
-  async convertToPdf(docxPath) {
+  async inspectPlaceholders(docxPath) {
+    return this.inspectTemplate(await fs.readFile(docxPath));
+  }
+
+  /**
+   * Lista os placeholders do conteúdo de um .docx (ver inspectPlaceholders)
+   * @param {Buffer} content - Conteúdo do .docx
+   * @returns {object} - { valid, placeholders, problems }
+   */
+  inspectTemplate(content) {
+    let zip;
+    try {
+      zip = new PizZip(content);
+    } catch (error) {
+      throw new AppError('Arquivo .docx inválido ou corrompido', { status: 400, code: 'INVALID_DOCX' });
+    }
+
+    const collector = createPlaceholderCollectorModule();
+    const problems = [];
+
     try {
-      const outputDir = path.dirname(docxPath);
-      const filename = path.basename(docxPath, '.docx');
-      const pdfPath = path.join(outputDir, `${filename}.pdf`);
+      new Docxtemplater(zip, {
+        paragraphLoop: true,
+        linebreaks: true,
+        errorLogging: false,
+        delimiters: { start: '{{', end: '}}' },
+        modules: [collector]
+      });
+    } catch (error) {
+      if (!error.properties) {
+        throw error;
+      }
 
-      // Comando LibreOffice para conversão
-      const command = `soffice --headless --convert-to pdf --outdir "${outputDir}" "${docxPath}"`;
-      
-      console.log('Convertendo para PDF...');
-      
-      try {
-        await execAsync(command, { timeout: 30000 });
-      } catch (execError) {
-        // Tentar comando alternativo para Windows
-        const altCommand = `"C:\\Program Files\\LibreOffice\\program\\soffice.exe" --headless --convert-to pdf --outdir "${outputDir}" "${docxPath}"`;
-        try {
-          await execAsync(altCommand, { timeout: 30000 });
-        } catch (altError) {
-          throw new Error('LibreOffice não encontrado. Instale o LibreOffice para conversão PDF.');
+      for (const item of this.describeTemplateErrors(error)) {
+        problems.push({ severity: 'error', ...item });
+      }
+    }
+
+    problems.push(...this.findFragileTags(zip));
+
+    return {
+      valid: !problems.some((problem) => problem.severity === 'error'),
+      placeholders: this.summarizePlaceholders(collector.placeholders),
+      problems
+    };
+  }
+
+  /**
+   * Agrupa as ocorrências por nome, com tipo, total e partes onde aparecem
+   * @param {object[]} occurrences - Ocorrências registradas pelo coletor
+   * @returns {object[]} - [{ name, type, occurrences, locations }]
+   */
+  summarizePlaceholders(occurrences) {
+    const byName = new Map();
+
+    for (const occurrence of occurrences) {
+      if (!byName.has(occurrence.name)) {
+        byName.set(occurrence.name, {
+          name: occurrence.name,
+          type: createSignatureImageModule.isSignatureTag(occurrence.name) ? 'signature' : 'text',
+          occurrences: 0,
+          locations: []
+        });
+      }
+
+      const placeholder = byName.get(occurrence.name);
+      placeholder.occurrences++;
+
+      const part = this.getPartName(occurrence.filePath);
+      let location = placeholder.locations.find(
+        (item) => item.file === occurrence.filePath && item.table === occurrence.inTable
+      );
+      if (!location) {
+        location = { part, file: occurrence.filePath, table: occurrence.inTable, count: 0 };
+        placeholder.locations.push(location);
+      }
+      location.count++;
+    }
+
+    return Array.from(byName.values());
+  }
+
+  /**
+   * Procura tags que funcionam, mas são frágeis: divididas em vários trechos de
+   * formatação (o Word faz isso ao corrigir ortografia ou mudar estilo no meio
+   * da tag) ou com espaços em volta do nome
+   * @param {PizZip} zip - Conteúdo do .docx
+   * @returns {object[]} - Avisos encontrados
+   */
+  findFragileTags(zip) {
+    const warnings = [];
+    const parts = Object.keys(zip.files).filter(
+      (fileName) => /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/.test(fileName)
+    );
+
+    for (const fileName of parts) {
+      const xml = zip.file(fileName).asText();
+      const paragraphs = xml.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [];
+
+      for (const paragraph of paragraphs) {
+        const segments = [];
+        let text = '';
+
+        for (const match of paragraph.matchAll(/<w:t(?:\s[^>]*)?>([^<]+)<\/w:t>/g)) {
+          segments.push({ start: text.length, end: text.length + match[1].length });
+          text += match[1];
+        }
+
+        for (const tag of text.matchAll(/\{\{([^{}]*)\}\}/g)) {
+          const start = tag.index;
+          const end = tag.index + tag[0].length - 1;
+          const pieces = segments.filter((segment) => segment.end > start && segment.start <= end).length;
+
+          if (pieces > 1) {
+            warnings.push({
+              severity: 'warning',
+              id: 'split_tag',
+              tag: tag[1],
+              file: fileName,
+              message: `A tag ${tag[0]} está dividida em ${pieces} trechos de formatação. Redigite a tag sem mudar a formatação no meio dela.`
+            });
+          }
+
+          if (tag[1] !== tag[1].trim()) {
+            warnings.push({
+              severity: 'warning',
+              id: 'tag_with_spaces',
+              tag: tag[1],
+              file: fileName,
+              message: `A tag ${tag[0]} tem espaços em volta do nome e não corresponde a ${tag[1].trim()}.`
+            });
+          }
         }
       }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Nome da parte do documento a partir do caminho no zip
+   * @param {string} filePath - Ex: word/document.xml, word/header1.xml
+   * @returns {string} - body, header, footer, footnotes...
+   */
+  getPartName(filePath) {
+    const name = path.posix.basename(filePath, '.xml').replace(/\d+$/, '');
+    return name === 'document' ? 'body' : name;
+  }
+
+  /**
+   * Converte documento Word para PDF com o conversor configurado (CONVERSION_BACKEND)
+   * @param {string} docxPath - Caminho do arquivo .docx
+   * @param {object} [options]
+   * @param {string} [options.profileDir] - Perfil isolado do LibreOffice (-env:UserInstallation)
+   * @param {number} [options.timeout=30000] - Tempo máximo da conversão em ms
+   * @returns {string} - Caminho do arquivo PDF gerado, na mesma pasta do .docx
+   */
+  async convertToPdf(docxPath, { profileDir, timeout = 30000 } = {}) {
+    try {
+      const converter = await getConverter();
+      const pdfPath = await converter.convert(docxPath, {
+        outputDir: path.dirname(docxPath),
+        profileDir,
+        timeout
+      });
 
       // Verificar se o PDF foi criado
       if (await fs.pathExists(pdfPath)) {
-        console.log('Conversão para PDF concluída');
         return pdfPath;
       } else {
-        throw new Error('Falha na conversão para PDF');
+        throw new AppError('Falha na conversão para PDF', { code: 'CONVERSION_FAILED' });
       }
 
     } catch (error) {
       console.error('Erro na conversão PDF:', error);
+      if (error instanceof AppError) {
+        throw error;
+      }
       throw new Error(`Erro ao converter para PDF: ${error.message}`);
     }
   }
-
-  /**
-   * Processa imagem base64 removendo prefixo se necessário
-   * @param {string} base64String - String base64 da imagem
-   * @returns {Buffer} - Buffer da imagem
-   */
-  processBase64Image(base64String) {
-    try {
-      // Remover prefixo data:image se existir
-      const base64Data = base64String.replace(/^data:image\/[a-z]+;base64,/, '');
-      return Buffer.from(base64Data, 'base64');
-    } catch (error) {
-      throw new Error('Formato de assinatura base64 inválido');
-    }
-  }
 }
 
 module.exports = new DocumentService();
\ No newline at end of file
@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const path = require('path');
+const documentStore = require('../storage/documentStore');
+const pdfInputService = require('./pdfInputService');
+const anchorService = require('./anchorService');
+const stampService = require('./stampService');
+const auditService = require('./auditService');
+const webhookService = require('./webhookService');
+const signatureImageService = require('./signatureImageService');
+const appearanceService = require('./appearanceService');
+const { apiPath } = require('../utils/apiPaths');
+const { AppError } = require('../utils/errors');
+
+const SIGNING_ORDERS = ['sequential', 'parallel'];
+const ENVELOPE_TTL_MS = (parseFloat(process.env.ENVELOPE_TTL_HOURS) || 168) * 60 * 60 * 1000;
+
+/**
+ * Envelopes de assinatura com vários signatários. O envelope é um documento do
+ * DocumentStore com o campo envelope ({ status, ordem, signatarios }); as
+ * assinaturas entram em signatures à medida que cada signatário assina, e o PDF
+ * final é gerado pelo StampService como nos demais documentos.
+ *
+ * Cada signatário recebe um link com token próprio (<id do envelope>.<segredo>).
+ * Só o SHA-256 do segredo é armazenado.
+ */
+class EnvelopeService {
+
+  constructor() {
+    // Assinaturas de um mesmo envelope são gravadas em sequência
+    this.updates = new Map();
+  }
+
+  /**
+   * Cria o envelope a partir do documento enviado
+   * @param {object} file - { nome, buffer, modelo } (.pdf, .docx ou .doc; modelo: versão da biblioteca de templates)
+   * @param {object} options
+   * @param {object[]} options.signers - [{ name, email, order, zones: [{ page, position, width, height, anchor, appearance }] }]
+   * @param {string} [options.signingOrder='sequential'] - sequential ou parallel
+   * @param {string} [options.owner] - ID do usuário que criou o envelope
+   * @param {object} [cliente] - { ip, user_agent, usuario } registrado na auditoria
+   * @returns {object} - { envelope, links } com os links de cada signatário (exibidos só na criação)
+   */
+  async create(file, { signers, signingOrder = 'sequential', owner }, cliente) {
+    if (!SIGNING_ORDERS.includes(signingOrder)) {
+      throw new AppError(`signingOrder deve ser ${SIGNING_ORDERS.join(' ou ')}`, {
+        status: 400,
+        code: 'INVALID_SIGNING_ORDER'
+      });
+    }
+
+    const signatarios = this.parseSigners(signers);
+    const { pdfBytes, pdfDoc } = await pdfInputService.fromBuffer(file.buffer, { arquivo: file.nome, owner });
+
+    // Zonas com âncora e aparências são resolvidas agora, para que erros voltem para quem criou o envelope
+    for (const [index, signatario] of signatarios.entries()) {
+      const { signatures: zonas } = await anchorService.resolveSignatures(pdfBytes, signatario.zonas);
+      stampService.validatePages(zonas, pdfDoc.getPageCount());
+      signatario.zonas = [];
+
+      for (const [zoneIndex, { ancora, aparencia, ...zona }] of zonas.entries()) {
+        // O nome do signatário entra no carimbo, a menos que a aparência defina outro
+        const resolved = await appearanceService.resolve(aparencia, {
+          label: `Aparência inválida na zona ${zoneIndex + 1} do signatário ${index + 1}`,
+          details: { signer: index + 1, zone: zoneIndex + 1 },
+          defaults: { name: signatario.nome }
+        });
+
+        signatario.zonas.push({ ...zona, pagina: zona.pagina || 1, ...(resolved && { aparencia: resolved }) });
+      }
+    }
+
+    const secrets = signatarios.map(() => crypto.randomBytes(32).toString('base64url'));
+
+    const record = await documentStore.create({
+      nome: file.nome,
+      arquivo_final: `${path.parse(file.nome).name}_assinado.pdf`,
+      owner,
+      signatures: [],
+      ...(file.modelo && { modelo: file.modelo }),
+      envelope: {
+        status: 'pendente',
+        ordem: signingOrder,
+        signatarios: signatarios.map((signatario, index) => ({
+          ...signatario,
+          token_hash: auditService.hash(secrets[index]),
+          status: 'pendente',
+          assinado_em: null
+        }))
+      },
+      processedAt: new Date().toISOString()
+    }, {
+      'original.pdf': pdfBytes
+    }, {
+      ttlMs: ENVELOPE_TTL_MS
+    });
+
+    await auditService.recordUpload(record, {
+      cliente,
+      arquivo: file.buffer,
+      pdf: pdfBytes,
+      detalhes: {
+        envelope: { ordem: signingOrder, signatarios: signatarios.length },
+        ...(file.modelo && { modelo: file.modelo })
+      }
+    });
+
+    webhookService.emitProcessed(record, { total_paginas: pdfDoc.getPageCount() });
+
+    return {
+      envelope: this.toJSON(record),
+      links: record.envelope.signatarios.map((signatario, index) => ({
+        signatario: signatario.id,
+        nome: signatario.nome,
+        email: signatario.email,
+        link: apiPath(`/sign/${record.id}.${secrets[index]}`)
+      }))
+    };
+  }
+
+  /**
+   * Valida os signatários enviados na API e converte para o formato armazenado
+   * @param {object[]} signers - Signatários da requisição
+   * @returns {object[]} - [{ id, nome, email, ordem, zonas }]
+   */
+  parseSigners(signers) {
+    if (!Array.isArray(signers) || signers.length === 0) {
+      throw new AppError('Informe ao menos um signatário em signers', { status: 400, code: 'INVALID_SIGNERS' });
+    }
+
+    return signers.map((signer, index) => {
+      const fail = (message) => new AppError(`${message} no signatário ${index + 1}`, {
+        status: 400,
+        code: 'INVALID_SIGNERS',
+        details: { signer: index + 1 }
+      });
+
+      if (!signer || typeof signer.name !== 'string' || !signer.name.trim()) {
+        throw fail('Nome é obrigatório');
+      }
+
+      if (!Array.isArray(signer.zones) || signer.zones.length === 0) {
+        throw fail('Informe ao menos uma zona de assinatura (zones)');
+      }
+
+      const ordem = signer.order === undefined ? index + 1 : parseInt(signer.order, 10);
+      if (!Number.isInteger(ordem) || ordem < 1) {
+        throw fail('Ordem deve ser um número a partir de 1');
+      }
+
+      const zonas = signer.zones.map((zone, zoneIndex) => {
+        const dimensoes = {
+          largura: parseFloat(zone.width) || 150,
+          altura: parseFloat(zone.height) || 50
+        };
+        // Resolvida em create (presets e logotipo)
+        const aparencia = zone.appearance;
+
+        if (zone.anchor) {
+          return {
+            pagina: parseInt(zone.page, 10) || undefined,
+            posicao: null,
+            dimensoes,
+            ancora: anchorService.parseAnchor(zone.anchor, zoneIndex + 1),
+            aparencia
+          };
+        }
+
+        const position = zone.position || {};
+        if (!Number.isFinite(parseFloat(position.x)) || !Number.isFinite(parseFloat(position.y))) {
+          throw fail(`Zona ${zoneIndex + 1} precisa de position (x, y) ou anchor`);
+        }
+
+        return {
+          pagina: parseInt(zone.page, 10) || 1,
+          posicao: { x: parseFloat(position.x), y: parseFloat(position.y) },
+          dimensoes,
+          aparencia
+        };
+      });
+
+      return {
+        id: crypto.randomUUID(),
+        nome: signer.name.trim(),
+        email: signer.email || null,
+        ordem,
+        zonas
+      };
+    });
+  }
+
+  /**
+   * Localiza o envelope e o signatário do token
+   * @param {string} token - Token do link do signatário
+   * @returns {object} - { record, signatario }
+   */
+  async findByToken(token) {
+    const [envelopeId, secret] = String(token).split('.');
+    const record = secret ? await documentStore.get(envelopeId) : null;
+    const hash = secret ? Buffer.from(auditService.hash(secret), 'hex') : null;
+
+    const signatario = record && record.envelope && record.envelope.signatarios.find((candidate) => {
+      const expected = Buffer.from(candidate.token_hash, 'hex');
+      return expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+    });
+
+    if (!signatario) {
+      throw new AppError('Link de assinatura inválido ou expirado', { status: 404, code: 'INVALID_SIGN_TOKEN' });
+    }
+
+    return { record, signatario };
+  }
+
+  /**
+   * Dados exibidos ao signatário
+   * @param {object} record - Envelope
+   * @param {object} signatario - Signatário do token
+   * @returns {object}
+   */
+  getSignerView(record, signatario) {
+    const bloqueio = this.getSigningBlock(record, signatario);
+
+    return {
+      envelope: {
+        id: record.id,
+        nome: record.nome,
+        status: record.envelope.status,
+        ordem: record.envelope.ordem,
+        expira_em: record.expiresAt
+      },
+      signatario: {
+        ...this.toSignerJSON(signatario),
+        pode_assinar: !bloqueio,
+        ...(bloqueio && { motivo: bloqueio.message })
+      }
+    };
+  }
+
+  /**
+   * PDF com as assinaturas já feitas, mostrado aos signatários seguintes
+   * @param {object} record - Envelope
+   * @returns {Buffer}
+   */
+  async renderCurrent(record) {
+    const originalPdfBytes = await documentStore.getFile(record.id, 'original.pdf');
+    return stampService.createSignedPdf(record, originalPdfBytes);
+  }
+
+  /**
+   * Aplica a assinatura do signatário em todas as suas zonas
+   * @param {string} token - Token do link do signatário
+   * @param {string|object} signature - Imagem da assinatura (PNG, JPEG, SVG ou traços)
+   * @param {object} [cliente] - { ip, user_agent, usuario } registrado na auditoria
+   * @returns {object} - Envelope atualizado (ver toJSON)
+   */
+  async sign(token, signature, cliente) {
+    const { record: { id } } = await this.findByToken(token);
+
+    const previous = this.updates.get(id) || Promise.resolve();
+    const update = previous.catch(() => {}).then(() => this.applySignature(token, signature, cliente));
+
+    this.updates.set(id, update);
+    update.catch(() => {}).finally(() => {
+      if (this.updates.get(id) === update) {
+        this.updates.delete(id);
+      }
+    });
+
+    return update;
+  }
+
+  async applySignature(token, signature, cliente) {
+    // Relido dentro da fila, com as assinaturas gravadas por outros signatários
+    const { record, signatario } = await this.findByToken(token);
+
+    const bloqueio = this.getSigningBlock(record, signatario);
+    if (bloqueio) {
+      throw bloqueio;
+    }
+
+    if (!signature) {
+      throw new AppError('Assinatura é obrigatória (imagem em base64, SVG ou traços)', { status: 400, code: 'MISSING_SIGNATURE' });
+    }
+
+    const { imageData } = await signatureImageService.normalize(signature, {
+      label: `Assinatura inválida para ${signatario.nome}`,
+      details: { signer: signatario.id }
+    });
+    const imageBytes = Buffer.from(imageData.split(',')[1], 'base64');
+    const assinadoEm = new Date().toISOString();
+
+    const signatarios = record.envelope.signatarios.map((candidate) => candidate.id === signatario.id
+      ? { ...candidate, status: 'assinado', assinado_em: assinadoEm, ip: cliente ? cliente.ip : null }
+      : candidate);
+    const concluido = signatarios.every((candidate) => candidate.status === 'assinado');
+
+    const updated = await documentStore.update(record.id, {
+      signatures: [
+        ...record.signatures,
+        ...signatario.zonas.map((zona) => ({ ...zona, imageData, signatario: signatario.id, assinado_em: assinadoEm }))
+      ],
+      envelope: {
+        ...record.envelope,
+        status: concluido ? 'concluido' : 'parcialmente_assinado',
+        signatarios
+      }
+    });
+
+    const documento = webhookService.describeDocument(updated);
+
+    for (const [index, zona] of signatario.zonas.entries()) {
+      webhookService.emit('signature.applied', {
+        documento,
+        assinatura: record.signatures.length + index + 1,
+        signatario: { id: signatario.id, nome: signatario.nome, email: signatario.email },
+        pagina: zona.pagina,
+        posicao: zona.posicao,
+        dimensoes: zona.dimensoes
+      }, { owner: record.owner });
+
+      await auditService.record(record.id, 'assinatura', {
+        cliente,
+        entrada: imageBytes,
+        detalhes: {
+          assinatura: record.signatures.length + index + 1,
+          signatario: { id: signatario.id, nome: signatario.nome, email: signatario.email },
+          pagina: zona.pagina,
+          posicao: zona.posicao,
+          dimensoes: zona.dimensoes
+        }
+      });
+    }
+
+    if (concluido) {
+      await auditService.record(record.id, 'conclusao', {
+        cliente,
+        detalhes: { signatarios: signatarios.length }
+      });
+
+      webhookService.emitCompleted(updated, null, { origem: 'envelope', signatarios: signatarios.length });
+    }
+
+    return this.toJSON(updated);
+  }
+
+  /**
+   * Motivo pelo qual o signatário ainda não pode assinar, ou null
+   * @returns {AppError|null}
+   */
+  getSigningBlock(record, signatario) {
+    if (signatario.status === 'assinado') {
+      return new AppError('Este signatário já assinou o envelope', { status: 409, code: 'ALREADY_SIGNED' });
+    }
+
+    if (record.envelope.ordem === 'sequential') {
+      const anteriores = record.envelope.signatarios.filter((candidate) =>
+        candidate.ordem < signatario.ordem && candidate.status !== 'assinado');
+
+      if (anteriores.length > 0) {
+        return new AppError('Aguardando a assinatura dos signatários anteriores', {
+          status: 409,
+          code: 'NOT_SIGNER_TURN',
+          details: { aguardando: anteriores.map((candidate) => candidate.nome) }
+        });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Impede o download do PDF final antes de todos os signatários assinarem
+   * @param {object} record - Documento do DocumentStore
+   */
+  ensureCompleted(record) {
+    if (!record.envelope || record.envelope.status === 'concluido') {
+      return;
+    }
+
+    throw new AppError('O envelope ainda não foi assinado por todos os signatários', {
+      status: 409,
+      code: 'ENVELOPE_NOT_COMPLETED',
+      details: {
+        status: record.envelope.status,
+        pendentes: record.envelope.signatarios
+          .filter((signatario) => signatario.status !== 'assinado')
+          .map((signatario) => signatario.nome)
+      }
+    });
+  }
+
+  /**
+   * Representação pública do envelope (sem tokens nem imagens)
+   * @param {object} record - Envelope
+   * @returns {object}
+   */
+  toJSON(record) {
+    const concluido = record.envelope.status === 'concluido';
+
+    return {
+      id: record.id,
+      nome: record.nome,
+      arquivo_final: record.arquivo_final,
+      status: record.envelope.status,
+      ordem: record.envelope.ordem,
+      signatarios: record.envelope.signatarios.map((signatario) => this.toSignerJSON(signatario)),
+      download: concluido ? apiPath(`/download/${record.id}`) : null,
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt
+    };
+  }
+
+  toSignerJSON(signatario) {
+    return {
+      id: signatario.id,
+      nome: signatario.nome,
+      email: signatario.email,
+      ordem: signatario.ordem,
+      status: signatario.status,
+      assinado_em: signatario.assinado_em,
+      zonas: signatario.zonas.map(({ aparencia, ...zona }) => ({
+        ...zona,
+        ...(aparencia && { aparencia: appearanceService.toJSON(aparencia) })
+      }))
+    };
+  }
+}
+
+module.exports = new EnvelopeService();
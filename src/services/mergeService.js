@@ -0,0 +1,296 @@
+const path = require('path');
+const documentService = require('./documentService');
+const pdfInputService = require('./pdfInputService');
+const batchService = require('./batchService');
+const auditService = require('./auditService');
+const webhookService = require('./webhookService');
+const createSignatureImageModule = require('./signatureImageModule');
+const documentStore = require('../storage/documentStore');
+const csvUtils = require('../utils/csvUtils');
+const { AppError } = require('../utils/errors');
+
+const MAX_RECORDS = parseInt(process.env.MERGE_MAX_RECORDS, 10) || 100;
+
+// Erros que dependem só dos dados do registro; os demais (template inválido,
+// assinatura para placeholder inexistente) valem para todos e recusam a requisição
+const RECORD_ERRORS = ['MISSING_PLACEHOLDERS', 'INVALID_FIELD_VALUE', 'SIGNATURE_SENT_AS_TEXT'];
+
+// Partes de nomes de coluna do CSV que alterariam o protótipo dos objetos criados
+const FORBIDDEN_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+/**
+ * Modo de mesclagem: um template .docx é preenchido com dados em JSON (loops,
+ * condicionais e formatadores; ver DocumentService.renderTemplate), recebe as
+ * assinaturas nos placeholders {{ASSINATURA...}} e é convertido para PDF na
+ * mesma requisição. Na variante em massa, cada registro de uma lista JSON ou
+ * CSV gera um documento de um lote, baixado em ZIP por /api/batches/:id/download.
+ */
+class MergeService {
+
+  /**
+   * Preenche, converte e armazena um documento
+   * @param {object} template - { nome, buffer, modelo } do .docx (modelo: versão da biblioteca de templates)
+   * @param {object} data - Dados do documento
+   * @param {object} [options]
+   * @param {object} [options.signatures] - Mapa placeholder -> assinatura (ver DocumentService.processSignature)
+   * @param {boolean} [options.allowMissing] - Deixa em branco os campos sem valor
+   * @param {object} [options.cliente] - { ip, user_agent, usuario } registrado na auditoria
+   * @param {string} [options.owner] - ID do usuário dono do documento
+   * @returns {Promise<object>} - { documento, totalPages }
+   */
+  async mergeDocument(template, data, { signatures = {}, allowMissing = false, cliente, owner } = {}) {
+    const processed = await this.processSignatures(signatures);
+    const buffer = documentService.renderTemplate(template.buffer, data, { signatures: processed, allowMissing });
+
+    const { pdfBytes, pdfDoc } = await pdfInputService.fromBuffer(buffer, { arquivo: template.nome, owner });
+    const totalPages = pdfDoc.getPageCount();
+
+    const documento = await documentStore.create({
+      nome: template.nome,
+      arquivo_final: `${path.parse(template.nome).name}_assinado.pdf`,
+      owner,
+      signatures: [],
+      ...(template.modelo && { modelo: template.modelo }),
+      processedAt: new Date().toISOString()
+    }, {
+      'original.pdf': pdfBytes
+    });
+
+    await auditService.recordUpload(documento, {
+      cliente,
+      arquivo: buffer,
+      pdf: pdfBytes,
+      detalhes: { mesclagem: this.describeMerge(template, processed) }
+    });
+
+    webhookService.emitProcessed(documento, { total_paginas: totalPages });
+
+    return { documento, totalPages };
+  }
+
+  /**
+   * Gera um documento por registro, como um lote. Registros com dados faltando
+   * ou inválidos ficam com status erro sem interromper os demais.
+   * @param {object} template - { nome, buffer, modelo } do .docx (ver mergeDocument)
+   * @param {object[]} records - Dados de cada documento
+   * @param {object} [options] - Opções de mergeDocument, mais:
+   * @param {string} [options.nameField] - Caminho do campo usado no nome de cada arquivo (ex: cliente.nome)
+   * @returns {Promise<object>} - { id, documentos } (ver BatchService.signDocuments)
+   */
+  async mergeRecords(template, records, { signatures = {}, allowMissing = false, nameField, cliente, owner } = {}) {
+    const processed = await this.processSignatures(signatures);
+    const mesclagem = this.describeMerge(template, processed);
+    const files = [];
+    const failed = [];
+
+    for (const [index, record] of records.entries()) {
+      const nome = this.getFileName(template.nome, record, index + 1, nameField);
+
+      try {
+        files.push({
+          nome,
+          indice: index + 1,
+          buffer: documentService.renderTemplate(template.buffer, record, { signatures: processed, allowMissing }),
+          detalhes: { mesclagem: { ...mesclagem, registro: index + 1 } },
+          modelo: template.modelo
+        });
+      } catch (error) {
+        if (!(error instanceof AppError) || !RECORD_ERRORS.includes(error.code)) {
+          throw error;
+        }
+
+        failed.push({ index: index + 1, nome, status: 'erro', erro: error.toJSON() });
+      }
+    }
+
+    // Registros que falharam entram no lote (e no manifest do ZIP) como itens com erro
+    return files.length > 0
+      ? batchService.signDocuments(files, [], { cliente, owner, falhas: failed })
+      : { id: null, documentos: failed };
+  }
+
+  /**
+   * Registros enviados como lista JSON (campo de texto) ou arquivo .json/.csv.
+   * No CSV, a primeira linha traz os nomes dos campos; nomes com ponto
+   * (cliente.nome) viram objetos aninhados.
+   * @param {string|Array} [value] - Campo records do corpo
+   * @param {object} [file] - Arquivo records do multipart ({ originalname, buffer })
+   * @returns {object[]}
+   */
+  parseRecords(value, file) {
+    let records;
+
+    if (file) {
+      const text = file.buffer.toString('utf8');
+      records = /\.csv$/i.test(file.originalname) ? this.fromCsv(text) : this.fromJson(text);
+    } else if (value !== undefined && value !== '') {
+      records = Array.isArray(value) ? value : this.fromJson(value);
+    } else {
+      throw new AppError('Registros são obrigatórios (campo records com lista JSON ou arquivo .csv/.json)', {
+        status: 400,
+        code: 'MISSING_RECORDS'
+      });
+    }
+
+    if (records.length === 0) {
+      throw new AppError('A lista de registros está vazia', { status: 400, code: 'MISSING_RECORDS' });
+    }
+
+    if (records.length > MAX_RECORDS) {
+      throw new AppError(`Máximo de ${MAX_RECORDS} registros por requisição`, {
+        status: 400,
+        code: 'TOO_MANY_RECORDS',
+        details: { total: records.length, max: MAX_RECORDS }
+      });
+    }
+
+    const invalid = records
+      .map((record, index) => (record && typeof record === 'object' && !Array.isArray(record) ? null : index + 1))
+      .filter(Boolean);
+    if (invalid.length > 0) {
+      throw new AppError('Cada registro deve ser um objeto JSON', {
+        status: 400,
+        code: 'INVALID_RECORDS',
+        details: { records: invalid }
+      });
+    }
+
+    return records;
+  }
+
+  fromJson(text) {
+    try {
+      const parsed = JSON.parse(text);
+      if (!Array.isArray(parsed)) {
+        throw new Error('não é uma lista');
+      }
+      return parsed;
+    } catch (error) {
+      throw new AppError('Registros devem ser uma lista JSON', {
+        status: 400,
+        code: 'INVALID_RECORDS',
+        details: { reason: error.message }
+      });
+    }
+  }
+
+  /**
+   * Valores do CSV são texto; true/false viram booleanos para uso em condicionais
+   * @param {string} text - Conteúdo do CSV
+   * @returns {object[]}
+   */
+  fromCsv(text) {
+    let rows;
+    try {
+      rows = csvUtils.parse(text);
+    } catch (error) {
+      throw new AppError(`CSV inválido: ${error.message}`, { status: 400, code: 'INVALID_RECORDS' });
+    }
+
+    const [header = [], ...lines] = rows;
+    const columns = header.map((name) => name.trim());
+
+    if (columns.some((name) => name === '') || new Set(columns).size !== columns.length) {
+      throw new AppError('A primeira linha do CSV deve ter nomes de campos únicos e não vazios', {
+        status: 400,
+        code: 'INVALID_RECORDS',
+        details: { columns }
+      });
+    }
+
+    const forbidden = columns.filter((name) => name.split('.').some((key) => key === '' || FORBIDDEN_KEYS.includes(key)));
+    if (forbidden.length > 0) {
+      throw new AppError('Nomes de campos do CSV não podem ter partes vazias nem usar __proto__, prototype ou constructor', {
+        status: 400,
+        code: 'INVALID_RECORDS',
+        details: { columns: forbidden }
+      });
+    }
+
+    return lines.map((cells) => {
+      const record = {};
+      columns.forEach((column, index) => {
+        const cell = cells[index] === undefined ? '' : cells[index];
+        const value = /^(true|false)$/i.test(cell.trim()) ? cell.trim().toLowerCase() === 'true' : cell;
+        this.setPath(record, column, value);
+      });
+      return record;
+    });
+  }
+
+  /**
+   * Grava o valor no caminho com pontos, criando os objetos intermediários
+   * (só propriedades próprias; nomes reservados já foram recusados em fromCsv)
+   */
+  setPath(target, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    if (keys.some((key) => FORBIDDEN_KEYS.includes(key))) {
+      throw new AppError(`Nome de campo inválido: ${fieldPath}`, { status: 400, code: 'INVALID_RECORDS' });
+    }
+
+    let current = target;
+
+    for (const key of keys.slice(0, -1)) {
+      if (!Object.prototype.hasOwnProperty.call(current, key) || !current[key] || typeof current[key] !== 'object') {
+        current[key] = {};
+      }
+      current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+  }
+
+  /**
+   * Normaliza as assinaturas uma vez para todos os documentos
+   * @param {object} signatures - Mapa placeholder -> assinatura
+   * @returns {Promise<object>} - Mapa placeholder -> { buffer, imageData, width, height }
+   */
+  async processSignatures(signatures) {
+    const notSignature = Object.keys(signatures).filter((name) => !createSignatureImageModule.isSignatureTag(name));
+    if (notSignature.length > 0) {
+      throw new AppError('Placeholders de assinatura devem começar com ASSINATURA', {
+        status: 400,
+        code: 'INVALID_SIGNATURE_PLACEHOLDER',
+        details: { placeholders: notSignature }
+      });
+    }
+
+    const processed = {};
+    for (const [placeholder, signature] of Object.entries(signatures)) {
+      processed[placeholder] = await documentService.processSignature(placeholder, signature);
+    }
+    return processed;
+  }
+
+  /**
+   * Nome do .docx de um registro: valor do campo nameField ou nome do template com o número do registro
+   * @returns {string}
+   */
+  getFileName(templateName, record, index, nameField) {
+    const value = nameField
+      ? nameField.split('.').reduce((current, key) => (
+        current && typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, key) ? current[key] : undefined
+      ), record)
+      : undefined;
+
+    const name = value === undefined || value === null
+      ? ''
+      : String(value).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim().slice(0, 100);
+
+    return `${name || `${path.parse(templateName).name}_${index}`}.docx`;
+  }
+
+  /**
+   * Origem do documento registrada na auditoria
+   * @returns {object} - { modelo, sha256_modelo, assinaturas } (e template: id e versão, se veio da biblioteca)
+   */
+  describeMerge(template, signatures) {
+    return {
+      modelo: template.nome,
+      sha256_modelo: auditService.hash(template.buffer),
+      assinaturas: Object.keys(signatures),
+      ...(template.modelo && { template: { id: template.modelo.id, versao: template.modelo.versao } })
+    };
+  }
+}
+
+module.exports = new MergeService();
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const {
+  PDFArray,
+  PDFDict,
+  PDFHexString,
+  PDFHeader,
+  PDFInvalidObject,
+  PDFName,
+  PDFNumber,
+  PDFObjectParser,
+  PDFRawStream,
+  PDFStream,
+  PDFString
+} = require('pdf-lib');
+const pdfUtils = require('../utils/pdfUtils');
+
+// Bits de permissão do dicionário /Encrypt (ISO 32000-2, tabela 22)
+const PERMISSIONS = {
+  print: 0x4,
+  modify: 0x8,
+  copy: 0x10,
+  annotate: 0x20,
+  fillForms: 0x100,
+  accessibility: 0x200,
+  assemble: 0x400,
+  printHighQuality: 0x800
+};
+
+// Bits reservados que devem ficar ligados (7, 8 e 13 a 32)
+const RESERVED_PERMISSIONS = 0xFFFFF0C0;
+
+// O que cada restrição pedida desliga. A extração para acessibilidade continua permitida
+const RESTRICTIONS = {
+  edit: ['modify', 'annotate', 'fillForms', 'assemble'],
+  copy: ['copy'],
+  print: ['print', 'printHighQuality']
+};
+
+const MAX_PASSWORD_BYTES = 127;
+
+/**
+ * Criptografia do PDF final pelo handler padrão (/Standard) com AES-256
+ * (V 5, R 6; PDF 2.0 ou extensão nível 8 da Adobe no PDF 1.7), que o pdf-lib
+ * não implementa. A senha do usuário (userPassword) é pedida para abrir o
+ * arquivo; a do proprietário (ownerPassword) libera as operações restritas
+ * (edição, cópia, impressão). Sem senha do usuário o PDF abre normalmente e
+ * só as permissões valem.
+ */
+class PdfEncryptionService {
+
+  /**
+   * @param {string[]} [restrict] - Restrições pedidas (edit, copy, print)
+   * @returns {number} - Valor de /P (inteiro de 32 bits com sinal)
+   */
+  getPermissions(restrict = []) {
+    const denied = restrict.flatMap((name) => RESTRICTIONS[name] || []);
+    const allowed = Object.entries(PERMISSIONS)
+      .filter(([name]) => !denied.includes(name))
+      .reduce((flags, [, bit]) => flags | bit, 0);
+
+    return (RESERVED_PERMISSIONS | allowed) | 0;
+  }
+
+  /**
+   * Criptografa as strings e streams do documento e registra o dicionário /Encrypt.
+   * Deve ser a última alteração antes do save (com useObjectStreams: false): objetos
+   * criados depois ficariam sem criptografia. O /Contents da assinatura digital não é
+   * criptografado (ISO 32000-2, 7.6.2), para que o signpdf ainda o preencha.
+   * @param {PDFDocument} pdfDoc - Documento pdf-lib, já com flush() feito
+   * @param {object} options
+   * @param {string} [options.userPassword] - Senha para abrir o documento
+   * @param {string} options.ownerPassword - Senha do proprietário
+   * @param {string[]} [options.restrict] - Restrições (ver RESTRICTIONS)
+   */
+  encrypt(pdfDoc, { userPassword = '', ownerPassword, restrict = [] }) {
+    const { context } = pdfDoc;
+    const fileKey = crypto.randomBytes(32);
+    const permissions = this.getPermissions(restrict);
+
+    // Objetos existentes antes do /Encrypt, que não é criptografado
+    const objects = context.enumerateIndirectObjects();
+    const encrypt = (bytes) => this.encryptBytes(fileKey, bytes);
+
+    for (const [ref, object] of objects) {
+      context.assign(ref, this.encryptIndirectObject(object, encrypt, context));
+    }
+
+    // O /ID do trailer entra no cálculo das chaves nas versões anteriores e continua obrigatório
+    pdfUtils.ensureFileId(pdfDoc);
+    context.trailerInfo.Encrypt = context.register(
+      this.createEncryptDict(context, fileKey, permissions, toPasswordBytes(userPassword), toPasswordBytes(ownerPassword))
+    );
+
+    // AES-256 exige PDF 1.7 com a extensão nível 8 da Adobe
+    if (Number(context.header.major) < 2) {
+      context.header = PDFHeader.forVersion(1, 7);
+      pdfDoc.catalog.set(PDFName.of('Extensions'), context.obj({
+        ADBE: { BaseVersion: PDFName.of('1.7'), ExtensionLevel: 8 }
+      }));
+    }
+  }
+
+  /**
+   * @returns {PDFObject} - Objeto equivalente, com strings e conteúdo criptografados
+   */
+  encryptIndirectObject(object, encrypt, context) {
+    if (object instanceof PDFStream) {
+      // Streams de referência cruzada e de objetos não são criptografados (o save não os gera aqui)
+      const type = object.dict.get(PDFName.of('Type'));
+      if (type === PDFName.of('XRef')) {
+        return object;
+      }
+
+      const dict = this.encryptValue(object.dict, encrypt);
+      return PDFRawStream.of(dict, encrypt(object.getContents()));
+    }
+
+    // O dicionário da assinatura digital vai como bytes prontos (ver pdflibAddPlaceholder)
+    if (object instanceof PDFInvalidObject) {
+      const parsed = PDFObjectParser.forBytes(object.data, context).parseObject();
+      if (!(parsed instanceof PDFDict)) {
+        return object;
+      }
+
+      const encrypted = this.encryptValue(parsed, encrypt);
+      const bytes = new Uint8Array(encrypted.sizeInBytes());
+      encrypted.copyBytesInto(bytes, 0);
+      return PDFInvalidObject.of(bytes);
+    }
+
+    return this.encryptValue(object, encrypt);
+  }
+
+  /**
+   * Criptografa as strings de um valor direto (dicionários e arrays são alterados no lugar)
+   */
+  encryptValue(value, encrypt) {
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+      return PDFHexString.of(Buffer.from(encrypt(value.asBytes())).toString('hex'));
+    }
+
+    if (value instanceof PDFArray) {
+      for (let index = 0; index < value.size(); index++) {
+        value.set(index, this.encryptValue(value.get(index), encrypt));
+      }
+      return value;
+    }
+
+    if (value instanceof PDFDict) {
+      const isSignature = [PDFName.of('Sig'), PDFName.of('DocTimeStamp')].includes(value.get(PDFName.of('Type')));
+
+      for (const [key, entry] of value.entries()) {
+        if (!(isSignature && key === PDFName.of('Contents'))) {
+          value.set(key, this.encryptValue(entry, encrypt));
+        }
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * AES-256-CBC com o vetor de inicialização aleatório no início (AESV3)
+   */
+  encryptBytes(fileKey, bytes) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', fileKey, iv);
+    return Buffer.concat([iv, cipher.update(bytes), cipher.final()]);
+  }
+
+  /**
+   * Dicionário /Encrypt com as chaves de usuário e proprietário (ISO 32000-2, algoritmos 8 a 10)
+   */
+  createEncryptDict(context, fileKey, permissions, userPassword, ownerPassword) {
+    const userValidationSalt = crypto.randomBytes(8);
+    const userKeySalt = crypto.randomBytes(8);
+    const U = Buffer.concat([hashR6(userPassword, userValidationSalt), userValidationSalt, userKeySalt]);
+    const UE = aes256NoPadding(hashR6(userPassword, userKeySalt), fileKey);
+
+    const ownerValidationSalt = crypto.randomBytes(8);
+    const ownerKeySalt = crypto.randomBytes(8);
+    const O = Buffer.concat([hashR6(ownerPassword, ownerValidationSalt, U), ownerValidationSalt, ownerKeySalt]);
+    const OE = aes256NoPadding(hashR6(ownerPassword, ownerKeySalt, U), fileKey);
+
+    // /Perms: permissões cifradas com a chave do arquivo, conferidas pelo leitor contra /P
+    const perms = Buffer.alloc(16);
+    perms.writeInt32LE(permissions, 0);
+    perms.fill(0xFF, 4, 8);
+    perms.write('Tadb', 8, 'latin1');
+    crypto.randomBytes(4).copy(perms, 12);
+    const cipher = crypto.createCipheriv('aes-256-ecb', fileKey, null);
+    cipher.setAutoPadding(false);
+    const Perms = Buffer.concat([cipher.update(perms), cipher.final()]);
+
+    return context.obj({
+      Filter: 'Standard',
+      V: 5,
+      R: 6,
+      Length: 256,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+      StmF: 'StdCF',
+      StrF: 'StdCF',
+      O: toHexString(O),
+      U: toHexString(U),
+      OE: toHexString(OE),
+      UE: toHexString(UE),
+      P: PDFNumber.of(permissions),
+      Perms: toHexString(Perms)
+    });
+  }
+}
+
+/**
+ * Senha no formato do R6: UTF-8 normalizada, limitada a 127 bytes
+ */
+function toPasswordBytes(password) {
+  return Buffer.from(String(password || '').normalize('NFKC'), 'utf8').subarray(0, MAX_PASSWORD_BYTES);
+}
+
+/**
+ * Hash iterativo do R6 (ISO 32000-2, algoritmo 2.B)
+ * @param {Buffer} password
+ * @param {Buffer} salt - 8 bytes
+ * @param {Buffer} [userKey] - Entrada /U (48 bytes), só nas chaves do proprietário
+ * @returns {Buffer} - 32 bytes
+ */
+function hashR6(password, salt, userKey = Buffer.alloc(0)) {
+  let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  let encrypted = Buffer.alloc(1);
+
+  for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round++) {
+    const block = Buffer.concat([password, key, userKey]);
+    const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    encrypted = Buffer.concat([cipher.update(Buffer.concat(Array(64).fill(block))), cipher.final()]);
+
+    const remainder = encrypted.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    key = crypto.createHash(['sha256', 'sha384', 'sha512'][remainder]).update(encrypted).digest();
+  }
+
+  return key.subarray(0, 32);
+}
+
+function aes256NoPadding(key, bytes) {
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, Buffer.alloc(16));
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(bytes), cipher.final()]);
+}
+
+function toHexString(bytes) {
+  return PDFHexString.of(bytes.toString('hex'));
+}
+
+module.exports = new PdfEncryptionService();
@@ -0,0 +1,79 @@
+const fs = require('fs-extra');
+const path = require('path');
+const conversionQueue = require('./conversionQueue');
+const fileUtils = require('../utils/fileUtils');
+const pdfUtils = require('../utils/pdfUtils');
+const { AppError } = require('../utils/errors');
+
+const TEMP_DIR = path.join(__dirname, '..', '..', 'temp');
+
+/**
+ * Transforma o arquivo enviado pelo cliente no PDF que recebe as assinaturas.
+ * O tipo é identificado pelos primeiros bytes: PDFs seguem direto para o carimbo
+ * e documentos Word passam pela fila de conversões.
+ */
+class PdfInputService {
+
+  /**
+   * @param {Buffer} buffer - Conteúdo do arquivo (.pdf, .docx ou .doc)
+   * @param {object} [context] - { arquivo, owner } repassados à fila de conversões
+   * @returns {object} - { type, pdfBytes, pdfDoc }
+   */
+  async fromBuffer(buffer, context = {}) {
+    if (!buffer || buffer.length === 0) {
+      throw new AppError('Conteúdo do documento é obrigatório', {
+        status: 400,
+        code: 'MISSING_DOCUMENT_CONTENT'
+      });
+    }
+
+    const type = fileUtils.detectDocumentType(buffer);
+    if (!type) {
+      throw new AppError('Formato de documento não suportado. Envie .docx, .doc ou .pdf', {
+        status: 400,
+        code: 'UNSUPPORTED_DOCUMENT'
+      });
+    }
+
+    const pdfBytes = type === 'pdf' ? buffer : await this.convert(buffer, type, context);
+    const pdfDoc = await pdfUtils.loadPdf(pdfBytes);
+
+    return { type, pdfBytes, pdfDoc };
+  }
+
+  /**
+   * @param {string} filePath - Arquivo recebido pelo multer
+   * @param {object} [context] - { arquivo, owner } repassados à fila de conversões
+   * @returns {object} - { type, pdfBytes, pdfDoc }
+   */
+  async fromFile(filePath, context = {}) {
+    return this.fromBuffer(await fs.readFile(filePath), context);
+  }
+
+  /**
+   * Converte um .docx/.doc para PDF pela fila de conversões. O arquivo temporário
+   * recebe a extensão do tipo detectado, independente do nome enviado.
+   * @param {Buffer} buffer - Conteúdo do documento
+   * @param {string} type - 'docx' ou 'doc'
+   * @param {object} [context] - { arquivo, owner } (ver ConversionQueue.convert)
+   * @returns {Buffer} - Conteúdo do PDF
+   */
+  async convert(buffer, type, context = {}) {
+    const docPath = path.join(TEMP_DIR, fileUtils.generateUniqueFilename(`.${type}`));
+    const tempFiles = [docPath];
+
+    try {
+      await fs.ensureDir(TEMP_DIR);
+      await fs.writeFile(docPath, buffer);
+
+      const pdfPath = await conversionQueue.convert(docPath, context);
+      tempFiles.push(pdfPath);
+
+      return await fs.readFile(pdfPath);
+    } finally {
+      await fileUtils.cleanupFiles(tempFiles);
+    }
+  }
+}
+
+module.exports = new PdfInputService();
@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const {
+  PDFDict,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFStream,
+  AnnotationFlags,
+  concatTransformationMatrix,
+  drawObject,
+  popGraphicsState,
+  pushGraphicsState
+} = require('pdf-lib');
+const pdfUtils = require('../utils/pdfUtils');
+const pdfaService = require('./pdfaService');
+const pdfEncryptionService = require('./pdfEncryptionService');
+const { AppError } = require('../utils/errors');
+
+// Chaves do dicionário Info preenchidas pelos campos próprios, que properties não pode sobrescrever
+const RESERVED_PROPERTIES = ['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer', 'CreationDate', 'ModDate', 'Trapped'];
+const PROPERTY_NAME = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const MAX_PROPERTIES = 20;
+const MAX_PROPERTY_LENGTH = 500;
+
+/**
+ * Opções de saída do PDF final, pedidas por requisição no /api/download, no
+ * ZIP dos lotes e no /api/documents/sign:
+ *
+ * - flatten: campos de formulário e anotações viram conteúdo fixo da página
+ * - title, author, subject, keywords e properties (propriedades próprias): metadados do dicionário Info
+ * - pdfa: saída PDF/A-2b (ver PdfaService)
+ * - restrict (edit, copy, print), ownerPassword e userPassword: permissões e
+ *   criptografia (ver PdfEncryptionService)
+ *
+ * São aplicadas depois das assinaturas e do certificado de conclusão e antes
+ * da assinatura digital, que continua cobrindo o arquivo inteiro.
+ */
+class PdfOutputService {
+
+  /**
+   * Monta as opções a partir dos campos da requisição (já validados pelo schema)
+   * @param {object} values - Query ou corpo da requisição
+   * @returns {object|null} - { flatten, pdfa, metadata, encryption } ou null se nada foi pedido
+   */
+  parseOptions(values) {
+    const metadata = this.parseMetadata(values);
+    const encryption = this.parseEncryption(values);
+
+    if (values.pdfa && encryption) {
+      throw new AppError('PDF/A não permite criptografia: pdfa não pode ser combinado com restrict ou senhas', {
+        status: 400,
+        code: 'INVALID_OUTPUT_OPTIONS',
+        details: { fields: ['pdfa', 'restrict', 'ownerPassword', 'userPassword'] }
+      });
+    }
+
+    if (!values.flatten && !values.pdfa && !metadata && !encryption) {
+      return null;
+    }
+
+    return {
+      flatten: Boolean(values.flatten),
+      pdfa: Boolean(values.pdfa),
+      metadata,
+      encryption
+    };
+  }
+
+  parseMetadata({ title, author, subject, keywords, properties }) {
+    if (properties) {
+      const entries = Object.entries(properties);
+
+      if (entries.length > MAX_PROPERTIES) {
+        throw invalidProperties(`properties aceita no máximo ${MAX_PROPERTIES} propriedades`);
+      }
+
+      for (const [name, value] of entries) {
+        if (!PROPERTY_NAME.test(name) || RESERVED_PROPERTIES.includes(name)) {
+          throw invalidProperties(`Nome de propriedade inválido: ${name} (letras, números, - e _, sem os nomes padrão do PDF)`, name);
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof value) || String(value).length > MAX_PROPERTY_LENGTH) {
+          throw invalidProperties(`A propriedade ${name} deve ser um texto de até ${MAX_PROPERTY_LENGTH} caracteres`, name);
+        }
+      }
+    }
+
+    const metadata = {
+      title,
+      author,
+      subject,
+      keywords: keywords && keywords.length > 0 ? keywords : undefined,
+      properties: properties && Object.keys(properties).length > 0 ? properties : undefined
+    };
+
+    return Object.values(metadata).some((value) => value !== undefined) ? metadata : null;
+  }
+
+  parseEncryption({ restrict, ownerPassword, userPassword }) {
+    const restrictions = [...new Set(restrict || [])];
+
+    if (restrictions.length === 0 && !userPassword) {
+      if (ownerPassword) {
+        throw new AppError('ownerPassword só tem efeito com restrict ou userPassword', {
+          status: 400,
+          code: 'INVALID_OUTPUT_OPTIONS',
+          details: { fields: ['ownerPassword'] }
+        });
+      }
+      return null;
+    }
+
+    if (ownerPassword && ownerPassword === userPassword) {
+      throw new AppError('ownerPassword deve ser diferente de userPassword, ou as restrições não teriam efeito', {
+        status: 400,
+        code: 'INVALID_OUTPUT_OPTIONS',
+        details: { fields: ['ownerPassword', 'userPassword'] }
+      });
+    }
+
+    return {
+      restrict: restrictions,
+      userPassword: userPassword || '',
+      // Sem senha do proprietário, uma aleatória: as restrições não podem ser removidas por quem recebe o arquivo
+      ownerPassword: ownerPassword || crypto.randomBytes(24).toString('base64')
+    };
+  }
+
+  /**
+   * Resumo das opções para a auditoria e os webhooks (sem as senhas)
+   * @param {object|null} output - Resultado de parseOptions
+   * @returns {object|null}
+   */
+  describe(output) {
+    if (!output) {
+      return null;
+    }
+
+    return {
+      achatado: output.flatten,
+      pdfa: output.pdfa,
+      metadados: output.metadata ? Object.keys(output.metadata).filter((key) => output.metadata[key] !== undefined) : [],
+      restricoes: output.encryption ? output.encryption.restrict : [],
+      senha_abertura: Boolean(output.encryption && output.encryption.userPassword)
+    };
+  }
+
+  /**
+   * Achata, grava os metadados e converte para PDF/A, conforme as opções
+   * @param {PDFDocument} pdfDoc - Documento pdf-lib com as assinaturas já desenhadas
+   * @param {object|null} output - Resultado de parseOptions
+   * @param {object} [options]
+   * @param {Function} [options.getFonts] - Fontes para as aparências dos campos achatados (ver PdfUtils.embedFonts)
+   */
+  async prepare(pdfDoc, output, { getFonts } = {}) {
+    if (!output) {
+      return;
+    }
+
+    if (output.flatten) {
+      await this.flatten(pdfDoc, getFonts || (() => pdfUtils.embedFonts(pdfDoc, { embedded: output.pdfa })));
+    }
+
+    if (output.metadata) {
+      this.applyMetadata(pdfDoc, output.metadata);
+    }
+
+    if (output.pdfa) {
+      await pdfaService.convert(pdfDoc);
+    }
+  }
+
+  /**
+   * Grava o PDF, criptografado se pedido
+   * @param {PDFDocument} pdfDoc
+   * @param {object|null} output - Resultado de parseOptions
+   * @param {object} [options]
+   * @param {boolean} [options.objectStreams=true] - false quando o signpdf ainda vai assinar o arquivo
+   * @returns {Promise<Buffer>}
+   */
+  async save(pdfDoc, output, { objectStreams = true } = {}) {
+    if (!output || !output.encryption) {
+      return Buffer.from(await pdfDoc.save({ useObjectStreams: objectStreams }));
+    }
+
+    // Tudo o que o save geraria (fontes, imagens, aparências de campos) precisa existir antes da criptografia
+    await pdfDoc.flush();
+    pdfEncryptionService.encrypt(pdfDoc, output.encryption);
+
+    return Buffer.from(await pdfDoc.save({ useObjectStreams: false, updateFieldAppearances: false }));
+  }
+
+  /**
+   * Aplica as opções a um PDF já gerado (ex: .docx convertido no /api/documents/sign)
+   * @param {Buffer} pdfBytes
+   * @param {object|null} output - Resultado de parseOptions
+   * @returns {Promise<Buffer>}
+   */
+  async apply(pdfBytes, output) {
+    if (!output) {
+      return pdfBytes;
+    }
+
+    const pdfDoc = await pdfUtils.loadPdf(pdfBytes);
+    await this.prepare(pdfDoc, output);
+    return this.save(pdfDoc, output);
+  }
+
+  /**
+   * Campos de formulário e anotações passam a ser desenhados no conteúdo da
+   * página. Links continuam clicáveis; anotações ocultas e pop-ups são removidos.
+   * @param {PDFDocument} pdfDoc
+   * @param {Function} getFonts - Fontes para os campos que ainda não têm aparência
+   */
+  async flatten(pdfDoc, getFonts) {
+    try {
+      if (pdfDoc.catalog.getAcroForm()) {
+        const form = pdfDoc.getForm();
+        if (form.getFields().length > 0) {
+          form.updateFieldAppearances((await getFonts()).regular);
+          form.flatten({ updateFieldAppearances: false });
+        }
+      }
+
+      for (const page of pdfDoc.getPages()) {
+        this.flattenAnnotations(pdfDoc, page);
+      }
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+
+      throw new AppError(`Não foi possível achatar o PDF: ${error.message}`, {
+        status: 422,
+        code: 'PDF_FLATTEN_FAILED'
+      });
+    }
+  }
+
+  /**
+   * Desenha a aparência normal de cada anotação da página no retângulo dela
+   * (ISO 32000-2, 12.5.5) e remove a anotação
+   */
+  flattenAnnotations(pdfDoc, page) {
+    const annots = page.node.Annots();
+    if (!annots) {
+      return;
+    }
+
+    const hidden = AnnotationFlags.Hidden | AnnotationFlags.NoView;
+
+    for (let index = annots.size() - 1; index >= 0; index--) {
+      // Referências para objetos já removidos (ex: widgets dos campos achatados) também saem
+      const annot = annots.lookupMaybe(index, PDFDict);
+
+      if (annot) {
+        const subtype = annot.get(PDFName.of('Subtype'));
+        if (subtype === PDFName.of('Link')) {
+          continue;
+        }
+
+        const flags = annot.lookupMaybe(PDFName.of('F'), PDFNumber);
+        const visible = !(flags && flags.asNumber() & hidden) && subtype !== PDFName.of('Popup');
+        const appearance = visible ? this.getNormalAppearance(annot) : null;
+
+        if (appearance) {
+          this.drawAppearance(page, annot, appearance);
+        }
+      }
+      annots.remove(index);
+    }
+  }
+
+  /**
+   * @returns {PDFRef|null} - Stream da aparência normal (/AP /N, no estado /AS quando há vários)
+   */
+  getNormalAppearance(annot) {
+    const ap = annot.lookupMaybe(PDFName.of('AP'), PDFDict);
+    const normal = ap && ap.get(PDFName.of('N'));
+    if (!normal) {
+      return null;
+    }
+
+    const resolved = annot.context.lookup(normal);
+    if (resolved instanceof PDFStream) {
+      return normal;
+    }
+
+    const state = annot.get(PDFName.of('AS'));
+    return resolved instanceof PDFDict && state ? resolved.get(state) || null : null;
+  }
+
+  /**
+   * Encaixa o BBox da aparência (já transformado pelo /Matrix dela) no /Rect da anotação
+   */
+  drawAppearance(page, annot, appearanceRef) {
+    const appearance = annot.context.lookup(appearanceRef, PDFStream);
+    const [x1, y1, x2, y2] = toNumbers(annot.lookup(PDFName.of('Rect')));
+    const bbox = toNumbers(appearance.dict.lookup(PDFName.of('BBox')));
+    const matrix = appearance.dict.has(PDFName.of('Matrix'))
+      ? toNumbers(appearance.dict.lookup(PDFName.of('Matrix')))
+      : [1, 0, 0, 1, 0, 0];
+
+    const corners = [[bbox[0], bbox[1]], [bbox[2], bbox[1]], [bbox[0], bbox[3]], [bbox[2], bbox[3]]]
+      .map(([x, y]) => [matrix[0] * x + matrix[2] * y + matrix[4], matrix[1] * x + matrix[3] * y + matrix[5]]);
+    const xs = corners.map((corner) => corner[0]);
+    const ys = corners.map((corner) => corner[1]);
+    const box = { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+
+    const rect = { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+    if (box.width === 0 || box.height === 0 || rect.width === 0 || rect.height === 0) {
+      return;
+    }
+
+    const scaleX = rect.width / box.width;
+    const scaleY = rect.height / box.height;
+    const name = page.node.newXObject('FlatAnnot', appearanceRef);
+
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(scaleX, 0, 0, scaleY, rect.x - box.x * scaleX, rect.y - box.y * scaleY),
+      drawObject(name),
+      popGraphicsState()
+    );
+  }
+
+  /**
+   * Título, autor, assunto, palavras-chave e propriedades próprias no dicionário Info
+   */
+  applyMetadata(pdfDoc, { title, author, subject, keywords, properties }) {
+    if (title !== undefined) {
+      pdfDoc.setTitle(title);
+    }
+    if (author !== undefined) {
+      pdfDoc.setAuthor(author);
+    }
+    if (subject !== undefined) {
+      pdfDoc.setSubject(subject);
+    }
+    if (keywords !== undefined) {
+      pdfDoc.setKeywords(keywords);
+    }
+
+    if (properties) {
+      // O pdf-lib só expõe setters para as chaves padrão; as demais vão direto no dicionário Info
+      const info = pdfDoc.getInfoDict();
+      for (const [name, value] of Object.entries(properties)) {
+        info.set(PDFName.of(name), PDFHexString.fromText(String(value)));
+      }
+    }
+  }
+}
+
+function invalidProperties(message, name) {
+  return new AppError(message, {
+    status: 400,
+    code: 'INVALID_PDF_METADATA',
+    details: { field: name ? `properties.${name}` : 'properties' }
+  });
+}
+
+function toNumbers(array) {
+  return array.asArray().map((value) => array.context.lookup(value).asNumber());
+}
+
+module.exports = new PdfOutputService();
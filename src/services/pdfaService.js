@@ -0,0 +1,221 @@
+const fs = require('fs-extra');
+const { AnnotationFlags, PDFDict, PDFHeader, PDFName, PDFNumber, PDFString } = require('pdf-lib');
+const pdfUtils = require('../utils/pdfUtils');
+const { AppError } = require('../utils/errors');
+
+// Perfil sRGB distribuído com o pdfkit (usado por ele no próprio PDF/A)
+const SRGB_PROFILE = require.resolve('pdfkit/js/data/sRGB_IEC61966_2_1.icc');
+const SRGB_IDENTIFIER = 'sRGB IEC61966-2.1';
+
+/**
+ * Saída PDF/A-2b (ISO 19005-2, nível B: aparência visual preservada) para
+ * arquivamento de longo prazo, feita com o pdf-lib sobre o PDF final:
+ * versão 1.7, metadados XMP iguais aos do dicionário Info, perfil de cor sRGB
+ * (OutputIntent), /ID no trailer, sem JavaScript nem ações automáticas e
+ * anotações marcadas para impressão.
+ *
+ * O conteúdo do documento original não é reprocessado: PDFs com fontes não
+ * incorporadas não podem ser convertidos e são recusados (PDFA_FONT_NOT_EMBEDDED).
+ * O texto desenhado pela API usa fontes incorporadas (ver PdfUtils.embedFonts).
+ */
+class PdfaService {
+
+  /**
+   * Converte o documento. Deve ser chamado depois de desenhadas as assinaturas
+   * e gravados os metadados, e antes da assinatura digital.
+   * @param {PDFDocument} pdfDoc - Documento pdf-lib
+   */
+  async convert(pdfDoc) {
+    // Fontes e imagens pendentes só viram objetos no flush
+    await pdfDoc.flush();
+    this.checkFonts(pdfDoc);
+
+    pdfDoc.context.header = PDFHeader.forVersion(1, 7);
+    pdfUtils.ensureFileId(pdfDoc);
+
+    this.removeActions(pdfDoc);
+    this.fixAnnotations(pdfDoc);
+    await this.setOutputIntent(pdfDoc);
+    this.setXmpMetadata(pdfDoc);
+  }
+
+  /**
+   * Recusa o documento se alguma fonte não estiver incorporada
+   * @param {PDFDocument} pdfDoc
+   */
+  checkFonts(pdfDoc) {
+    const missing = new Set();
+
+    for (const [, object] of pdfDoc.context.enumerateIndirectObjects()) {
+      if (!(object instanceof PDFDict) || object.get(PDFName.of('Type')) !== PDFName.of('Font')) {
+        continue;
+      }
+
+      const subtype = object.get(PDFName.of('Subtype'));
+      // Type3 desenha os glifos com operadores do próprio PDF; Type0 delega à fonte descendente
+      if (subtype === PDFName.of('Type3') || subtype === PDFName.of('Type0')) {
+        continue;
+      }
+
+      const descriptor = object.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+      const embedded = descriptor && ['FontFile', 'FontFile2', 'FontFile3']
+        .some((key) => descriptor.has(PDFName.of(key)));
+
+      if (!embedded) {
+        const baseFont = object.get(PDFName.of('BaseFont'));
+        missing.add(baseFont ? baseFont.decodeText() : '(sem nome)');
+      }
+    }
+
+    if (missing.size > 0) {
+      const fonts = [...missing];
+      throw new AppError(
+        `PDF/A exige fontes incorporadas; o documento usa fontes não incorporadas: ${fonts.join(', ')}`,
+        { status: 422, code: 'PDFA_FONT_NOT_EMBEDDED', details: { fonts } }
+      );
+    }
+  }
+
+  /**
+   * JavaScript e ações automáticas (abertura, eventos de página e de campo) não são permitidos
+   */
+  removeActions(pdfDoc) {
+    const { catalog } = pdfDoc;
+    const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+
+    if (names) {
+      names.delete(PDFName.of('JavaScript'));
+    }
+    catalog.delete(PDFName.of('AA'));
+
+    const openAction = catalog.lookupMaybe(PDFName.of('OpenAction'), PDFDict);
+    if (openAction && openAction.get(PDFName.of('S')) !== PDFName.of('GoTo')) {
+      catalog.delete(PDFName.of('OpenAction'));
+    }
+
+    const acroForm = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+    if (acroForm) {
+      acroForm.delete(PDFName.of('XFA'));
+      acroForm.delete(PDFName.of('NeedAppearances'));
+    }
+
+    for (const page of pdfDoc.getPages()) {
+      page.node.delete(PDFName.of('AA'));
+    }
+  }
+
+  /**
+   * Anotações precisam ser impressas; as ocultas não aparecem no documento e são removidas
+   */
+  fixAnnotations(pdfDoc) {
+    const hidden = AnnotationFlags.Invisible | AnnotationFlags.Hidden | AnnotationFlags.NoView | AnnotationFlags.ToggleNoView;
+
+    for (const page of pdfDoc.getPages()) {
+      const annots = page.node.Annots();
+      if (!annots) {
+        continue;
+      }
+
+      for (let index = annots.size() - 1; index >= 0; index--) {
+        const annot = annots.lookupMaybe(index, PDFDict);
+        if (!annot) {
+          annots.remove(index);
+          continue;
+        }
+        if (annot.get(PDFName.of('Subtype')) === PDFName.of('Popup')) {
+          continue;
+        }
+
+        const flags = annot.lookupMaybe(PDFName.of('F'), PDFNumber);
+        const value = flags ? flags.asNumber() : 0;
+
+        if (value & hidden) {
+          annots.remove(index);
+        } else {
+          annot.set(PDFName.of('F'), pdfDoc.context.obj(value | AnnotationFlags.Print));
+        }
+      }
+    }
+  }
+
+  /**
+   * Perfil sRGB como condição de saída: define as cores DeviceRGB usadas nas páginas
+   */
+  async setOutputIntent(pdfDoc) {
+    const { context } = pdfDoc;
+    const profile = context.flateStream(await fs.readFile(SRGB_PROFILE), { N: 3 });
+
+    pdfDoc.catalog.set(PDFName.of('OutputIntents'), context.obj([{
+      Type: 'OutputIntent',
+      S: 'GTS_PDFA1',
+      OutputConditionIdentifier: PDFString.of(SRGB_IDENTIFIER),
+      Info: PDFString.of(SRGB_IDENTIFIER),
+      RegistryName: PDFString.of('http://www.color.org'),
+      DestOutputProfile: context.register(profile)
+    }]));
+  }
+
+  /**
+   * Metadados XMP com a identificação PDF/A e os mesmos valores do dicionário Info
+   */
+  setXmpMetadata(pdfDoc) {
+    const title = pdfDoc.getTitle();
+    const author = pdfDoc.getAuthor();
+    const subject = pdfDoc.getSubject();
+    const keywords = pdfDoc.getKeywords();
+    const creator = pdfDoc.getCreator();
+    const producer = pdfDoc.getProducer();
+    const created = pdfDoc.getCreationDate();
+    const modified = pdfDoc.getModificationDate();
+
+    const properties = [
+      '<pdfaid:part>2</pdfaid:part>',
+      '<pdfaid:conformance>B</pdfaid:conformance>',
+      '<dc:format>application/pdf</dc:format>',
+      title && `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(title)}</rdf:li></rdf:Alt></dc:title>`,
+      author && `<dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>`,
+      subject && `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(subject)}</rdf:li></rdf:Alt></dc:description>`,
+      keywords && `<pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>`,
+      producer && `<pdf:Producer>${escapeXml(producer)}</pdf:Producer>`,
+      creator && `<xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>`,
+      created && `<xmp:CreateDate>${toXmpDate(created)}</xmp:CreateDate>`,
+      modified && `<xmp:ModifyDate>${toXmpDate(modified)}</xmp:ModifyDate>`,
+      modified && `<xmp:MetadataDate>${toXmpDate(modified)}</xmp:MetadataDate>`
+    ].filter(Boolean);
+
+    const xmp = [
+      '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+      '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+      '<rdf:Description rdf:about=""',
+      '  xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"',
+      '  xmlns:dc="http://purl.org/dc/elements/1.1/"',
+      '  xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+      '  xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+      ...properties,
+      '</rdf:Description>',
+      '</rdf:RDF>',
+      '</x:xmpmeta>',
+      '<?xpacket end="w"?>'
+    ].join('\n');
+
+    // Sem compressão, para que o XMP continue legível por ferramentas que não interpretam o PDF
+    const metadata = pdfDoc.context.stream(Buffer.from(xmp, 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(metadata));
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Data do Info (D:AAAAMMDDHHmmSSZ, gravada pelo pdf-lib em UTC) no formato do XMP
+function toXmpDate(date) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+module.exports = new PdfaService();
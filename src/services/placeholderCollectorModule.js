@@ -0,0 +1,62 @@
+const wrapper = require('docxtemplater/js/module-wrapper');
+
+const MODULE_NAME = 'PlaceholderCollectorModule';
+
+/**
+ * Módulo do docxtemplater que apenas registra os placeholders encontrados em
+ * cada parte do documento (e se estão dentro de uma tabela), sem alterar a
+ * renderização.
+ */
+class PlaceholderCollectorModule {
+
+  constructor() {
+    this.name = MODULE_NAME;
+    this.placeholders = [];
+  }
+
+  /**
+   * O docxtemplater envia a lista de partes de cada arquivo logo após o parse,
+   * antes dos loops serem agrupados, então cada ocorrência aparece uma única vez
+   */
+  set(options) {
+    if (options.inspect && options.inspect.parsed) {
+      this.collect(options.inspect.parsed, options.inspect.filePath);
+    }
+  }
+
+  collect(parts, filePath) {
+    let tableDepth = 0;
+
+    for (const part of parts) {
+      if (part.type === 'tag' && part.tag === 'w:tc') {
+        if (part.position === 'start') {
+          tableDepth++;
+        } else if (part.position === 'end') {
+          tableDepth--;
+        }
+        continue;
+      }
+
+      if (part.type === 'placeholder') {
+        this.placeholders.push({
+          name: part.value,
+          module: part.module,
+          filePath,
+          inTable: tableDepth > 0
+        });
+      }
+    }
+  }
+
+  /**
+   * Nomes únicos dos placeholders encontrados
+   * @returns {string[]}
+   */
+  getTagNames() {
+    return [...new Set(this.placeholders.map((placeholder) => placeholder.name))];
+  }
+}
+
+module.exports = function createPlaceholderCollectorModule() {
+  return wrapper(new PlaceholderCollectorModule());
+};
@@ -0,0 +1,111 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const pdfUtils = require('../utils/pdfUtils');
+const imageUtils = require('../utils/imageUtils');
+
+// O pdf-poppler só traz binários para Windows e macOS e encerra o processo em
+// outras plataformas, por isso é carregado sob demanda
+const USE_POPPLER = ['win32', 'darwin'].includes(os.platform());
+const DEFAULT_DPI = 96;
+
+class PreviewService {
+
+  /**
+   * Gera uma imagem PNG por página do PDF, com as dimensões da página em pontos.
+   * As dimensões são as da página visível (CropBox e rotação), as mesmas usadas
+   * pelo /api/download ao posicionar a assinatura.
+   * @param {string} pdfPath - Caminho do PDF
+   * @param {object} [options]
+   * @param {number} [options.dpi=96] - Resolução das imagens
+   * @returns {object[]} - [{ page, width, height, rotation, imageWidth, imageHeight, image }]
+   */
+  async renderPages(pdfPath, { dpi = DEFAULT_DPI } = {}) {
+    const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath));
+    const outputDir = path.join(path.dirname(pdfPath), `preview-${path.basename(pdfPath, '.pdf')}`);
+    await fs.ensureDir(outputDir);
+
+    try {
+      const pages = [];
+
+      for (let pageNumber = 1; pageNumber <= pdfDoc.getPageCount(); pageNumber++) {
+        const size = pdfUtils.getVisibleSize(pdfUtils.getPage(pdfDoc, pageNumber));
+        const pixels = {
+          width: Math.round(size.width * dpi / 72),
+          height: Math.round(size.height * dpi / 72)
+        };
+
+        const buffer = await this.rasterizePage(pdfPath, pageNumber, pixels, dpi, outputDir);
+        const info = imageUtils.getImageInfo(buffer);
+
+        pages.push({
+          page: pageNumber,
+          width: size.width,
+          height: size.height,
+          rotation: size.rotation,
+          imageWidth: info.width,
+          imageHeight: info.height,
+          image: `data:image/png;base64,${buffer.toString('base64')}`
+        });
+      }
+
+      return pages;
+
+    } catch (error) {
+      console.error('Erro ao gerar imagens do preview:', error);
+      throw new Error(`Erro ao gerar imagens das páginas: ${error.message}`);
+    } finally {
+      await fs.remove(outputDir);
+    }
+  }
+
+  /**
+   * Converte uma página em PNG com pdf-poppler (Windows/macOS) ou pdf2pic
+   * (GraphicsMagick + Ghostscript nas demais plataformas)
+   * @param {string} pdfPath - Caminho do PDF
+   * @param {number} pageNumber - Página, começando em 1
+   * @param {object} pixels - Tamanho desejado da imagem ({ width, height })
+   * @param {number} dpi - Resolução
+   * @param {string} outputDir - Pasta temporária para as imagens
+   * @returns {Buffer} - Conteúdo PNG da página
+   */
+  async rasterizePage(pdfPath, pageNumber, pixels, dpi, outputDir) {
+    if (USE_POPPLER) {
+      const poppler = require('pdf-poppler');
+      const prefix = `page-${pageNumber}`;
+
+      await poppler.convert(pdfPath, {
+        format: 'png',
+        out_dir: outputDir,
+        out_prefix: prefix,
+        page: pageNumber,
+        scale: Math.max(pixels.width, pixels.height)
+      });
+
+      // O pdftocairo acrescenta o número da página (com zeros à esquerda) ao prefixo
+      const files = await fs.readdir(outputDir);
+      const output = files.find((file) => file.startsWith(`${prefix}-`) && file.endsWith('.png'));
+      if (!output) {
+        throw new Error(`Imagem da página ${pageNumber} não foi gerada`);
+      }
+
+      return fs.readFile(path.join(outputDir, output));
+    }
+
+    const { fromPath } = require('pdf2pic');
+    const convert = fromPath(pdfPath, {
+      format: 'png',
+      density: dpi,
+      width: pixels.width,
+      height: pixels.height,
+      savePath: outputDir,
+      saveFilename: `page-${pageNumber}`
+    });
+
+    const result = await convert(pageNumber, { responseType: 'buffer' });
+    return result.buffer;
+  }
+}
+
+module.exports = new PreviewService();
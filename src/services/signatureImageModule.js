@@ -0,0 +1,202 @@
+const path = require('path');
+const wrapper = require('docxtemplater/js/module-wrapper');
+const imageUtils = require('../utils/imageUtils');
+
+const MODULE_NAME = 'SignatureImageModule';
+const EMU_PER_POINT = 12700;
+const DEFAULT_WIDTH = 150;
+const IMAGE_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+const PACKAGE_RELATIONSHIPS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+// {{ASSINATURA}} ou placeholders nomeados como {{ASSINATURA_1}} e {{ASSINATURA_GESTOR}}
+const SIGNATURE_TAG = /^(ASSINATURA(?:_[A-Za-z0-9_]+)?)$/;
+
+/**
+ * Módulo do docxtemplater que troca os placeholders de assinatura ({{ASSINATURA}},
+ * {{ASSINATURA_GESTOR}}, ...) por uma imagem inline (w:drawing). Funciona no corpo,
+ * em tabelas, cabeçalhos e rodapés, pois cada parte recebe o relacionamento da
+ * imagem no seu próprio arquivo .rels.
+ */
+class SignatureImageModule {
+
+  constructor() {
+    this.name = MODULE_NAME;
+    this.images = [];
+  }
+
+  /**
+   * Guarda o zip do documento e o próximo id livre para wp:docPr
+   */
+  optionsTransformer(options, docxtemplater) {
+    this.zip = docxtemplater.zip;
+    this.nextDocPrId = this.findMaxDocPrId() + 1;
+    return options;
+  }
+
+  set(options) {
+    if (options.xmlDocuments) {
+      this.xmlDocuments = options.xmlDocuments;
+    }
+  }
+
+  matchers() {
+    return [[SIGNATURE_TAG, MODULE_NAME]];
+  }
+
+  /**
+   * Gera o XML do desenho no lugar da tag. O texto do run é fechado antes
+   * da imagem e reaberto depois, preservando o restante do parágrafo.
+   */
+  render(part, options) {
+    if (part.module !== MODULE_NAME) {
+      return null;
+    }
+
+    const signature = options.scopeManager.getValue(part.value, { part });
+    if (!signature) {
+      return { value: '' };
+    }
+
+    const info = imageUtils.getImageInfo(signature.buffer);
+    const size = imageUtils.fitDimensions(info, signature.width, signature.height, DEFAULT_WIDTH);
+    const image = this.registerImage(options.filePath, signature.buffer, info);
+
+    return {
+      value: `</w:t></w:r><w:r>${this.buildDrawingXml(image, size)}</w:r><w:r><w:t xml:space="preserve">`
+    };
+  }
+
+  /**
+   * Grava mídias, relacionamentos e tipos de conteúdo antes do zip ser sincronizado
+   */
+  on(eventName) {
+    if (eventName !== 'syncing-zip' || this.images.length === 0) {
+      return;
+    }
+
+    for (const image of this.images) {
+      this.zip.file(image.mediaPath, image.buffer);
+      this.addRelationship(image);
+      this.addContentType(image);
+    }
+  }
+
+  registerImage(partPath, buffer, info) {
+    const index = this.images.length + 1;
+    const fileName = `assinatura-${Date.now()}-${index}.${info.extension}`;
+    const image = {
+      partPath,
+      buffer,
+      extension: info.extension,
+      contentType: info.contentType,
+      rId: `rIdAssinatura${index}`,
+      docPrId: this.nextDocPrId++,
+      fileName,
+      mediaPath: `word/media/${fileName}`
+    };
+
+    this.images.push(image);
+    return image;
+  }
+
+  buildDrawingXml(image, size) {
+    const cx = Math.round(size.width * EMU_PER_POINT);
+    const cy = Math.round(size.height * EMU_PER_POINT);
+
+    return '<w:drawing>' +
+      '<wp:inline distT="0" distB="0" distL="0" distR="0" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">' +
+      `<wp:extent cx="${cx}" cy="${cy}"/>` +
+      '<wp:effectExtent l="0" t="0" r="0" b="0"/>' +
+      `<wp:docPr id="${image.docPrId}" name="Assinatura ${image.docPrId}"/>` +
+      '<wp:cNvGraphicFramePr>' +
+      '<a:graphicFrameLocks xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" noChangeAspect="1"/>' +
+      '</wp:cNvGraphicFramePr>' +
+      '<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">' +
+      '<a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+      '<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">' +
+      `<pic:nvPicPr><pic:cNvPr id="0" name="${image.fileName}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      '<pic:blipFill>' +
+      `<a:blip r:embed="${image.rId}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"/>` +
+      '<a:stretch><a:fillRect/></a:stretch>' +
+      '</pic:blipFill>' +
+      '<pic:spPr>' +
+      `<a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+      '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>' +
+      '</pic:spPr>' +
+      '</pic:pic>' +
+      '</a:graphicData>' +
+      '</a:graphic>' +
+      '</wp:inline>' +
+      '</w:drawing>';
+  }
+
+  /**
+   * Adiciona o relacionamento da imagem no .rels da parte (document, header ou footer)
+   */
+  addRelationship(image) {
+    const relsPath = path.posix.join(
+      path.posix.dirname(image.partPath),
+      '_rels',
+      `${path.posix.basename(image.partPath)}.rels`
+    );
+
+    const relsFile = this.zip.file(relsPath);
+    const relsXml = relsFile
+      ? relsFile.asText()
+      : `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${PACKAGE_RELATIONSHIPS}"></Relationships>`;
+
+    const relationship = `<Relationship Id="${image.rId}" Type="${IMAGE_RELATIONSHIP}" Target="media/${image.fileName}"/>`;
+    this.zip.file(relsPath, relsXml.replace('</Relationships>', `${relationship}</Relationships>`));
+  }
+
+  /**
+   * Registra a extensão da imagem em [Content_Types].xml, se ainda não existir
+   */
+  addContentType(image) {
+    const contentTypes = this.xmlDocuments['[Content_Types].xml'];
+    const root = contentTypes.documentElement;
+    const defaults = Array.from(root.getElementsByTagName('Default'));
+
+    const exists = defaults.some(
+      (element) => element.getAttribute('Extension').toLowerCase() === image.extension
+    );
+    if (exists) {
+      return;
+    }
+
+    const element = contentTypes.createElementNS(root.namespaceURI, 'Default');
+    element.setAttribute('Extension', image.extension);
+    element.setAttribute('ContentType', image.contentType);
+    root.appendChild(element);
+  }
+
+  findMaxDocPrId() {
+    let maxId = 0;
+
+    for (const fileName of Object.keys(this.zip.files)) {
+      if (!/^word\/.*\.xml$/.test(fileName)) {
+        continue;
+      }
+
+      const matches = this.zip.file(fileName).asText().matchAll(/<wp:docPr[^>]*\sid="(\d+)"/g);
+      for (const match of matches) {
+        maxId = Math.max(maxId, parseInt(match[1], 10));
+      }
+    }
+
+    return maxId;
+  }
+}
+
+function createSignatureImageModule() {
+  return wrapper(new SignatureImageModule());
+}
+
+/**
+ * Indica se o nome da tag corresponde a um placeholder de assinatura
+ * @param {string} tag - Nome da tag sem delimitadores
+ * @returns {boolean}
+ */
+createSignatureImageModule.isSignatureTag = (tag) => SIGNATURE_TAG.test(tag);
+
+module.exports = createSignatureImageModule;
@@ -0,0 +1,407 @@
+const sharp = require('sharp');
+const imageUtils = require('../utils/imageUtils');
+const svgUtils = require('../utils/svgUtils');
+const { AppError } = require('../utils/errors');
+
+// Pixels com os três canais a partir desse valor (0-255) viram transparentes
+const WHITE_THRESHOLD = parseInt(process.env.SIGNATURE_WHITE_THRESHOLD, 10) || 235;
+// Faixa abaixo do limite em que a transparência é parcial, para suavizar as bordas do traço
+const FEATHER = 40;
+const DPI = parseInt(process.env.SIGNATURE_DPI, 10) || 300;
+const MAX_PIXELS = parseInt(process.env.SIGNATURE_MAX_PIXELS, 10) || 1500;
+
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const MAX_SVG_LENGTH = 1024 * 1024;
+const MAX_STROKE_POINTS = 100000;
+// Margem mantida em volta do traço depois do recorte, em pixels
+const PADDING = 2;
+// Resolução usada para medir o conteúdo dos SVGs (lado maior, em pixels)
+const MEASURE_SIZE = 1000;
+
+/**
+ * Normaliza a assinatura recebida antes de ela ser armazenada ou inserida no documento:
+ *
+ * - PNG/JPEG: recorta as margens em branco, torna transparente o fundo branco
+ *   (para não cobrir linhas e textos do documento) e grava em PNG com resolução
+ *   padronizada (SIGNATURE_DPI, no máximo SIGNATURE_MAX_PIXELS no lado maior)
+ * - SVG e traços em JSON ([[{ x, y }, ...], ...]): mantidos como caminhos
+ *   vetoriais (SVG), recortados ao desenho; o carimbo no PDF desenha os caminhos
+ *   e o .docx recebe a versão rasterizada
+ *
+ * Assinaturas inválidas ou vazias geram AppError 400.
+ */
+class SignatureImageService {
+
+  /**
+   * @param {string|object|Array} input - Data URL/base64 de PNG, JPEG ou SVG,
+   *   texto SVG ou traços (array ou JSON)
+   * @param {object} [context]
+   * @param {string} [context.label='Assinatura inválida'] - Início da mensagem de erro
+   * @param {object} [context.details] - Dados extras incluídos no erro
+   * @returns {Promise<object>} - { imageData, buffer, width, height, vetorial }
+   *   imageData: data URL armazenado (PNG ou SVG); buffer: PNG para o .docx;
+   *   width/height: tamanho do PNG em pixels
+   */
+  async normalize(input, { label = 'Assinatura inválida', details } = {}) {
+    const fail = (message, code = 'INVALID_SIGNATURE_IMAGE') =>
+      new AppError(`${label}: ${message}`, { status: 400, code, details });
+
+    let source;
+    try {
+      source = this.readInput(input);
+    } catch (error) {
+      throw fail(error.message);
+    }
+
+    try {
+      return source.type === 'raster'
+        ? await this.normalizeRaster(source.buffer)
+        : await this.normalizeVector(source.vector);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw fail(error.message, error.code);
+      }
+      throw fail(source.type === 'raster' ? 'Não foi possível ler a imagem' : error.message);
+    }
+  }
+
+  /**
+   * Lê uma assinatura já normalizada (imageData armazenado) para o carimbo no PDF.
+   * Aceita também os PNG/JPEG gravados antes da normalização.
+   * @param {string} imageData - Data URL armazenado
+   * @returns {object} - { type: 'png'|'jpeg', bytes, width, height } ou { type: 'svg', vector }
+   */
+  load(imageData) {
+    const match = String(imageData || '').match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+    if (!match || !match[2]) {
+      throw new Error('Assinatura armazenada em formato desconhecido');
+    }
+
+    const bytes = Buffer.from(match[3], 'base64');
+
+    if (match[1] === 'image/svg+xml') {
+      return { type: 'svg', vector: svgUtils.parse(bytes.toString('utf8')) };
+    }
+
+    const info = imageUtils.getImageInfo(bytes);
+    return { type: info.type, bytes, width: info.width, height: info.height };
+  }
+
+  /**
+   * Formato da assinatura pelo início do conteúdo, sem decodificar a imagem
+   * inteira (validação das requisições; o conteúdo é conferido em normalize)
+   * @param {string|object|Array} input - Mesmos formatos de normalize
+   * @returns {string|null} - png, jpeg, svg, strokes ou null se o formato não é aceito
+   */
+  detectFormat(input) {
+    if (input && typeof input === 'object') {
+      return 'strokes';
+    }
+
+    if (typeof input !== 'string' || !input.trim()) {
+      return null;
+    }
+
+    const text = input.trim();
+
+    if (text.startsWith('[') || text.startsWith('{')) {
+      return 'strokes';
+    }
+
+    const dataUrl = text.match(/^data:([^;,]*)((?:;[^;,]*)*),/);
+
+    if (dataUrl) {
+      const mimeType = dataUrl[1].toLowerCase();
+
+      if (mimeType === 'image/svg+xml') {
+        return 'svg';
+      }
+      if (['image/png', 'image/jpeg', 'image/jpg'].includes(mimeType) && /;base64/i.test(dataUrl[2])) {
+        return mimeType === 'image/png' ? 'png' : 'jpeg';
+      }
+      return null;
+    }
+
+    // Primeiros ~4 KB, o suficiente para as assinaturas de PNG/JPEG e a tag <svg
+    const head = text.startsWith('<') ? Buffer.from(text.slice(0, 4096), 'utf8') : Buffer.from(text.slice(0, 5464), 'base64');
+
+    if (this.isSvg(head)) {
+      return 'svg';
+    }
+    if (imageUtils.isPng(head)) {
+      return 'png';
+    }
+    return imageUtils.isJpeg(head) ? 'jpeg' : null;
+  }
+
+  /**
+   * Identifica o formato da assinatura enviada
+   * @returns {object} - { type: 'raster', buffer } ou { type: 'vector', vector }
+   */
+  readInput(input) {
+    if (input && typeof input === 'object') {
+      return { type: 'vector', vector: this.strokesToVector(input) };
+    }
+
+    if (typeof input !== 'string' || !input.trim()) {
+      throw new Error('Assinatura não enviada');
+    }
+
+    const text = input.trim();
+
+    if (text.startsWith('[') || text.startsWith('{')) {
+      let strokes;
+      try {
+        strokes = JSON.parse(text);
+      } catch (error) {
+        throw new Error('JSON de traços inválido');
+      }
+      return { type: 'vector', vector: this.strokesToVector(strokes) };
+    }
+
+    const dataUrl = text.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+    let content;
+
+    if (dataUrl) {
+      const mimeType = dataUrl[1].toLowerCase();
+      const base64 = /;base64/i.test(dataUrl[2]);
+
+      if (mimeType === 'image/svg+xml') {
+        content = base64 ? Buffer.from(dataUrl[3], 'base64') : Buffer.from(decodeURIComponent(dataUrl[3]), 'utf8');
+      } else if (['image/png', 'image/jpeg', 'image/jpg'].includes(mimeType) && base64) {
+        content = Buffer.from(dataUrl[3], 'base64');
+      } else {
+        throw new Error('Formato não suportado. Use PNG, JPEG, SVG ou traços em JSON');
+      }
+    } else {
+      content = text.startsWith('<') ? Buffer.from(text, 'utf8') : Buffer.from(text, 'base64');
+    }
+
+    if (this.isSvg(content)) {
+      if (content.length > MAX_SVG_LENGTH) {
+        throw new Error('SVG maior que o permitido (1 MB)');
+      }
+      return { type: 'vector', vector: svgUtils.parse(content.toString('utf8')) };
+    }
+
+    // Confere o formato pelo conteúdo
+    try {
+      imageUtils.getImageInfo(content);
+    } catch (error) {
+      throw new Error(dataUrl ? error.message : 'Formato não suportado. Use PNG, JPEG, SVG ou traços em JSON');
+    }
+    return { type: 'raster', buffer: content };
+  }
+
+  /**
+   * Converte traços capturados no canvas em caminhos vetoriais. Aceita:
+   * [[{ x, y }, ...], ...], [{ points: [...], color, lineWidth }, ...]
+   * (inclusive o formato do signature_pad, com penColor/minWidth/maxWidth)
+   * ou { strokes: [...], color, lineWidth }. Pontos podem ser { x, y } ou [x, y].
+   * @param {object|Array} input - Traços
+   * @returns {object} - { viewBox, paths } (ver SvgUtils.parse)
+   */
+  strokesToVector(input) {
+    const options = Array.isArray(input) ? {} : input;
+    const strokes = Array.isArray(input) ? input : input.strokes;
+
+    if (!Array.isArray(strokes) || strokes.length === 0) {
+      throw new Error('Informe os traços da assinatura em strokes');
+    }
+
+    const defaultColor = svgUtils.parseColor(options.color || '#000000');
+    const defaultWidth = parseFloat(options.lineWidth) || 2.5;
+    const xs = [];
+    const ys = [];
+
+    const paths = strokes.map((stroke, index) => {
+      const points = Array.isArray(stroke) ? stroke : (stroke && stroke.points);
+      if (!Array.isArray(points) || points.length === 0) {
+        throw new Error(`Traço ${index + 1} sem pontos`);
+      }
+
+      if (xs.length + points.length > MAX_STROKE_POINTS) {
+        throw new Error(`Assinatura com mais de ${MAX_STROKE_POINTS} pontos`);
+      }
+
+      const coordinates = points.map((point) => {
+        const [x, y] = Array.isArray(point) ? point : [point && point.x, point && point.y];
+        if (!Number.isFinite(Number(x)) || !Number.isFinite(Number(y))) {
+          throw new Error(`Ponto inválido no traço ${index + 1}`);
+        }
+        xs.push(Number(x));
+        ys.push(Number(y));
+        return `${Number(x)} ${Number(y)}`;
+      });
+
+      const settings = Array.isArray(stroke) ? {} : stroke;
+      const color = settings.color || settings.penColor;
+      const width = parseFloat(settings.lineWidth) ||
+        (settings.minWidth && settings.maxWidth ? (parseFloat(settings.minWidth) + parseFloat(settings.maxWidth)) / 2 : 0) ||
+        defaultWidth;
+
+      // Traço de um ponto só: segmento de comprimento zero, que vira um ponto com a ponta arredondada
+      return {
+        d: `M${coordinates[0]}L${coordinates.slice(coordinates.length > 1 ? 1 : 0).join('L')}`,
+        fill: null,
+        stroke: color ? svgUtils.parseColor(color) : defaultColor,
+        strokeWidth: width,
+        lineCap: 'round'
+      };
+    });
+
+    // Área provisória, com espaço para a espessura do traço: o recorte acontece depois, medindo o desenho
+    const margin = Math.max(...paths.map((path) => path.strokeWidth));
+    const range = (values) => values.reduce(([min, max], value) => [Math.min(min, value), Math.max(max, value)], [Infinity, -Infinity]);
+    const [minX, maxX] = range(xs);
+    const [minY, maxY] = range(ys);
+
+    return {
+      viewBox: [minX - margin, minY - margin, maxX - minX + margin * 2, maxY - minY + margin * 2],
+      paths
+    };
+  }
+
+  async normalizeRaster(buffer) {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    this.whiteToTransparent(data);
+
+    const box = this.findContentBox(data, info.width, info.height);
+    if (!box) {
+      throw new AppError('A imagem não contém nenhum traço', { code: 'EMPTY_SIGNATURE_IMAGE' });
+    }
+
+    const png = await sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } })
+      .extract(box)
+      .resize({ width: MAX_PIXELS, height: MAX_PIXELS, fit: 'inside', withoutEnlargement: true })
+      .withMetadata({ density: DPI })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      imageData: `data:image/png;base64,${png.data.toString('base64')}`,
+      buffer: png.data,
+      width: png.info.width,
+      height: png.info.height,
+      vetorial: false
+    };
+  }
+
+  async normalizeVector(vector) {
+    const threshold = WHITE_THRESHOLD;
+    const isWhite = (color) => color && svgUtils.toRgb(color).every((channel) => channel >= threshold);
+
+    // Fundo e traços brancos somem, como no PNG
+    const paths = vector.paths
+      .map((path) => ({ ...path, fill: isWhite(path.fill) ? null : path.fill, stroke: isWhite(path.stroke) ? null : path.stroke }))
+      .filter((path) => path.fill || path.stroke);
+
+    if (paths.length === 0) {
+      throw new AppError('O SVG não contém nenhum traço', { code: 'EMPTY_SIGNATURE_IMAGE' });
+    }
+
+    // Mede o desenho renderizando o SVG e recorta o viewBox ao conteúdo
+    const [x, y, width, height] = vector.viewBox;
+    const scale = MEASURE_SIZE / Math.max(width, height);
+    const measure = await this.render({ viewBox: vector.viewBox, paths }, width * scale, height * scale, true);
+
+    const box = this.findContentBox(measure.data, measure.info.width, measure.info.height);
+    if (!box) {
+      throw new AppError('O SVG não contém nenhum traço', { code: 'EMPTY_SIGNATURE_IMAGE' });
+    }
+
+    const trimmed = {
+      viewBox: [x + box.left / scale, y + box.top / scale, box.width / scale, box.height / scale],
+      paths
+    };
+
+    // Unidades do SVG valem 1/96 de polegada; a versão PNG segue SIGNATURE_DPI e SIGNATURE_MAX_PIXELS
+    const [, , trimmedWidth, trimmedHeight] = trimmed.viewBox;
+    const pixelScale = Math.min(DPI / 96, MAX_PIXELS / Math.max(trimmedWidth, trimmedHeight));
+    const png = await this.render(trimmed, trimmedWidth * pixelScale, trimmedHeight * pixelScale, false);
+
+    return {
+      imageData: `data:image/svg+xml;base64,${Buffer.from(svgUtils.stringify(trimmed)).toString('base64')}`,
+      buffer: png.data,
+      width: png.info.width,
+      height: png.info.height,
+      vetorial: true
+    };
+  }
+
+  /**
+   * Renderiza os caminhos com o sharp: em RGBA cru (para medir) ou em PNG
+   */
+  async render(vector, width, height, raw) {
+    const svg = Buffer.from(svgUtils.stringify(vector, { width: Math.round(width), height: Math.round(height) }));
+    const image = sharp(svg, { density: 72 });
+
+    return raw
+      ? image.ensureAlpha().raw().toBuffer({ resolveWithObject: true })
+      : image.withMetadata({ density: DPI }).png().toBuffer({ resolveWithObject: true });
+  }
+
+  /**
+   * Torna transparentes os pixels quase brancos (RGBA cru, alterado no lugar)
+   * @param {Buffer} data - Pixels RGBA
+   */
+  whiteToTransparent(data) {
+    for (let offset = 0; offset < data.length; offset += 4) {
+      const lightness = Math.min(data[offset], data[offset + 1], data[offset + 2]);
+
+      if (lightness >= WHITE_THRESHOLD) {
+        data[offset + 3] = 0;
+      } else if (lightness > WHITE_THRESHOLD - FEATHER) {
+        data[offset + 3] = Math.round(data[offset + 3] * (WHITE_THRESHOLD - lightness) / FEATHER);
+      }
+    }
+  }
+
+  /**
+   * Retângulo que envolve os pixels visíveis, com uma pequena margem
+   * @param {Buffer} data - Pixels RGBA
+   * @param {number} width - Largura em pixels
+   * @param {number} height - Altura em pixels
+   * @returns {object|null} - { left, top, width, height } ou null se a imagem estiver vazia
+   */
+  findContentBox(data, width, height) {
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4 + 3] > 8) {
+          left = Math.min(left, x);
+          right = Math.max(right, x);
+          top = Math.min(top, y);
+          bottom = Math.max(bottom, y);
+        }
+      }
+    }
+
+    if (right < 0) {
+      return null;
+    }
+
+    left = Math.max(0, left - PADDING);
+    top = Math.max(0, top - PADDING);
+    right = Math.min(width - 1, right + PADDING);
+    bottom = Math.min(height - 1, bottom + PADDING);
+
+    return { left, top, width: right - left + 1, height: bottom - top + 1 };
+  }
+
+  isSvg(buffer) {
+    const start = buffer.subarray(0, 512).toString('utf8').trimStart();
+    return start.startsWith('<') && /<svg[\s>]/i.test(buffer.subarray(0, 4096).toString('utf8'));
+  }
+}
+
+module.exports = new SignatureImageService();
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const forge = require('node-forge');
+const { PDFDocument, PDFSignature, PDFName, PDFArray, PDFDict, PDFHexString, PDFString } = require('pdf-lib');
+const { AppError } = require('../utils/errors');
+
+const { asn1 } = forge;
+
+const OIDS = {
+  signedData: '1.2.840.113549.1.7.2',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5'
+};
+
+const DIGEST_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+const TRUST_STORE_EXTENSIONS = ['.pem', '.crt', '.cer', '.der'];
+
+/**
+ * Verificação offline das assinaturas digitais de um PDF: integridade do
+ * conteúdo assinado, abrangência do ByteRange e cadeia de certificados até as
+ * autoridades confiáveis da pasta TRUST_STORE_DIR (.pem, .crt, .cer ou .der).
+ */
+class SignatureVerificationService {
+
+  /**
+   * Verifica todos os campos de assinatura do PDF
+   * @param {Buffer} pdfBuffer - Conteúdo do PDF
+   * @returns {object[]} - Resultado por campo de assinatura
+   */
+  async verify(pdfBuffer) {
+    let fields;
+    try {
+      const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+      fields = pdfDoc.getForm().getFields().filter((field) => field instanceof PDFSignature);
+    } catch (error) {
+      throw new AppError('Arquivo PDF inválido ou corrompido', { status: 400, code: 'INVALID_PDF' });
+    }
+
+    const trustStore = await this.loadTrustStore();
+    const results = [];
+
+    for (const field of fields) {
+      const signatureDict = field.acroField.dict.lookupMaybe(PDFName.of('V'), PDFDict);
+
+      // Campo de assinatura ainda não assinado
+      if (!signatureDict) {
+        results.push({ field: field.getName(), signed: false });
+        continue;
+      }
+
+      results.push(this.verifySignature(pdfBuffer, field.getName(), signatureDict, trustStore));
+    }
+
+    return results;
+  }
+
+  /**
+   * Verifica um dicionário de assinatura (/Type /Sig)
+   * @param {Buffer} pdfBuffer - Conteúdo do PDF
+   * @param {string} fieldName - Nome do campo
+   * @param {PDFDict} signatureDict - Dicionário da assinatura
+   * @param {X509Certificate[]} trustStore - Certificados confiáveis
+   * @returns {object}
+   */
+  verifySignature(pdfBuffer, fieldName, signatureDict, trustStore) {
+    const result = {
+      field: fieldName,
+      signed: true,
+      subFilter: this.getName(signatureDict, 'SubFilter'),
+      name: this.getText(signatureDict, 'Name'),
+      reason: this.getText(signatureDict, 'Reason'),
+      location: this.getText(signatureDict, 'Location'),
+      signingTime: null,
+      signer: null,
+      byteRange: null,
+      byteRangeCoversWholeFile: false,
+      modifiedAfterSigning: null,
+      digestValid: false,
+      signatureValid: false,
+      trusted: false,
+      valid: false
+    };
+
+    try {
+      const byteRangeArray = signatureDict.lookupMaybe(PDFName.of('ByteRange'), PDFArray);
+      if (!byteRangeArray || byteRangeArray.size() !== 4) {
+        throw new Error('ByteRange ausente ou inválido');
+      }
+
+      const byteRange = byteRangeArray.asArray().map((item) => item.asNumber());
+      const [start1, length1, start2, length2] = byteRange;
+      result.byteRange = byteRange;
+
+      const contents = signatureDict.lookup(PDFName.of('Contents'));
+      const contentsBytes = Buffer.from(contents instanceof PDFHexString ? contents.asBytes() : []);
+
+      // O único trecho fora do ByteRange deve ser o /Contents, e o segundo trecho deve terminar no fim do arquivo
+      result.byteRangeCoversWholeFile = start1 === 0 &&
+        start2 + length2 === pdfBuffer.length &&
+        this.isContentsGap(pdfBuffer, byteRange, contentsBytes);
+      result.modifiedAfterSigning = start2 + length2 < pdfBuffer.length;
+
+      const signedContent = Buffer.concat([
+        pdfBuffer.subarray(start1, start1 + length1),
+        pdfBuffer.subarray(start2, start2 + length2)
+      ]);
+      const cms = this.parseSignedData(contentsBytes);
+
+      result.signer = this.describeCertificate(cms.signerCertificate);
+      result.signingTime = cms.signingTime || this.getDate(signatureDict, 'M');
+
+      const digest = crypto.createHash(cms.digestAlgorithm).update(signedContent).digest();
+      result.digestValid = cms.messageDigest ? digest.equals(cms.messageDigest) : false;
+      result.signatureValid = crypto.verify(
+        cms.digestAlgorithm,
+        cms.signedAttributes,
+        cms.signerCertificate.publicKey,
+        cms.signature
+      );
+
+      const trust = this.verifyChain(cms.signerCertificate, cms.certificates, trustStore, result.signingTime);
+      result.trusted = trust.trusted;
+      if (trust.error) {
+        result.trustError = trust.error;
+      }
+      result.chain = trust.chain.map((certificate) => certificate.subject.replace(/\n/g, ', '));
+
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    // Bytes acrescentados ou escondidos fora do trecho assinado invalidam a assinatura, mesmo com o hash correto
+    result.valid = result.digestValid &&
+      result.signatureValid &&
+      result.trusted &&
+      result.byteRangeCoversWholeFile &&
+      result.modifiedAfterSigning === false;
+    return result;
+  }
+
+  /**
+   * Confere se o intervalo entre os dois trechos do ByteRange é exatamente a
+   * string hexadecimal do /Contents (<...>), sem outros dados escondidos nele
+   * @param {Buffer} pdfBuffer - Conteúdo do PDF
+   * @param {number[]} byteRange - [início1, tamanho1, início2, tamanho2]
+   * @param {Buffer} contentsBytes - Valor do /Contents lido do dicionário da assinatura
+   * @returns {boolean}
+   */
+  isContentsGap(pdfBuffer, [start1, length1, start2], contentsBytes) {
+    const gapStart = start1 + length1;
+    if (gapStart < 0 || start2 <= gapStart + 1 || start2 > pdfBuffer.length) {
+      return false;
+    }
+
+    const gap = pdfBuffer.subarray(gapStart, start2).toString('latin1');
+    if (!/^<[0-9A-Fa-f]*>$/.test(gap) || (gap.length - 2) % 2 !== 0) {
+      return false;
+    }
+
+    return Buffer.from(gap.slice(1, -1), 'hex').equals(contentsBytes);
+  }
+
+  /**
+   * Lê o CMS/PKCS#7 (SignedData) destacado gravado em /Contents
+   * @param {Buffer} der - Conteúdo, possivelmente com zeros de preenchimento no fim
+   * @returns {object} - Certificados, atributos assinados, assinatura e algoritmo
+   */
+  parseSignedData(der) {
+    const contentInfo = asn1.fromDer(forge.util.createBuffer(der.toString('binary')), { parseAllBytes: false });
+
+    if (asn1.derToOid(contentInfo.value[0].value) !== OIDS.signedData) {
+      throw new Error('Conteúdo da assinatura não é um SignedData');
+    }
+
+    const signedData = contentInfo.value[1].value[0].value;
+    const certificatesNode = signedData.find(
+      (node) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0
+    );
+    const signerInfos = signedData[signedData.length - 1].value;
+
+    const certificates = (certificatesNode ? certificatesNode.value : []).map(
+      (node) => new crypto.X509Certificate(Buffer.from(asn1.toDer(node).getBytes(), 'binary'))
+    );
+
+    if (signerInfos.length === 0) {
+      throw new Error('Assinatura sem SignerInfo');
+    }
+
+    // SignerInfo: version, sid, digestAlgorithm, [0] signedAttrs, signatureAlgorithm, signature
+    const signerInfo = signerInfos[0].value;
+    const sid = signerInfo[1];
+    const digestOid = asn1.derToOid(signerInfo[2].value[0].value);
+    const signedAttrsNode = signerInfo.find(
+      (node) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0
+    );
+    const signatureNode = signerInfo.find(
+      (node, index) => index > 2 && node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.OCTETSTRING
+    );
+
+    const digestAlgorithm = DIGEST_ALGORITHMS[digestOid];
+    if (!digestAlgorithm) {
+      throw new Error(`Algoritmo de hash não suportado: ${digestOid}`);
+    }
+    if (!signedAttrsNode) {
+      throw new Error('Assinatura sem atributos assinados');
+    }
+
+    // IssuerAndSerialNumber: localiza o certificado do signatário pelo número de série
+    const serialNumber = forge.util.bytesToHex(sid.value[1].value).replace(/^0+/, '').toUpperCase();
+    const signerCertificate = certificates.find(
+      (certificate) => certificate.serialNumber.replace(/^0+/, '').toUpperCase() === serialNumber
+    );
+    if (!signerCertificate) {
+      throw new Error('Certificado do signatário não encontrado na assinatura');
+    }
+
+    let messageDigest;
+    let signingTime = null;
+    for (const attribute of signedAttrsNode.value) {
+      const type = asn1.derToOid(attribute.value[0].value);
+      const value = attribute.value[1].value[0];
+
+      if (type === OIDS.messageDigest) {
+        messageDigest = Buffer.from(value.value, 'binary');
+      } else if (type === OIDS.signingTime) {
+        const time = value.type === asn1.Type.UTCTIME
+          ? asn1.utcTimeToDate(value.value)
+          : asn1.generalizedTimeToDate(value.value);
+        signingTime = time.toISOString();
+      }
+    }
+
+    // A assinatura cobre os atributos codificados como SET, e não com a tag [0] implícita
+    const signedAttributes = Buffer.from(
+      asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttrsNode.value)).getBytes(),
+      'binary'
+    );
+
+    return {
+      certificates,
+      signerCertificate,
+      digestAlgorithm,
+      messageDigest,
+      signingTime,
+      signedAttributes,
+      signature: Buffer.from(signatureNode.value, 'binary')
+    };
+  }
+
+  /**
+   * Monta a cadeia do signatário com os certificados embutidos e confere se ela
+   * termina em um certificado do trust store, válido na data da assinatura
+   * @returns {object} - { trusted, chain, error }
+   */
+  verifyChain(signerCertificate, embedded, trustStore, signingTime) {
+    const checkDate = signingTime ? new Date(signingTime) : new Date();
+    const chain = [signerCertificate];
+
+    if (trustStore.length === 0) {
+      return { trusted: false, chain, error: 'Nenhuma autoridade confiável configurada (TRUST_STORE_DIR)' };
+    }
+
+    let current = signerCertificate;
+    while (chain.length <= 10) {
+      if (!this.isValidAt(current, checkDate)) {
+        return { trusted: false, chain, error: `Certificado fora da validade na data da assinatura: ${current.subject}` };
+      }
+
+      const anchor = trustStore.find(
+        (trusted) => trusted.fingerprint256 === current.fingerprint256 ||
+          (current.checkIssued(trusted) && current.verify(trusted.publicKey))
+      );
+      if (anchor) {
+        if (anchor.fingerprint256 !== current.fingerprint256) {
+          chain.push(anchor);
+        }
+        return { trusted: true, chain };
+      }
+
+      const issuer = embedded.find(
+        (candidate) => candidate.fingerprint256 !== current.fingerprint256 &&
+          current.checkIssued(candidate) && current.verify(candidate.publicKey)
+      );
+      if (!issuer) {
+        return { trusted: false, chain, error: 'A cadeia de certificados não leva a uma autoridade confiável' };
+      }
+
+      chain.push(issuer);
+      current = issuer;
+    }
+
+    return { trusted: false, chain, error: 'Cadeia de certificados longa demais' };
+  }
+
+  /**
+   * Lê os certificados confiáveis da pasta TRUST_STORE_DIR (uma vez)
+   * @returns {X509Certificate[]}
+   */
+  async loadTrustStore() {
+    if (this.trustStore) {
+      return this.trustStore;
+    }
+
+    const dir = process.env.TRUST_STORE_DIR;
+    const certificates = [];
+
+    if (dir && await fs.pathExists(dir)) {
+      for (const file of await fs.readdir(dir)) {
+        if (!TRUST_STORE_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+          continue;
+        }
+
+        const content = await fs.readFile(path.join(dir, file));
+        const pems = content.toString('latin1').match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+
+        try {
+          for (const item of pems || [content]) {
+            certificates.push(new crypto.X509Certificate(item));
+          }
+        } catch (error) {
+          console.warn(`Aviso: certificado ignorado no trust store (${file}):`, error.message);
+        }
+      }
+    }
+
+    this.trustStore = certificates;
+    return certificates;
+  }
+
+  describeCertificate(certificate) {
+    const commonName = certificate.subject.split('\n').find((line) => line.startsWith('CN='));
+
+    return {
+      subject: certificate.subject.replace(/\n/g, ', '),
+      commonName: commonName ? commonName.slice(3) : null,
+      issuer: certificate.issuer.replace(/\n/g, ', '),
+      serialNumber: certificate.serialNumber,
+      validFrom: new Date(certificate.validFrom).toISOString(),
+      validTo: new Date(certificate.validTo).toISOString()
+    };
+  }
+
+  isValidAt(certificate, date) {
+    return new Date(certificate.validFrom) <= date && date <= new Date(certificate.validTo);
+  }
+
+  getName(dict, key) {
+    const value = dict.lookupMaybe(PDFName.of(key), PDFName);
+    return value ? value.decodeText() : null;
+  }
+
+  getText(dict, key) {
+    const value = dict.lookup(PDFName.of(key));
+    return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null;
+  }
+
+  getDate(dict, key) {
+    const value = dict.lookup(PDFName.of(key));
+
+    try {
+      return value instanceof PDFString ? value.decodeDate().toISOString() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new SignatureVerificationService();
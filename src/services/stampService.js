@@ -0,0 +1,479 @@
+const QRCode = require('qrcode');
+const { rgb, LineCapStyle, LineJoinStyle, pushGraphicsState, popGraphicsState, setLineJoin } = require('pdf-lib');
+const pdfUtils = require('../utils/pdfUtils');
+const svgUtils = require('../utils/svgUtils');
+const signatureImageService = require('./signatureImageService');
+const appearanceService = require('./appearanceService');
+const digitalSignatureService = require('./digitalSignatureService');
+const auditService = require('./auditService');
+const completionPageService = require('./completionPageService');
+const pdfOutputService = require('./pdfOutputService');
+const { AppError } = require('../utils/errors');
+
+// Espaço entre a imagem e o texto e entre a borda e o conteúdo do carimbo, em pontos
+const GAP = 3;
+const LINE_HEIGHT = 1.25;
+const MIN_FONT_SIZE = 4;
+const MAX_FONT_SIZE = 10;
+// Fração da largura do carimbo ocupada pela imagem no layout image-left
+const IMAGE_LEFT_RATIO = 0.45;
+// Lado do QR code de verificação (2 cm), com a margem branca de 4 módulos exigida pelos leitores
+const QR_SIZE = 56.7;
+const QR_QUIET_ZONE = 4;
+const VERIFICATION_TEXT_WIDTH = 110;
+
+class StampService {
+
+  /**
+   * Desenha as assinaturas de um documento armazenado sobre o PDF original e,
+   * se pedido, aplica a assinatura digital com o certificado do servidor.
+   * Usado pelo download individual e pelo ZIP de lotes.
+   * @param {object} record - Documento do documentStore (signatures com pagina, posicao, dimensoes, imageData, aparencia)
+   * @param {Buffer} originalPdfBytes - PDF original do documento
+   * @param {object} [options]
+   * @param {boolean} [options.digitalSignature=false] - Aplicar assinatura digital (PKCS#7)
+   * @param {string} [options.reason] - Motivo da assinatura digital
+   * @param {string} [options.location] - Local da assinatura digital
+   * @param {string} [options.name] - Nome do signatário
+   * @param {boolean} [options.completionCertificate=false] - Acrescentar o certificado de conclusão (trilha de auditoria)
+   * @param {object} [options.verification] - { code, url, placement }: QR code e código de verificação junto à primeira assinatura
+   * @param {object} [options.output] - Achatamento, metadados, PDF/A e proteção (ver PdfOutputService.parseOptions)
+   * @returns {Buffer} - PDF assinado
+   */
+  async createSignedPdf(record, originalPdfBytes, { digitalSignature = false, reason, location, name, completionCertificate = false, verification, output } = {}) {
+    const pdfDoc = await pdfUtils.loadPdf(originalPdfBytes);
+
+    // Validar as páginas antes de desenhar qualquer assinatura
+    this.validatePages(record.signatures, pdfDoc.getPageCount());
+
+    // Primeiro carimbo visível, onde fica o campo da assinatura digital
+    let visibleSignature;
+
+    // Fontes e imagens são incorporadas uma vez e reaproveitadas entre os carimbos
+    const context = {
+      pdfDoc,
+      documentHash: auditService.hash(originalPdfBytes),
+      images: new Map(),
+      fonts: {},
+      // PDF/A não aceita as fontes padrão sem incorporação
+      embedFonts: Boolean(output && output.pdfa)
+    };
+
+    for (const [index, sig] of record.signatures.entries()) {
+      // Cada assinatura vai na sua própria página, com o tamanho, CropBox e rotação dela
+      const page = pdfUtils.getPage(pdfDoc, sig.pagina || 1);
+      const position = { x: parseFloat(sig.posicao.x), y: parseFloat(sig.posicao.y) };
+      const size = { width: parseFloat(sig.dimensoes.largura), height: parseFloat(sig.dimensoes.altura) };
+
+      if (!visibleSignature) {
+        visibleSignature = { page, rect: pdfUtils.getBoundingRect(pdfUtils.getPlacement(page, position, size)) };
+      }
+
+      await this.drawStamp(page, sig, index, position, size, {
+        ...context,
+        signedAt: sig.assinado_em || record.processedAt || new Date().toISOString()
+      });
+    }
+
+    if (verification) {
+      const first = record.signatures[0];
+      await this.drawVerification(
+        first ? pdfUtils.getPage(pdfDoc, first.pagina || 1) : pdfDoc.getPage(0),
+        first ? { x: parseFloat(first.posicao.x), y: parseFloat(first.posicao.y) } : null,
+        first ? { width: parseFloat(first.dimensoes.largura), height: parseFloat(first.dimensoes.altura) } : null,
+        verification,
+        context
+      );
+    }
+
+    // Certificado entra antes da assinatura digital, para também ficar protegido por ela
+    if (completionCertificate) {
+      const trail = await auditService.getTrail(record.id) || [];
+      await completionPageService.append(pdfDoc, record, trail, await this.loadFonts(context));
+    }
+
+    await pdfOutputService.prepare(pdfDoc, output, { getFonts: () => this.loadFonts(context) });
+
+    if (!digitalSignature) {
+      return pdfOutputService.save(pdfDoc, output);
+    }
+
+    return digitalSignatureService.sign(pdfDoc, {
+      page: visibleSignature ? visibleSignature.page : pdfDoc.getPage(0),
+      rect: visibleSignature ? visibleSignature.rect : [0, 0, 0, 0],
+      reason,
+      location,
+      name,
+      save: (signedDoc) => pdfOutputService.save(signedDoc, output, { objectStreams: false })
+    });
+  }
+
+  /**
+   * Fontes do texto dos carimbos, incorporadas uma vez por documento
+   * @param {object} context - { pdfDoc, fonts, embedFonts }
+   * @returns {Promise<object>} - { regular, bold }
+   */
+  async loadFonts(context) {
+    if (!context.fonts.regular) {
+      Object.assign(context.fonts, await pdfUtils.embedFonts(context.pdfDoc, { embedded: context.embedFonts }));
+    }
+    return context.fonts;
+  }
+
+  /**
+   * Desenha o carimbo de uma assinatura: a imagem e, conforme a aparência
+   * (ver AppearanceService), logotipo ao fundo, textos e borda
+   * @param {PDFPage} page - Página do pdf-lib
+   * @param {object} sig - Assinatura no formato armazenado
+   * @param {number} index - Posição da assinatura no documento (0-based)
+   * @param {object} position - { x, y } da área, relativo à página visível
+   * @param {object} size - { width, height } da área em pontos
+   * @param {object} context - { pdfDoc, documentHash, signedAt, images, fonts }
+   */
+  async drawStamp(page, sig, index, position, size, context) {
+    const aparencia = sig.aparencia || { layout: 'image' };
+    const lines = appearanceService.getLines(aparencia, context);
+    const inset = aparencia.borda ? aparencia.borda.espessura + GAP : 0;
+    const inner = {
+      position: { x: position.x + inset, y: position.y + inset },
+      size: { width: Math.max(size.width - 2 * inset, 1), height: Math.max(size.height - 2 * inset, 1) }
+    };
+
+    if (aparencia.logo) {
+      const logo = this.loadImage(aparencia.logo, `Logo da assinatura ${index + 1} inválido`, index);
+      await this.drawImage(page, logo, inner.position, inner.size, { ...context, opacity: aparencia.opacidade_logo });
+    }
+
+    const regions = this.getRegions(lines.length > 0 ? aparencia.layout : 'image', inner, lines.length, aparencia.fonte);
+
+    if (regions.image && sig.imageData) {
+      const signature = this.loadImage(sig.imageData, `Imagem da assinatura ${index + 1} inválida`, index);
+      await this.drawImage(page, signature, regions.image.position, regions.image.size, context);
+    }
+
+    if (regions.text) {
+      await this.drawLines(page, lines, regions.text, {
+        ...context,
+        fontSize: aparencia.fonte,
+        color: aparencia.cor,
+        align: aparencia.layout === 'image-left' ? 'left' : 'center'
+      });
+    }
+
+    if (aparencia.borda) {
+      const half = aparencia.borda.espessura / 2;
+      page.drawRectangle({
+        ...pdfUtils.getPlacement(page,
+          { x: position.x + half, y: position.y + half },
+          { width: size.width - 2 * half, height: size.height - 2 * half }),
+        borderColor: toColor(aparencia.borda.cor),
+        borderWidth: aparencia.borda.espessura
+      });
+    }
+  }
+
+  /**
+   * Divide a área do carimbo entre a imagem e o texto
+   * @param {string} layout - image, image-left, text-below ou text-only
+   * @param {object} area - { position, size } disponível
+   * @param {number} lineCount - Linhas de texto
+   * @param {number|null} fontSize - Tamanho de fonte pedido (null = automático)
+   * @returns {object} - { image, text } com { position, size } de cada região usada
+   */
+  getRegions(layout, { position, size }, lineCount, fontSize) {
+    switch (layout) {
+      case 'image-left': {
+        const imageWidth = size.width * IMAGE_LEFT_RATIO;
+        return {
+          image: { position, size: { width: imageWidth, height: size.height } },
+          text: {
+            position: { x: position.x + imageWidth + GAP, y: position.y },
+            size: { width: Math.max(size.width - imageWidth - GAP, 1), height: size.height }
+          }
+        };
+      }
+      case 'text-below': {
+        const textHeight = Math.min(lineCount * (fontSize || MAX_FONT_SIZE) * LINE_HEIGHT, size.height / 2);
+        return {
+          image: { position, size: { width: size.width, height: Math.max(size.height - textHeight - GAP, 1) } },
+          text: {
+            position: { x: position.x, y: position.y + size.height - textHeight },
+            size: { width: size.width, height: textHeight }
+          }
+        };
+      }
+      case 'text-only':
+        return { text: { position, size } };
+      default:
+        return { image: { position, size } };
+    }
+  }
+
+  /**
+   * Escreve as linhas centralizadas na vertical da região. Sem fontSize, usa o
+   * maior tamanho (até MAX_FONT_SIZE) em que todas cabem; linhas que não cabem
+   * nem no tamanho mínimo são cortadas com reticências.
+   * @param {PDFPage} page - Página do pdf-lib
+   * @param {object[]} lines - [{ text, bold }] (ver AppearanceService.getLines)
+   * @param {object} region - { position, size }
+   * @param {object} options - { pdfDoc, fonts, embedFonts, fontSize, color, align }
+   */
+  async drawLines(page, lines, { position, size }, options) {
+    await this.loadFonts(options);
+
+    const items = lines.map((line) => ({
+      text: pdfUtils.toWinAnsi(line.text),
+      font: line.bold ? options.fonts.bold : options.fonts.regular
+    }));
+
+    const widest = Math.max(...items.map((item) => item.font.widthOfTextAtSize(item.text, 1)));
+    const fitting = Math.min(size.height / (items.length * LINE_HEIGHT), widest > 0 ? size.width / widest : MAX_FONT_SIZE);
+    // Arredondado para baixo, para a linha mais larga não passar da região por erro de ponto flutuante
+    const fontSize = Math.max(MIN_FONT_SIZE, Math.floor(Math.min(options.fontSize || MAX_FONT_SIZE, fitting) * 10) / 10);
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const top = position.y + Math.max((size.height - items.length * lineHeight) / 2, 0);
+
+    for (const [index, item] of items.entries()) {
+      const text = this.truncate(item.text, item.font, fontSize, size.width);
+      const width = item.font.widthOfTextAtSize(text, fontSize);
+      const ascent = item.font.heightAtSize(fontSize, { descender: false });
+      const baseline = top + index * lineHeight + (lineHeight - item.font.heightAtSize(fontSize)) / 2 + ascent;
+      const x = options.align === 'left' ? position.x : position.x + (size.width - width) / 2;
+
+      // Caixa com a base na linha de base do texto: o canto inferior esquerdo é a origem do drawText
+      const placement = pdfUtils.getPlacement(page, { x, y: baseline - ascent }, { width, height: ascent });
+
+      page.drawText(text, {
+        x: placement.x,
+        y: placement.y,
+        rotate: placement.rotate,
+        size: fontSize,
+        font: item.font,
+        color: toColor(options.color)
+      });
+    }
+  }
+
+  /**
+   * Desenha o QR code de verificação e o código curto abaixo ou à direita da
+   * assinatura, deslocados para dentro da página se passarem da borda
+   * @param {PDFPage} page - Página do pdf-lib
+   * @param {object|null} position - { x, y } da assinatura (null: canto inferior esquerdo da página)
+   * @param {object|null} size - { width, height } da assinatura
+   * @param {object} verification - { code, url, placement }
+   * @param {object} context - { pdfDoc, fonts }
+   */
+  async drawVerification(page, position, size, { code, url, placement }, context) {
+    const visible = pdfUtils.getVisibleSize(page);
+    const width = QR_SIZE + GAP + VERIFICATION_TEXT_WIDTH;
+
+    let origin;
+    if (!position) {
+      origin = { x: GAP * 4, y: visible.height - QR_SIZE - GAP * 4 };
+    } else if (placement === 'right') {
+      origin = { x: position.x + size.width + GAP, y: position.y };
+    } else {
+      origin = { x: position.x, y: position.y + size.height + GAP };
+    }
+    origin = {
+      x: Math.max(0, Math.min(origin.x, visible.width - width)),
+      y: Math.max(0, Math.min(origin.y, visible.height - QR_SIZE))
+    };
+
+    const qr = QRCode.create(url, { errorCorrectionLevel: 'M' });
+    const count = qr.modules.size;
+    const module = QR_SIZE / (count + 2 * QR_QUIET_ZONE);
+    const white = rgb(1, 1, 1);
+    const black = rgb(0, 0, 0);
+
+    page.drawRectangle({
+      ...pdfUtils.getPlacement(page, origin, { width: QR_SIZE, height: QR_SIZE }),
+      color: white
+    });
+
+    // Módulos escuros vizinhos na mesma linha viram um único retângulo
+    for (let row = 0; row < count; row++) {
+      for (let column = 0; column < count;) {
+        if (!qr.modules.get(row, column)) {
+          column++;
+          continue;
+        }
+
+        const start = column;
+        while (column < count && qr.modules.get(row, column)) {
+          column++;
+        }
+
+        page.drawRectangle({
+          ...pdfUtils.getPlacement(page,
+            { x: origin.x + (QR_QUIET_ZONE + start) * module, y: origin.y + (QR_QUIET_ZONE + row) * module },
+            { width: (column - start) * module, height: module }),
+          color: black
+        });
+      }
+    }
+
+    const host = url.replace(/^https?:\/\//, '').replace(/\/api\/verify\/.*$/, '');
+    await this.drawLines(page, [
+      { text: 'Código de verificação' },
+      { text: code, bold: true },
+      { text: `Verifique em ${host}/api/verify` }
+    ], {
+      position: { x: origin.x + QR_SIZE + GAP, y: origin.y },
+      size: { width: VERIFICATION_TEXT_WIDTH, height: QR_SIZE }
+    }, { ...context, fontSize: 7, color: '#000000', align: 'left' });
+  }
+
+  truncate(text, font, fontSize, maxWidth) {
+    if (font.widthOfTextAtSize(text, fontSize) <= maxWidth) {
+      return text;
+    }
+
+    let end = text.length;
+    while (end > 0 && font.widthOfTextAtSize(`${text.slice(0, end)}...`, fontSize) > maxWidth) {
+      end--;
+    }
+    return `${text.slice(0, end)}...`;
+  }
+
+  /**
+   * Lê uma imagem armazenada (ver SignatureImageService.load)
+   * @param {string} imageData - Data URL armazenado
+   * @param {string} message - Mensagem do erro 422 se a imagem for inválida
+   * @param {number} index - Posição da assinatura no documento (0-based)
+   * @returns {object}
+   */
+  loadImage(imageData, message, index) {
+    try {
+      return { ...signatureImageService.load(imageData), key: imageData };
+    } catch (error) {
+      throw new AppError(`${message}: ${error.message}`, {
+        status: 422,
+        code: 'INVALID_SIGNATURE_IMAGE',
+        details: { signature: index + 1 }
+      });
+    }
+  }
+
+  /**
+   * Desenha a imagem (PNG, JPEG ou vetorial) encaixada na área
+   * @param {PDFPage} page - Página do pdf-lib
+   * @param {object} image - Resultado de loadImage
+   * @param {object} position - { x, y } da área, relativo à página visível
+   * @param {object} size - { width, height } da área em pontos
+   * @param {object} options - { pdfDoc, images, opacity }
+   */
+  async drawImage(page, image, position, size, { pdfDoc, images, opacity }) {
+    if (image.type === 'svg') {
+      this.drawVector(page, image.vector, position, size, { opacity });
+      return;
+    }
+
+    if (!images.has(image.key)) {
+      images.set(image.key, image.type === 'png'
+        ? await pdfDoc.embedPng(image.bytes)
+        : await pdfDoc.embedJpg(image.bytes));
+    }
+
+    const fitted = this.fit(position, size, image.width, image.height);
+    page.drawImage(images.get(image.key), {
+      ...pdfUtils.getPlacement(page, fitted.position, fitted.size),
+      opacity
+    });
+  }
+
+  /**
+   * Desenha uma assinatura vetorial (caminhos do SVG) dentro da área informada
+   * @param {PDFPage} page - Página do pdf-lib
+   * @param {object} vector - { viewBox, paths } (ver SvgUtils.parse)
+   * @param {object} position - { x, y } da área, relativo à página visível
+   * @param {object} size - { width, height } da área em pontos
+   * @param {object} [options]
+   * @param {number} [options.opacity] - Opacidade dos caminhos (0 a 1)
+   */
+  drawVector(page, { viewBox, paths }, position, size, { opacity } = {}) {
+    const [minX, minY, width, height] = viewBox;
+    const fitted = this.fit(position, size, width, height);
+    const placement = pdfUtils.getPlacement(page, fitted.position, fitted.size);
+    const scale = fitted.size.width / width;
+
+    // O pdf-lib desenha o caminho a partir do canto superior esquerdo (eixo y do SVG para baixo),
+    // girado junto com a página; (minX, minY) do viewBox precisa cair nesse canto
+    const angle = placement.rotate.angle * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const top = { x: placement.x - fitted.size.height * sin, y: placement.y + fitted.size.height * cos };
+    const offset = { x: -minX * scale, y: minY * scale };
+    const origin = {
+      x: top.x + offset.x * cos - offset.y * sin,
+      y: top.y + offset.x * sin + offset.y * cos
+    };
+
+    // Junções arredondadas valem para todos os caminhos (o drawSvgPath não expõe essa opção)
+    page.pushOperators(pushGraphicsState(), setLineJoin(LineJoinStyle.Round));
+
+    for (const path of paths) {
+      page.drawSvgPath(path.d, {
+        x: origin.x,
+        y: origin.y,
+        scale,
+        rotate: placement.rotate,
+        color: path.fill ? toColor(path.fill) : undefined,
+        borderColor: path.stroke ? toColor(path.stroke) : undefined,
+        borderWidth: path.stroke ? path.strokeWidth : undefined,
+        borderLineCap: { butt: LineCapStyle.Butt, round: LineCapStyle.Round, square: LineCapStyle.Projecting }[path.lineCap],
+        opacity,
+        borderOpacity: opacity
+      });
+    }
+
+    page.pushOperators(popGraphicsState());
+  }
+
+  /**
+   * Encaixa a assinatura na área mantendo a proporção, centralizada. Como as
+   * margens em branco são recortadas, esticar a imagem até a área a deformaria.
+   * @param {object} position - { x, y } da área
+   * @param {object} size - { width, height } da área
+   * @param {number} width - Largura da assinatura (qualquer unidade)
+   * @param {number} height - Altura da assinatura (mesma unidade)
+   * @returns {object} - { position, size } da assinatura dentro da área
+   */
+  fit(position, size, width, height) {
+    const scale = Math.min(size.width / width, size.height / height);
+    const fitted = { width: width * scale, height: height * scale };
+
+    return {
+      position: {
+        x: position.x + (size.width - fitted.width) / 2,
+        y: position.y + (size.height - fitted.height) / 2
+      },
+      size: fitted
+    };
+  }
+
+  /**
+   * Confere se a página de cada assinatura existe no documento
+   * @param {object[]} signatures - Assinaturas no formato armazenado ({ pagina, ... })
+   * @param {number} totalPages - Total de páginas do PDF
+   */
+  validatePages(signatures, totalPages) {
+    signatures.forEach((sig, index) => {
+      const pagina = sig.pagina || 1;
+
+      if (pagina < 1 || pagina > totalPages) {
+        throw new AppError(
+          `Página ${pagina} da assinatura ${index + 1} não existe no documento (total: ${totalPages} página(s))`,
+          { status: 400, code: 'SIGNATURE_PAGE_OUT_OF_RANGE', details: { page: pagina, totalPages, signature: index + 1 } }
+        );
+      }
+    });
+  }
+}
+
+// Cor #rrggbb para o rgb() do pdf-lib
+function toColor(value) {
+  return rgb(...svgUtils.toRgb(value).map((channel) => channel / 255));
+}
+
+module.exports = new StampService();
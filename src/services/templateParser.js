@@ -0,0 +1,257 @@
+const appearanceService = require('./appearanceService');
+
+const DEFAULT_TIMEZONE = process.env.TEMPLATE_TIMEZONE || 'America/Sao_Paulo';
+const DEFAULT_DATE_FORMAT = 'dd/MM/yyyy';
+
+// Strings entre aspas, operadores, números e caminhos (cliente.nome, itens.0.valor, .)
+const TOKEN = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(==|!=|>=|<=|>|<|\||:)|(-?\d+(?:\.\d+)?)(?![\p{L}\p{N}_])|([\p{L}_.][\p{L}\p{N}_.]*))/uy;
+const PATH = /^(?:\.|[\p{L}_][\p{L}\p{N}_]*(?:\.[\p{L}\p{N}_]+)*)$/u;
+const COMPARISONS = ['==', '!=', '>=', '<=', '>', '<'];
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Formatadores usados como {{valor | moeda}} ou {{vencimento | data:"dd/MM/yyyy"}}.
+ * Valores sem dados passam direto (o campo continua contando como sem valor),
+ * exceto em padrao, que existe justamente para preenchê-los.
+ */
+const FILTERS = {
+  moeda: (value, currency = 'BRL') => new Intl.NumberFormat('pt-BR', { style: 'currency', currency })
+    .format(toNumber(value, 'moeda')),
+  numero: (value, decimals) => new Intl.NumberFormat('pt-BR', decimals === undefined
+    ? {}
+    : { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+    .format(toNumber(value, 'numero')),
+  data: (value, formato = DEFAULT_DATE_FORMAT) => {
+    const { iso, dateOnly } = toDate(value);
+    return appearanceService.formatDate(iso, { fuso: dateOnly ? 'UTC' : DEFAULT_TIMEZONE, formato });
+  },
+  maiusculas: (value) => String(value).toLocaleUpperCase('pt-BR'),
+  minusculas: (value) => String(value).toLocaleLowerCase('pt-BR'),
+  padrao: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value)
+};
+
+/**
+ * Parser de expressões do docxtemplater para o modo de mesclagem. Cada tag é
+ * um caminho nos dados (cliente.nome, . para o item atual do loop), opcionalmente
+ * comparado a um literal ({{#total > 1000}}, {{#status == "pago"}}) e seguido de
+ * formatadores separados por | (ver FILTERS). Caminhos não encontrados no item
+ * do loop são procurados nos níveis de fora.
+ * @param {string} tag - Conteúdo da tag, sem delimitadores nem #, ^ ou /
+ * @returns {object} - { get(scope, context) }
+ */
+function templateParser(tag) {
+  const expression = compile(tag);
+
+  return {
+    get(scope, context) {
+      const scopes = context && context.scopeList ? context.scopeList.slice(0, context.num + 1).reverse() : [scope];
+      const resolve = (operand) => (operand.path ? lookup(scopes, operand.path) : operand.value);
+
+      let value = resolve(expression.left);
+      if (expression.operator) {
+        value = compare(value, expression.operator, resolve(expression.right));
+      }
+
+      for (const filter of expression.filters) {
+        if (filter.name !== 'padrao' && (value === undefined || value === null)) {
+          continue;
+        }
+        value = FILTERS[filter.name](value, ...filter.args);
+      }
+
+      return value;
+    }
+  };
+}
+
+/**
+ * Lê a tag uma única vez, quando o template é compilado. Aspas tipográficas,
+ * que o Word coloca sozinho ao digitar, são aceitas como aspas retas.
+ * @param {string} tag
+ * @returns {object} - { left, operator, right, filters: [{ name, args }] }
+ */
+function compile(tag) {
+  const source = tag.replace(/[“”]/g, '"').replace(/[‘’]/g, "'").trim();
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const next = () => tokens[position++];
+  const peek = () => tokens[position];
+
+  const operand = () => {
+    const token = next();
+    if (!token || token.type === 'symbol') {
+      throw new Error(`Expressão inválida: ${tag}`);
+    }
+    return token.type === 'path' ? { path: token.value } : { value: token.value };
+  };
+
+  const expression = { left: operand(), filters: [] };
+
+  if (peek() && COMPARISONS.includes(peek().value) && peek().type === 'symbol') {
+    expression.operator = next().value;
+    expression.right = operand();
+  }
+
+  while (peek()) {
+    if (next().value !== '|') {
+      throw new Error(`Expressão inválida: ${tag}`);
+    }
+
+    const name = next();
+    if (!name || name.type !== 'path' || !FILTERS[name.value]) {
+      throw new Error(`Formatador desconhecido em ${tag}. Use: ${Object.keys(FILTERS).join(', ')}`);
+    }
+
+    const filter = { name: name.value, args: [] };
+    while (peek() && peek().value === ':' && peek().type === 'symbol') {
+      next();
+      const argument = operand();
+      if (argument.path) {
+        throw new Error(`Argumento do formatador ${name.value} deve ser texto ou número: ${tag}`);
+      }
+      filter.args.push(argument.value);
+    }
+    expression.filters.push(filter);
+  }
+
+  return expression;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match || match[0].trim() === '') {
+      if (source.slice(start).trim() === '') {
+        break;
+      }
+      throw new Error(`Caractere inesperado na posição ${start + 1}: ${source}`);
+    }
+
+    const [, string, symbol, number, word] = match;
+    if (string !== undefined) {
+      tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (symbol !== undefined) {
+      tokens.push({ type: 'symbol', value: symbol });
+    } else if (number !== undefined) {
+      tokens.push({ type: 'literal', value: Number(number) });
+    } else if (Object.prototype.hasOwnProperty.call(LITERALS, word)) {
+      tokens.push({ type: 'literal', value: LITERALS[word] });
+    } else if (PATH.test(word)) {
+      tokens.push({ type: 'path', value: word });
+    } else {
+      throw new Error(`Caminho inválido: ${word}`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Procura o caminho do nível mais interno (item do loop) para o mais externo
+ * @param {object[]} scopes - Escopos, do mais interno para a raiz
+ * @param {string} path - Caminho com pontos ou . para o próprio escopo
+ * @returns {*} - Valor ou undefined
+ */
+function lookup(scopes, path) {
+  if (path === '.') {
+    return scopes[0];
+  }
+
+  const keys = path.split('.');
+  for (const scope of scopes) {
+    if (scope === null || typeof scope !== 'object' || !Object.prototype.hasOwnProperty.call(scope, keys[0])) {
+      continue;
+    }
+
+    let value = scope;
+    for (const key of keys) {
+      value = value !== null && typeof value === 'object' ? value[key] : undefined;
+    }
+    return value;
+  }
+
+  return undefined;
+}
+
+/**
+ * Compara como números quando os dois lados são numéricos (inclusive textos
+ * vindos de CSV, como "1.234,56"); caso contrário, como texto
+ */
+function compare(left, operator, right) {
+  const leftNumber = parseNumber(left);
+  const rightNumber = parseNumber(right);
+  const numeric = !Number.isNaN(leftNumber) && !Number.isNaN(rightNumber);
+
+  const a = numeric ? leftNumber : left === undefined || left === null ? left : String(left);
+  const b = numeric ? rightNumber : right === undefined || right === null ? right : String(right);
+
+  switch (operator) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '>': return a > b;
+    case '<': return a < b;
+    case '>=': return a >= b;
+    case '<=': return a <= b;
+    default: return false;
+  }
+}
+
+/**
+ * @param {*} value - Número ou texto; com vírgula, lido no formato brasileiro (1.234,56)
+ * @returns {number} - NaN se não for numérico
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    return NaN;
+  }
+
+  const text = value.trim().replace(/^R\$\s*/, '');
+  return Number(text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text);
+}
+
+function toNumber(value, filter) {
+  const number = parseNumber(value);
+  if (Number.isNaN(number)) {
+    throw new Error(`Valor "${value}" não é um número (formatador ${filter})`);
+  }
+  return number;
+}
+
+/**
+ * Datas sem hora (2024-03-05 ou 05/03/2024) são formatadas sem conversão de
+ * fuso, para não mudarem de dia; data e hora usam TEMPLATE_TIMEZONE
+ * @param {*} value - Date, timestamp em ms ou texto
+ * @returns {object} - { iso, dateOnly }
+ */
+function toDate(value) {
+  const text = typeof value === 'string' ? value.trim() : null;
+  const brazilian = text && text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+
+  let iso = null;
+  if (brazilian) {
+    iso = `${brazilian[3]}-${brazilian[2]}-${brazilian[1]}`;
+  } else if (text) {
+    iso = text;
+  } else if (value instanceof Date || typeof value === 'number') {
+    iso = new Date(value).toISOString();
+  }
+
+  const dateOnly = Boolean(iso && /^\d{4}-\d{2}-\d{2}$/.test(iso));
+  if (!iso || Number.isNaN(new Date(iso).getTime())) {
+    throw new Error(`Valor "${value}" não é uma data (formatador data)`);
+  }
+
+  return { iso: dateOnly ? `${iso}T00:00:00Z` : iso, dateOnly };
+}
+
+module.exports = templateParser;
+module.exports.FILTERS = Object.keys(FILTERS);
@@ -0,0 +1,334 @@
+const anchorService = require('./anchorService');
+const appearanceService = require('./appearanceService');
+const auditService = require('./auditService');
+const authService = require('./authService');
+const documentService = require('./documentService');
+const templateStore = require('../storage/templateStore');
+const fileUtils = require('../utils/fileUtils');
+const pdfUtils = require('../utils/pdfUtils');
+const { apiPath } = require('../utils/apiPaths');
+const { AppError } = require('../utils/errors');
+
+const MAX_NAME_LENGTH = 120;
+
+/**
+ * Biblioteca de templates: .docx ou .pdf guardados no servidor com nome,
+ * placeholders encontrados e zonas de assinatura padrão. Cada envio de um novo
+ * arquivo cria uma versão; as anteriores continuam disponíveis, sem alteração.
+ * As rotas de assinatura aceitam templateId (e templateVersion) no lugar do arquivo.
+ */
+class TemplateService {
+
+  /**
+   * @param {object} data
+   * @param {string} data.name - Nome do template (único)
+   * @param {string} [data.description]
+   * @param {object} data.file - { nome, buffer }
+   * @param {object[]} [data.zones] - Zonas padrão (page, position, width, height, anchor, appearance)
+   * @param {object} usuario - Usuário autenticado
+   * @returns {Promise<object>} - Template criado
+   */
+  async create({ name, description, file, zones }, usuario) {
+    const nome = typeof name === 'string' ? name.trim() : '';
+    if (!nome || nome.length > MAX_NAME_LENGTH) {
+      throw new AppError(`Nome do template é obrigatório (até ${MAX_NAME_LENGTH} caracteres)`, {
+        status: 400,
+        code: 'INVALID_TEMPLATE'
+      });
+    }
+
+    const templates = await templateStore.list();
+    if (templates.some((template) => templateStore.isSameName(template.nome, nome))) {
+      throw nameTaken();
+    }
+
+    const version = await this.prepareVersion(file, zones, usuario);
+
+    // Outro cadastro com o mesmo nome pode ter terminado enquanto o arquivo era conferido
+    const template = await templateStore.create({
+      nome,
+      descricao: typeof description === 'string' && description.trim() ? description.trim() : null,
+      owner: usuario.id
+    }, version, file.buffer);
+
+    if (!template) {
+      throw nameTaken();
+    }
+
+    return template;
+  }
+
+  /**
+   * Nova versão de um template. Sem zones, as zonas da versão anterior são mantidas.
+   * @param {string} id - ID do template
+   * @param {object} data - { file, zones }
+   * @param {object} usuario - Usuário autenticado (dono do template ou admin)
+   * @returns {Promise<object>} - Template atualizado
+   */
+  async addVersion(id, { file, zones }, usuario) {
+    const template = await this.get(id);
+
+    if (!authService.canManage(usuario, template)) {
+      throw new AppError('Somente o dono do template pode enviar novas versões', { status: 403, code: 'FORBIDDEN' });
+    }
+
+    const previous = template.versoes[template.versoes.length - 1];
+    const version = await this.prepareVersion(file, zones, usuario, previous.zonas);
+
+    if (version.sha256 === previous.sha256 && zones === undefined) {
+      throw new AppError('O arquivo é igual ao da versão atual', {
+        status: 409,
+        code: 'TEMPLATE_VERSION_UNCHANGED',
+        details: { versao: previous.versao }
+      });
+    }
+
+    return templateStore.addVersion(id, version, file.buffer);
+  }
+
+  /**
+   * @returns {Promise<object[]>} - Templates ordenados por nome
+   */
+  async list() {
+    const templates = await templateStore.list();
+    return templates.sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+  }
+
+  /**
+   * @param {string} id - ID do template
+   * @returns {Promise<object>}
+   */
+  async get(id) {
+    const template = await templateStore.get(id);
+    if (!template) {
+      throw new AppError('Template não encontrado', { status: 404, code: 'TEMPLATE_NOT_FOUND' });
+    }
+    return template;
+  }
+
+  /**
+   * @param {string} id - ID do template
+   * @param {number} [versao] - Número da versão (padrão: a mais recente)
+   * @returns {Promise<object>} - { template, version }
+   */
+  async getVersion(id, versao) {
+    const template = await this.get(id);
+    const version = versao === undefined
+      ? template.versoes[template.versoes.length - 1]
+      : template.versoes.find((item) => item.versao === versao);
+
+    if (!version) {
+      throw new AppError(`Versão ${versao} do template não encontrada`, {
+        status: 404,
+        code: 'TEMPLATE_VERSION_NOT_FOUND',
+        details: { versoes: template.versoes.length }
+      });
+    }
+
+    return { template, version };
+  }
+
+  /**
+   * Arquivo de uma versão, para uso no lugar do arquivo enviado na requisição
+   * @param {object} reference - { id, versao } (ver parseReference)
+   * @returns {Promise<object>} - { nome, buffer, tipo, zonas, modelo: { id, nome, versao, sha256 } }
+   */
+  async getDocument({ id, versao }) {
+    const { template, version } = await this.getVersion(id, versao);
+    const buffer = await templateStore.readFile(template.id, version.arquivo);
+
+    if (!buffer) {
+      throw new Error(`Arquivo da versão ${version.versao} do template ${template.id} não encontrado`);
+    }
+
+    return {
+      nome: version.nome_arquivo,
+      buffer,
+      tipo: version.tipo,
+      zonas: version.zonas,
+      modelo: { id: template.id, nome: template.nome, versao: version.versao, sha256: version.sha256 }
+    };
+  }
+
+  /**
+   * Lê templateId e templateVersion do corpo da requisição
+   * @param {object} body
+   * @returns {object|null} - { id, versao } ou null se templateId não foi enviado
+   */
+  parseReference(body) {
+    if (!body || !body.templateId) {
+      return null;
+    }
+
+    if (body.templateVersion === undefined || body.templateVersion === '') {
+      return { id: String(body.templateId), versao: undefined };
+    }
+
+    const versao = Number(body.templateVersion);
+    if (!Number.isInteger(versao) || versao < 1) {
+      throw new AppError('templateVersion deve ser um número a partir de 1', {
+        status: 400,
+        code: 'INVALID_TEMPLATE_VERSION'
+      });
+    }
+
+    return { id: String(body.templateId), versao };
+  }
+
+  /**
+   * Confere o arquivo e monta os metadados da versão
+   * @param {object} file - { nome, buffer }
+   * @param {object[]} [zones] - Zonas enviadas
+   * @param {object} usuario - Usuário autenticado
+   * @param {object[]} [inherited] - Zonas da versão anterior, usadas quando zones não é enviado
+   * @returns {Promise<object>}
+   */
+  async prepareVersion(file, zones, usuario, inherited = []) {
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      throw new AppError('Arquivo .docx ou .pdf do template é obrigatório', { status: 400, code: 'MISSING_TEMPLATE' });
+    }
+
+    const tipo = fileUtils.detectDocumentType(file.buffer);
+    let placeholders = [];
+    let avisos = [];
+    let totalPaginas = null;
+
+    if (tipo === 'docx') {
+      const inspection = documentService.inspectTemplate(file.buffer);
+      if (!inspection.valid) {
+        throw new AppError('Template do documento inválido', {
+          status: 400,
+          code: 'TEMPLATE_ERROR',
+          details: { errors: inspection.problems.filter((problem) => problem.severity === 'error') }
+        });
+      }
+
+      placeholders = inspection.placeholders.map(({ name, type, occurrences }) => ({ name, type, occurrences }));
+      avisos = inspection.problems;
+    } else if (tipo === 'pdf') {
+      totalPaginas = (await pdfUtils.loadPdf(file.buffer)).getPageCount();
+    } else {
+      throw new AppError('Templates devem ser .docx ou .pdf', { status: 400, code: 'UNSUPPORTED_TEMPLATE' });
+    }
+
+    return {
+      nome_arquivo: file.nome,
+      tipo,
+      tamanho: file.buffer.length,
+      sha256: auditService.hash(file.buffer),
+      placeholders,
+      avisos,
+      total_paginas: totalPaginas,
+      zonas: zones === undefined ? inherited : await this.parseZones(zones, totalPaginas),
+      criado_por: usuario.id
+    };
+  }
+
+  /**
+   * Zonas de assinatura padrão, no formato armazenado das assinaturas (sem imagem).
+   * Âncoras são procuradas só na hora de assinar, já que o .docx ainda será convertido.
+   * @param {object[]} zones - [{ page, position, width, height, anchor, appearance }]
+   * @param {number|null} totalPages - Total de páginas (PDF) para validar page
+   * @returns {Promise<object[]>}
+   */
+  async parseZones(zones, totalPages) {
+    if (!Array.isArray(zones)) {
+      throw new AppError('zones deve ser uma lista JSON', { status: 400, code: 'INVALID_TEMPLATE_ZONES' });
+    }
+
+    const zonas = [];
+    for (const [index, zone] of zones.entries()) {
+      const fail = (message) => new AppError(`${message} na zona ${index + 1}`, {
+        status: 400,
+        code: 'INVALID_TEMPLATE_ZONES',
+        details: { zone: index + 1 }
+      });
+
+      if (!zone || typeof zone !== 'object') {
+        throw fail('Zona inválida');
+      }
+
+      const pagina = parseInt(zone.page, 10) || (zone.anchor ? undefined : 1);
+      if (pagina !== undefined && (pagina < 1 || (totalPages && pagina > totalPages))) {
+        throw fail(`Página ${pagina} não existe no documento`);
+      }
+
+      const position = zone.position || {};
+      if (!zone.anchor && (!Number.isFinite(parseFloat(position.x)) || !Number.isFinite(parseFloat(position.y)))) {
+        throw fail('Informe position (x, y) ou anchor');
+      }
+
+      const aparencia = await appearanceService.resolve(zone.appearance, {
+        label: `Aparência inválida na zona ${index + 1}`,
+        details: { zone: index + 1 }
+      });
+
+      zonas.push({
+        pagina,
+        posicao: zone.anchor ? null : { x: parseFloat(position.x), y: parseFloat(position.y) },
+        dimensoes: {
+          largura: parseFloat(zone.width) || 150,
+          altura: parseFloat(zone.height) || 50
+        },
+        ...(zone.anchor && { ancora: anchorService.parseAnchor(zone.anchor, index + 1) }),
+        ...(aparencia && { aparencia })
+      });
+    }
+
+    return zonas;
+  }
+
+  /**
+   * @param {object} template
+   * @returns {object} - Resumo com a versão atual
+   */
+  toJSON(template) {
+    const current = template.versoes[template.versoes.length - 1];
+
+    return {
+      id: template.id,
+      nome: template.nome,
+      descricao: template.descricao,
+      owner: template.owner,
+      versao_atual: current.versao,
+      total_versoes: template.versoes.length,
+      atual: this.versionToJSON(template, current),
+      createdAt: template.createdAt,
+      updatedAt: template.updatedAt
+    };
+  }
+
+  /**
+   * @param {object} template
+   * @param {object} version
+   * @returns {object} - Versão sem o nome interno do arquivo e sem os bytes dos logotipos
+   */
+  versionToJSON(template, version) {
+    return {
+      versao: version.versao,
+      nome_arquivo: version.nome_arquivo,
+      tipo: version.tipo,
+      tamanho: version.tamanho,
+      sha256: version.sha256,
+      total_paginas: version.total_paginas,
+      placeholders: version.placeholders,
+      avisos: version.avisos,
+      zonas: version.zonas.map(({ aparencia, ...zona }) => ({
+        ...zona,
+        ...(aparencia && { aparencia: appearanceService.toJSON(aparencia) })
+      })),
+      criado_em: version.criado_em,
+      criado_por: version.criado_por,
+      download: apiPath(`/templates/${template.id}/versions/${version.versao}/file`)
+    };
+  }
+}
+
+function nameTaken() {
+  return new AppError('Já existe um template com esse nome. Envie o arquivo como nova versão', {
+    status: 409,
+    code: 'TEMPLATE_NAME_TAKEN'
+  });
+}
+
+module.exports = new TemplateService();
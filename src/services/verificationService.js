@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const stampService = require('./stampService');
+const verificationStore = require('../storage/verificationStore');
+const { apiPath } = require('../utils/apiPaths');
+const { AppError } = require('../utils/errors');
+
+// Base32 de Crockford: sem I, L, O e U, que se confundem ao digitar um código impresso
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 12;
+const PLACEMENTS = ['below', 'right'];
+
+/**
+ * Códigos de verificação dos PDFs emitidos pelo /api/download e pelo ZIP dos
+ * lotes. O PDF recebe um QR code e o código curto ao lado da primeira
+ * assinatura, apontando para GET /api/verify/:code, que devolve nome do
+ * documento, signatários, datas das assinaturas e o SHA-256 do arquivo
+ * emitido. Quem tiver uma cópia pode enviá-la para conferir o hash.
+ */
+class VerificationService {
+
+  /**
+   * Gera o PDF assinado e, se pedido, o código de verificação dele
+   * @param {object} record - Documento do documentStore
+   * @param {Buffer} originalPdfBytes - PDF original do documento
+   * @param {object} [options] - Opções do StampService.createSignedPdf, mais:
+   * @param {object} [options.verification] - { placement, baseUrl } para incluir o QR code
+   * @returns {Promise<object>} - { pdfBytes, verificacao } (verificacao: { codigo, url } ou null)
+   */
+  async issue(record, originalPdfBytes, { verification, ...options } = {}) {
+    if (!verification) {
+      return { pdfBytes: await stampService.createSignedPdf(record, originalPdfBytes, options), verificacao: null };
+    }
+
+    const codigo = this.generateCode();
+    const url = this.getUrl(codigo, verification.baseUrl);
+
+    const pdfBytes = await stampService.createSignedPdf(record, originalPdfBytes, {
+      ...options,
+      verification: { code: codigo, url, placement: verification.placement }
+    });
+
+    await verificationStore.create({
+      codigo,
+      documento: record.id,
+      nome: record.nome,
+      arquivo: record.arquivo_final,
+      signatarios: this.describeSigners(record),
+      sha256: crypto.createHash('sha256').update(pdfBytes).digest('hex'),
+      tamanho: pdfBytes.length,
+      assinatura_digital: Boolean(options.digitalSignature),
+      emitido_em: new Date().toISOString()
+    });
+
+    return { pdfBytes, verificacao: { codigo, url } };
+  }
+
+  /**
+   * @param {string} [value] - Posição pedida (below ou right)
+   * @returns {string}
+   */
+  parsePlacement(value) {
+    if (value === undefined || value === '') {
+      return 'below';
+    }
+
+    if (!PLACEMENTS.includes(value)) {
+      throw new AppError(`verificationPlacement deve ser ${PLACEMENTS.join(' ou ')}`, {
+        status: 400,
+        code: 'INVALID_VERIFICATION_PLACEMENT'
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Dados públicos da emissão
+   * @param {string} code - Código de verificação (com ou sem hífens, maiúsculas ou minúsculas)
+   * @returns {Promise<object>}
+   */
+  async get(code) {
+    const codigo = this.normalizeCode(code);
+    const verification = codigo ? await verificationStore.get(codigo) : null;
+
+    if (!verification) {
+      throw new AppError('Código de verificação não encontrado', { status: 404, code: 'VERIFICATION_NOT_FOUND' });
+    }
+
+    return this.toJSON(verification);
+  }
+
+  /**
+   * Compara o arquivo enviado com o PDF emitido
+   * @param {string} code - Código de verificação
+   * @param {Buffer} fileBytes - Arquivo enviado
+   * @returns {Promise<object>} - Dados públicos, confere e sha256_enviado
+   */
+  async compare(code, fileBytes) {
+    const verification = await this.get(code);
+    const sha256 = crypto.createHash('sha256').update(fileBytes).digest('hex');
+
+    return {
+      ...verification,
+      confere: sha256 === verification.sha256,
+      sha256_enviado: sha256
+    };
+  }
+
+  toJSON(verification) {
+    return {
+      codigo: verification.codigo,
+      documento: verification.nome,
+      arquivo: verification.arquivo,
+      signatarios: verification.signatarios,
+      sha256: verification.sha256,
+      tamanho: verification.tamanho,
+      assinatura_digital: verification.assinatura_digital,
+      emitido_em: verification.emitido_em
+    };
+  }
+
+  /**
+   * Signatários do envelope ou, nos demais documentos, uma entrada por assinatura
+   * (nome da aparência do carimbo, quando houver)
+   * @param {object} record - Documento do documentStore
+   * @returns {object[]} - [{ nome, assinado_em }]
+   */
+  describeSigners(record) {
+    if (record.envelope) {
+      return record.envelope.signatarios.map((signatario) => ({
+        nome: signatario.nome,
+        assinado_em: signatario.assinado_em
+      }));
+    }
+
+    return record.signatures.map((sig) => ({
+      nome: sig.aparencia && sig.aparencia.nome ? sig.aparencia.nome : null,
+      assinado_em: sig.assinado_em || record.processedAt || null
+    }));
+  }
+
+  /**
+   * @returns {string} - Código no formato XXXX-XXXX-XXXX
+   */
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const code = Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return code.match(/.{4}/g).join('-');
+  }
+
+  /**
+   * Aceita o código digitado com minúsculas, sem hífens ou com O/I/L no lugar de 0/1
+   * @param {string} code
+   * @returns {string|null} - Código no formato XXXX-XXXX-XXXX ou null se inválido
+   */
+  normalizeCode(code) {
+    const value = String(code || '')
+      .toUpperCase()
+      .replace(/[\s-]/g, '')
+      .replace(/O/g, '0')
+      .replace(/[IL]/g, '1');
+
+    if (value.length !== CODE_LENGTH || [...value].some((char) => !CODE_ALPHABET.includes(char))) {
+      return null;
+    }
+    return value.match(/.{4}/g).join('-');
+  }
+
+  /**
+   * @param {string} codigo - Código de verificação
+   * @param {string} baseUrl - Endereço do servidor visto na requisição (usado sem PUBLIC_BASE_URL)
+   * @returns {string}
+   */
+  getUrl(codigo, baseUrl) {
+    const base = (process.env.PUBLIC_BASE_URL || baseUrl).replace(/\/+$/, '');
+    return `${base}${apiPath(`/verify/${codigo}`)}`;
+  }
+
+  /**
+   * Página exibida quando o QR code é aberto no navegador
+   * @param {object} result - Resultado de get ou compare
+   * @returns {string} - HTML
+   */
+  renderPage(result) {
+    const rows = [
+      ['Documento', result.documento],
+      ['Emitido em', formatDate(result.emitido_em)],
+      ['SHA-256 do arquivo emitido', result.sha256],
+      ['Assinatura digital', result.assinatura_digital ? 'sim' : 'não']
+    ];
+
+    const signers = result.signatarios
+      .map((signer) => `<li>${escapeHtml(signer.nome || 'Assinatura')}: ${escapeHtml(formatDate(signer.assinado_em))}</li>`)
+      .join('');
+
+    const comparison = result.confere === undefined
+      ? ''
+      : `<p class="${result.confere ? 'ok' : 'erro'}">${result.confere
+        ? 'O arquivo enviado é idêntico ao emitido pelo servidor.'
+        : `O arquivo enviado NÃO corresponde ao emitido (SHA-256 ${escapeHtml(result.sha256_enviado)}).`}</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Verificação ${escapeHtml(result.codigo)}</title>
+<style>
+body { font-family: sans-serif; max-width: 40rem; margin: 2rem auto; padding: 0 1rem; color: #222; }
+dt { font-weight: bold; margin-top: .75rem; }
+dd { margin: 0; word-break: break-all; }
+.ok { color: #1b5e20; font-weight: bold; }
+.erro { color: #b71c1c; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Documento emitido</h1>
+<p>Código de verificação <strong>${escapeHtml(result.codigo)}</strong></p>
+${comparison}
+<dl>
+${rows.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+<dt>Assinaturas</dt><dd><ul>${signers}</ul></dd>
+</dl>
+<form method="post" enctype="multipart/form-data">
+<p>Confira uma cópia do PDF: <input type="file" name="document" accept="application/pdf" required> <button type="submit">Comparar</button></p>
+</form>
+</body>
+</html>
+`;
+  }
+}
+
+function formatDate(iso) {
+  return iso ? `${iso.replace('T', ' ').replace(/\.\d+Z$/, '')} UTC` : '-';
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
+
+module.exports = new VerificationService();
@@ -0,0 +1,467 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const webhookStore = require('../storage/webhookStore');
+const networkUtils = require('../utils/networkUtils');
+const { apiPath } = require('../utils/apiPaths');
+const { AppError } = require('../utils/errors');
+
+const EVENTS = ['document.processed', 'signature.applied', 'document.completed', 'conversion.failed'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Destinos na rede interna (loopback, redes privadas, link-local) só com liberação explícita, para desenvolvimento
+const ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+/**
+ * Notificações de eventos dos documentos por webhook. Cada evento vira uma
+ * entrega por assinatura interessada; a entrega é um POST JSON assinado com
+ * HMAC-SHA256 (segredo da assinatura) e, se o destino não responder 2xx, é
+ * repetida com espera exponencial até WEBHOOK_MAX_ATTEMPTS tentativas.
+ *
+ * Assinaturas de sender recebem os eventos dos próprios documentos; as de
+ * admin recebem os eventos de todos, inclusive os que não têm dono.
+ *
+ * A URL precisa resolver para endereços públicos, conferidos no cadastro e
+ * de novo em cada tentativa (redirecionamentos não são seguidos). Das
+ * respostas só o status é guardado, nunca o corpo.
+ */
+class WebhookService {
+
+  constructor() {
+    // Tentativas agendadas por ID da entrega
+    this.timers = new Map();
+  }
+
+  /**
+   * Cria uma assinatura. O segredo só é devolvido aqui.
+   * @param {object} user - Usuário autenticado
+   * @param {object} data - { url, events, description }
+   * @returns {object} - Assinatura (ver toJSON) com o segredo
+   */
+  async createSubscription(user, { url, events, description } = {}) {
+    const parsedUrl = this.parseUrl(url);
+    await this.checkDestination(parsedUrl);
+
+    const subscription = await webhookStore.createSubscription({
+      owner: user.id,
+      escopo: user.role === 'admin' ? 'todos' : 'proprios',
+      url: parsedUrl,
+      eventos: this.parseEvents(events),
+      descricao: description ? String(description) : null,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      ativo: true
+    });
+
+    return { ...this.toJSON(subscription), secret: subscription.secret };
+  }
+
+  /**
+   * @param {object} user - Usuário autenticado
+   * @returns {object[]} - Assinaturas visíveis ao usuário (admin vê todas)
+   */
+  async listSubscriptions(user) {
+    const subscriptions = await webhookStore.listSubscriptions();
+    return subscriptions.filter((subscription) => this.canManage(user, subscription));
+  }
+
+  /**
+   * @param {object} user - Usuário autenticado
+   * @param {string} id - ID da assinatura
+   * @returns {object} - Assinatura armazenada
+   */
+  async getSubscription(user, id) {
+    const subscription = await webhookStore.getSubscription(id);
+
+    if (!subscription || !this.canManage(user, subscription)) {
+      throw new AppError('Webhook não encontrado', { status: 404, code: 'WEBHOOK_NOT_FOUND' });
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Remove a assinatura; entregas pendentes dela são canceladas na próxima tentativa
+   * @param {object} user - Usuário autenticado
+   * @param {string} id - ID da assinatura
+   */
+  async deleteSubscription(user, id) {
+    await this.getSubscription(user, id);
+    await webhookStore.removeSubscription(id);
+  }
+
+  /**
+   * @param {object} user - Usuário autenticado
+   * @param {string} id - ID da assinatura
+   * @param {object} [options]
+   * @param {string} [options.status] - pendente, entregue, falhou ou cancelada
+   * @param {number} [options.limit=50] - Quantidade máxima, das mais recentes
+   * @returns {object[]} - Entregas (ver toDeliveryJSON)
+   */
+  async listDeliveries(user, id, { status, limit = 50 } = {}) {
+    await this.getSubscription(user, id);
+
+    const deliveries = await webhookStore.listDeliveries((delivery) =>
+      delivery.subscription === id && (!status || delivery.status === status));
+
+    return deliveries.slice(0, limit).map((delivery) => this.toDeliveryJSON(delivery));
+  }
+
+  /**
+   * Reenvia o payload de uma entrega como nova entrega (mesmo ID de evento)
+   * @param {object} user - Usuário autenticado
+   * @param {string} deliveryId - ID da entrega original
+   * @returns {object} - Nova entrega (ver toDeliveryJSON)
+   */
+  async replay(user, deliveryId) {
+    const original = await webhookStore.getDelivery(deliveryId);
+    if (!original) {
+      throw new AppError('Entrega não encontrada', { status: 404, code: 'DELIVERY_NOT_FOUND' });
+    }
+
+    await this.getSubscription(user, original.subscription);
+
+    const delivery = await this.enqueue(original.subscription, original.payload, { replay_de: original.id });
+    return this.toDeliveryJSON(delivery);
+  }
+
+  /**
+   * Dispara um evento para as assinaturas interessadas. Não aguarda as entregas
+   * e nunca lança erro: falhas de webhook não podem interromper o fluxo do documento.
+   * @param {string} evento - Um dos EVENTS
+   * @param {object} dados - Conteúdo do evento
+   * @param {object} [options]
+   * @param {string} [options.owner] - ID do dono do documento
+   */
+  emit(evento, dados, { owner } = {}) {
+    this.dispatch(evento, dados, owner).catch((error) => {
+      console.warn(`Aviso: falha ao disparar o webhook ${evento}:`, error.message);
+    });
+  }
+
+  /**
+   * Dados do documento incluídos nos eventos
+   * @param {object} record - Documento do DocumentStore ou { nome, arquivo_final, owner }
+   *   nos fluxos que devolvem o PDF sem armazenar o documento
+   * @returns {object}
+   */
+  describeDocument(record) {
+    return {
+      id: record.id || null,
+      nome: record.nome,
+      arquivo_final: record.arquivo_final,
+      download: record.id ? apiPath(`/download/${record.id}`) : null,
+      ...(record.lote && { lote: record.lote }),
+      ...(record.envelope && { envelope: { status: record.envelope.status } })
+    };
+  }
+
+  /**
+   * Dispara document.processed e um signature.applied por assinatura do documento
+   * @param {object} record - Documento recém-criado no DocumentStore
+   * @param {object} [extras] - Dados extras do document.processed (ex: total_paginas)
+   */
+  emitProcessed(record, extras = {}) {
+    const documento = this.describeDocument(record);
+
+    this.emit('document.processed', { documento, ...extras }, { owner: record.owner });
+
+    record.signatures.forEach((sig, index) => {
+      this.emit('signature.applied', {
+        documento,
+        assinatura: index + 1,
+        pagina: sig.pagina || 1,
+        posicao: sig.posicao,
+        dimensoes: sig.dimensoes,
+        ...(sig.ancora && { ancora: sig.ancora.texto })
+      }, { owner: record.owner });
+    });
+  }
+
+  /**
+   * Dispara document.completed: PDF final gerado (download, ZIP do lote) ou
+   * envelope com todas as assinaturas, quando o PDF ainda não foi gerado
+   * @param {object} record - Documento do DocumentStore
+   * @param {Buffer|null} pdfBytes - PDF assinado entregue, quando houver
+   * @param {object} extras - { origem, ... } (origem: download, lote ou envelope)
+   */
+  emitCompleted(record, pdfBytes, extras) {
+    this.emit('document.completed', {
+      documento: this.describeDocument(record),
+      ...(pdfBytes && {
+        tamanho: pdfBytes.length,
+        sha256: crypto.createHash('sha256').update(pdfBytes).digest('hex')
+      }),
+      ...extras
+    }, { owner: record.owner });
+  }
+
+  /**
+   * Agenda as entregas pendentes gravadas antes de o servidor reiniciar
+   */
+  async resume() {
+    const pending = await webhookStore.listDeliveries((delivery) => delivery.status === 'pendente');
+
+    for (const delivery of pending) {
+      this.schedule(delivery.id, new Date(delivery.proxima_tentativa).getTime() - Date.now());
+    }
+  }
+
+  /**
+   * Assinatura HMAC enviada em X-Webhook-Signature. O destino deve recalcular
+   * sobre "<X-Webhook-Timestamp>.<corpo>" e comparar.
+   * @param {string} secret - Segredo da assinatura do webhook
+   * @param {number} timestamp - Segundos desde 1970 (X-Webhook-Timestamp)
+   * @param {string} body - Corpo JSON enviado
+   * @returns {string} - HMAC-SHA256 em hexadecimal
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Dados públicos da assinatura (sem o segredo)
+   * @param {object} subscription - Assinatura armazenada
+   * @returns {object}
+   */
+  toJSON(subscription) {
+    return {
+      id: subscription.id,
+      url: subscription.url,
+      eventos: subscription.eventos,
+      descricao: subscription.descricao,
+      escopo: subscription.escopo,
+      ativo: subscription.ativo,
+      createdAt: subscription.createdAt
+    };
+  }
+
+  /**
+   * @param {object} delivery - Entrega armazenada
+   * @returns {object}
+   */
+  toDeliveryJSON(delivery) {
+    return {
+      id: delivery.id,
+      webhook: delivery.subscription,
+      evento: delivery.payload.evento,
+      evento_id: delivery.payload.id,
+      status: delivery.status,
+      // Entregas antigas podiam guardar o corpo da resposta do destino
+      tentativas: delivery.tentativas.map(({ resposta, ...tentativa }) => tentativa),
+      proxima_tentativa: delivery.status === 'pendente' ? delivery.proxima_tentativa : null,
+      ...(delivery.replay_de && { replay_de: delivery.replay_de }),
+      payload: delivery.payload,
+      createdAt: delivery.createdAt,
+      entregue_em: delivery.entregue_em || null
+    };
+  }
+
+  async dispatch(evento, dados, owner) {
+    const subscriptions = await webhookStore.listSubscriptions();
+    const targets = subscriptions.filter((subscription) =>
+      subscription.ativo &&
+      (subscription.eventos.includes('*') || subscription.eventos.includes(evento)) &&
+      (subscription.escopo === 'todos' || (Boolean(owner) && subscription.owner === owner)));
+
+    if (targets.length === 0) {
+      return;
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      evento,
+      timestamp: new Date().toISOString(),
+      dados
+    };
+
+    for (const subscription of targets) {
+      await this.enqueue(subscription.id, payload);
+    }
+  }
+
+  async enqueue(subscriptionId, payload, extras = {}) {
+    const delivery = await webhookStore.createDelivery({
+      subscription: subscriptionId,
+      payload,
+      status: 'pendente',
+      proxima_tentativa: new Date().toISOString(),
+      ...extras
+    });
+
+    this.schedule(delivery.id, 0);
+    return delivery;
+  }
+
+  schedule(deliveryId, delayMs) {
+    clearTimeout(this.timers.get(deliveryId));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(deliveryId);
+      this.attempt(deliveryId).catch((error) => {
+        console.warn(`Aviso: falha ao processar a entrega de webhook ${deliveryId}:`, error.message);
+      });
+    }, Math.max(0, delayMs));
+
+    timer.unref();
+    this.timers.set(deliveryId, timer);
+  }
+
+  /**
+   * Faz uma tentativa de entrega e agenda a próxima se o destino falhar
+   */
+  async attempt(deliveryId) {
+    const delivery = await webhookStore.getDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pendente') {
+      return;
+    }
+
+    const subscription = await webhookStore.getSubscription(delivery.subscription);
+    if (!subscription || !subscription.ativo) {
+      await webhookStore.updateDelivery(deliveryId, () => ({ status: 'cancelada' }));
+      return;
+    }
+
+    const tentativa = await this.send(subscription, delivery);
+    const attempts = delivery.tentativas.length + 1;
+    const delivered = tentativa.status_code >= 200 && tentativa.status_code < 300;
+
+    let next = null;
+    if (!delivered && attempts < MAX_ATTEMPTS) {
+      next = RETRY_BASE_MS * 2 ** (attempts - 1);
+    }
+
+    await webhookStore.updateDelivery(deliveryId, (current) => ({
+      tentativas: [...current.tentativas, tentativa],
+      status: delivered ? 'entregue' : (next === null ? 'falhou' : 'pendente'),
+      proxima_tentativa: next === null ? current.proxima_tentativa : new Date(Date.now() + next).toISOString(),
+      ...(delivered && { entregue_em: tentativa.timestamp })
+    }));
+
+    if (next !== null) {
+      this.schedule(deliveryId, next);
+    }
+  }
+
+  /**
+   * @returns {object} - Tentativa registrada: { timestamp, status_code, erro, duracao_ms }
+   */
+  async send(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    const tentativa = { timestamp: new Date(started).toISOString(), status_code: null, erro: null };
+
+    try {
+      tentativa.status_code = await this.post(subscription.url, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'document-signature-api-webhooks',
+        'X-Webhook-Id': delivery.payload.id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.payload.evento,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+      });
+
+      if (tentativa.status_code < 200 || tentativa.status_code >= 300) {
+        tentativa.erro = `HTTP ${tentativa.status_code}`;
+      }
+    } catch (error) {
+      tentativa.erro = error.message;
+    }
+
+    tentativa.duracao_ms = Date.now() - started;
+    return tentativa;
+  }
+
+  /**
+   * POST sem seguir redirecionamentos. O endereço é conferido na própria conexão
+   * (ver NetworkUtils.lookupPublic), e o corpo da resposta é descartado.
+   * @returns {Promise<number>} - Status HTTP da resposta
+   */
+  post(url, body, headers) {
+    const target = new URL(url);
+    const hostname = networkUtils.getHostname(target);
+
+    // IPs literais não passam pelo lookup
+    if (!ALLOW_PRIVATE_NETWORKS && net.isIP(hostname) && !networkUtils.isPublicAddress(hostname)) {
+      return Promise.reject(new Error(`Destino não permitido: ${hostname}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const client = target.protocol === 'https:' ? https : http;
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: TIMEOUT_MS,
+        ...(!ALLOW_PRIVATE_NETWORKS && { lookup: (...args) => networkUtils.lookupPublic(...args) })
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Sem resposta em ${TIMEOUT_MS} ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Recusa destinos que não resolvem para endereços públicos
+   * @param {string} url - URL já validada por parseUrl
+   */
+  async checkDestination(url) {
+    if (ALLOW_PRIVATE_NETWORKS) {
+      return;
+    }
+
+    const hostname = networkUtils.getHostname(new URL(url));
+    if (!(await networkUtils.resolvesToPublic(hostname))) {
+      throw new AppError('url deve apontar para um endereço público (rede interna, loopback e link-local não são permitidos)', {
+        status: 400,
+        code: 'WEBHOOK_DESTINATION_NOT_ALLOWED',
+        details: { host: hostname }
+      });
+    }
+  }
+
+  canManage(user, subscription) {
+    return user.role === 'admin' || subscription.owner === user.id;
+  }
+
+  parseUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || ''));
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new AppError('url deve ser um endereço http(s) válido', { status: 400, code: 'INVALID_WEBHOOK_URL' });
+    }
+
+    return parsed.toString();
+  }
+
+  parseEvents(events) {
+    const list = Array.isArray(events) ? events : [events];
+    const valid = list.length > 0 && list.every((evento) => evento === '*' || EVENTS.includes(evento));
+
+    if (!valid) {
+      throw new AppError('events deve listar eventos válidos ou "*"', {
+        status: 400,
+        code: 'INVALID_WEBHOOK_EVENTS',
+        details: { eventos_validos: EVENTS }
+      });
+    }
+
+    return [...new Set(list)];
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,112 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const METADATA_FILE = 'metadata.json';
+
+/**
+ * Backend do DocumentStore que guarda cada documento em uma pasta própria:
+ * metadata.json com os dados e um arquivo binário para cada anexo (ex: original.pdf).
+ *
+ * Qualquer outro backend (SQLite, S3...) precisa implementar os mesmos métodos:
+ * save, load, readFile, list e remove.
+ */
+class FileSystemBackend {
+
+  /**
+   * @param {string} rootDir - Pasta onde os documentos serão gravados
+   */
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  /**
+   * Grava os metadados e, opcionalmente, os arquivos do documento
+   * @param {string} id - ID do documento
+   * @param {object} metadata - Dados serializáveis em JSON
+   * @param {object} [files] - Mapa nome -> Buffer
+   */
+  async save(id, metadata, files = {}) {
+    const dir = this.getDir(id);
+    await fs.ensureDir(dir);
+
+    for (const [name, buffer] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, name), buffer);
+    }
+
+    // Metadados por último: um documento só aparece na listagem quando está completo
+    await fs.writeJson(path.join(dir, METADATA_FILE), metadata, { spaces: 2 });
+  }
+
+  /**
+   * @param {string} id - ID do documento
+   * @returns {object|null} - Metadados ou null se não existir
+   */
+  async load(id) {
+    const file = path.join(this.getDir(id), METADATA_FILE);
+
+    if (!(await fs.pathExists(file))) {
+      return null;
+    }
+
+    return fs.readJson(file);
+  }
+
+  /**
+   * @param {string} id - ID do documento
+   * @param {string} name - Nome do arquivo (ex: original.pdf)
+   * @returns {Buffer|null} - Conteúdo ou null se não existir
+   */
+  async readFile(id, name) {
+    const file = path.join(this.getDir(id), name);
+
+    if (!(await fs.pathExists(file))) {
+      return null;
+    }
+
+    return fs.readFile(file);
+  }
+
+  /**
+   * @returns {object[]} - Metadados de todos os documentos gravados
+   */
+  async list() {
+    if (!(await fs.pathExists(this.rootDir))) {
+      return [];
+    }
+
+    const records = [];
+    for (const id of await fs.readdir(this.rootDir)) {
+      try {
+        const metadata = await this.load(id);
+        if (metadata) {
+          records.push(metadata);
+        }
+      } catch (error) {
+        console.warn(`Aviso: metadados ilegíveis para o documento ${id}:`, error.message);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * @param {string} id - ID do documento
+   * @returns {boolean} - True se o documento existia
+   */
+  async remove(id) {
+    const dir = this.getDir(id);
+
+    if (!(await fs.pathExists(dir))) {
+      return false;
+    }
+
+    await fs.remove(dir);
+    return true;
+  }
+
+  getDir(id) {
+    return path.join(this.rootDir, id);
+  }
+}
+
+module.exports = FileSystemBackend;
@@ -0,0 +1,53 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Lista de registros gravada em um único arquivo JSON. As alterações são feitas
+ * em sequência e trocam o arquivo inteiro de uma vez, para que uma gravação
+ * interrompida não deixe o arquivo pela metade.
+ */
+class JsonFileBackend {
+
+  /**
+   * @param {string} file - Caminho do arquivo JSON
+   */
+  constructor(file) {
+    this.file = file;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * @returns {object[]} - Registros gravados
+   */
+  async read() {
+    if (!(await fs.pathExists(this.file))) {
+      return [];
+    }
+
+    return fs.readJson(this.file);
+  }
+
+  /**
+   * Lê, altera e grava o arquivo dentro da fila de escritas
+   * @param {Function} change - Recebe a lista (pode alterá-la) e devolve o resultado
+   * @returns {Promise<*>} - Resultado de change
+   */
+  modify(change) {
+    const write = this.writes.catch(() => {}).then(async () => {
+      const records = await this.read();
+      const result = change(records);
+
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      await fs.ensureDir(path.dirname(this.file));
+      await fs.writeJson(tempFile, records, { spaces: 2 });
+      await fs.move(tempFile, this.file, { overwrite: true });
+
+      return result;
+    });
+
+    this.writes = write;
+    return write;
+  }
+}
+
+module.exports = JsonFileBackend;
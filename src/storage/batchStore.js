@@ -0,0 +1,58 @@
+const path = require('path');
+const JsonFileBackend = require('./backends/jsonFileBackend');
+
+/**
+ * Itens de cada lote com o resultado do processamento (inclusive os que
+ * falharam e não viraram documentos no DocumentStore), para o manifest.json
+ * do ZIP. Expira junto com os documentos do lote (DOCUMENT_TTL_HOURS).
+ */
+class BatchStore {
+
+  /**
+   * @param {string} rootDir - Pasta onde o arquivo de lotes é gravado
+   * @param {object} options
+   * @param {number} options.ttlMs - Tempo até o lote expirar
+   */
+  constructor(rootDir, { ttlMs }) {
+    this.backend = new JsonFileBackend(path.join(rootDir, 'batches.json'));
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * @param {string} id - ID do lote
+   * @returns {object|null} - Lote não expirado
+   */
+  async get(id) {
+    const batches = await this.backend.read();
+    return batches.find((batch) => batch.id === id && !this.isExpired(batch)) || null;
+  }
+
+  /**
+   * Grava o lote e remove os expirados
+   * @param {object} data - { id, owner, itens }
+   * @returns {object} - Lote criado
+   */
+  async create(data) {
+    return this.backend.modify((batches) => {
+      const now = Date.now();
+      const batch = {
+        ...data,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + this.ttlMs).toISOString()
+      };
+
+      const active = batches.filter((current) => !this.isExpired(current));
+      batches.splice(0, batches.length, ...active, batch);
+      return batch;
+    });
+  }
+
+  isExpired(batch) {
+    return new Date(batch.expiresAt).getTime() <= Date.now();
+  }
+}
+
+module.exports = new BatchStore(
+  process.env.BATCH_STORAGE_DIR || path.join(__dirname, '..', '..', 'data', 'batches'),
+  { ttlMs: (parseFloat(process.env.DOCUMENT_TTL_HOURS) || 24) * 60 * 60 * 1000 }
+);
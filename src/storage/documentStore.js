@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const path = require('path');
+const FileSystemBackend = require('./backends/fileSystemBackend');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Backends disponíveis, escolhidos pela variável DOCUMENT_STORE_BACKEND
+const BACKENDS = {
+  filesystem: () => new FileSystemBackend(
+    process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '..', '..', 'data', 'documents')
+  )
+};
+
+/**
+ * Armazena os documentos processados com ID gerado pelo servidor e prazo de
+ * expiração (TTL). Substitui o Map em memória, sobrevivendo a reinícios.
+ */
+class DocumentStore {
+
+  /**
+   * @param {object} backend - Implementação de armazenamento (ver FileSystemBackend)
+   * @param {object} [options]
+   * @param {number} [options.ttlMs] - Tempo de vida de cada documento em milissegundos
+   */
+  constructor(backend, { ttlMs } = {}) {
+    this.backend = backend;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Cria um documento com novo ID
+   * @param {object} data - Metadados do documento
+   * @param {object} [files] - Arquivos binários (nome -> Buffer)
+   * @param {object} [options]
+   * @param {number} [options.ttlMs] - Tempo de vida deste documento, quando diferente do padrão
+   * @returns {object} - Registro criado, com id, createdAt e expiresAt
+   */
+  async create(data, files = {}, { ttlMs = this.ttlMs } = {}) {
+    const now = new Date();
+    const record = {
+      ...data,
+      id: crypto.randomUUID(),
+      files: Object.keys(files),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+    };
+
+    await this.backend.save(record.id, record, files);
+    return record;
+  }
+
+  /**
+   * Busca um documento. Documentos expirados são removidos e tratados como inexistentes.
+   * @param {string} id - ID do documento
+   * @returns {object|null}
+   */
+  async get(id) {
+    if (!ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    const record = await this.backend.load(id);
+    if (!record) {
+      return null;
+    }
+
+    if (this.isExpired(record)) {
+      await this.backend.remove(id);
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Lê um arquivo binário do documento
+   * @param {string} id - ID do documento
+   * @param {string} name - Nome do arquivo
+   * @returns {Buffer|null}
+   */
+  async getFile(id, name) {
+    const record = await this.get(id);
+    if (!record || !record.files.includes(name)) {
+      return null;
+    }
+
+    return this.backend.readFile(id, name);
+  }
+
+  /**
+   * Atualiza metadados e/ou adiciona arquivos a um documento existente
+   * @param {string} id - ID do documento
+   * @param {object} changes - Campos alterados
+   * @param {object} [files] - Arquivos novos ou substituídos
+   * @returns {object|null} - Registro atualizado
+   */
+  async update(id, changes, files = {}) {
+    const record = await this.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const updated = {
+      ...record,
+      ...changes,
+      id: record.id,
+      files: [...new Set([...record.files, ...Object.keys(files)])],
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt
+    };
+
+    await this.backend.save(id, updated, files);
+    return updated;
+  }
+
+  /**
+   * @returns {object[]} - Documentos não expirados, do mais recente ao mais antigo
+   */
+  async list() {
+    const records = await this.backend.list();
+
+    return records
+      .filter((record) => !this.isExpired(record))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * @param {string} id - ID do documento
+   * @returns {boolean} - True se o documento existia
+   */
+  async delete(id) {
+    if (!ID_PATTERN.test(id)) {
+      return false;
+    }
+
+    return this.backend.remove(id);
+  }
+
+  /**
+   * Remove todos os documentos expirados
+   * @returns {number} - Quantidade removida
+   */
+  async purgeExpired() {
+    const records = await this.backend.list();
+    const expired = records.filter((record) => this.isExpired(record));
+
+    for (const record of expired) {
+      await this.backend.remove(record.id);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Executa a limpeza de expirados periodicamente sem impedir o encerramento do processo
+   * @param {number} intervalMs - Intervalo entre limpezas
+   */
+  startCleanup(intervalMs) {
+    const timer = setInterval(() => {
+      this.purgeExpired().catch((error) => {
+        console.warn('Aviso: falha ao remover documentos expirados:', error.message);
+      });
+    }, intervalMs);
+
+    timer.unref();
+    return timer;
+  }
+
+  isExpired(record) {
+    return new Date(record.expiresAt).getTime() <= Date.now();
+  }
+}
+
+const backendName = process.env.DOCUMENT_STORE_BACKEND || 'filesystem';
+if (!BACKENDS[backendName]) {
+  throw new Error(`Backend de armazenamento desconhecido: ${backendName}`);
+}
+
+module.exports = new DocumentStore(BACKENDS[backendName](), {
+  ttlMs: (parseFloat(process.env.DOCUMENT_TTL_HOURS) || 24) * 60 * 60 * 1000
+});
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const JsonFileBackend = require('./backends/jsonFileBackend');
+
+/**
+ * Biblioteca de templates (.docx ou .pdf) com versões. Os metadados ficam em
+ * templates.json; o arquivo de cada versão é gravado uma única vez, com o
+ * SHA-256 do conteúdo no nome, e nunca é alterado, para que documentos
+ * assinados com uma versão antiga possam ser reproduzidos.
+ */
+class TemplateStore {
+
+  /**
+   * @param {string} rootDir - Pasta dos metadados e dos arquivos dos templates
+   */
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    this.backend = new JsonFileBackend(path.join(rootDir, 'templates.json'));
+  }
+
+  /**
+   * @returns {object[]} - Todos os templates, do mais antigo ao mais recente
+   */
+  async list() {
+    return this.backend.read();
+  }
+
+  /**
+   * @param {string} id - ID do template
+   * @returns {object|null}
+   */
+  async get(id) {
+    const templates = await this.list();
+    return templates.find((template) => template.id === id) || null;
+  }
+
+  /**
+   * Cria o template com a versão 1. O nome é conferido dentro da fila de escritas,
+   * para que dois cadastros simultâneos não criem o mesmo nome duas vezes
+   * @param {object} data - { nome, descricao, owner }
+   * @param {object} version - Metadados da versão (tipo, sha256, placeholders, zonas...)
+   * @param {Buffer} buffer - Conteúdo do arquivo
+   * @returns {object|null} - Template criado ou null se o nome já existir
+   */
+  async create(data, version, buffer) {
+    const id = crypto.randomUUID();
+    const arquivo = await this.writeFile(id, version, buffer);
+
+    const created = await this.backend.modify((templates) => {
+      if (templates.some((template) => this.isSameName(template.nome, data.nome))) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const template = {
+        ...data,
+        id,
+        versoes: [{ ...version, versao: 1, arquivo, criado_em: now }],
+        createdAt: now,
+        updatedAt: now
+      };
+
+      templates.push(template);
+      return template;
+    });
+
+    if (!created) {
+      await fs.remove(path.join(this.rootDir, id));
+    }
+
+    return created;
+  }
+
+  /**
+   * @param {string} a - Nome de um template
+   * @param {string} b - Outro nome
+   * @returns {boolean} - True se forem o mesmo nome, sem diferenciar maiúsculas
+   */
+  isSameName(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+
+  /**
+   * Acrescenta uma versão; as anteriores não são alteradas
+   * @param {string} id - ID do template
+   * @param {object} version - Metadados da versão
+   * @param {Buffer} buffer - Conteúdo do arquivo
+   * @returns {object|null} - Template atualizado ou null se não existir
+   */
+  async addVersion(id, version, buffer) {
+    const arquivo = await this.writeFile(id, version, buffer);
+
+    return this.backend.modify((templates) => {
+      const template = templates.find((item) => item.id === id);
+      if (!template) {
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      template.versoes.push({ ...version, versao: template.versoes.length + 1, arquivo, criado_em: now });
+      template.updatedAt = now;
+      return template;
+    });
+  }
+
+  /**
+   * @param {string} id - ID do template
+   * @param {string} arquivo - Nome do arquivo da versão
+   * @returns {Buffer|null}
+   */
+  async readFile(id, arquivo) {
+    const file = path.join(this.rootDir, id, arquivo);
+
+    if (!(await fs.pathExists(file))) {
+      return null;
+    }
+
+    return fs.readFile(file);
+  }
+
+  async writeFile(id, version, buffer) {
+    const arquivo = `${version.sha256}.${version.tipo}`;
+    const file = path.join(this.rootDir, id, arquivo);
+
+    if (!(await fs.pathExists(file))) {
+      await fs.ensureDir(path.dirname(file));
+      await fs.writeFile(file, buffer);
+    }
+
+    return arquivo;
+  }
+}
+
+module.exports = new TemplateStore(
+  process.env.TEMPLATE_STORAGE_DIR || path.join(__dirname, '..', '..', 'data', 'templates')
+);
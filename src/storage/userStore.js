@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const path = require('path');
+const JsonFileBackend = require('./backends/jsonFileBackend');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Usuários da API gravados em um arquivo JSON (senha e chaves de API só como hash)
+ */
+class UserStore {
+
+  /**
+   * @param {string} rootDir - Pasta onde o arquivo de usuários é gravado
+   */
+  constructor(rootDir) {
+    this.backend = new JsonFileBackend(path.join(rootDir, 'users.json'));
+  }
+
+  /**
+   * @returns {object[]} - Todos os usuários, do mais antigo ao mais recente
+   */
+  async list() {
+    return this.backend.read();
+  }
+
+  /**
+   * @param {string} id - ID do usuário
+   * @returns {object|null}
+   */
+  async findById(id) {
+    const users = await this.list();
+    return users.find((user) => user.id === id) || null;
+  }
+
+  /**
+   * @param {string} email - E-mail (comparado sem diferenciar maiúsculas)
+   * @returns {object|null}
+   */
+  async findByEmail(email) {
+    const users = await this.list();
+    const normalized = String(email || '').trim().toLowerCase();
+    return users.find((user) => user.email === normalized) || null;
+  }
+
+  /**
+   * @param {string} keyHash - SHA-256 da chave de API
+   * @returns {object|null} - { user, apiKey }
+   */
+  async findByApiKeyHash(keyHash) {
+    const users = await this.list();
+
+    for (const user of users) {
+      const apiKey = (user.api_keys || []).find((key) => key.hash === keyHash);
+      if (apiKey) {
+        return { user, apiKey };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Cria um usuário com novo ID. O e-mail é conferido dentro da fila de escritas,
+   * para que dois cadastros simultâneos não criem o mesmo e-mail duas vezes
+   * @param {object} data - Dados do usuário (email já normalizado)
+   * @returns {object} - Usuário criado
+   */
+  async create(data) {
+    return this.backend.modify((users) => {
+      if (users.some((user) => user.email === data.email)) {
+        throw new AppError('E-mail já cadastrado', { status: 409, code: 'EMAIL_IN_USE' });
+      }
+
+      const user = {
+        ...data,
+        id: crypto.randomUUID(),
+        api_keys: [],
+        createdAt: new Date().toISOString()
+      };
+
+      users.push(user);
+      return user;
+    });
+  }
+
+  /**
+   * Atualiza um usuário
+   * @param {string} id - ID do usuário
+   * @param {Function} change - Recebe o usuário atual e devolve os campos alterados
+   * @returns {object|null} - Usuário atualizado
+   */
+  async update(id, change) {
+    return this.backend.modify((users) => {
+      const index = users.findIndex((user) => user.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      users[index] = { ...users[index], ...change(users[index]), id };
+      return users[index];
+    });
+  }
+
+  /**
+   * @param {string} id - ID do usuário
+   * @returns {boolean} - True se o usuário existia
+   */
+  async remove(id) {
+    return this.backend.modify((users) => {
+      const index = users.findIndex((user) => user.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      users.splice(index, 1);
+      return true;
+    });
+  }
+}
+
+module.exports = new UserStore(
+  process.env.USER_STORAGE_DIR || path.join(__dirname, '..', '..', 'data', 'users')
+);
@@ -0,0 +1,43 @@
+const path = require('path');
+const JsonFileBackend = require('./backends/jsonFileBackend');
+
+/**
+ * PDFs emitidos com código de verificação. Guarda uma cópia dos dados públicos
+ * do documento, para que a verificação continue funcionando depois que o
+ * documento expira no DocumentStore.
+ */
+class VerificationStore {
+
+  /**
+   * @param {string} rootDir - Pasta onde o arquivo de verificações é gravado
+   */
+  constructor(rootDir) {
+    this.backend = new JsonFileBackend(path.join(rootDir, 'verifications.json'));
+  }
+
+  /**
+   * @param {string} codigo - Código de verificação já normalizado
+   * @returns {object|null}
+   */
+  async get(codigo) {
+    const verifications = await this.backend.read();
+    return verifications.find((verification) => verification.codigo === codigo) || null;
+  }
+
+  /**
+   * @param {object} data - Dados da emissão, com o código
+   * @returns {object} - Verificação criada
+   */
+  async create(data) {
+    return this.backend.modify((verifications) => {
+      const verification = { ...data, createdAt: new Date().toISOString() };
+
+      verifications.push(verification);
+      return verification;
+    });
+  }
+}
+
+module.exports = new VerificationStore(
+  process.env.VERIFICATION_STORAGE_DIR || path.join(__dirname, '..', '..', 'data', 'verifications')
+);
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const path = require('path');
+const JsonFileBackend = require('./backends/jsonFileBackend');
+
+// Entregas mais antigas que já terminaram são descartadas além desse limite
+const DELIVERY_LOG_LIMIT = parseInt(process.env.WEBHOOK_DELIVERY_LOG_LIMIT || '1000', 10);
+
+/**
+ * Assinaturas de webhook e registro das entregas feitas para elas
+ */
+class WebhookStore {
+
+  /**
+   * @param {string} rootDir - Pasta onde os arquivos de webhooks são gravados
+   */
+  constructor(rootDir) {
+    this.subscriptions = new JsonFileBackend(path.join(rootDir, 'subscriptions.json'));
+    this.deliveries = new JsonFileBackend(path.join(rootDir, 'deliveries.json'));
+  }
+
+  /**
+   * @returns {object[]} - Todas as assinaturas, da mais antiga à mais recente
+   */
+  async listSubscriptions() {
+    return this.subscriptions.read();
+  }
+
+  /**
+   * @param {string} id - ID da assinatura
+   * @returns {object|null}
+   */
+  async getSubscription(id) {
+    const subscriptions = await this.listSubscriptions();
+    return subscriptions.find((subscription) => subscription.id === id) || null;
+  }
+
+  /**
+   * @param {object} data - Dados da assinatura
+   * @returns {object} - Assinatura criada
+   */
+  async createSubscription(data) {
+    return this.subscriptions.modify((subscriptions) => {
+      const subscription = {
+        ...data,
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString()
+      };
+
+      subscriptions.push(subscription);
+      return subscription;
+    });
+  }
+
+  /**
+   * @param {string} id - ID da assinatura
+   * @returns {boolean} - True se a assinatura existia
+   */
+  async removeSubscription(id) {
+    return this.subscriptions.modify((subscriptions) => {
+      const index = subscriptions.findIndex((subscription) => subscription.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      subscriptions.splice(index, 1);
+      return true;
+    });
+  }
+
+  /**
+   * @param {Function} [filter] - Filtro aplicado às entregas
+   * @returns {object[]} - Entregas, da mais recente à mais antiga
+   */
+  async listDeliveries(filter = () => true) {
+    const deliveries = await this.deliveries.read();
+    return deliveries.filter(filter).reverse();
+  }
+
+  /**
+   * @param {string} id - ID da entrega
+   * @returns {object|null}
+   */
+  async getDelivery(id) {
+    const deliveries = await this.deliveries.read();
+    return deliveries.find((delivery) => delivery.id === id) || null;
+  }
+
+  /**
+   * Registra uma entrega e descarta as entregas concluídas mais antigas
+   * @param {object} data - Dados da entrega
+   * @returns {object} - Entrega criada
+   */
+  async createDelivery(data) {
+    return this.deliveries.modify((deliveries) => {
+      const delivery = {
+        ...data,
+        id: crypto.randomUUID(),
+        tentativas: [],
+        createdAt: new Date().toISOString()
+      };
+
+      deliveries.push(delivery);
+
+      let excess = deliveries.length - DELIVERY_LOG_LIMIT;
+      for (let index = 0; index < deliveries.length && excess > 0;) {
+        if (deliveries[index].status === 'pendente') {
+          index++;
+        } else {
+          deliveries.splice(index, 1);
+          excess--;
+        }
+      }
+
+      return delivery;
+    });
+  }
+
+  /**
+   * Atualiza uma entrega
+   * @param {string} id - ID da entrega
+   * @param {Function} change - Recebe a entrega atual e devolve os campos alterados
+   * @returns {object|null} - Entrega atualizada
+   */
+  async updateDelivery(id, change) {
+    return this.deliveries.modify((deliveries) => {
+      const index = deliveries.findIndex((delivery) => delivery.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      deliveries[index] = { ...deliveries[index], ...change(deliveries[index]), id };
+      return deliveries[index];
+    });
+  }
+}
+
+module.exports = new WebhookStore(
+  process.env.WEBHOOK_STORAGE_DIR || path.join(__dirname, '..', '..', 'data', 'webhooks')
+);
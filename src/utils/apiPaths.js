@@ -0,0 +1,16 @@
+/**
+ * Caminhos da API. As rotas respondem em /api/v1 e, como alias obsoleto, em /api;
+ * os links devolvidos nas respostas, webhooks e QR codes usam sempre o caminho versionado.
+ */
+const API_VERSION = 'v1';
+const API_BASE = `/api/${API_VERSION}`;
+
+/**
+ * @param {string} pathname - Caminho da rota (ex: /download/123)
+ * @returns {string} - Caminho completo (ex: /api/v1/download/123)
+ */
+function apiPath(pathname) {
+  return `${API_BASE}${pathname}`;
+}
+
+module.exports = { API_VERSION, API_BASE, apiPath };
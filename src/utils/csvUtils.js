@@ -0,0 +1,77 @@
+const DELIMITERS = [';', ',', '\t'];
+
+class CsvUtils {
+
+  /**
+   * Lê um CSV (RFC 4180: campos entre aspas podem conter separadores, quebras
+   * de linha e aspas duplicadas). O separador é detectado pela primeira linha:
+   * ponto e vírgula (padrão do Excel em português), vírgula ou tabulação.
+   * @param {string} text - Conteúdo do CSV
+   * @returns {string[][]} - Linhas com os valores de cada coluna, sem linhas vazias
+   */
+  parse(text) {
+    const content = String(text).replace(/^﻿/, '');
+    const delimiter = this.detectDelimiter(content);
+    const rows = [];
+
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let index = 0; index < content.length; index++) {
+      const char = content[index];
+
+      if (quoted) {
+        if (char === '"' && content[index + 1] === '"') {
+          value += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && value === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[index + 1] === '\n') {
+          index++;
+        }
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error('Aspas sem fechamento no CSV');
+    }
+
+    row.push(value);
+    rows.push(row);
+
+    return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+  }
+
+  /**
+   * @param {string} content - Conteúdo do CSV
+   * @returns {string} - Separador mais frequente na primeira linha, fora de aspas
+   */
+  detectDelimiter(content) {
+    const header = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const counts = DELIMITERS.map((delimiter) => header.split(delimiter).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+
+    return counts[best] > 0 ? DELIMITERS[best] : ',';
+  }
+}
+
+module.exports = new CsvUtils();
@@ -0,0 +1,35 @@
+/**
+ * Erro de aplicação com status HTTP e código legível por máquina.
+ * As rotas devolvem esses erros como JSON sem mascarar a mensagem.
+ */
+class AppError extends Error {
+
+  /**
+   * @param {string} message - Mensagem descritiva do erro
+   * @param {object} [options]
+   * @param {number} [options.status=500] - Status HTTP da resposta
+   * @param {string} [options.code] - Código do erro (ex: MISSING_PLACEHOLDERS)
+   * @param {object} [options.details] - Dados extras incluídos na resposta
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Corpo JSON padrão da resposta de erro (as rotas acrescentam o requestId; ver middleware/errors)
+   * @returns {object} - { error, code, details }
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...(this.details && { details: this.details })
+    };
+  }
+}
+
+module.exports = { AppError };
@@ -78,6 +78,63 @@ class FileUtils {
       throw new Error(`Erro ao obter informações do arquivo: ${error.message}`);
     }
   }
+
+  /**
+   * Identifica o tipo do documento pelos primeiros bytes, sem depender da extensão
+   * ou do mimetype informados pelo cliente
+   * @param {Buffer} buffer - Conteúdo do arquivo
+   * @returns {string|null} - 'pdf', 'docx', 'doc' ou null se não reconhecido
+   */
+  detectDocumentType(buffer) {
+    if (buffer.length >= 5 && buffer.toString('latin1', 0, 5) === '%PDF-') {
+      return 'pdf';
+    }
+
+    // .docx é um pacote zip (PK\x03\x04) com word/document.xml
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304) {
+      return buffer.includes('word/') ? 'docx' : null;
+    }
+
+    // .doc usa o formato OLE2 (Compound File Binary)
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0xd0cf11e0 && buffer.readUInt32BE(4) === 0xa1b11ae1) {
+      return 'doc';
+    }
+
+    return null;
+  }
+
+  /**
+   * Procura um executável: primeiro os caminhos informados, depois os nomes no PATH
+   * @param {string[]} names - Nomes do executável (ex: ['soffice', 'libreoffice'])
+   * @param {string[]} [candidates] - Caminhos completos verificados antes do PATH
+   * @returns {string|null} - Caminho do executável ou null se não encontrado
+   */
+  async findExecutable(names, candidates = []) {
+    const extensions = process.platform === 'win32'
+      ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';').concat('')
+      : [''];
+    const searchDirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+    const paths = [
+      ...candidates,
+      ...searchDirs.flatMap((dir) => names.flatMap(
+        (name) => extensions.map((extension) => path.join(dir, name + extension))
+      ))
+    ];
+
+    for (const filePath of paths) {
+      try {
+        await fs.access(filePath, fs.constants.X_OK);
+        if ((await fs.stat(filePath)).isFile()) {
+          return filePath;
+        }
+      } catch (error) {
+        // Não existe ou não é executável: tenta o próximo
+      }
+    }
+
+    return null;
+  }
 }
 
 module.exports = new FileUtils();
\ No newline at end of file
@@ -0,0 +1,108 @@
+class ImageUtils {
+
+  /**
+   * Identifica o formato e as dimensões de uma imagem PNG ou JPEG
+   * @param {Buffer} buffer - Conteúdo da imagem
+   * @returns {object} - { type, extension, contentType, width, height }
+   */
+  getImageInfo(buffer) {
+    if (this.isPng(buffer)) {
+      return {
+        type: 'png',
+        extension: 'png',
+        contentType: 'image/png',
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20)
+      };
+    }
+
+    if (this.isJpeg(buffer)) {
+      const size = this.getJpegSize(buffer);
+      return {
+        type: 'jpeg',
+        extension: 'jpeg',
+        contentType: 'image/jpeg',
+        width: size.width,
+        height: size.height
+      };
+    }
+
+    throw new Error('Formato de imagem inválido. Use PNG ou JPEG');
+  }
+
+  /**
+   * Verifica a assinatura de bytes de um PNG
+   * @param {Buffer} buffer - Conteúdo da imagem
+   * @returns {boolean} - True se for PNG
+   */
+  isPng(buffer) {
+    return buffer.length > 24 &&
+      buffer.readUInt32BE(0) === 0x89504e47 &&
+      buffer.readUInt32BE(4) === 0x0d0a1a0a;
+  }
+
+  /**
+   * Verifica a assinatura de bytes de um JPEG
+   * @param {Buffer} buffer - Conteúdo da imagem
+   * @returns {boolean} - True se for JPEG
+   */
+  isJpeg(buffer) {
+    return buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8;
+  }
+
+  /**
+   * Lê largura e altura do primeiro marcador SOF de um JPEG
+   * @param {Buffer} buffer - Conteúdo da imagem
+   * @returns {object} - { width, height }
+   */
+  getJpegSize(buffer) {
+    let offset = 2;
+
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        offset++;
+        continue;
+      }
+
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+
+      // SOF0 a SOF15, exceto DHT (C4), JPG (C8) e DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return {
+          height: buffer.readUInt16BE(offset + 5),
+          width: buffer.readUInt16BE(offset + 7)
+        };
+      }
+
+      offset += 2 + length;
+    }
+
+    throw new Error('Não foi possível ler as dimensões da imagem JPEG');
+  }
+
+  /**
+   * Calcula as dimensões finais mantendo a proporção quando só um lado é informado
+   * @param {object} info - Dimensões originais da imagem (width, height)
+   * @param {number} [width] - Largura desejada
+   * @param {number} [height] - Altura desejada
+   * @param {number} defaultWidth - Largura usada quando nenhum lado é informado
+   * @returns {object} - { width, height }
+   */
+  fitDimensions(info, width, height, defaultWidth) {
+    const ratio = info.height / info.width;
+
+    if (width && height) {
+      return { width, height };
+    }
+
+    if (height) {
+      return { width: height / ratio, height };
+    }
+
+    const finalWidth = width || defaultWidth;
+    return { width: finalWidth, height: finalWidth * ratio };
+  }
+}
+
+module.exports = new ImageUtils();
@@ -0,0 +1,100 @@
+const ptBR = require('../locales/pt-BR');
+const en = require('../locales/en');
+
+const DEFAULT_LANGUAGE = 'pt-BR';
+const LOCALES = { 'pt-BR': ptBR, en };
+
+/**
+ * @param {Array} values - Ex: ['.doc', '.docx', '.pdf']
+ * @param {string} or - Conjunção do idioma
+ * @returns {string} - Ex: .doc, .docx ou .pdf
+ */
+function joinList(values, or) {
+  return values.length > 1
+    ? `${values.slice(0, -1).join(', ')} ${or} ${values[values.length - 1]}`
+    : String(values[0]);
+}
+
+/**
+ * Valores de details no formato das mensagens: tipos, formatos e listas traduzidos
+ * @param {object} details
+ * @param {object} locale
+ * @returns {object}
+ */
+function describeDetails(details, locale) {
+  const values = { ...details };
+
+  if (details.expected) {
+    values.expected = joinList([].concat(details.expected).map((type) => locale.types[type] || type), locale.or);
+  }
+
+  if (details.format) {
+    values.format = locale.formats[details.format] || details.format;
+  }
+
+  for (const key of ['allowed', 'accepted']) {
+    if (Array.isArray(details[key])) {
+      values[key] = joinList(details[key], locale.or);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Idioma das mensagens de erro pelo Accept-Language (pt-BR, pt ou en); sem
+ * cabeçalho ou com outros idiomas, pt-BR
+ * @param {object} req - Requisição do Express
+ * @returns {string} - pt-BR ou en
+ */
+function resolveLanguage(req) {
+  return req && req.acceptsLanguages('pt-BR', 'pt', 'en') === 'en' ? 'en' : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Monta a mensagem de um erro no idioma pedido: a da regra de validação
+ * (details.rule) ou a do código
+ * @param {string} code - Código do erro
+ * @param {object} [details] - Valores usados na mensagem
+ * @param {string} [language=pt-BR]
+ * @returns {string|null} - null se não houver mensagem ou faltar algum valor
+ */
+function format(code, details, language = DEFAULT_LANGUAGE) {
+  const locale = LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+  const template = (details && details.rule && locale.rules[details.rule]) || (locale.codes && locale.codes[code]);
+
+  if (!template) {
+    return null;
+  }
+
+  const values = describeDetails(details || {}, locale);
+  let complete = true;
+
+  const message = template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (values[key] === undefined || values[key] === null) {
+      complete = false;
+      return match;
+    }
+    return String(values[key]);
+  });
+
+  return complete ? message : null;
+}
+
+/**
+ * Mensagem de um AppError para a resposta. Em pt-BR vale a mensagem do
+ * próprio erro; nos demais idiomas, a tradução do código (ou, sem tradução,
+ * a mensagem original)
+ * @param {AppError} error
+ * @param {string} language
+ * @returns {object} - { message, language } (language: idioma em que a mensagem saiu)
+ */
+function localize(error, language) {
+  const message = language === DEFAULT_LANGUAGE ? null : format(error.code, error.details, language);
+
+  return message
+    ? { message, language }
+    : { message: error.message, language: DEFAULT_LANGUAGE };
+}
+
+module.exports = { DEFAULT_LANGUAGE, resolveLanguage, format, localize };
@@ -0,0 +1,113 @@
+const dns = require('dns');
+const net = require('net');
+
+// Faixas que não são endereços públicos da internet (IANA special-purpose registry).
+// Endereços IPv4 mapeados em IPv6 (::ffff:a.b.c.d) são conferidos pelas faixas IPv4
+const RESERVED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.88.99.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001::', 23, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['fec0::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const reserved = new net.BlockList();
+for (const [address, prefix, type] of RESERVED_RANGES) {
+  reserved.addSubnet(address, prefix, type);
+}
+
+/**
+ * Endereços de destino de requisições feitas pelo servidor a URLs informadas
+ * por usuários (webhooks): só endereços públicos são aceitos, para que a API
+ * não seja usada para alcançar a rede interna (loopback, redes privadas,
+ * link-local como 169.254.169.254 etc.).
+ */
+class NetworkUtils {
+
+  /**
+   * @param {string} address - Endereço IPv4 ou IPv6
+   * @returns {boolean} - True se for um endereço público
+   */
+  isPublicAddress(address) {
+    const type = net.isIP(address);
+    if (type === 0) {
+      return false;
+    }
+
+    return !reserved.check(address, type === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Hostname da URL sem os colchetes dos endereços IPv6
+   * @param {URL} url
+   * @returns {string}
+   */
+  getHostname(url) {
+    return url.hostname.replace(/^\[(.*)\]$/, '$1');
+  }
+
+  /**
+   * Resolve o host e confere todos os endereços encontrados
+   * @param {string} hostname - Nome ou endereço IP
+   * @returns {Promise<boolean>} - True se o host existir e só tiver endereços públicos
+   */
+  async resolvesToPublic(hostname) {
+    if (net.isIP(hostname)) {
+      return this.isPublicAddress(hostname);
+    }
+
+    const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true }).catch(() => []);
+    return addresses.length > 0 && addresses.every(({ address }) => this.isPublicAddress(address));
+  }
+
+  /**
+   * Função lookup para http.request: a conexão usa o próprio endereço conferido,
+   * então uma nova resolução do nome (DNS rebinding) não leva a outro destino
+   */
+  lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const blocked = addresses.find(({ address }) => !this.isPublicAddress(address));
+      if (blocked || addresses.length === 0) {
+        const denied = new Error(`Destino não permitido: ${hostname} resolve para um endereço não público`);
+        denied.code = 'EADDRNOTPUBLIC';
+        callback(denied);
+        return;
+      }
+
+      if (options && options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+}
+
+module.exports = new NetworkUtils();
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const fontkit = require('fontkit');
+const { PDFDocument, PDFHexString, StandardFonts, degrees } = require('pdf-lib');
+const fileUtils = require('./fileUtils');
+const { AppError } = require('./errors');
+
+class PdfUtils {
+
+  /**
+   * Carrega um PDF recebido do cliente, conferindo o conteúdo (e não o mimetype)
+   * e recusando arquivos criptografados ou corrompidos
+   * @param {Buffer} buffer - Conteúdo do arquivo
+   * @returns {PDFDocument} - Documento carregado pelo pdf-lib
+   */
+  async loadPdf(buffer) {
+    if (fileUtils.detectDocumentType(buffer) !== 'pdf') {
+      throw new AppError('Arquivo não é um PDF', { status: 400, code: 'INVALID_PDF' });
+    }
+
+    let pdfDoc;
+    try {
+      // A criptografia é conferida abaixo; o EncryptedPDFError do pdf-lib não funciona com instanceof
+      pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true });
+    } catch (error) {
+      throw this.invalidPdfError(error);
+    }
+
+    if (pdfDoc.isEncrypted) {
+      throw new AppError('PDF protegido por senha ou criptografado. Envie uma cópia sem proteção', {
+        status: 400,
+        code: 'ENCRYPTED_PDF'
+      });
+    }
+
+    // Falhas na árvore de páginas só aparecem ao percorrê-la
+    try {
+      if (pdfDoc.getPageCount() === 0) {
+        throw new Error('PDF sem páginas');
+      }
+    } catch (error) {
+      throw this.invalidPdfError(error);
+    }
+
+    return pdfDoc;
+  }
+
+  invalidPdfError(error) {
+    return new AppError('PDF inválido ou corrompido', {
+      status: 400,
+      code: 'INVALID_PDF',
+      details: { message: error.message }
+    });
+  }
+
+  /**
+   * Retorna a página (1-based) do PDF ou lança erro se ela não existir
+   * @param {PDFDocument} pdfDoc - Documento carregado pelo pdf-lib
+   * @param {number} pageNumber - Número da página, começando em 1
+   * @returns {PDFPage} - Página solicitada
+   */
+  getPage(pdfDoc, pageNumber) {
+    const total = pdfDoc.getPageCount();
+
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > total) {
+      throw new Error(`Página ${pageNumber} não existe no documento (total: ${total} página(s))`);
+    }
+
+    return pdfDoc.getPage(pageNumber - 1);
+  }
+
+  /**
+   * Dimensões da página como ela é exibida (CropBox já com a rotação aplicada)
+   * @param {PDFPage} page - Página do pdf-lib
+   * @returns {object} - { width, height, rotation }
+   */
+  getVisibleSize(page) {
+    const cropBox = page.getCropBox();
+    const rotation = this.normalizeRotation(page.getRotation().angle);
+    const swapped = rotation === 90 || rotation === 270;
+
+    return {
+      width: swapped ? cropBox.height : cropBox.width,
+      height: swapped ? cropBox.width : cropBox.height,
+      rotation
+    };
+  }
+
+  /**
+   * Converte a posição enviada pelo frontend (origem no canto superior esquerdo
+   * da página visível) para as coordenadas do PDF, considerando CropBox e rotação
+   * @param {PDFPage} page - Página do pdf-lib
+   * @param {object} position - { x, y } em pontos, relativo à página visível
+   * @param {object} size - { width, height } em pontos
+   * @returns {object} - Opções para drawImage/drawRectangle (x, y, width, height, rotate)
+   */
+  getPlacement(page, position, size) {
+    const cropBox = page.getCropBox();
+    const rotation = this.normalizeRotation(page.getRotation().angle);
+    const { x: vx, y: vy } = position;
+    const { width, height } = size;
+
+    // Canto inferior esquerdo da imagem, no espaço do PDF sem rotação
+    const origins = {
+      0: { x: vx, y: cropBox.height - vy - height },
+      90: { x: vy + height, y: vx },
+      180: { x: cropBox.width - vx, y: vy + height },
+      270: { x: cropBox.width - vy - height, y: cropBox.height - vx }
+    };
+    const origin = origins[rotation];
+
+    return {
+      x: cropBox.x + origin.x,
+      y: cropBox.y + origin.y,
+      width,
+      height,
+      rotate: degrees(rotation)
+    };
+  }
+
+  /**
+   * Retângulo [x1, y1, x2, y2] que envolve uma posição calculada por getPlacement,
+   * no formato usado pelo /Rect de anotações e widgets
+   * @param {object} placement - Resultado de getPlacement
+   * @returns {number[]}
+   */
+  getBoundingRect(placement) {
+    const angle = placement.rotate.angle * Math.PI / 180;
+    const cos = Math.round(Math.cos(angle));
+    const sin = Math.round(Math.sin(angle));
+    const { x, y, width, height } = placement;
+
+    const corners = [
+      [x, y],
+      [x + width * cos, y + width * sin],
+      [x - height * sin, y + height * cos],
+      [x + width * cos - height * sin, y + width * sin + height * cos]
+    ];
+    const xs = corners.map((corner) => corner[0]);
+    const ys = corners.map((corner) => corner[1]);
+
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  }
+
+  /**
+   * Fontes do texto desenhado pela API (carimbos, QR code de verificação e
+   * certificado de conclusão). Por padrão, Helvetica, que não fica incorporada
+   * no arquivo; com embedded, a Liberation Sans (métricas da Helvetica) que
+   * acompanha o pdfjs-dist, inteira, como o PDF/A exige
+   * @param {PDFDocument} pdfDoc
+   * @param {object} [options]
+   * @param {boolean} [options.embedded=false] - Incorporar as fontes
+   * @returns {Promise<object>} - { regular, bold }
+   */
+  async embedFonts(pdfDoc, { embedded = false } = {}) {
+    if (!embedded) {
+      return {
+        regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+        bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold)
+      };
+    }
+
+    pdfDoc.registerFontkit(fontkit);
+
+    // Sem subset: o subset do pdf-lib depende da API antiga do fontkit
+    const [regular, bold] = await Promise.all(['Regular', 'Bold'].map((style) =>
+      fs.readFile(require.resolve(`pdfjs-dist/standard_fonts/LiberationSans-${style}.ttf`))));
+
+    return {
+      regular: await pdfDoc.embedFont(regular, { subset: false }),
+      bold: await pdfDoc.embedFont(bold, { subset: false })
+    };
+  }
+
+  /**
+   * Garante o /ID no trailer (o pdf-lib não gera), exigido no PDF/A e em PDFs criptografados
+   * @param {PDFDocument} pdfDoc
+   */
+  ensureFileId(pdfDoc) {
+    const { context } = pdfDoc;
+
+    if (!context.trailerInfo.ID) {
+      const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+      context.trailerInfo.ID = context.obj([id, id]);
+    }
+  }
+
+  /**
+   * As fontes padrão do PDF só codificam WinAnsi (Latin-1); os demais caracteres viram "?"
+   * @param {string} text
+   * @returns {string}
+   */
+  toWinAnsi(text) {
+    return String(text).replace(/[^\x20-\x7E\u00A0-\u00FF]/g, '?');
+  }
+
+  /**
+   * Normaliza o ângulo de rotação para 0, 90, 180 ou 270
+   * @param {number} angle - Ângulo em graus
+   * @returns {number}
+   */
+  normalizeRotation(angle) {
+    return ((Math.round(angle / 90) * 90) % 360 + 360) % 360;
+  }
+}
+
+module.exports = new PdfUtils();
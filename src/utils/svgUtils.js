@@ -0,0 +1,288 @@
+// Elementos desenhados; os demais (title, desc, metadata...) são ignorados
+const SHAPES = ['path', 'line', 'polyline', 'polygon', 'circle', 'ellipse', 'rect'];
+
+// Recursos que mudariam o desenho e não são reproduzidos como caminhos simples
+const UNSUPPORTED = [
+  'svg', 'defs', 'use', 'symbol', 'clippath', 'mask', 'pattern', 'image', 'text', 'style',
+  'lineargradient', 'radialgradient', 'foreignobject', 'marker', 'filter', 'script'
+];
+
+const NAMED_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  navy: '#000080',
+  darkblue: '#00008b',
+  gray: '#808080',
+  grey: '#808080',
+  darkgray: '#a9a9a9',
+  darkgrey: '#a9a9a9',
+  dimgray: '#696969',
+  dimgrey: '#696969'
+};
+
+const LINE_CAPS = ['butt', 'round', 'square'];
+
+class SvgUtils {
+
+  /**
+   * Lê um SVG de assinatura como lista de caminhos. Aceita path, line, polyline,
+   * polygon, circle, ellipse e rect, com fill/stroke nos atributos, em style ou
+   * herdados de <g>. Transformações, referências, textos e imagens são recusados.
+   * @param {string} text - Conteúdo do SVG
+   * @returns {object} - { viewBox: [x, y, largura, altura], paths: [{ d, fill, stroke, strokeWidth, lineCap }] }
+   */
+  parse(text) {
+    const content = String(text)
+      .replace(/<\?[\s\S]*?\?>/g, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<!DOCTYPE[^>]*>/gi, '');
+
+    const tags = [...content.matchAll(/<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>/g)];
+    if (tags.length === 0 || tags[0][2].toLowerCase() !== 'svg' || tags[0][1]) {
+      throw new Error('Conteúdo não é um SVG');
+    }
+
+    const rootAttributes = this.parseAttributes(tags[0][3]);
+    const viewBox = this.getViewBox(rootAttributes);
+
+    // Estilo herdado: svg e cada <g> aberto acrescentam um nível
+    const stack = [this.getStyle(rootAttributes, { fill: '#000000', stroke: null, strokeWidth: 1, lineCap: 'butt' })];
+    const paths = [];
+
+    for (const [, closing, rawName, rawAttributes, selfClosing] of tags.slice(1)) {
+      const name = rawName.toLowerCase();
+
+      if (closing) {
+        if ((name === 'g' || name === 'svg') && stack.length > 1) {
+          stack.pop();
+        }
+        continue;
+      }
+
+      if (UNSUPPORTED.includes(name)) {
+        throw new Error(`Elemento <${rawName}> não é suportado em assinaturas SVG`);
+      }
+
+      const attributes = this.parseAttributes(rawAttributes);
+      if (attributes.transform) {
+        throw new Error('Atributo transform não é suportado em assinaturas SVG');
+      }
+
+      const style = this.getStyle(attributes, stack[stack.length - 1]);
+
+      if (name === 'g') {
+        if (!selfClosing) {
+          stack.push(style);
+        }
+        continue;
+      }
+
+      if (!SHAPES.includes(name) || style.hidden) {
+        continue;
+      }
+
+      const d = this.toPathData(name, attributes);
+      if (d && (style.fill || (style.stroke && style.strokeWidth > 0))) {
+        paths.push({ d, fill: style.fill, stroke: style.stroke, strokeWidth: style.strokeWidth, lineCap: style.lineCap });
+      }
+    }
+
+    return { viewBox, paths };
+  }
+
+  /**
+   * Gera o SVG dos caminhos (formato armazenado nas assinaturas vetoriais)
+   * @param {object} vector - { viewBox, paths } (ver parse)
+   * @param {object} [size] - { width, height } em pixels para a renderização
+   * @returns {string}
+   */
+  stringify({ viewBox, paths }, size = {}) {
+    const dimensions = size.width
+      ? ` width="${this.formatNumber(size.width)}" height="${this.formatNumber(size.height)}"`
+      : '';
+
+    const elements = paths.map((path) => '<path' +
+      ` d="${path.d}"` +
+      ` fill="${path.fill || 'none'}"` +
+      ` stroke="${path.stroke || 'none'}"` +
+      (path.stroke ? ` stroke-width="${this.formatNumber(path.strokeWidth)}" stroke-linecap="${path.lineCap}" stroke-linejoin="round"` : '') +
+      '/>');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${viewBox.map((value) => this.formatNumber(value)).join(' ')}"${dimensions}>` +
+      elements.join('') +
+      '</svg>';
+  }
+
+  /**
+   * @param {string} value - Cor SVG (#rgb, #rrggbb, rgb(), nome básico, none)
+   * @returns {string|null} - Cor em #rrggbb ou null para none
+   */
+  parseColor(value) {
+    const color = String(value).trim().toLowerCase();
+
+    if (color === 'none' || color === 'transparent') {
+      return null;
+    }
+
+    if (color === 'currentcolor') {
+      return '#000000';
+    }
+
+    if (NAMED_COLORS[color]) {
+      return NAMED_COLORS[color];
+    }
+
+    if (/^#[0-9a-f]{3}$/.test(color)) {
+      return `#${color.slice(1).split('').map((digit) => digit + digit).join('')}`;
+    }
+
+    if (/^#[0-9a-f]{6}$/.test(color)) {
+      return color;
+    }
+
+    const rgb = color.match(/^rgba?\(\s*([\d.]+%?)\s*,\s*([\d.]+%?)\s*,\s*([\d.]+%?)\s*(?:,\s*[\d.]+%?\s*)?\)$/);
+    if (rgb) {
+      return `#${rgb.slice(1, 4).map((channel) => {
+        const number = channel.endsWith('%') ? parseFloat(channel) * 2.55 : parseFloat(channel);
+        return Math.max(0, Math.min(255, Math.round(number))).toString(16).padStart(2, '0');
+      }).join('')}`;
+    }
+
+    throw new Error(`Cor não suportada no SVG: ${value}`);
+  }
+
+  /**
+   * @param {string} color - Cor em #rrggbb
+   * @returns {number[]} - [r, g, b] de 0 a 255
+   */
+  toRgb(color) {
+    return [1, 3, 5].map((index) => parseInt(color.slice(index, index + 2), 16));
+  }
+
+  parseAttributes(source) {
+    const attributes = {};
+
+    for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attributes[name.toLowerCase()] = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+    }
+
+    // Declarações em style têm precedência sobre os atributos de apresentação
+    for (const declaration of (attributes.style || '').split(';')) {
+      const [name, ...value] = declaration.split(':');
+      if (name.trim() && value.length > 0) {
+        attributes[name.trim().toLowerCase()] = value.join(':').trim();
+      }
+    }
+
+    return attributes;
+  }
+
+  getStyle(attributes, inherited) {
+    const style = { ...inherited };
+
+    if (attributes.fill !== undefined) {
+      if (/^url\(/i.test(attributes.fill)) {
+        throw new Error('Preenchimento com gradiente ou padrão não é suportado em assinaturas SVG');
+      }
+      style.fill = this.parseColor(attributes.fill);
+    }
+
+    if (attributes.stroke !== undefined) {
+      if (/^url\(/i.test(attributes.stroke)) {
+        throw new Error('Contorno com gradiente ou padrão não é suportado em assinaturas SVG');
+      }
+      style.stroke = this.parseColor(attributes.stroke);
+    }
+
+    if (attributes['stroke-width'] !== undefined) {
+      style.strokeWidth = parseFloat(attributes['stroke-width']) || 0;
+    }
+
+    if (LINE_CAPS.includes(attributes['stroke-linecap'])) {
+      style.lineCap = attributes['stroke-linecap'];
+    }
+
+    style.hidden = inherited.hidden || attributes.display === 'none' || attributes.visibility === 'hidden';
+    return style;
+  }
+
+  getViewBox(attributes) {
+    if (attributes.viewbox) {
+      const viewBox = attributes.viewbox.trim().split(/[\s,]+/).map(Number);
+      if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+        return viewBox;
+      }
+      throw new Error('viewBox inválido no SVG');
+    }
+
+    const width = parseFloat(attributes.width);
+    const height = parseFloat(attributes.height);
+    if (width > 0 && height > 0 && !/%/.test(attributes.width + attributes.height)) {
+      return [0, 0, width, height];
+    }
+
+    throw new Error('SVG sem viewBox nem width/height');
+  }
+
+  /**
+   * Converte uma forma básica para os dados de um <path>
+   * @returns {string|null} - Atributo d ou null se a forma não tiver área nem traço
+   */
+  toPathData(name, attributes) {
+    const number = (attribute) => parseFloat(attributes[attribute]) || 0;
+
+    switch (name) {
+      case 'path': {
+        const d = (attributes.d || '').trim();
+        if (!/^[MmLlHhVvCcSsQqTtAaZz0-9eE+\-.,\s]*$/.test(d)) {
+          throw new Error('Caminho inválido no SVG');
+        }
+        return d || null;
+      }
+      case 'line':
+        return `M${number('x1')} ${number('y1')}L${number('x2')} ${number('y2')}`;
+      case 'polyline':
+      case 'polygon': {
+        const values = (attributes.points || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+        if (values.length < 2 || values.some((value) => !Number.isFinite(value))) {
+          return null;
+        }
+        const points = [];
+        for (let index = 0; index + 1 < values.length; index += 2) {
+          points.push(`${values[index]} ${values[index + 1]}`);
+        }
+        return `M${points.join('L')}${name === 'polygon' ? 'Z' : ''}`;
+      }
+      case 'circle':
+        return this.ellipsePath(number('cx'), number('cy'), number('r'), number('r'));
+      case 'ellipse':
+        return this.ellipsePath(number('cx'), number('cy'), number('rx'), number('ry'));
+      case 'rect': {
+        const x = number('x');
+        const y = number('y');
+        const width = number('width');
+        const height = number('height');
+        return width > 0 && height > 0 ? `M${x} ${y}H${x + width}V${y + height}H${x}Z` : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  ellipsePath(cx, cy, rx, ry) {
+    if (rx <= 0 || ry <= 0) {
+      return null;
+    }
+
+    return `M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`;
+  }
+
+  formatNumber(value) {
+    return String(Math.round(value * 1000) / 1000);
+  }
+}
+
+module.exports = new SvgUtils();
@@ -0,0 +1,345 @@
+/**
+ * Schemas das requisições, por rota (aplicados com middleware/validate).
+ * Campos que já tinham código de erro próprio mantêm o código (code/codes);
+ * os demais usam os códigos genéricos das regras (ver validation/validator).
+ */
+
+const DOCUMENTS = ['.doc', '.docx', '.pdf'];
+const TEMPLATES = ['.docx', '.pdf'];
+
+const MAX_BATCH_FILES = 50;
+
+// 14400 pt (200 polegadas) é o maior lado de página permitido no PDF
+const MAX_PAGE_SIZE = 14400;
+
+// Assinaturas em base64 ou data URL; o tamanho da imagem decodificada é limitado em SignatureImageService
+const MAX_SIGNATURE_LENGTH = 20 * 1024 * 1024;
+
+const MAX_TEXT_LENGTH = 500;
+
+// Campos de assinatura: coordenadas e tamanhos em pontos PDF, a partir do canto superior esquerdo
+const COORDINATE = { type: 'number', min: 0, max: MAX_PAGE_SIZE, code: 'INVALID_SIGNATURE_POSITION' };
+const SIZE = { type: 'number', exclusiveMin: 0, max: MAX_PAGE_SIZE, code: 'INVALID_SIGNATURE_SIZE' };
+const PAGE = { type: 'integer', min: 1, code: 'INVALID_SIGNATURE_PAGE' };
+
+const SIGNATURE_IMAGE = {
+  type: ['string', 'array', 'object'],
+  format: 'signatureImage',
+  maxLength: MAX_SIGNATURE_LENGTH,
+  code: 'INVALID_SIGNATURE_IMAGE'
+};
+
+// Nome de um preset ou JSON; as opções são conferidas pelo AppearanceService
+const APPEARANCE = { type: ['string', 'object'], maxLength: MAX_SIGNATURE_LENGTH, code: 'INVALID_SIGNATURE_APPEARANCE' };
+
+const ANCHOR_OFFSET = { type: 'number', min: -MAX_PAGE_SIZE, max: MAX_PAGE_SIZE, code: 'INVALID_ANCHOR' };
+const ANCHOR_ALIGN = { type: 'string', enum: ['right', 'left', 'above', 'below', 'center'], code: 'INVALID_ANCHOR' };
+const ANCHOR_OCCURRENCE = { type: ['string', 'integer'], format: 'occurrence', code: 'INVALID_ANCHOR' };
+
+// Âncora no lote: texto ou { text, offsetX, offsetY, align, occurrence }
+const ANCHOR = {
+  type: ['string', 'object'],
+  maxLength: MAX_TEXT_LENGTH,
+  code: 'INVALID_ANCHOR',
+  properties: {
+    text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH, code: 'INVALID_ANCHOR' },
+    offsetX: ANCHOR_OFFSET,
+    offsetY: ANCHOR_OFFSET,
+    align: ANCHOR_ALIGN,
+    occurrence: ANCHOR_OCCURRENCE
+  }
+};
+
+const TEMPLATE_REFERENCE = {
+  templateId: { type: 'string', maxLength: 100 },
+  templateVersion: { type: 'integer', min: 1, code: 'INVALID_TEMPLATE_VERSION' }
+};
+
+const JSON_OBJECT = { type: 'object', json: true };
+
+const DPI = { type: 'integer', min: 36, max: 300 };
+
+// Opções de saída do PDF final (ver PdfOutputService), exceto as senhas
+const PDF_OUTPUT = {
+  flatten: { type: 'boolean', default: false },
+  pdfa: { type: 'boolean', default: false },
+  restrict: {
+    type: 'array',
+    list: true,
+    items: { type: 'string', enum: ['edit', 'copy', 'print'], code: 'INVALID_OUTPUT_OPTIONS' },
+    maxItems: 3,
+    code: 'INVALID_OUTPUT_OPTIONS'
+  },
+  title: { type: 'string', maxLength: MAX_TEXT_LENGTH, code: 'INVALID_PDF_METADATA' },
+  author: { type: 'string', maxLength: MAX_TEXT_LENGTH, code: 'INVALID_PDF_METADATA' },
+  subject: { type: 'string', maxLength: MAX_TEXT_LENGTH, code: 'INVALID_PDF_METADATA' },
+  keywords: {
+    type: 'array',
+    list: true,
+    items: { type: 'string', maxLength: 100, code: 'INVALID_PDF_METADATA' },
+    maxItems: 50,
+    code: 'INVALID_PDF_METADATA'
+  },
+  properties: { ...JSON_OBJECT, code: 'INVALID_PDF_METADATA' }
+};
+
+// Senhas do PDF, até o limite de 127 bytes do AES-256
+const PASSWORD = { type: 'string', maxLength: 127, code: 'INVALID_OUTPUT_OPTIONS' };
+
+const PDF_PASSWORDS = {
+  ownerPassword: PASSWORD,
+  userPassword: PASSWORD
+};
+
+// Nos downloads (GET), as senhas vêm em cabeçalhos: na query ficariam em logs de acesso, no histórico e no Referer
+const PDF_PASSWORD_HEADERS = {
+  'X-PDF-Owner-Password': PASSWORD,
+  'X-PDF-User-Password': PASSWORD
+};
+
+// Opções do PDF baixado (download de documentos e ZIP de lotes)
+const DOWNLOAD_QUERY = {
+  digitalSignature: { type: 'boolean', default: false },
+  reason: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+  location: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+  signerName: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+  completionCertificate: { type: 'boolean', default: false },
+  verification: { type: 'boolean', default: false },
+  verificationPlacement: { type: 'string', enum: ['below', 'right'], code: 'INVALID_VERIFICATION_PLACEMENT' },
+  ...PDF_OUTPUT
+};
+
+// Assinatura do lote: com âncora, page só restringe a busca e position é dispensada
+const BATCH_SIGNATURE = {
+  type: 'object',
+  properties: {
+    imageData: SIGNATURE_IMAGE,
+    page: { ...PAGE, requiredUnless: 'anchor' },
+    position: {
+      type: 'object',
+      requiredUnless: 'anchor',
+      code: 'INVALID_SIGNATURE_POSITION',
+      properties: {
+        x: { ...COORDINATE, required: true },
+        y: { ...COORDINATE, required: true }
+      }
+    },
+    width: { ...SIZE, default: 150 },
+    height: { ...SIZE, default: 50 },
+    anchor: ANCHOR,
+    appearance: APPEARANCE
+  }
+};
+
+const PDF_FILE = { document: { accept: ['.pdf'], required: true } };
+
+module.exports = {
+  MAX_BATCH_FILES,
+
+  // src/app.js
+
+  uploadFile: {
+    files: { document: { accept: DOCUMENTS, requiredUnless: 'templateId' } },
+    disk: true,
+    body: {
+      ...TEMPLATE_REFERENCE,
+      signature: SIGNATURE_IMAGE,
+      signatureWidth: { ...SIZE, default: 150 },
+      signatureHeight: { ...SIZE, default: 50 },
+      page: PAGE,
+      positionX: COORDINATE,
+      positionY: COORDINATE,
+      anchor: { type: 'string', maxLength: MAX_TEXT_LENGTH, code: 'INVALID_ANCHOR' },
+      anchorOffsetX: ANCHOR_OFFSET,
+      anchorOffsetY: ANCHOR_OFFSET,
+      anchorAlign: ANCHOR_ALIGN,
+      anchorOccurrence: ANCHOR_OCCURRENCE,
+      appearance: APPEARANCE
+    }
+  },
+
+  // Multipart (arquivos em documents) ou JSON (documents: [{ nome, conteudo }] em base64)
+  batch: {
+    files: {
+      documents: {
+        accept: DOCUMENTS,
+        maxCount: MAX_BATCH_FILES,
+        requiredUnless: 'documents',
+        codes: { requiredFile: 'MISSING_DOCUMENTS' }
+      }
+    },
+    body: {
+      signatures: {
+        type: 'array',
+        json: true,
+        required: true,
+        items: BATCH_SIGNATURE,
+        codes: { required: 'MISSING_SIGNATURES' }
+      },
+      documents: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_BATCH_FILES,
+        codes: { minItems: 'MISSING_DOCUMENTS', maxItems: 'TOO_MANY_DOCUMENTS' },
+        items: {
+          type: 'object',
+          properties: {
+            nome: { type: 'string', maxLength: 255 },
+            conteudo: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  download: { query: DOWNLOAD_QUERY, headers: PDF_PASSWORD_HEADERS },
+
+  preview: {
+    files: { document: { accept: DOCUMENTS, required: true } },
+    disk: true,
+    body: { dpi: DPI }
+  },
+
+  verify: { files: PDF_FILE },
+
+  // src/routes/upload.js
+
+  // page e position valem para PDFs; no .docx a assinatura vai no placeholder {{ASSINATURA}}
+  signDocument: {
+    files: { document: { accept: TEMPLATES, required: true } },
+    disk: true,
+    body: {
+      signature: SIGNATURE_IMAGE,
+      signatures: JSON_OBJECT,
+      fields: JSON_OBJECT,
+      signatureWidth: SIZE,
+      signatureHeight: SIZE,
+      page: { ...PAGE, default: 1 },
+      positionX: { ...COORDINATE, default: 300 },
+      positionY: { ...COORDINATE, default: 400 },
+      ...PDF_OUTPUT,
+      ...PDF_PASSWORDS
+    }
+  },
+
+  placeholders: {
+    files: { document: { accept: TEMPLATES, required: true } },
+    disk: true
+  },
+
+  // src/routes/auth.js e users.js
+
+  login: {
+    body: {
+      email: { type: 'string', required: true, maxLength: 254 },
+      password: { type: 'string', required: true, maxLength: 1024 }
+    }
+  },
+
+  createApiKey: {
+    body: { name: { type: 'string', maxLength: 100 } }
+  },
+
+  createUser: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 200, code: 'INVALID_USER' },
+      email: { type: 'string', required: true, maxLength: 254, code: 'INVALID_USER' },
+      password: { type: 'string', required: true, minLength: 8, maxLength: 1024, code: 'INVALID_USER' },
+      role: { type: 'string', enum: ['admin', 'sender', 'signer'], code: 'INVALID_USER' }
+    }
+  },
+
+  // src/routes/webhooks.js
+
+  createWebhook: {
+    body: {
+      url: { type: 'string', required: true, maxLength: 2048, code: 'INVALID_WEBHOOK_URL' },
+      events: { type: ['array', 'string'], items: { type: 'string' }, code: 'INVALID_WEBHOOK_EVENTS' },
+      description: { type: 'string', maxLength: MAX_TEXT_LENGTH }
+    }
+  },
+
+  webhookDeliveries: {
+    query: {
+      status: { type: 'string', enum: ['pendente', 'entregue', 'falhou', 'cancelada'] },
+      limit: { type: 'integer', min: 1, max: 500, default: 50 }
+    }
+  },
+
+  // src/routes/jobs.js
+
+  createJob: {
+    files: { document: { accept: ['.docx'], required: true } },
+    disk: true,
+    body: {
+      signatures: JSON_OBJECT,
+      fields: JSON_OBJECT
+    }
+  },
+
+  // src/routes/envelopes.js
+
+  createEnvelope: {
+    files: { document: { accept: DOCUMENTS, requiredUnless: 'templateId' } },
+    body: {
+      ...TEMPLATE_REFERENCE,
+      signers: { type: 'array', json: true, required: true, code: 'INVALID_SIGNERS' },
+      signingOrder: { type: 'string', enum: ['sequential', 'parallel'], code: 'INVALID_SIGNING_ORDER' }
+    }
+  },
+
+  signerPreview: { query: { dpi: DPI } },
+
+  signEnvelope: {
+    body: {
+      signature: { ...SIGNATURE_IMAGE, required: true, codes: { required: 'MISSING_SIGNATURE' } }
+    }
+  },
+
+  // src/routes/merge.js
+
+  merge: {
+    files: {
+      document: { accept: ['.docx'], requiredUnless: 'templateId', codes: { requiredFile: 'MISSING_TEMPLATE' } }
+    },
+    body: {
+      ...TEMPLATE_REFERENCE,
+      data: JSON_OBJECT,
+      signatures: JSON_OBJECT,
+      allowMissing: { type: 'boolean', default: false }
+    }
+  },
+
+  // records: lista JSON no campo de texto ou arquivo .csv/.json
+  mergeBulk: {
+    files: {
+      document: { accept: ['.docx'], requiredUnless: 'templateId', codes: { requiredFile: 'MISSING_TEMPLATE' } },
+      records: { accept: ['.csv', '.json'] }
+    },
+    body: {
+      ...TEMPLATE_REFERENCE,
+      records: { type: 'array', json: true, code: 'INVALID_RECORDS' },
+      nameField: { type: 'string', maxLength: 200 },
+      signatures: JSON_OBJECT,
+      allowMissing: { type: 'boolean', default: false }
+    }
+  },
+
+  // src/routes/templates.js
+
+  createTemplate: {
+    files: { document: { accept: TEMPLATES, required: true, codes: { requiredFile: 'MISSING_TEMPLATE' } } },
+    body: {
+      name: { type: 'string', required: true, maxLength: 120, code: 'INVALID_TEMPLATE' },
+      description: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+      zones: { type: 'array', json: true, code: 'INVALID_TEMPLATE_ZONES' }
+    }
+  },
+
+  createTemplateVersion: {
+    files: { document: { accept: TEMPLATES, required: true, codes: { requiredFile: 'MISSING_TEMPLATE' } } },
+    body: {
+      zones: { type: 'array', json: true, code: 'INVALID_TEMPLATE_ZONES' }
+    }
+  }
+};
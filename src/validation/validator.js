@@ -0,0 +1,238 @@
+const signatureImageService = require('../services/signatureImageService');
+const messages = require('../utils/messages');
+const { AppError } = require('../utils/errors');
+
+// Código de cada regra quando o campo não declara o seu (code ou codes)
+const RULE_CODES = {
+  required: 'FIELD_REQUIRED',
+  requiredFile: 'MISSING_FILE',
+  type: 'INVALID_FIELD_TYPE',
+  min: 'FIELD_OUT_OF_RANGE',
+  exclusiveMin: 'FIELD_OUT_OF_RANGE',
+  max: 'FIELD_OUT_OF_RANGE',
+  enum: 'INVALID_FIELD_OPTION',
+  minLength: 'INVALID_FIELD_LENGTH',
+  maxLength: 'INVALID_FIELD_LENGTH',
+  minItems: 'INVALID_FIELD_LENGTH',
+  maxItems: 'INVALID_FIELD_LENGTH',
+  format: 'INVALID_FIELD_FORMAT'
+};
+
+// Conversões por tipo: campos multipart e de query chegam como texto. undefined = tipo incompatível
+const CONVERTERS = {
+  number: (value) => {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+  },
+  integer: (value) => {
+    const number = CONVERTERS.number(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    return /^(true|false)$/i.test(String(value).trim()) ? String(value).trim().toLowerCase() === 'true' : undefined;
+  },
+  string: (value) => (typeof value === 'string' ? value : undefined),
+  object: (value, rule) => {
+    const parsed = parseJson(value, rule);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : undefined;
+  },
+  array: (value, rule) => {
+    const parsed = rule.list && typeof value === 'string' ? splitList(value) : parseJson(value, rule);
+    return Array.isArray(parsed) ? parsed : undefined;
+  }
+};
+
+// Formatos verificados além do tipo
+const FORMATS = {
+  signatureImage: (value) => signatureImageService.detectFormat(value) !== null,
+  occurrence: (value) => value === 'all' || /^[1-9]\d*$/.test(String(value).trim())
+};
+
+/**
+ * Objetos e listas podem vir como texto JSON (campos multipart) quando a regra tem json: true
+ */
+function parseJson(value, rule) {
+  if (typeof value !== 'string' || !rule.json) {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Lista como texto separado por vírgulas (ex: restrict=edit,copy na query)
+function splitList(value) {
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Validação declarativa do corpo, da query e dos arquivos das requisições.
+ * Cada campo do schema é um objeto com as regras:
+ *
+ * - type: number, integer, boolean, string, object, array ou uma lista deles
+ * - json: aceita object/array enviados como texto JSON (multipart)
+ * - list: aceita array enviado como texto separado por vírgulas (query e multipart)
+ * - required, requiredUnless (campo ou lista de campos que dispensam este) e default
+ * - min, exclusiveMin, max (números), minLength, maxLength (textos), minItems, maxItems (listas)
+ * - enum, format (ver FORMATS), properties (campos de um objeto) e items (regra dos itens de uma lista)
+ * - code: código de erro do campo; codes: código por regra (ex: { required: 'MISSING_SIGNATURE' })
+ *
+ * Os erros são AppError 400 com details { field, rule, ...valores da regra } e
+ * mensagem montada a partir de locales (traduzida na resposta; ver middleware/errors).
+ */
+class SchemaValidator {
+
+  /**
+   * Valida e converte os campos declarados
+   * @param {object} fields - Mapa campo -> regra
+   * @param {object} [input] - Corpo, query ou objeto aninhado
+   * @param {string} [prefix] - Caminho do objeto no nome dos campos com erro (ex: signatures[0].)
+   * @returns {object} - Campos declarados, convertidos e com os padrões aplicados (undefined se ausentes)
+   */
+  validateFields(fields, input = {}, prefix = '') {
+    const result = {};
+
+    for (const [name, rule] of Object.entries(fields)) {
+      result[name] = this.validateValue(rule, input[name], `${prefix}${name}`, input);
+    }
+
+    return result;
+  }
+
+  /**
+   * @param {object} rule
+   * @param {*} value
+   * @param {string} field - Caminho do campo
+   * @param {object} parent - Objeto que contém o campo (para requiredUnless)
+   * @returns {*} - Valor convertido
+   */
+  validateValue(rule, value, field, parent) {
+    if (isEmpty(value)) {
+      if (this.isRequired(rule, parent)) {
+        throw this.fail(rule, field, 'required');
+      }
+      return rule.default;
+    }
+
+    const converted = this.convert(rule, value, field);
+    this.checkConstraints(rule, converted, field);
+
+    if (rule.properties && converted && typeof converted === 'object' && !Array.isArray(converted)) {
+      return { ...converted, ...this.validateFields(rule.properties, converted, `${field}.`) };
+    }
+
+    if (rule.items && Array.isArray(converted)) {
+      return converted.map((item, index) => this.validateValue(rule.items, item, `${field}[${index}]`, converted));
+    }
+
+    return converted;
+  }
+
+  /**
+   * Confere os arquivos obrigatórios (extensões, quantidade e tamanho ficam no upload; ver middleware/upload)
+   * @param {object} files - Mapa campo -> regra ({ accept, required, requiredUnless, maxCount, code, codes })
+   * @param {object} uploaded - Mapa campo -> arquivos recebidos
+   * @param {object} body - Corpo já validado (para requiredUnless)
+   */
+  validateFiles(files, uploaded, body) {
+    for (const [name, rule] of Object.entries(files)) {
+      if ((uploaded[name] || []).length === 0 && this.isRequired(rule, body)) {
+        throw this.fail(rule, name, 'requiredFile', { accepted: rule.accept });
+      }
+    }
+  }
+
+  isRequired(rule, parent) {
+    if (rule.required) {
+      return true;
+    }
+
+    return Boolean(rule.requiredUnless) &&
+      [].concat(rule.requiredUnless).every((name) => isEmpty(parent && parent[name]));
+  }
+
+  convert(rule, value, field) {
+    const types = [].concat(rule.type || []);
+
+    if (types.length === 0) {
+      return value;
+    }
+
+    for (const type of types) {
+      const converted = CONVERTERS[type](value, rule);
+      if (converted !== undefined) {
+        return converted;
+      }
+    }
+
+    throw this.fail(rule, field, 'type', { expected: rule.type });
+  }
+
+  checkConstraints(rule, value, field) {
+    if (typeof value === 'number') {
+      if (rule.min !== undefined && value < rule.min) {
+        throw this.fail(rule, field, 'min', { min: rule.min });
+      }
+      if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) {
+        throw this.fail(rule, field, 'exclusiveMin', { exclusiveMin: rule.exclusiveMin });
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        throw this.fail(rule, field, 'max', { max: rule.max });
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (rule.minLength !== undefined && value.trim().length < rule.minLength) {
+        throw this.fail(rule, field, 'minLength', { minLength: rule.minLength });
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        throw this.fail(rule, field, 'maxLength', { maxLength: rule.maxLength });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        throw this.fail(rule, field, 'minItems', { minItems: rule.minItems });
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        throw this.fail(rule, field, 'maxItems', { maxItems: rule.maxItems });
+      }
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      throw this.fail(rule, field, 'enum', { allowed: rule.enum });
+    }
+
+    if (rule.format && !FORMATS[rule.format](value)) {
+      throw this.fail(rule, field, 'format', { format: rule.format });
+    }
+  }
+
+  /**
+   * @param {object} rule - Regra do campo (code/codes)
+   * @param {string} field - Caminho do campo
+   * @param {string} ruleName - Regra violada
+   * @param {object} [values] - Valores da regra incluídos em details
+   * @returns {AppError}
+   */
+  fail(rule, field, ruleName, values = {}) {
+    const details = { field, rule: ruleName, ...values };
+    const code = (rule.codes && rule.codes[ruleName]) ||
+      rule.code ||
+      (rule.json && ruleName === 'type' ? 'INVALID_JSON_FIELD' : RULE_CODES[ruleName]);
+
+    return new AppError(messages.format(code, details), { status: 400, code, details });
+  }
+}
+
+module.exports = new SchemaValidator();
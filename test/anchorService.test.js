@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const anchorService = require('../src/services/anchorService');
+
+const PAGE_HEIGHT = 842;
+const FONT_SIZE = 12;
+
+// Cada página é uma lista de trechos { text, x, top }, com top medido do alto da página
+async function createPdf(pages) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  for (const lines of pages) {
+    const page = pdfDoc.addPage([595, PAGE_HEIGHT]);
+    for (const { text, x, top } of lines) {
+      page.drawText(text, { x, y: PAGE_HEIGHT - top, size: FONT_SIZE, font });
+    }
+  }
+
+  return { bytes: Buffer.from(await pdfDoc.save()), font };
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= 1, `${message}: ${actual} (esperado ${expected})`);
+}
+
+test('findText encontra a âncora sem diferenciar espaços e maiúsculas, com a caixa no topo esquerdo', async () => {
+  const { bytes, font } = await createPdf([[{ text: 'Assinatura do Responsável:', x: 72, top: 100 }]]);
+  const pages = await anchorService.extractText(bytes);
+
+  const matches = anchorService.findText(pages, '  assinatura DO\nresponsável: ');
+  assert.strictEqual(matches.length, 1);
+
+  const { pagina, caixa } = matches[0];
+  assert.strictEqual(pagina, 1);
+  assertClose(caixa.x, 72, 'x');
+  assertClose(caixa.y + caixa.height, 100, 'base do texto');
+  assertClose(caixa.width, font.widthOfTextAtSize('Assinatura do Responsável:', FONT_SIZE), 'largura');
+  assert.ok(caixa.height > 0);
+});
+
+test('findText junta trechos quebrados pelo PDF e respeita a página pedida', async () => {
+  const { bytes, font } = await createPdf([
+    [{ text: 'Assinatura do', x: 72, top: 100 }, { text: 'Responsável:', x: 160, top: 100 }],
+    [{ text: 'Assinatura do Responsável:', x: 300, top: 500 }]
+  ]);
+  const pages = await anchorService.extractText(bytes);
+
+  const all = anchorService.findText(pages, 'Assinatura do Responsável:');
+  assert.deepStrictEqual(all.map((match) => match.pagina), [1, 2]);
+  assertClose(all[0].caixa.x, 72, 'x da primeira');
+  assertClose(all[0].caixa.width, 160 + font.widthOfTextAtSize('Responsável:', FONT_SIZE) - 72, 'largura da primeira');
+
+  const second = anchorService.findText(pages, 'Assinatura do Responsável:', 2);
+  assert.strictEqual(second.length, 1);
+  assertClose(second[0].caixa.x, 300, 'x na página 2');
+
+  assert.deepStrictEqual(anchorService.findText(pages, 'Testemunha'), []);
+  assert.deepStrictEqual(anchorService.findText(pages, '   '), []);
+});
+
+test('getPosition posiciona a assinatura em volta da caixa da âncora', () => {
+  const box = { x: 100, y: 200, width: 80, height: 10 };
+  const dimensoes = { largura: 150, altura: 50 };
+  const at = (alinhamento, deslocamento) => anchorService.getPosition(box, dimensoes, { alinhamento, deslocamento });
+
+  assert.deepStrictEqual(at(undefined), { x: 180, y: 180 });
+  assert.deepStrictEqual(at('right'), { x: 180, y: 180 });
+  assert.deepStrictEqual(at('left'), { x: -50, y: 180 });
+  assert.deepStrictEqual(at('above'), { x: 100, y: 150 });
+  assert.deepStrictEqual(at('below'), { x: 100, y: 210 });
+  assert.deepStrictEqual(at('center'), { x: 65, y: 180 });
+  assert.deepStrictEqual(at('below', { x: 5, y: -2.5 }), { x: 105, y: 207.5 });
+});
+
+test('resolveSignatures pede a ocorrência quando a âncora aparece mais de uma vez', async () => {
+  const { bytes } = await createPdf([[{ text: 'Testemunha', x: 72, top: 100 }, { text: 'Testemunha', x: 72, top: 300 }]]);
+  const anchored = (ocorrencia) => ({
+    dimensoes: { largura: 150, altura: 50 },
+    ancora: { texto: 'Testemunha', deslocamento: { x: 0, y: 0 }, alinhamento: 'below', ocorrencia }
+  });
+
+  await assert.rejects(anchorService.resolveSignatures(bytes, [anchored(null)]), { code: 'AMBIGUOUS_ANCHOR' });
+  await assert.rejects(anchorService.resolveSignatures(bytes, [anchored(3)]), { code: 'ANCHOR_OCCURRENCE_NOT_FOUND' });
+
+  const { signatures, ancoras } = await anchorService.resolveSignatures(bytes, [anchored('all')]);
+  assert.strictEqual(signatures.length, 2);
+  assert.deepStrictEqual(ancoras.map((ancora) => ancora.assinatura), [1, 1]);
+  assert.ok(signatures[1].posicao.y > signatures[0].posicao.y);
+});
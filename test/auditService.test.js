@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+process.env.AUDIT_LOG_DIR = auditDir;
+const auditService = require('../src/services/auditService');
+
+const alice = { id: 'alice', email: 'alice@example.com' };
+const bob = { id: 'bob', email: 'bob@example.com' };
+
+test.after(() => fs.remove(auditDir));
+
+test('previews só entram na trilha de uploads do mesmo usuário e são removidos depois', async () => {
+  const file = Buffer.from('mesmo arquivo');
+  await auditService.recordPreview(file, { cliente: { ip: '10.0.0.1', usuario: alice, request_id: 'r1' } });
+
+  const bobDocument = crypto.randomUUID();
+  await auditService.attachPreviews(bobDocument, file, bob);
+  assert.strictEqual(await auditService.getTrail(bobDocument), null);
+
+  const aliceDocument = crypto.randomUUID();
+  await auditService.attachPreviews(aliceDocument, file, alice);
+  const trail = await auditService.getTrail(aliceDocument);
+  assert.strictEqual(trail.length, 1);
+  assert.deepStrictEqual(trail[0].usuario, alice);
+
+  const again = crypto.randomUUID();
+  await auditService.attachPreviews(again, file, alice);
+  assert.strictEqual(await auditService.getTrail(again), null);
+  assert.deepStrictEqual(await fs.readdir(path.join(auditDir, 'previews')), []);
+});
+
+test('previews expirados são removidos pela limpeza', async () => {
+  await auditService.recordPreview(Buffer.from('sem upload'), { cliente: { usuario: alice } });
+  const [name] = await fs.readdir(path.join(auditDir, 'previews'));
+  const old = new Date(Date.now() - 48 * 60 * 60 * 1000);
+  await fs.utimes(path.join(auditDir, 'previews', name), old, old);
+
+  assert.strictEqual(await auditService.purgeExpiredPreviews(), 1);
+  assert.deepStrictEqual(await fs.readdir(path.join(auditDir, 'previews')), []);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+process.env.USER_STORAGE_DIR = userDir;
+process.env.JWT_SECRET = 'segredo-dos-testes';
+const authService = require('../src/services/authService');
+const userStore = require('../src/storage/userStore');
+
+test.after(() => fs.remove(userDir));
+
+test('cadastros simultâneos com o mesmo e-mail criam um único usuário', async () => {
+  const data = { name: 'Maria', email: 'Maria@Example.com', password: 'senha-segura' };
+  const results = await Promise.allSettled([
+    authService.createUser(data),
+    authService.createUser({ ...data, email: 'maria@example.com ' })
+  ]);
+
+  assert.deepStrictEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find((result) => result.status === 'rejected').reason.code, 'EMAIL_IN_USE');
+
+  const users = await userStore.list();
+  assert.strictEqual(users.filter((user) => user.email === 'maria@example.com').length, 1);
+
+  const { user } = await authService.login('maria@example.com', 'senha-segura');
+  assert.strictEqual(user.email, 'maria@example.com');
+});
+
+test('login de e-mail sem cadastro também confere a senha contra um hash', async (t) => {
+  const verify = t.mock.method(authService, 'verifyPassword');
+
+  await assert.rejects(authService.login('ninguem@example.com', 'senha-segura'), { code: 'INVALID_CREDENTIALS' });
+  assert.strictEqual(verify.mock.callCount(), 1);
+  assert.match(verify.mock.calls[0].arguments[1], /^scrypt\$/);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+for (const [name, folder] of Object.entries({
+  DOCUMENT_STORAGE_DIR: 'documents',
+  AUDIT_LOG_DIR: 'audit',
+  BATCH_STORAGE_DIR: 'batches',
+  WEBHOOK_STORAGE_DIR: 'webhooks',
+  VERIFICATION_STORAGE_DIR: 'verifications'
+})) {
+  process.env[name] = path.join(dir, folder);
+}
+
+const batchService = require('../src/services/batchService');
+const batchStore = require('../src/storage/batchStore');
+
+const owner = { id: 'sender-1', email: 'sender@example.com', role: 'sender' };
+const other = { id: 'sender-2', email: 'outro@example.com', role: 'sender' };
+
+test.after(() => fs.remove(dir));
+
+async function createPdf() {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([300, 300]);
+  return Buffer.from(await pdfDoc.save());
+}
+
+// Stream falso: guarda o que seria gravado no ZIP
+function createArchive() {
+  const files = {};
+  return {
+    files,
+    append: (content, { name }) => { files[name] = content; },
+    finalize: async () => {}
+  };
+}
+
+test('o manifest lista todos os itens do lote, inclusive os que falharam', async () => {
+  const files = [
+    { nome: 'contrato.pdf', buffer: await createPdf() },
+    { nome: 'corrompido.pdf', buffer: Buffer.from('%PDF-1.7 quebrado') },
+    { nome: 'anexo.pdf', buffer: await createPdf() }
+  ];
+  const falhas = [{ index: 4, nome: 'registro_4.docx', status: 'erro', erro: { error: 'Campo obrigatório', code: 'MISSING_PLACEHOLDERS' } }];
+
+  const lote = await batchService.signDocuments(files, [], { owner: owner.id, falhas });
+  assert.deepStrictEqual(lote.documentos.map((documento) => documento.status), ['processado', 'erro', 'processado', 'erro']);
+
+  const records = await batchService.getDocuments(lote.id);
+  const batch = await batchStore.get(lote.id);
+  const archive = createArchive();
+  await batchService.fillZip(archive, lote.id, records, batch.itens, {}, {});
+
+  const manifest = JSON.parse(archive.files['manifest.json']);
+  assert.strictEqual(manifest.total_itens, 4);
+  assert.deepStrictEqual(manifest.documentos.map(({ indice, status }) => [indice, status]), [
+    [1, 'assinado'], [2, 'erro'], [3, 'assinado'], [4, 'erro']
+  ]);
+  assert.strictEqual(manifest.documentos[1].nome, 'corrompido.pdf');
+  assert.ok(manifest.documentos[1].codigo);
+  assert.strictEqual(manifest.documentos[3].codigo, 'MISSING_PLACEHOLDERS');
+  assert.deepStrictEqual(Object.keys(archive.files).sort(), ['1-contrato_assinado.pdf', '3-anexo_assinado.pdf', 'manifest.json']);
+});
+
+test('itens com erro só aparecem para quem gerencia o lote', async () => {
+  const lote = await batchService.signDocuments([{ nome: 'contrato.pdf', buffer: await createPdf() }], [], {
+    owner: owner.id,
+    falhas: [{ index: 2, nome: 'outro.docx', status: 'erro', erro: { error: 'Falhou', code: 'INVALID_FIELD_VALUE' } }]
+  });
+
+  assert.strictEqual(await batchService.createZip(lote.id, {}, { usuario: other }), null);
+
+  const batch = await batchStore.get(lote.id);
+  const { canManage } = require('../src/services/authService');
+  assert.strictEqual(canManage(other, batch), false);
+  assert.strictEqual(canManage(owner, batch), true);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'envelopes-'));
+process.env.DOCUMENT_STORAGE_DIR = path.join(rootDir, 'documents');
+process.env.AUDIT_LOG_DIR = path.join(rootDir, 'audit');
+process.env.WEBHOOK_STORAGE_DIR = path.join(rootDir, 'webhooks');
+const envelopeService = require('../src/services/envelopeService');
+const documentStore = require('../src/storage/documentStore');
+
+let file;
+let signature;
+
+test.before(async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage([595, 842]);
+  file = { nome: 'contrato.pdf', buffer: Buffer.from(await pdfDoc.save()) };
+
+  const png = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#000' } }).png().toBuffer();
+  signature = `data:image/png;base64,${png.toString('base64')}`;
+});
+
+test.after(() => fs.remove(rootDir));
+
+function createEnvelope(signingOrder) {
+  return envelopeService.create(file, {
+    signingOrder,
+    owner: 'alice',
+    signers: [
+      { name: 'Primeiro', email: 'primeiro@example.com', zones: [{ page: 1, position: { x: 50, y: 600 } }] },
+      { name: 'Segundo', email: 'segundo@example.com', zones: [{ page: 1, position: { x: 300, y: 600 } }] }
+    ]
+  });
+}
+
+function getToken(link) {
+  return link.split('/sign/')[1];
+}
+
+test('cada signatário recebe um token próprio e só o hash do segredo é armazenado', async () => {
+  const { envelope, links } = await createEnvelope('parallel');
+  const [first, second] = links.map(({ link }) => getToken(link));
+
+  assert.notStrictEqual(first, second);
+  assert.strictEqual(first.split('.')[0], envelope.id);
+
+  const { signatario } = await envelopeService.findByToken(first);
+  assert.strictEqual(signatario.nome, 'Primeiro');
+
+  const stored = JSON.stringify(await documentStore.get(envelope.id));
+  assert.ok(!stored.includes(first.split('.')[1]), 'segredo não gravado');
+  assert.ok(!JSON.stringify(envelope).includes('token_hash'));
+
+  await assert.rejects(envelopeService.findByToken(`${envelope.id}.outro-segredo`), { code: 'INVALID_SIGN_TOKEN', status: 404 });
+  await assert.rejects(envelopeService.findByToken(envelope.id), { code: 'INVALID_SIGN_TOKEN' });
+
+  // Segredo de um envelope não vale para outro
+  const other = await createEnvelope('parallel');
+  await assert.rejects(envelopeService.findByToken(`${other.envelope.id}.${first.split('.')[1]}`), { code: 'INVALID_SIGN_TOKEN' });
+});
+
+test('na ordem sequencial, cada signatário espera os anteriores', async () => {
+  const { envelope, links } = await createEnvelope('sequential');
+  const [first, second] = links.map(({ link }) => getToken(link));
+
+  await assert.rejects(envelopeService.sign(second, signature), (error) =>
+    error.code === 'NOT_SIGNER_TURN' && error.details.aguardando[0] === 'Primeiro');
+
+  const partial = await envelopeService.sign(first, signature);
+  const record = await documentStore.get(envelope.id);
+  assert.strictEqual(partial.status, 'parcialmente_assinado');
+  assert.strictEqual(partial.download, null);
+  assert.throws(() => envelopeService.ensureCompleted(record), (error) =>
+    error.code === 'ENVELOPE_NOT_COMPLETED' && error.details.pendentes[0] === 'Segundo');
+
+  await assert.rejects(envelopeService.sign(first, signature), { code: 'ALREADY_SIGNED' });
+
+  const completed = await envelopeService.sign(second, signature);
+  assert.strictEqual(completed.status, 'concluido');
+  assert.ok(completed.download);
+
+  const signed = await documentStore.get(envelope.id);
+  assert.doesNotThrow(() => envelopeService.ensureCompleted(signed));
+  assert.deepStrictEqual(signed.signatures.map((sig) => sig.posicao.x), [50, 300]);
+});
+
+test('na ordem paralela, os signatários assinam em qualquer ordem', async () => {
+  const { links } = await createEnvelope('parallel');
+  const [first, second] = links.map(({ link }) => getToken(link));
+
+  const results = await Promise.all([envelopeService.sign(second, signature), envelopeService.sign(first, signature)]);
+  assert.strictEqual(results[1].status, 'concluido');
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ptBR = require('../src/locales/pt-BR');
+const en = require('../src/locales/en');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+function listSources(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'locales' ? [] : listSources(fullPath);
+    }
+    return entry.name.endsWith('.js') ? [fullPath] : [];
+  });
+}
+
+test('todo código de erro usado em src/ tem mensagem em inglês', () => {
+  const missing = new Map();
+
+  for (const file of listSources(SRC_DIR)) {
+    const source = fs.readFileSync(file, 'utf8');
+    for (const [, code] of source.matchAll(/\bcode:\s*['"]([A-Z][A-Z0-9_]+)['"]/g)) {
+      if (!en.codes[code]) {
+        missing.set(code, path.relative(SRC_DIR, file));
+      }
+    }
+  }
+
+  assert.deepStrictEqual(Object.fromEntries(missing), {});
+});
+
+test('regras de validação, tipos e formatos existem nos dois idiomas', () => {
+  for (const section of ['rules', 'types', 'formats']) {
+    assert.deepStrictEqual(Object.keys(en[section]).sort(), Object.keys(ptBR[section]).sort(), section);
+  }
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mergeService = require('../src/services/mergeService');
+
+test('fromCsv recusa colunas que alterariam o protótipo dos objetos', () => {
+  for (const column of ['__proto__.envelope', 'cliente.constructor.prototype', 'prototype', 'cliente..nome']) {
+    assert.throws(
+      () => mergeService.fromCsv(`nome,${column}\nMaria,x\n`),
+      (error) => error.code === 'INVALID_RECORDS' && error.status === 400
+    );
+  }
+
+  assert.strictEqual({}.envelope, undefined);
+  assert.strictEqual(Object.prototype.hasOwnProperty.call(Object.prototype, 'envelope'), false);
+});
+
+test('parseRecords recusa CSV enviado com cabeçalho malicioso', () => {
+  const file = { originalname: 'dados.csv', buffer: Buffer.from('nome,__proto__.envelope\nMaria,{"signatarios":[]}\n') };
+
+  assert.throws(() => mergeService.parseRecords(undefined, file), { code: 'INVALID_RECORDS' });
+  assert.strictEqual({}.envelope, undefined);
+});
+
+test('fromCsv monta objetos aninhados a partir de nomes com ponto', () => {
+  const records = mergeService.fromCsv('nome,cliente.cidade,ativo\nMaria,Recife,true\n');
+
+  assert.deepStrictEqual(records, [{ nome: 'Maria', cliente: { cidade: 'Recife' }, ativo: true }]);
+});
+
+test('getFileName ignora propriedades herdadas', () => {
+  assert.strictEqual(mergeService.getFileName('contrato.docx', { nome: 'Maria' }, 1, 'constructor.name'), 'contrato_1.docx');
+  assert.strictEqual(mergeService.getFileName('contrato.docx', { nome: 'Maria' }, 1, 'nome'), 'Maria.docx');
+});
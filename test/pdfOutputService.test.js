@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, PDFName, StandardFonts } = require('pdf-lib');
+const pdfOutputService = require('../src/services/pdfOutputService');
+
+function assertInvalid(values, code, fields) {
+  assert.throws(() => pdfOutputService.parseOptions(values), (error) => {
+    assert.strictEqual(error.code, code);
+    assert.strictEqual(error.status, 400);
+    if (fields) {
+      assert.deepStrictEqual(error.details.fields, fields);
+    }
+    return true;
+  });
+}
+
+test('parseOptions devolve null quando nenhuma opção foi pedida', () => {
+  assert.strictEqual(pdfOutputService.parseOptions({ flatten: false, pdfa: false, restrict: [] }), null);
+});
+
+test('parseOptions recusa PDF/A combinado com criptografia', () => {
+  const fields = ['pdfa', 'restrict', 'ownerPassword', 'userPassword'];
+
+  assertInvalid({ pdfa: true, restrict: ['copy'] }, 'INVALID_OUTPUT_OPTIONS', fields);
+  assertInvalid({ pdfa: true, userPassword: 'abrir' }, 'INVALID_OUTPUT_OPTIONS', fields);
+  assertInvalid({ pdfa: true, restrict: ['edit'], ownerPassword: 'dono', userPassword: 'abrir' }, 'INVALID_OUTPUT_OPTIONS', fields);
+
+  const output = pdfOutputService.parseOptions({ pdfa: true, flatten: true, title: 'Contrato' });
+  assert.strictEqual(output.pdfa, true);
+  assert.strictEqual(output.encryption, null);
+});
+
+test('parseOptions confere as senhas e restrições', () => {
+  assertInvalid({ ownerPassword: 'dono' }, 'INVALID_OUTPUT_OPTIONS', ['ownerPassword']);
+  assertInvalid({ restrict: ['print'], ownerPassword: 'igual', userPassword: 'igual' }, 'INVALID_OUTPUT_OPTIONS', ['ownerPassword', 'userPassword']);
+
+  const { encryption } = pdfOutputService.parseOptions({ restrict: ['copy', 'edit', 'copy'] });
+  assert.deepStrictEqual(encryption.restrict, ['copy', 'edit']);
+  assert.strictEqual(encryption.userPassword, '');
+  assert.ok(encryption.ownerPassword.length >= 32, 'senha do proprietário aleatória');
+});
+
+test('parseOptions recusa propriedades com nomes reservados do PDF', () => {
+  assertInvalid({ properties: { Title: 'x' } }, 'INVALID_PDF_METADATA');
+  assertInvalid({ properties: { 'com espaço': 'x' } }, 'INVALID_PDF_METADATA');
+
+  const { metadata } = pdfOutputService.parseOptions({ keywords: [], properties: { Contrato: '123' } });
+  assert.deepStrictEqual(metadata.properties, { Contrato: '123' });
+  assert.strictEqual(metadata.keywords, undefined);
+});
+
+test('apply criptografa com AES-256 e describe não expõe as senhas', async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage();
+  const original = Buffer.from(await pdfDoc.save());
+
+  const output = pdfOutputService.parseOptions({ title: 'Contrato sigiloso', restrict: ['copy'], userPassword: 'abrir' });
+  const encrypted = await pdfOutputService.apply(original, output);
+
+  const text = encrypted.toString('latin1');
+  assert.match(text, /\/V 5/);
+  assert.match(text, /\/R 6/);
+  assert.match(text, /\/CFM \/AESV3/);
+
+  // Sem a senha, o pdf-lib lê o título cifrado
+  const reloaded = await PDFDocument.load(encrypted, { ignoreEncryption: true, updateMetadata: false });
+  assert.strictEqual(reloaded.isEncrypted, true);
+  assert.ok(reloaded.getTitle());
+  assert.notStrictEqual(reloaded.getTitle(), 'Contrato sigiloso');
+
+  const description = pdfOutputService.describe(output);
+  assert.deepStrictEqual(description.restricoes, ['copy']);
+  assert.strictEqual(description.senha_abertura, true);
+  assert.ok(!JSON.stringify(description).includes('abrir'));
+});
+
+test('apply gera PDF/A-2b e recusa fontes não incorporadas', async () => {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.addPage();
+  const original = Buffer.from(await pdfDoc.save());
+
+  const pdfa = await pdfOutputService.apply(original, pdfOutputService.parseOptions({ pdfa: true, title: 'Arquivo' }));
+  assert.strictEqual(pdfa.subarray(0, 8).toString('latin1'), '%PDF-1.7');
+
+  const reloaded = await PDFDocument.load(pdfa);
+  assert.ok(reloaded.catalog.get(PDFName.of('OutputIntents')));
+  const xmp = Buffer.from(reloaded.catalog.lookup(PDFName.of('Metadata')).getContents()).toString('utf8');
+  assert.match(xmp, /<pdfaid:part>2<\/pdfaid:part>/);
+  assert.match(xmp, /<pdfaid:conformance>B<\/pdfaid:conformance>/);
+
+  const withFont = await PDFDocument.create();
+  withFont.addPage().drawText('Helvetica padrão', { font: await withFont.embedFont(StandardFonts.Helvetica) });
+  await assert.rejects(
+    pdfOutputService.apply(Buffer.from(await withFont.save()), pdfOutputService.parseOptions({ pdfa: true })),
+    { code: 'PDFA_FONT_NOT_EMBEDDED', status: 422 }
+  );
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+const { PDFDocument } = require('pdf-lib');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-'));
+
+// Certificado autoassinado: assina o PDF e é a autoridade confiável da verificação
+function createCertificate() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+  const cert = forge.pki.createCertificate();
+  const subject = [{ name: 'commonName', value: 'Teste' }, { name: 'organizationName', value: 'Teste' }];
+
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date(Date.now() - 60 * 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  cert.setSubject(subject);
+  cert.setIssuer(subject);
+  cert.setExtensions([{ name: 'basicConstraints', cA: true }, { name: 'keyUsage', digitalSignature: true, keyCertSign: true }]);
+  cert.sign(key, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(key, [cert], '1234', { algorithm: '3des' });
+  fs.writeFileSync(path.join(dir, 'cert.p12'), Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+  fs.ensureDirSync(path.join(dir, 'trust'));
+  fs.writeFileSync(path.join(dir, 'trust', 'ca.pem'), forge.pki.certificateToPem(cert));
+}
+
+createCertificate();
+process.env.SIGNING_CERT_PATH = path.join(dir, 'cert.p12');
+process.env.SIGNING_CERT_PASSWORD = '1234';
+process.env.TRUST_STORE_DIR = path.join(dir, 'trust');
+
+const digitalSignatureService = require('../src/services/digitalSignatureService');
+const signatureVerificationService = require('../src/services/signatureVerificationService');
+
+let signed;
+
+test.before(async () => {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage([300, 300]);
+  signed = await digitalSignatureService.sign(pdfDoc, { page, rect: [10, 10, 110, 60] });
+});
+
+test.after(() => fs.remove(dir));
+
+test('assinatura intacta é válida', async () => {
+  const [result] = await signatureVerificationService.verify(signed);
+
+  assert.strictEqual(result.byteRangeCoversWholeFile, true);
+  assert.strictEqual(result.modifiedAfterSigning, false);
+  assert.strictEqual(result.valid, true);
+});
+
+test('bytes acrescentados depois da assinatura a invalidam', async () => {
+  const appended = Buffer.concat([signed, Buffer.from('\n% acrescentado\n')]);
+  const [result] = await signatureVerificationService.verify(appended);
+
+  assert.strictEqual(result.digestValid, true);
+  assert.strictEqual(result.modifiedAfterSigning, true);
+  assert.strictEqual(result.valid, false);
+});
+
+test('o intervalo fora do ByteRange precisa ser só o /Contents', () => {
+  const contents = Buffer.from('3082', 'hex');
+  const pdf = Buffer.from('AAAA<3082>BBBB', 'latin1');
+  const hidden = Buffer.from('AAAA<3082> obj <<>> <00>BBBB', 'latin1');
+
+  assert.strictEqual(signatureVerificationService.isContentsGap(pdf, [0, 4, 10, 4], contents), true);
+  assert.strictEqual(signatureVerificationService.isContentsGap(hidden, [0, 4, hidden.length - 4, 4], contents), false);
+  assert.strictEqual(signatureVerificationService.isContentsGap(pdf, [0, 4, 10, 4], Buffer.from('3083', 'hex')), false);
+});
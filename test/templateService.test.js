@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+process.env.TEMPLATE_STORAGE_DIR = path.join(rootDir, 'templates');
+process.env.AUDIT_LOG_DIR = path.join(rootDir, 'audit');
+const templateService = require('../src/services/templateService');
+const templateStore = require('../src/storage/templateStore');
+
+const usuario = { id: 'alice', role: 'sender' };
+
+async function createPdf(pages = 1) {
+  const pdfDoc = await PDFDocument.create();
+  for (let index = 0; index < pages; index++) {
+    pdfDoc.addPage([595, 842]);
+  }
+  return Buffer.from(await pdfDoc.save());
+}
+
+test.after(() => fs.remove(rootDir));
+
+test('cadastros simultâneos com o mesmo nome criam um único template', async () => {
+  const buffer = await createPdf();
+  const results = await Promise.allSettled([
+    templateService.create({ name: 'Contrato', file: { nome: 'a.pdf', buffer } }, usuario),
+    templateService.create({ name: 'contrato ', file: { nome: 'b.pdf', buffer } }, usuario)
+  ]);
+
+  assert.deepStrictEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find((result) => result.status === 'rejected').reason.code, 'TEMPLATE_NAME_TAKEN');
+
+  const templates = await templateStore.list();
+  assert.strictEqual(templates.length, 1);
+  const entries = await fs.readdir(process.env.TEMPLATE_STORAGE_DIR);
+  assert.deepStrictEqual(entries.sort(), [templates[0].id, 'templates.json'].sort());
+});
+
+test('addVersion recusa o mesmo arquivo sem zonas novas', async () => {
+  const buffer = await createPdf();
+  const template = await templateService.create({ name: 'Sem alteração', file: { nome: 'a.pdf', buffer } }, usuario);
+
+  await assert.rejects(
+    templateService.addVersion(template.id, { file: { nome: 'a.pdf', buffer } }, usuario),
+    (error) => error.code === 'TEMPLATE_VERSION_UNCHANGED' && error.status === 409 && error.details.versao === 1
+  );
+  assert.strictEqual((await templateStore.get(template.id)).versoes.length, 1);
+});
+
+test('addVersion mantém as zonas da versão anterior quando zones não é enviado', async () => {
+  const zones = [{ page: 1, position: { x: 100, y: 200 }, width: 120, height: 40 }];
+  const template = await templateService.create({
+    name: 'Com zonas',
+    file: { nome: 'v1.pdf', buffer: await createPdf() },
+    zones
+  }, usuario);
+
+  const buffer = await createPdf(2);
+  const v2 = await templateService.addVersion(template.id, { file: { nome: 'v2.pdf', buffer } }, usuario);
+  const [v1Stored, v2Stored] = v2.versoes;
+  assert.strictEqual(v2Stored.versao, 2);
+  assert.strictEqual(v2Stored.total_paginas, 2);
+  assert.deepStrictEqual(v2Stored.zonas, v1Stored.zonas);
+  assert.deepStrictEqual(v2Stored.zonas[0].posicao, { x: 100, y: 200 });
+
+  // Mesmo arquivo, zonas novas: vira uma versão
+  const v3 = await templateService.addVersion(template.id, {
+    file: { nome: 'v2.pdf', buffer },
+    zones: [{ page: 2, position: { x: 10, y: 20 } }]
+  }, usuario);
+  const v3Stored = v3.versoes[2];
+  assert.strictEqual(v3Stored.sha256, v2Stored.sha256);
+  assert.strictEqual(v3Stored.zonas[0].pagina, 2);
+  assert.deepStrictEqual(v3.versoes[0], v1Stored);
+});
+
+test('addVersion só aceita o dono do template ou admin', async () => {
+  const template = await templateService.create({ name: 'Da Alice', file: { nome: 'a.pdf', buffer: await createPdf() } }, usuario);
+
+  await assert.rejects(
+    templateService.addVersion(template.id, { file: { nome: 'b.pdf', buffer: await createPdf(2) } }, { id: 'bob', role: 'sender' }),
+    { code: 'FORBIDDEN' }
+  );
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+process.env.WEBHOOK_STORAGE_DIR = dir;
+delete process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS;
+
+const webhookService = require('../src/services/webhookService');
+const networkUtils = require('../src/utils/networkUtils');
+
+const sender = { id: 'sender-1', role: 'sender' };
+
+test.after(() => fs.remove(dir));
+
+test('endereços internos e reservados não são públicos', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.0.10', '169.254.169.254', '0.0.0.0', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+    assert.strictEqual(networkUtils.isPublicAddress(address), false, address);
+  }
+
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111']) {
+    assert.strictEqual(networkUtils.isPublicAddress(address), true, address);
+  }
+});
+
+test('webhooks para loopback, rede privada ou link-local são recusados no cadastro', async () => {
+  for (const url of ['http://169.254.169.254/latest/meta-data', 'http://localhost:3000/api', 'http://127.0.0.1/', 'http://[::1]:8080/', 'http://10.0.0.5/hook']) {
+    await assert.rejects(
+      webhookService.createSubscription(sender, { url, events: ['*'] }),
+      { code: 'WEBHOOK_DESTINATION_NOT_ALLOWED', status: 400 },
+      url
+    );
+  }
+});
+
+test('a entrega confere o destino na conexão e não guarda o corpo da resposta', async () => {
+  let received = 0;
+  const server = http.createServer((req, res) => {
+    received++;
+    res.end('segredo interno');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    const delivery = { id: 'd1', payload: { id: 'e1', evento: 'document.processed', dados: {} } };
+
+    for (const url of [`http://127.0.0.1:${port}/`, `http://localhost:${port}/`]) {
+      const tentativa = await webhookService.send({ url, secret: 'whsec_x' }, delivery);
+      assert.strictEqual(tentativa.status_code, null, url);
+      assert.match(tentativa.erro, /não permitido/, url);
+      assert.strictEqual('resposta' in tentativa, false);
+    }
+
+    assert.strictEqual(received, 0);
+  } finally {
+    server.close();
+  }
+});